@@ -2,15 +2,36 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Map from './components/Map';
 import Result from './components/Result';
+import History from './components/History';
+import Compare from './components/Compare';
+import BatchUpload from './components/BatchUpload';
+import Settings from './components/Settings';
+import AuthProvider from './components/AuthProvider';
+import AuthPage from './components/AuthPage';
+import ProtectedRoute from './components/ProtectedRoute';
+import Projects from './components/Projects';
+import ProjectDashboard from './components/ProjectDashboard';
+import OfflineQueue from './components/OfflineQueue';
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        <Route path="/" element={<Map />} />
-        <Route path="/result" element={<Result />} />
-      </Routes>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <Routes>
+          <Route path="/" element={<Map />} />
+          <Route path="/signin" element={<AuthPage mode="signin" />} />
+          <Route path="/signup" element={<AuthPage mode="signup" />} />
+          <Route path="/result" element={<ProtectedRoute><Result /></ProtectedRoute>} />
+          <Route path="/history" element={<ProtectedRoute><History /></ProtectedRoute>} />
+          <Route path="/compare" element={<ProtectedRoute><Compare /></ProtectedRoute>} />
+          <Route path="/batch" element={<ProtectedRoute><BatchUpload /></ProtectedRoute>} />
+          <Route path="/settings" element={<ProtectedRoute><Settings /></ProtectedRoute>} />
+          <Route path="/projects" element={<ProtectedRoute><Projects /></ProtectedRoute>} />
+          <Route path="/projects/:projectId" element={<ProtectedRoute><ProjectDashboard /></ProtectedRoute>} />
+        </Routes>
+        <OfflineQueue />
+      </Router>
+    </AuthProvider>
   );
 }
 
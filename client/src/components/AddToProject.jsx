@@ -0,0 +1,78 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { fetchProjects, saveProjectSite } from '../utils/api';
+
+// Dropdown on the result page for copying the saved report into one of the user's
+// projects. Only projects where the user can edit are offered.
+function AddToProject({ report }) {
+  const [open, setOpen] = useState(false);
+  const [projects, setProjects] = useState(null);
+  const [message, setMessage] = useState('');
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggle = async () => {
+    setOpen((current) => !current);
+    setMessage('');
+    if (projects === null) {
+      try {
+        const all = await fetchProjects();
+        setProjects(all.filter((project) => project.role !== 'viewer'));
+      } catch (error) {
+        console.error('Error loading projects:', error);
+        setProjects([]);
+      }
+    }
+  };
+
+  const addTo = async (project) => {
+    setOpen(false);
+    try {
+      await saveProjectSite(project.id, report);
+      setMessage(`Added to ${project.name}`);
+    } catch (error) {
+      setMessage(error.response?.data?.detail || 'Could not add to the project.');
+    }
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  return (
+    <div className="relative inline-block" ref={menuRef}>
+      <button
+        onClick={toggle}
+        className="px-4 py-1 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+      >
+        {message || 'Add to project'}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-56 bg-[#170821] border border-[#2d1b4e] rounded-md shadow-lg z-50">
+          {projects === null && <p className="px-4 py-2 text-sm text-gray-400">Loading projects...</p>}
+          {projects?.length === 0 && (
+            <p className="px-4 py-2 text-sm text-gray-400">No projects you can edit yet. Create one from the Projects page.</p>
+          )}
+          {projects?.map((project) => (
+            <button
+              key={project.id}
+              onClick={() => addTo(project)}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-300 hover:bg-[#2d1b4e] border-b border-[#2d1b4e] last:border-b-0"
+            >
+              {project.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddToProject;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { Marker, Polygon, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { rectangleFromCorners, dedupeVertices } from '../utils/geometry';
+
+const vertexIcon = L.divIcon({
+  className: 'vertex-handle',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6],
+});
+
+const midpointIcon = L.divIcon({
+  className: 'vertex-handle vertex-handle-midpoint',
+  iconSize: [10, 10],
+  iconAnchor: [5, 5],
+});
+
+const shapeStyle = { color: '#a78bfa', weight: 2, fillColor: '#7c3aed', fillOpacity: 0.25 };
+const draftStyle = { color: '#a78bfa', weight: 2, dashArray: '6 6' };
+
+// Drawing layer for the map. `mode` is 'pin', 'rectangle' or 'polygon';
+// finished shapes are reported through `onChange` as a list of [lat, lng] vertices.
+function AreaSelector({ mode, vertices, onChange, onPinSelect }) {
+  const map = useMap();
+  const [rectangleStart, setRectangleStart] = useState(null);
+  const [draft, setDraft] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  // Panning would swallow the rectangle drag, and double click finishes a polygon
+  useEffect(() => {
+    if (mode === 'rectangle') {
+      map.dragging.disable();
+    }
+    if (mode === 'polygon') {
+      map.doubleClickZoom.disable();
+    }
+    setRectangleStart(null);
+    setDraft([]);
+    setCursor(null);
+
+    return () => {
+      map.dragging.enable();
+      map.doubleClickZoom.enable();
+    };
+  }, [mode, map]);
+
+  useMapEvents({
+    click(e) {
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (mode === 'pin') {
+        onPinSelect(point);
+      } else if (mode === 'polygon') {
+        setDraft((current) => [...current, point]);
+      }
+    },
+    dblclick() {
+      if (mode !== 'polygon') {
+        return;
+      }
+      const finished = dedupeVertices(draft);
+      if (finished.length >= 3) {
+        onChange(finished);
+      }
+      setDraft([]);
+      setCursor(null);
+    },
+    mousedown(e) {
+      if (mode === 'rectangle') {
+        setRectangleStart([e.latlng.lat, e.latlng.lng]);
+        setCursor([e.latlng.lat, e.latlng.lng]);
+      }
+    },
+    mousemove(e) {
+      if ((mode === 'rectangle' && rectangleStart) || (mode === 'polygon' && draft.length > 0)) {
+        setCursor([e.latlng.lat, e.latlng.lng]);
+      }
+    },
+    mouseup(e) {
+      if (mode !== 'rectangle' || !rectangleStart) {
+        return;
+      }
+      const end = [e.latlng.lat, e.latlng.lng];
+      if (end[0] !== rectangleStart[0] && end[1] !== rectangleStart[1]) {
+        onChange(rectangleFromCorners(rectangleStart, end));
+      }
+      setRectangleStart(null);
+      setCursor(null);
+    },
+  });
+
+  const moveVertex = (index, latlng) => {
+    const next = [...vertices];
+    next[index] = [latlng.lat, latlng.lng];
+    onChange(next);
+  };
+
+  // A polygon needs at least three vertices, so deleting below that is ignored
+  const deleteVertex = (index) => {
+    if (vertices.length <= 3) {
+      return;
+    }
+    onChange(vertices.filter((_, i) => i !== index));
+  };
+
+  const insertVertex = (index, latlng) => {
+    const next = [...vertices];
+    next.splice(index + 1, 0, [latlng.lat, latlng.lng]);
+    onChange(next);
+  };
+
+  const midpoints = vertices.map((vertex, index) => {
+    const nextVertex = vertices[(index + 1) % vertices.length];
+    return [(vertex[0] + nextVertex[0]) / 2, (vertex[1] + nextVertex[1]) / 2];
+  });
+
+  return (
+    <>
+      {vertices.length >= 3 && (
+        <Polygon positions={vertices} pathOptions={shapeStyle} />
+      )}
+
+      {/* Vertex handles: drag to move, right click to delete, drag a midpoint to add */}
+      {mode !== 'pin' && vertices.length >= 3 && draft.length === 0 && (
+        <>
+          {vertices.map((vertex, index) => (
+            <Marker
+              key={`vertex-${index}`}
+              position={vertex}
+              icon={vertexIcon}
+              draggable
+              eventHandlers={{
+                drag: (e) => moveVertex(index, e.target.getLatLng()),
+                contextmenu: () => deleteVertex(index),
+              }}
+            />
+          ))}
+          {midpoints.map((midpoint, index) => (
+            <Marker
+              key={`midpoint-${index}-${vertices.length}`}
+              position={midpoint}
+              icon={midpointIcon}
+              draggable
+              eventHandlers={{
+                dragend: (e) => insertVertex(index, e.target.getLatLng()),
+              }}
+            />
+          ))}
+        </>
+      )}
+
+      {/* In-progress shapes */}
+      {mode === 'rectangle' && rectangleStart && cursor && (
+        <Polygon positions={rectangleFromCorners(rectangleStart, cursor)} pathOptions={draftStyle} />
+      )}
+      {mode === 'polygon' && draft.length > 0 && (
+        <Polyline positions={cursor ? [...draft, cursor] : draft} pathOptions={draftStyle} />
+      )}
+    </>
+  );
+}
+
+export default AreaSelector;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const modes = {
+  signin: { title: 'Sign In', submit: 'Sign In', busy: 'Signing in...', switchText: 'No account yet?', switchLabel: 'Sign up', switchPath: '/signup' },
+  signup: { title: 'Create an Account', submit: 'Sign Up', busy: 'Creating account...', switchText: 'Already have an account?', switchLabel: 'Sign in', switchPath: '/signin' },
+};
+
+const inputClass = 'mt-1 w-full p-2 rounded-md focus:ring-[#7c3aed] focus:border-[#7c3aed] text-white bg-[#170821] border border-[#2d1b4e]';
+
+// Sign-in and sign-up form. After success the user goes back to the page that
+// sent them here (see ProtectedRoute), or to the map.
+function AuthPage({ mode }) {
+  const { user, signIn, signUp } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const text = modes[mode];
+  const from = location.state?.from;
+
+  if (user && !submitting) {
+    return <Navigate to="/" replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (mode === 'signup') {
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        setError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+        return;
+      }
+      if (password !== confirmPassword) {
+        setError('The passwords do not match.');
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    try {
+      await (mode === 'signup' ? signUp : signIn)({ email, password });
+      navigate(from ? `${from.pathname}${from.search}` : '/', { replace: true, state: from?.state });
+    } catch (err) {
+      setError(err.response?.data?.detail || `Could not ${mode === 'signup' ? 'create the account' : 'sign in'}. Please try again.`);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <div className="cosmic-background"></div>
+      <div className="cosmic-effects"></div>
+      <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md p-8 rounded-lg shadow-2xl border border-[#2d1b4e] w-full max-w-md">
+        <h1 className="text-2xl font-light text-white mb-2">{text.title}</h1>
+        {from && <p className="text-sm text-gray-400 mb-4">Sign in to run analyses and keep your reports.</p>}
+        <form onSubmit={handleSubmit} className="space-y-4 mt-4">
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-300">Email</label>
+            <input
+              id="email"
+              type="email"
+              autoComplete="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-300">Password</label>
+            <input
+              id="password"
+              type="password"
+              autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          {mode === 'signup' && (
+            <div>
+              <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-300">Confirm password</label>
+              <input
+                id="confirm-password"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-[#7c3aed] text-white py-3 px-4 rounded-md hover:bg-[#6d28d9] disabled:opacity-50 transition-colors"
+          >
+            {submitting ? text.busy : text.submit}
+          </button>
+        </form>
+        <div className="flex items-center justify-between mt-6 text-sm">
+          <span className="text-gray-400">
+            {text.switchText}{' '}
+            <button
+              onClick={() => navigate(text.switchPath, { replace: true, state: location.state })}
+              className="text-[#a78bfa] hover:text-white transition-colors"
+            >
+              {text.switchLabel}
+            </button>
+          </span>
+          <button onClick={() => navigate('/')} className="text-gray-400 hover:text-white transition-colors">
+            Back to Map
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AuthPage;
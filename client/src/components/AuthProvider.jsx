@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  setAuthToken,
+  onSessionExpired,
+  signIn as requestSignIn,
+  signUp as requestSignUp,
+  signOut as requestSignOut,
+  fetchCurrentUser,
+  fetchWorkspaceReports,
+} from '../utils/api';
+import { setReportOwner, restoreReports, retryPendingReports } from '../utils/reportStore';
+import { AuthContext } from '../hooks/useAuth';
+
+const SESSION_KEY = 'zerra.session';
+
+function readSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Points the API client and the report store at a user. The session is kept in
+// localStorage so it survives reloads until it expires or the user signs out.
+function applySession(session) {
+  setAuthToken(session?.token || null);
+  setReportOwner(session?.user.id || null);
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+}
+
+// Loads the user's workspace into the report store; without it the local copy is used
+// and its unsent changes are retried until the server takes them
+async function openWorkspace() {
+  try {
+    restoreReports(await fetchWorkspaceReports());
+  } catch (error) {
+    console.error('Error loading the workspace:', error);
+    retryPendingReports();
+  }
+}
+
+function AuthProvider({ children }) {
+  const [session, setSession] = useState(null);
+  const [ready, setReady] = useState(false);
+
+  // A stored session is checked with the server before protected pages render.
+  // If the server can't be reached it is trusted, so saved reports stay available.
+  useEffect(() => {
+    const stored = readSession();
+    if (!stored?.token) {
+      setReady(true);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setAuthToken(stored.token);
+    fetchCurrentUser()
+      .then(async (user) => {
+        const current = { token: stored.token, user };
+        applySession(current);
+        await openWorkspace();
+        if (!cancelled) setSession(current);
+      })
+      .catch((error) => {
+        if (error.response?.status === 401) {
+          applySession(null);
+          return;
+        }
+        applySession(stored);
+        retryPendingReports();
+        if (!cancelled) setSession(stored);
+      })
+      .finally(() => {
+        if (!cancelled) setReady(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => onSessionExpired(() => {
+    applySession(null);
+    setSession(null);
+  }), []);
+
+  const startSession = useCallback(async (next) => {
+    applySession(next);
+    await openWorkspace();
+    setSession(next);
+    return next.user;
+  }, []);
+
+  const signIn = useCallback(async (credentials) => startSession(await requestSignIn(credentials)), [startSession]);
+  const signUp = useCallback(async (credentials) => startSession(await requestSignUp(credentials)), [startSession]);
+
+  const signOut = useCallback(async () => {
+    try {
+      await requestSignOut();
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    applySession(null);
+    setSession(null);
+  }, []);
+
+  const value = useMemo(
+    () => ({ user: session?.user || null, ready, signIn, signUp, signOut }),
+    [session, ready, signIn, signUp, signOut]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
@@ -0,0 +1,300 @@
+import React, { useState, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { fetchSustainabilityReport } from '../utils/api';
+import { parseSitesFile, runQueue } from '../utils/batch';
+import { saveReport } from '../utils/reportStore';
+import { buildResultSearch } from '../utils/reportUrl';
+import { overallScore } from '../utils/metrics';
+import { toCsv, downloadFile } from '../utils/export';
+
+const statusStyles = {
+  invalid: 'text-red-400',
+  pending: 'text-gray-400',
+  running: 'text-[#a78bfa]',
+  retrying: 'text-yellow-400',
+  done: 'text-green-400',
+  failed: 'text-red-400',
+};
+
+const exportColumns = [
+  { key: 'name', label: 'Name' },
+  { key: 'latitude', label: 'Latitude' },
+  { key: 'longitude', label: 'Longitude' },
+  { key: 'status', label: 'Status' },
+  { key: 'average_radiation', label: 'Average Radiation (kWh/m²/day)' },
+  { key: 'afforestation_potential_percent', label: 'Afforestation Potential (%)' },
+  { key: 'water_harvesting_score', label: 'Water Harvesting Score' },
+  { key: 'windmill_feasibility_score', label: 'Windmill Feasibility Score' },
+  { key: 'overall_score', label: 'Overall Score' },
+  { key: 'error', label: 'Error' },
+];
+
+// Flat summary of one batch row, used by both the results table and the CSV export
+function summariseRow(row) {
+  const report = row.result?.report;
+  const overall = overallScore(report);
+  return {
+    name: row.name,
+    latitude: isNaN(row.latitude) ? '' : Number(row.latitude).toFixed(6),
+    longitude: isNaN(row.longitude) ? '' : Number(row.longitude).toFixed(6),
+    status: row.status,
+    average_radiation: report?.solar_potential?.average_radiation ?? '',
+    afforestation_potential_percent: report?.afforestation_feasibility?.afforestation_potential_percent ?? '',
+    water_harvesting_score: report?.water_harvesting?.water_harvesting_score ?? '',
+    windmill_feasibility_score: report?.windmill_feasibility?.windmill_feasibility_score ?? '',
+    overall_score: overall === null ? '' : overall.toFixed(2),
+    error: row.error || '',
+  };
+}
+
+function BatchUpload() {
+  const navigate = useNavigate();
+  const [rows, setRows] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [parseError, setParseError] = useState('');
+  const [concurrency, setConcurrency] = useState(2);
+  const [running, setRunning] = useState(false);
+  const stopRef = useRef(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setParseError('');
+    setFileName(file.name);
+    try {
+      const sites = parseSitesFile(file.name, await file.text());
+      setRows(sites.map((site, index) => ({
+        ...site,
+        id: index,
+        status: site.error ? 'invalid' : 'pending',
+        attempts: 0,
+        result: null,
+      })));
+    } catch (error) {
+      setRows([]);
+      setParseError(error.message);
+    }
+  };
+
+  const updateRow = (id, patch) => {
+    setRows((current) => current.map((row) => (row.id === id ? { ...row, ...patch } : row)));
+  };
+
+  const startBatch = async () => {
+    const queued = rows.filter((row) => row.status === 'pending' || row.status === 'failed');
+    if (queued.length === 0) return;
+
+    stopRef.current = false;
+    setRunning(true);
+    await runQueue(
+      queued,
+      async (row) => {
+        const data = await fetchSustainabilityReport(row);
+        saveReport({
+          selectedArea: {
+            latitude: row.latitude,
+            longitude: row.longitude,
+            geometry: row.geometry,
+            placeName: row.name,
+          },
+          data,
+        });
+        return data;
+      },
+      {
+        concurrency,
+        retries: 2,
+        onUpdate: (index, patch) => updateRow(queued[index].id, patch),
+        shouldStop: () => stopRef.current,
+      }
+    );
+    setRunning(false);
+  };
+
+  const exportResults = () => {
+    const base = fileName.replace(/\.[^.]+$/, '') || 'batch';
+    downloadFile(`${base}-results.csv`, toCsv(exportColumns, rows.map(summariseRow)), 'text/csv');
+  };
+
+  const openRow = (row) => {
+    const selectedArea = {
+      latitude: row.latitude,
+      longitude: row.longitude,
+      geometry: row.geometry,
+      placeName: row.name,
+    };
+    navigate(`/result?${buildResultSearch(selectedArea)}`, { state: { data: row.result, selectedArea } });
+  };
+
+  const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const finished = (counts.done || 0) + (counts.failed || 0) + (counts.invalid || 0);
+
+  return (
+    <>
+      {/* Fixed background */}
+      <div className="cosmic-background"></div>
+      <div className="cosmic-effects"></div>
+
+      <div className="snap-container">
+        <div className="min-h-screen pt-16 pb-16 px-4">
+          <div className="max-w-6xl mx-auto">
+            <div className="text-center mb-10">
+              <h1
+                className="font-light mb-6 leading-tight glow-subtle"
+                style={{
+                  fontFamily: 'Google Sans, sans-serif',
+                  fontSize: '40px',
+                  color: 'white',
+                  letterSpacing: '0.01em'
+                }}
+              >
+                Batch Analysis
+              </h1>
+              <p className="text-gray-400">
+                Upload a CSV with lat, lon and name columns, or a GeoJSON file of points and polygons.
+              </p>
+            </div>
+
+            <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] mb-6">
+              <div className="flex flex-col md:flex-row md:items-end gap-4">
+                <div className="flex-1">
+                  <label htmlFor="batch-file" className="block text-sm font-medium text-gray-300 mb-1">
+                    Sites file
+                  </label>
+                  <input
+                    id="batch-file"
+                    type="file"
+                    accept=".csv,.geojson,.json"
+                    onChange={handleFileChange}
+                    disabled={running}
+                    className="w-full text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-[#1e0a30] file:text-white"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="batch-concurrency" className="block text-sm font-medium text-gray-300 mb-1">
+                    Parallel requests
+                  </label>
+                  <select
+                    id="batch-concurrency"
+                    value={concurrency}
+                    onChange={(e) => setConcurrency(Number(e.target.value))}
+                    disabled={running}
+                    className="p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e]"
+                  >
+                    {[1, 2, 3, 4].map((value) => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                </div>
+                {running ? (
+                  <button
+                    onClick={() => { stopRef.current = true; }}
+                    className="bg-[#1e0a30] text-white py-2 px-6 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] transition-colors"
+                  >
+                    Stop after current
+                  </button>
+                ) : (
+                  <button
+                    onClick={startBatch}
+                    disabled={!rows.some((row) => row.status === 'pending' || row.status === 'failed')}
+                    className="bg-[#7c3aed] text-white py-2 px-6 rounded-md hover:bg-[#6d28d9] disabled:opacity-50 transition-colors"
+                  >
+                    {counts.failed && !counts.pending ? 'Retry Failed' : 'Start Analysis'}
+                  </button>
+                )}
+                <button
+                  onClick={exportResults}
+                  disabled={rows.length === 0}
+                  className="bg-[#1e0a30] text-white py-2 px-6 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] disabled:opacity-50 transition-colors"
+                >
+                  Export CSV
+                </button>
+              </div>
+              {parseError && <p className="text-red-400 text-sm mt-3">{parseError}</p>}
+              {rows.length > 0 && (
+                <div className="mt-4">
+                  <div className="flex justify-between text-sm text-gray-400 mb-1">
+                    <span>
+                      {rows.length} sites · {counts.done || 0} done · {counts.failed || 0} failed · {counts.invalid || 0} invalid
+                    </span>
+                    <span>{Math.round((finished / rows.length) * 100)}%</span>
+                  </div>
+                  <div className="h-2 rounded-full bg-[#170821] overflow-hidden">
+                    <div
+                      className="h-full bg-[#7c3aed] transition-all"
+                      style={{ width: `${(finished / rows.length) * 100}%` }}
+                    ></div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {rows.length > 0 && (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg border border-[#2d1b4e] overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-[#2d1b4e] text-gray-400 text-left">
+                      <th className="p-3 font-normal">Name</th>
+                      <th className="p-3 font-normal">Coordinates</th>
+                      <th className="p-3 font-normal">Status</th>
+                      <th className="p-3 font-normal">Solar</th>
+                      <th className="p-3 font-normal">Afforestation</th>
+                      <th className="p-3 font-normal">Water</th>
+                      <th className="p-3 font-normal">Wind</th>
+                      <th className="p-3 font-normal">Overall</th>
+                      <th className="p-3 font-normal"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row) => {
+                      const summary = summariseRow(row);
+                      return (
+                        <tr key={row.id} className="border-t border-[#2d1b4e] border-opacity-50 text-white">
+                          <td className="p-3">
+                            {row.name}
+                            {row.geometry && <span className="ml-2 text-xs text-gray-400">(area)</span>}
+                          </td>
+                          <td className="p-3 text-gray-300">
+                            {summary.latitude && summary.longitude ? `${summary.latitude}, ${summary.longitude}` : '—'}
+                          </td>
+                          <td className={`p-3 ${statusStyles[row.status]}`}>
+                            {row.status}{row.attempts > 1 ? ` (attempt ${row.attempts})` : ''}
+                            {row.error && <div className="text-xs text-gray-400">{row.error}</div>}
+                          </td>
+                          <td className="p-3">{summary.average_radiation}</td>
+                          <td className="p-3">{summary.afforestation_potential_percent}</td>
+                          <td className="p-3">{summary.water_harvesting_score}</td>
+                          <td className="p-3">{summary.windmill_feasibility_score}</td>
+                          <td className="p-3">{summary.overall_score}</td>
+                          <td className="p-3">
+                            {row.status === 'done' && (
+                              <button onClick={() => openRow(row)} className="text-[#a78bfa] hover:text-white">
+                                Open
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex justify-center mt-8">
+              <button
+                onClick={() => navigate('/')}
+                className="bg-[#7c3aed] text-white py-3 px-8 rounded-md hover:bg-[#6d28d9] transition-all duration-200 shadow-lg hover:shadow-xl"
+              >
+                Back to Map
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default BatchUpload;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// Comment thread on one card of a project site. Everyone in the project can comment;
+// a comment can be deleted by its author or the project owner.
+function CardComments({ comments, user, role, onAdd, onDelete }) {
+  const [body, setBody] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setSending(true);
+    setError('');
+    try {
+      await onAdd(body.trim());
+      setBody('');
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Could not post the comment.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const remove = async (comment) => {
+    setError('');
+    try {
+      await onDelete(comment.id);
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Could not delete the comment.');
+    }
+  };
+
+  return (
+    <div className="pt-3 mt-3 border-t border-[#2d1b4e] space-y-3">
+      {comments.length === 0 && <p className="text-sm text-gray-400">No comments on this card yet.</p>}
+      {comments.map((comment) => (
+        <div key={comment.id} className="text-sm">
+          <div className="flex items-center justify-between text-gray-400">
+            <span>{comment.author} · {formatTime(comment.created_at)}</span>
+            {(comment.author_id === user?.id || role === 'owner') && (
+              <button onClick={() => remove(comment)} className="text-gray-400 hover:text-red-400 transition-colors">
+                Delete
+              </button>
+            )}
+          </div>
+          <p className="text-gray-200 whitespace-pre-wrap">{comment.body}</p>
+        </div>
+      ))}
+      <form onSubmit={submit} className="space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          maxLength={MAX_COMMENT_LENGTH}
+          rows={2}
+          placeholder="Add a comment for the team..."
+          className="w-full p-2 rounded-md text-sm focus:ring-[#7c3aed] focus:border-[#7c3aed] text-white bg-[#170821] border border-[#2d1b4e]"
+        />
+        <div className="flex items-center justify-between">
+          {error ? <span className="text-red-400 text-sm">{error}</span> : <span></span>}
+          <button
+            type="submit"
+            disabled={sending || !body.trim()}
+            className="px-3 py-1 text-sm rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9] disabled:opacity-50 transition-colors"
+          >
+            {sending ? 'Posting...' : 'Comment'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default CardComments;
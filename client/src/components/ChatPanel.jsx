@@ -0,0 +1,138 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { streamChat } from '../utils/api';
+
+const suggestedQuestions = [
+  'Why did this site get these scores?',
+  'What would a rooftop solar system cost here?',
+  'Which project should I start with?',
+];
+
+// Follow-up questions about the report on the result page. The report and the
+// recommendations are sent with every question so the model keeps the context.
+function ChatPanel({ report, recommendations }) {
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [streaming, setStreaming] = useState(false);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  // Stop any reply still streaming when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const ask = async (question) => {
+    const text = question.trim();
+    if (!text || streaming) {
+      return;
+    }
+
+    const conversation = [...messages, { role: 'user', content: text }];
+    setMessages([...conversation, { role: 'assistant', content: '' }]);
+    setInput('');
+    setError('');
+    setStreaming(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      await streamChat({
+        report,
+        recommendations,
+        messages: conversation,
+        signal: controller.signal,
+        onChunk: (chunk) => {
+          setMessages((current) => {
+            const next = [...current];
+            const last = next[next.length - 1];
+            next[next.length - 1] = { ...last, content: last.content + chunk };
+            return next;
+          });
+        },
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'The assistant is unavailable right now.');
+        // Drop the empty reply placeholder so the question can be asked again
+        setMessages((current) => (current[current.length - 1]?.content ? current : current.slice(0, -1)));
+      }
+    } finally {
+      setStreaming(false);
+      abortRef.current = null;
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    ask(input);
+  };
+
+  return (
+    <div>
+      <div ref={listRef} className="max-h-96 overflow-y-auto space-y-3 mb-4">
+        {messages.length === 0 && (
+          <div className="flex flex-wrap gap-2">
+            {suggestedQuestions.map((question) => (
+              <button
+                key={question}
+                type="button"
+                onClick={() => ask(question)}
+                className="px-3 py-1 text-sm rounded-full border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+              >
+                {question}
+              </button>
+            ))}
+          </div>
+        )}
+        {messages.map((message, index) => (
+          <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+            <div
+              className={`max-w-[80%] px-4 py-2 rounded-lg whitespace-pre-wrap ${
+                message.role === 'user' ? 'bg-[#7c3aed] text-white' : 'bg-[#170821] bg-opacity-60 text-gray-300'
+              }`}
+            >
+              {message.content || (streaming && index === messages.length - 1 ? '...' : '')}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Ask a follow-up question about this report"
+          maxLength={2000}
+          className="flex-1 p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e] focus:ring-[#7c3aed] focus:border-[#7c3aed]"
+        />
+        {streaming ? (
+          <button
+            type="button"
+            onClick={() => abortRef.current?.abort()}
+            className="px-4 py-2 rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={!input.trim()}
+            className="px-4 py-2 rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9] transition-colors disabled:opacity-60"
+          >
+            Ask
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default ChatPanel;
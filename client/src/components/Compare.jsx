@@ -0,0 +1,151 @@
+import React, { useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { getReport } from '../utils/reportStore';
+import { reportSections, getMetricValue, overallScore, rankExtremes } from '../utils/metrics';
+
+const MAX_SITES = 6;
+
+function Compare() {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const ids = useMemo(() => (
+    (new URLSearchParams(location.search).get('ids') || '')
+      .split(',')
+      .filter(Boolean)
+      .slice(0, MAX_SITES)
+  ), [location.search]);
+
+  const sites = useMemo(() => ids.map(getReport).filter(Boolean), [ids]);
+
+  // Overall ranking, 1 = best
+  const overall = sites.map((site) => overallScore(site.data?.report));
+  const ranks = overall.map((score) => (
+    score === null ? null : overall.filter((other) => other !== null && other > score).length + 1
+  ));
+  const overallExtremes = rankExtremes(overall, 'higher');
+
+  const removeSite = (id) => {
+    const remaining = ids.filter((siteId) => siteId !== id);
+    navigate(`/compare?ids=${remaining.join(',')}`, { replace: true });
+  };
+
+  const cellClass = (extremes, index) => {
+    if (extremes.best.includes(index)) return 'text-green-400 bg-green-900 bg-opacity-20';
+    if (extremes.worst.includes(index)) return 'text-red-400 bg-red-900 bg-opacity-20';
+    return 'text-white';
+  };
+
+  return (
+    <>
+      {/* Fixed background */}
+      <div className="cosmic-background"></div>
+      <div className="cosmic-effects"></div>
+
+      <div className="snap-container">
+        <div className="min-h-screen pt-16 pb-16 px-4">
+          <div className="max-w-6xl mx-auto">
+            <div className="text-center mb-10">
+              <h1
+                className="font-light mb-6 leading-tight glow-subtle"
+                style={{
+                  fontFamily: 'Google Sans, sans-serif',
+                  fontSize: '40px',
+                  color: 'white',
+                  letterSpacing: '0.01em'
+                }}
+              >
+                Site Comparison
+              </h1>
+              <p className="text-gray-400">
+                Best values per metric are highlighted in green, worst in red.
+              </p>
+            </div>
+
+            {sites.length < 2 ? (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg p-8 border border-[#2d1b4e] text-center">
+                <p className="text-gray-400 mb-4">Select at least two saved analyses in your history to compare them.</p>
+                <button
+                  onClick={() => navigate('/history')}
+                  className="bg-[#7c3aed] text-white py-2 px-6 rounded-md hover:bg-[#6d28d9] transition-colors"
+                >
+                  Go to History
+                </button>
+              </div>
+            ) : (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg border border-[#2d1b4e] overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-[#2d1b4e]">
+                      <th className="p-4 text-left text-gray-400 font-normal">Metric</th>
+                      {sites.map((site) => (
+                        <th key={site.id} className="p-4 text-left align-top font-normal min-w-[10rem]">
+                          <div className="text-white text-base">{site.name}</div>
+                          <div className="text-xs text-gray-400">
+                            [{Number(site.selectedArea.latitude).toFixed(4)}, {Number(site.selectedArea.longitude).toFixed(4)}]
+                          </div>
+                          <button
+                            onClick={() => removeSite(site.id)}
+                            className="mt-1 text-xs text-gray-400 hover:text-red-400"
+                          >
+                            Remove
+                          </button>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="border-b border-[#2d1b4e] bg-[#170821] bg-opacity-60">
+                      <td className="p-4 text-[#a78bfa] font-medium">Overall Ranking</td>
+                      {sites.map((site, index) => (
+                        <td key={site.id} className={`p-4 font-medium ${cellClass(overallExtremes, index)}`}>
+                          {ranks[index] === null ? 'N/A' : `#${ranks[index]} (${overall[index].toFixed(2)})`}
+                        </td>
+                      ))}
+                    </tr>
+                    {reportSections.map((section) => (
+                      <React.Fragment key={section.key}>
+                        <tr>
+                          <td colSpan={sites.length + 1} className="px-4 pt-5 pb-2 text-[#a78bfa] text-base">
+                            {section.title}
+                          </td>
+                        </tr>
+                        {section.metrics.map((metric) => {
+                          const values = sites.map((site) => getMetricValue(site.data?.report, section.key, metric.key));
+                          const extremes = rankExtremes(values, metric.better);
+                          return (
+                            <tr key={`${section.key}-${metric.key}`} className="border-t border-[#2d1b4e] border-opacity-50">
+                              <td className="px-4 py-2 text-gray-400">
+                                {metric.label}{metric.unit ? ` (${metric.unit})` : ''}
+                              </td>
+                              {values.map((value, index) => (
+                                <td key={sites[index].id} className={`px-4 py-2 ${cellClass(extremes, index)}`}>
+                                  {value === null ? 'N/A' : value}
+                                </td>
+                              ))}
+                            </tr>
+                          );
+                        })}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex justify-center space-x-4 mt-8">
+              <button
+                onClick={() => navigate('/history')}
+                className="bg-[#7c3aed] text-white py-3 px-8 rounded-md hover:bg-[#6d28d9] transition-all duration-200 shadow-lg hover:shadow-xl"
+              >
+                Back to History
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default Compare;
@@ -0,0 +1,73 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { reportToCsv, reportToJson, reportToGeoJSON, downloadFile, fileSlug } from '../utils/export';
+import { buildReportPdf } from '../utils/reportPdf';
+
+// Dropdown on the result page for downloading the report in different formats
+function ExportMenu({ data, selectedArea, recommendationSections }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const baseName = `zerra-${fileSlug(selectedArea.placeName || data.place_name)}`;
+
+  const exportPdf = async () => {
+    setExporting(true);
+    try {
+      const doc = await buildReportPdf({ data, selectedArea, recommendationSections });
+      doc.save(`${baseName}.pdf`);
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formats = [
+    { label: 'PDF report', action: exportPdf },
+    { label: 'CSV (flat fields)', action: () => downloadFile(`${baseName}.csv`, reportToCsv(data, selectedArea), 'text/csv') },
+    { label: 'JSON (flat fields)', action: () => downloadFile(`${baseName}.json`, reportToJson(data, selectedArea), 'application/json') },
+    { label: 'GeoJSON feature', action: () => downloadFile(`${baseName}.geojson`, reportToGeoJSON(data, selectedArea), 'application/geo+json') },
+  ];
+
+  return (
+    <div className="relative inline-block" ref={menuRef}>
+      <button
+        onClick={() => setOpen((current) => !current)}
+        disabled={exporting}
+        className="px-4 py-1 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] disabled:opacity-50 transition-colors"
+      >
+        {exporting ? 'Exporting...' : 'Export'}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-48 bg-[#170821] border border-[#2d1b4e] rounded-md shadow-lg z-50">
+          {formats.map((format) => (
+            <button
+              key={format.label}
+              onClick={() => {
+                setOpen(false);
+                format.action();
+              }}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-300 hover:bg-[#2d1b4e] border-b border-[#2d1b4e] last:border-b-0"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
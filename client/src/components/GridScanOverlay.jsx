@@ -0,0 +1,36 @@
+import React from 'react';
+import { Rectangle, Tooltip } from 'react-leaflet';
+import { scoreColor } from '../utils/gridScan';
+
+// Colour-coded grid scan cells, drawn inside the MapContainer. Clicking a cell selects it;
+// the top-ranked and selected cells get a white outline.
+function GridScanOverlay({ cells, highlightedIds, selectedId, onSelect }) {
+  return (
+    <>
+      {cells.map((cell) => {
+        const highlighted = cell.id === selectedId || highlightedIds.includes(cell.id);
+        return (
+          <Rectangle
+            key={cell.id}
+            bounds={cell.bounds}
+            bubblingMouseEvents={false}
+            pathOptions={{
+              color: highlighted ? '#ffffff' : scoreColor(cell.score),
+              weight: cell.id === selectedId ? 3 : highlighted ? 2 : 0.5,
+              fillColor: scoreColor(cell.score),
+              fillOpacity: 0.55,
+            }}
+            eventHandlers={{ click: () => onSelect(cell) }}
+          >
+            <Tooltip sticky>
+              {cell.score === null ? 'No data' : `Score ${cell.score.toFixed(2)}`}
+              {cell.rank ? ` · #${cell.rank}` : ''}
+            </Tooltip>
+          </Rectangle>
+        );
+      })}
+    </>
+  );
+}
+
+export default GridScanOverlay;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { submitGridScan } from '../utils/api';
+import { scanAnalyses, scanSizes, scoreColor, scoreGradient, describeComponents } from '../utils/gridScan';
+import { toGeoJSONPolygon } from '../utils/geometry';
+
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// Grid scan controls for the map page: scans the drawn region for one analysis and
+// lists the best cells. The job itself is followed by the map page, which also
+// draws the cells (see GridScanOverlay).
+function GridScanPanel({ areaVertices, scan, job, jobError, topRanked, selectedCell, onStarted, onCancel, onClear, onSelectCell, onAnalyseCell }) {
+  const [analysis, setAnalysis] = useState(scanAnalyses[0].id);
+  const [targetCells, setTargetCells] = useState(scanSizes[1]);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  const hasArea = areaVertices.length >= 3;
+  const running = Boolean(scan) && (!job || !TERMINAL_STATES.includes(job.status));
+  const progress = job?.progress;
+  const percent = progress?.total ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  const startScan = async () => {
+    setError('');
+    setStarting(true);
+    try {
+      const started = await submitGridScan({ geometry: toGeoJSONPolygon(areaVertices), analysis, targetCells });
+      onStarted({ ...started, analysis });
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Failed to start the grid scan.');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const selectClass = 'p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e] focus:ring-[#7c3aed] focus:border-[#7c3aed]';
+
+  return (
+    <div className="mt-4 p-4 rounded-lg bg-[#170821] bg-opacity-60 border border-[#2d1b4e] text-sm">
+      <div className="text-gray-300 mb-2">Grid scan</div>
+      {!hasArea && !scan && (
+        <p className="text-gray-400">Draw a rectangle or polygon to scan it for the best sites.</p>
+      )}
+
+      {hasArea && !running && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={analysis} onChange={(e) => setAnalysis(e.target.value)} className={selectClass}>
+            {scanAnalyses.map((item) => (
+              <option key={item.id} value={item.id}>{item.label}</option>
+            ))}
+          </select>
+          <select value={targetCells} onChange={(e) => setTargetCells(Number(e.target.value))} className={selectClass}>
+            {scanSizes.map((size) => (
+              <option key={size} value={size}>~{size} cells</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={startScan}
+            disabled={starting}
+            className="px-3 py-2 rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9] transition-colors disabled:opacity-60"
+          >
+            {starting ? 'Starting...' : scan ? 'Scan again' : 'Scan region'}
+          </button>
+        </div>
+      )}
+      {error && <p className="mt-2 text-red-400">{error}</p>}
+
+      {scan && (
+        <div className="mt-3">
+          <div className="flex items-center justify-between text-gray-400">
+            <span>
+              {scanAnalyses.find((item) => item.id === scan.analysis)?.label}: {scan.cell_count} cells of {scan.cell_size_km} km
+            </span>
+            {running ? (
+              <button type="button" onClick={onCancel} className="text-red-400 hover:text-red-300">Cancel</button>
+            ) : (
+              <button type="button" onClick={onClear} className="text-[#a78bfa] hover:text-white">Clear scan</button>
+            )}
+          </div>
+          {running && (
+            <div className="mt-2 h-2 rounded bg-[#2d1b4e] overflow-hidden">
+              <div className="h-full bg-[#7c3aed] transition-all" style={{ width: `${percent}%` }} />
+            </div>
+          )}
+          {jobError && <p className="mt-2 text-red-400">{jobError}</p>}
+          {job?.status === 'failed' && <p className="mt-2 text-red-400">The scan failed: {job.error}</p>}
+          {job?.status === 'completed' && job.error && <p className="mt-2 text-yellow-400">Some cells could not be scored ({job.error}).</p>}
+
+          <div className="mt-3">
+            <div className="h-2 rounded" style={{ background: scoreGradient }} />
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>Poor (0)</span>
+              <span>Good (1)</span>
+            </div>
+          </div>
+
+          {topRanked.length > 0 && (
+            <ol className="mt-3 space-y-1">
+              {topRanked.map((cell, index) => (
+                <li key={cell.id}>
+                  <button
+                    type="button"
+                    onClick={() => onSelectCell(cell)}
+                    className={`w-full flex items-center justify-between px-2 py-1 rounded transition-colors ${
+                      selectedCell?.id === cell.id ? 'bg-[#2d1b4e]' : 'hover:bg-[#1e0a30]'
+                    }`}
+                  >
+                    <span className="flex items-center text-gray-300">
+                      <span className="inline-block w-3 h-3 mr-2 rounded-sm" style={{ background: scoreColor(cell.score) }} />
+                      #{index + 1} · {cell.center[0].toFixed(4)}, {cell.center[1].toFixed(4)}
+                    </span>
+                    <span className="text-white">{cell.score.toFixed(2)}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {selectedCell && (
+            <div className="mt-3 p-3 rounded-md border border-[#2d1b4e]">
+              <div className="text-gray-300 mb-1">
+                Selected cell · {selectedCell.score === null ? 'no data' : `score ${selectedCell.score.toFixed(2)}`}
+              </div>
+              {describeComponents(selectedCell.components).map((item) => (
+                <div key={item.label} className="flex justify-between text-xs text-gray-400">
+                  <span>{item.label}</span>
+                  <span className="text-white">{item.value}</span>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => onAnalyseCell(selectedCell)}
+                className="mt-2 text-[#a78bfa] hover:text-white transition-colors"
+              >
+                Use this cell for a full analysis
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GridScanPanel;
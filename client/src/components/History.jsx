@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { listReports, renameReport, deleteReport } from '../utils/reportStore';
+import { buildResultSearch } from '../utils/reportUrl';
+import { formatHectares } from '../utils/geometry';
+import { periodLabel } from '../utils/period';
+
+function History() {
+  const navigate = useNavigate();
+  const [reports, setReports] = useState(() => listReports());
+  const [searchInput, setSearchInput] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [compareIds, setCompareIds] = useState([]);
+
+  const query = searchInput.trim().toLowerCase();
+  const filteredReports = reports.filter((report) => (
+    !query ||
+    report.name.toLowerCase().includes(query) ||
+    (report.selectedArea.placeName || '').toLowerCase().includes(query) ||
+    `${report.selectedArea.latitude}, ${report.selectedArea.longitude}`.includes(query)
+  ));
+
+  const openReport = (report) => {
+    const selectedArea = { ...report.selectedArea, placeName: report.name };
+    navigate(`/result?${buildResultSearch(selectedArea)}`, {
+      state: { data: report.data, selectedArea },
+    });
+  };
+
+  const startRename = (report) => {
+    setEditingId(report.id);
+    setEditingName(report.name);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (editingName.trim()) {
+      renameReport(editingId, editingName.trim());
+      setReports(listReports());
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = (report) => {
+    if (window.confirm(`Delete the analysis "${report.name}"?`)) {
+      deleteReport(report.id);
+      setReports(listReports());
+      setCompareIds((ids) => ids.filter((id) => id !== report.id));
+    }
+  };
+
+  // Up to six sites can be compared side by side
+  const toggleCompare = (id) => {
+    setCompareIds((ids) => {
+      if (ids.includes(id)) {
+        return ids.filter((selectedId) => selectedId !== id);
+      }
+      return ids.length < 6 ? [...ids, id] : ids;
+    });
+  };
+
+  return (
+    <>
+      {/* Fixed background */}
+      <div className="cosmic-background"></div>
+      <div className="cosmic-effects"></div>
+
+      <div className="snap-container">
+        <div className="min-h-screen pt-16 pb-16 px-4">
+          <div className="max-w-5xl mx-auto">
+            <div className="text-center mb-10">
+              <h1
+                className="font-light mb-6 leading-tight glow-subtle"
+                style={{
+                  fontFamily: 'Google Sans, sans-serif',
+                  fontSize: '40px',
+                  color: 'white',
+                  letterSpacing: '0.01em'
+                }}
+              >
+                Saved Analyses
+              </h1>
+              <p className="text-gray-400">Every report you run is saved in this browser so you can reopen it later.</p>
+            </div>
+
+            <div className="flex flex-col md:flex-row gap-4 mb-6">
+              <input
+                type="text"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search by name or coordinates..."
+                className="flex-1 p-3 rounded-md focus:ring-[#7c3aed] focus:border-[#7c3aed] text-white bg-[#170821] border border-[#2d1b4e]"
+              />
+              <button
+                onClick={() => navigate(`/compare?ids=${compareIds.join(',')}`)}
+                disabled={compareIds.length < 2}
+                className="bg-[#1e0a30] text-white py-3 px-6 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] disabled:opacity-50 transition-colors"
+              >
+                Compare Selected ({compareIds.length})
+              </button>
+              <button
+                onClick={() => navigate('/')}
+                className="bg-[#7c3aed] text-white py-3 px-6 rounded-md hover:bg-[#6d28d9] transition-colors"
+              >
+                New Analysis
+              </button>
+            </div>
+
+            {filteredReports.length === 0 ? (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg p-8 border border-[#2d1b4e] text-center text-gray-400">
+                {reports.length === 0 ? 'No analyses saved yet. Run a report from the map to see it here.' : 'No analyses match your search.'}
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {filteredReports.map((report) => {
+                  const { selectedArea } = report;
+                  const summary = report.data?.report || {};
+                  return (
+                    <div
+                      key={report.id}
+                      className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-5 border border-[#2d1b4e] flex flex-col md:flex-row md:items-center gap-4"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(report.id)}
+                        onChange={() => toggleCompare(report.id)}
+                        disabled={!compareIds.includes(report.id) && compareIds.length >= 6}
+                        title="Select for comparison"
+                        className="h-4 w-4 accent-[#7c3aed]"
+                      />
+                      <div className="flex-1 min-w-0">
+                        {editingId === report.id ? (
+                          <form onSubmit={submitRename} className="flex gap-2">
+                            <input
+                              type="text"
+                              value={editingName}
+                              onChange={(e) => setEditingName(e.target.value)}
+                              autoFocus
+                              className="flex-1 p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e]"
+                            />
+                            <button type="submit" className="px-3 py-1 text-sm rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9]">
+                              Save
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setEditingId(null)}
+                              className="px-3 py-1 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]"
+                            >
+                              Cancel
+                            </button>
+                          </form>
+                        ) : (
+                          <div className="text-white text-lg truncate">{report.name}</div>
+                        )}
+                        <div className="text-sm text-gray-400 mt-1">
+                          [{Number(selectedArea.latitude).toFixed(4)}, {Number(selectedArea.longitude).toFixed(4)}]
+                          {selectedArea.areaHectares ? ` · ${formatHectares(selectedArea.areaHectares)}` : ''}
+                          {selectedArea.period ? ` · ${report.data?.period?.label || periodLabel(selectedArea.period)}` : ''}
+                          {' · '}{new Date(report.updatedAt).toLocaleString()}
+                        </div>
+                        <div className="text-sm text-gray-300 mt-2 flex flex-wrap gap-x-4">
+                          <span>Solar: {summary.solar_potential?.average_radiation ?? 'N/A'} kWh/m²/day</span>
+                          <span>Water: {summary.water_harvesting?.water_harvesting_score ?? 'N/A'}</span>
+                          <span>Wind: {summary.windmill_feasibility?.windmill_feasibility_score ?? 'N/A'}</span>
+                          <span>Afforestation: {summary.afforestation_feasibility?.afforestation_potential_percent ?? 'N/A'}%</span>
+                        </div>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => openReport(report)}
+                          className="px-4 py-2 text-sm rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9] transition-colors"
+                        >
+                          Open
+                        </button>
+                        <button
+                          onClick={() => startRename(report)}
+                          className="px-4 py-2 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => handleDelete(report)}
+                          className="px-4 py-2 text-sm rounded-md border border-[#2d1b4e] text-red-400 hover:bg-[#1e0a30] transition-colors"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default History;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { basemaps, legendGradient, isCategoricalLegend } from '../utils/mapLayers';
+
+const groups = [
+  { id: 'data', label: 'Data layers' },
+  { id: 'suitability', label: 'Suitability heatmaps' },
+];
+
+// Degrees read naturally next to the number; other units are named in the layer description
+const formatBound = (value, unit) => (unit === '°' ? `${value}°` : value);
+
+function Legend({ legend }) {
+  if (isCategoricalLegend(legend)) {
+    return (
+      <div className="grid grid-cols-2 gap-x-3 gap-y-1 mt-2">
+        {legend.labels.map((label, index) => (
+          <div key={label} className="flex items-center text-xs text-gray-400">
+            <span className="inline-block w-3 h-3 mr-2 rounded-sm" style={{ background: legend.palette[index] }} />
+            {label}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const [lowLabel, highLabel] = legend.labels || [];
+  return (
+    <div className="mt-2">
+      <div className="h-2 rounded" style={{ background: legendGradient(legend) }} />
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>{lowLabel} ({formatBound(legend.min, legend.unit)})</span>
+        <span>{highLabel} ({formatBound(legend.max, legend.unit)})</span>
+      </div>
+    </div>
+  );
+}
+
+// Basemap switcher and overlay toggles for the map page. Takes the values
+// returned by useMapLayers.
+function LayerPanel({ basemap, setBasemapId, catalogue, catalogueError, overlays, toggleOverlay, setOverlayOpacity }) {
+  return (
+    <div className="mt-4 p-4 rounded-lg bg-[#170821] bg-opacity-60 border border-[#2d1b4e] text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <span className="text-gray-300">Basemap</span>
+        <div className="flex space-x-2">
+          {basemaps.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              onClick={() => setBasemapId(item.id)}
+              className={`px-3 py-1 rounded-md border transition-colors ${
+                basemap.id === item.id
+                  ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                  : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {catalogueError && <p className="text-gray-400">{catalogueError}</p>}
+
+      {groups.map((group) => {
+        const layers = catalogue.filter((layer) => layer.group === group.id);
+        if (layers.length === 0) {
+          return null;
+        }
+        return (
+          <div key={group.id} className="mt-3">
+            <div className="text-xs uppercase tracking-wide text-gray-500 mb-2">{group.label}</div>
+            <div className="space-y-2">
+              {layers.map((layer) => {
+                const overlay = overlays[layer.id] || {};
+                return (
+                  <div key={layer.id}>
+                    <label className="flex items-center text-gray-300 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(overlay.enabled)}
+                        onChange={() => toggleOverlay(layer.id)}
+                        className="mr-2 accent-[#7c3aed]"
+                      />
+                      {layer.name}
+                      {overlay.loading && <span className="ml-2 text-xs text-gray-500">Loading...</span>}
+                    </label>
+                    {overlay.error && <p className="ml-6 text-xs text-red-400">{overlay.error}</p>}
+                    {overlay.enabled && !overlay.loading && (
+                      <div className="ml-6 mt-1">
+                        <p className="text-xs text-gray-500">{layer.description}</p>
+                        <label className="flex items-center text-xs text-gray-400 mt-1">
+                          Opacity
+                          <input
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.05"
+                            value={overlay.opacity}
+                            onChange={(e) => setOverlayOpacity(layer.id, Number(e.target.value))}
+                            className="ml-2 flex-1 accent-[#7c3aed]"
+                          />
+                        </label>
+                        <Legend legend={layer.legend} />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default LayerPanel;
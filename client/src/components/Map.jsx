@@ -1,9 +1,32 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, CircleMarker, Popup, useMap } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
 import L from 'leaflet';
+import AreaSelector from './AreaSelector';
+import LayerPanel from './LayerPanel';
+import GridScanPanel from './GridScanPanel';
+import GridScanOverlay from './GridScanOverlay';
+import OfflineTilesPanel from './OfflineTilesPanel';
+import PeriodSelector from './PeriodSelector';
+import useMapLayers from '../hooks/useMapLayers';
+import useAnalysisJob from '../hooks/useAnalysisJob';
+import useAuth from '../hooks/useAuth';
+import { submitAnalysisJob, searchPlaces as requestPlaces, reverseGeocode } from '../utils/api';
+import { buildResultSearch } from '../utils/reportUrl';
+import { listReports } from '../utils/reportStore';
+import { queueAnalysis, onQueueChange, isOfflineError } from '../utils/offlineQueue';
+import { scanCells, topCells } from '../utils/gridScan';
+import { DEFAULT_PERIOD, normalizePeriod, periodError } from '../utils/period';
+import {
+  geodesicArea,
+  squareMetresToHectares,
+  formatHectares,
+  polygonCentroid,
+  toGeoJSONPolygon,
+  isValidCoordinate,
+  rectangleFromCorners,
+} from '../utils/geometry';
 
 // Fix default marker icon issue with Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -13,14 +36,20 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
-function LocationMarker({ setPosition }) {
-  useMapEvents({
-    click(e) {
-      setPosition([e.latlng.lat, e.latlng.lng]);
-    },
-  });
-  return null;
-}
+const drawModes = [
+  { id: 'pin', label: 'Pin' },
+  { id: 'rectangle', label: 'Rectangle' },
+  { id: 'polygon', label: 'Polygon' },
+];
+
+// How many of the best grid scan cells are outlined and listed
+const TOP_CELL_COUNT = 10;
+
+const drawModeHints = {
+  pin: 'Click anywhere on the map to select a location for sustainability analysis',
+  rectangle: 'Click and drag on the map to draw a rectangle around your area',
+  polygon: 'Click to add corners and double-click to close the polygon. Drag handles to edit, right-click a corner to delete it',
+};
 
 // Component to update map center when position changes
 function ChangeMapView({ center, zoom }) {
@@ -40,74 +69,84 @@ function Map() {
   const [longitude, setLongitude] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
   const [searchInput, setSearchInput] = useState('');
   const [suggestions, setSuggestions] = useState([]);
   const [searchLoading, setSearchLoading] = useState(false);
+  const [placeLookupPending, setPlaceLookupPending] = useState(false);
   const [selectedPlaceName, setSelectedPlaceName] = useState('');
+  const [drawMode, setDrawMode] = useState('pin');
+  const [areaVertices, setAreaVertices] = useState([]);
+  const [period, setPeriod] = useState(DEFAULT_PERIOD);
+  const [savedReports, setSavedReports] = useState([]);
+  const mapLayers = useMapLayers();
+  const [scan, setScan] = useState(null);
+  const [selectedCell, setSelectedCell] = useState(null);
+  const { job: scanJob, error: scanJobError, cancel: cancelScan } = useAnalysisJob(scan?.job_id);
   const navigate = useNavigate();
+  const { user, signOut } = useAuth();
   const mapRef = useRef(null);
   const searchTimeoutRef = useRef(null);
+  const reverseTimeoutRef = useRef(null);
+  const reverseLookupRef = useRef(0);
+  const searchRequestRef = useRef(0);
 
-  // City coordinates for fallback
-  const defaultCities = {
-    'new york, usa': [40.7128, -74.0060],
-    'london, uk': [51.5074, -0.1278],
-    'delhi, india': [28.6139, 77.2090],
-    'mumbai, india': [19.0760, 72.8777],
-    'bangalore, india': [12.9716, 77.5946],
-  };
-
-  // Search for places using OpenStreetMap Nominatim API
+  // Place search goes through the server's geocoder. Only the latest search is applied,
+  // so a slow reply for earlier text cannot replace the suggestions for newer text
   const searchPlaces = async (query) => {
+    searchRequestRef.current += 1;
+    const request = searchRequestRef.current;
     if (!query || query.length < 2) {
       setSuggestions([]);
+      setSearchLoading(false);
       return;
     }
-    
+
     setSearchLoading(true);
-    
+    let places = [];
     try {
-      // Using OpenStreetMap Nominatim API
-      const response = await axios.get(
-        `https://nominatim.openstreetmap.org/search`,
-        {
-          params: {
-            q: query,
-            format: 'json',
-            addressdetails: 1,
-            limit: 10,
-          },
-          headers: {
-            'User-Agent': 'ZerraSustainabilityAnalysis'
-          }
-        }
-      );
-      
-      if (response.data && response.data.length > 0) {
-        const formattedSuggestions = response.data.map(place => ({
-          id: place.place_id,
-          name: place.display_name,
-          lat: parseFloat(place.lat),
-          lon: parseFloat(place.lon),
-          type: place.type,
-          importance: place.importance
-        }));
-        
-        setSuggestions(formattedSuggestions);
-      } else {
-        setSuggestions([]);
-      }
+      places = await requestPlaces(query);
     } catch (error) {
       console.error('Error fetching place suggestions:', error);
-      setSuggestions([]);
-    } finally {
-      setSearchLoading(false);
     }
+    if (request !== searchRequestRef.current) return;
+    setSuggestions(places);
+    setSearchLoading(false);
+  };
+
+  // Names the picked point after the place it falls in. Only the latest lookup is
+  // applied, and picks made in quick succession (dragging an area) share one request
+  const cancelPlaceLookup = () => {
+    clearTimeout(reverseTimeoutRef.current);
+    reverseLookupRef.current += 1;
+    setPlaceLookupPending(false);
+  };
+
+  const lookUpPlace = (lat, lng) => {
+    cancelPlaceLookup();
+    const lookup = reverseLookupRef.current;
+    setPlaceLookupPending(true);
+    reverseTimeoutRef.current = setTimeout(async () => {
+      let place = null;
+      try {
+        place = await reverseGeocode(lat, lng);
+      } catch (error) {
+        console.error('Error looking up the place name:', error);
+      }
+      if (lookup !== reverseLookupRef.current) return;
+      setPlaceLookupPending(false);
+      if (place) {
+        setSelectedPlaceName(place.name);
+        setSearchInput(place.name);
+      }
+    }, 400);
   };
 
   const handleSearchChange = (e) => {
     const value = e.target.value;
     setSearchInput(value);
+    // Typed text wins over a place name still being looked up for the pin
+    cancelPlaceLookup();
     
     // Clear any existing timeout
     if (searchTimeoutRef.current) {
@@ -115,22 +154,20 @@ function Map() {
     }
     
     // Debounce API calls to prevent excessive requests
-    searchTimeoutRef.current = setTimeout(() => {
-      if (value.length >= 2) {
-        searchPlaces(value);
-      } else {
-        setSuggestions([]);
-      }
-    }, 300);
+    searchTimeoutRef.current = setTimeout(() => searchPlaces(value), 300);
   };
 
   const handleSuggestionClick = (suggestion) => {
+    cancelPlaceLookup();
+    // A search still in flight would reopen the list
+    searchRequestRef.current += 1;
+    setSearchLoading(false);
     setSearchInput(suggestion.name);
     setSelectedPlaceName(suggestion.name);
     setSuggestions([]);
     
     // Update map position based on the selected place
-    const coords = [suggestion.lat, suggestion.lon];
+    const coords = [suggestion.latitude, suggestion.longitude];
     setMapCenter(coords);
     setMapZoom(13); // Zoom level appropriate for the place
     setPosition(coords);
@@ -138,43 +175,81 @@ function Map() {
     setLongitude(coords[1].toFixed(4));
   };
 
+  const hasArea = areaVertices.length >= 3;
+  const areaHectares = hasArea ? squareMetresToHectares(geodesicArea(areaVertices)) : 0;
+  const scannedCells = scanCells(scanJob);
+  const topRanked = topCells(scannedCells, TOP_CELL_COUNT);
+
+  // Saved reports belong to the signed-in user; queued analyses add to them as they complete
+  useEffect(() => {
+    setSavedReports(listReports());
+    return onQueueChange(() => setSavedReports(listReports()));
+  }, [user]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
+    if (!user) {
+      setError('Please sign in to run an analysis.');
+      return;
+    }
     setLoading(true);
 
-    const lat = parseFloat(latitude || position[0]);
-    const lng = parseFloat(longitude || position[1]);
+    // A drawn area is analysed around its centroid; otherwise use the pin/typed coordinates
+    const centroid = hasArea ? polygonCentroid(areaVertices) : null;
+    const lat = centroid ? centroid[0] : parseFloat(latitude || position[0]);
+    const lng = centroid ? centroid[1] : parseFloat(longitude || position[1]);
+    const geometry = hasArea ? toGeoJSONPolygon(areaVertices) : null;
 
-    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    if (!isValidCoordinate(lat, lng)) {
       setError('Please enter valid latitude (-90 to 90) and longitude (-180 to 180).');
       setLoading(false);
       return;
     }
+    if (periodError(period)) {
+      setError(periodError(period));
+      setLoading(false);
+      return;
+    }
+
+    // Create a selected area object to pass with navigation state
+    const selectedArea = {
+      latitude: lat,
+      longitude: lng,
+      geometry,
+      areaHectares: hasArea ? Number(areaHectares.toFixed(2)) : null,
+      placeName: selectedPlaceName || searchInput || 'Selected Location',
+      period: normalizePeriod(period)
+    };
+
+    // Without a connection the analysis waits in the offline queue and is sent when it returns
+    const queueForLater = () => {
+      queueAnalysis(user.id, selectedArea);
+      setNotice('No connection, so this analysis was queued. It will be sent once the connection returns and then appear in your history.');
+      setLoading(false);
+    };
+    if (!navigator.onLine) {
+      queueForLater();
+      return;
+    }
 
     try {
-      const response = await axios.post(
-        'http://localhost:8000/sustainability-result',
-        { latitude: lat, longitude: lng },
-        { headers: { 'Content-Type': 'application/json' } }
-      );
-      
-      // Create a selected area object to pass with navigation state
-      const selectedArea = {
-        latitude: lat,
-        longitude: lng,
-        placeName: selectedPlaceName || searchInput || 'Selected Location'
-      };
-      
-      // Navigate to the result page with both API response data and selected area info
-      navigate('/result', { 
+      const jobId = await submitAnalysisJob(selectedArea);
+
+      // The result page follows the background job and fills in each card as it completes.
+      // The query string lets the report be reloaded or shared without router state.
+      navigate(`/result?${buildResultSearch(selectedArea)}&job=${jobId}`, { 
         state: { 
-          data: response.data,
           selectedArea: selectedArea
         } 
       });
     } catch (err) {
-      setError(err.response?.data?.detail || 'Failed to fetch sustainability report.');
+      if (isOfflineError(err)) {
+        queueForLater();
+        return;
+      }
+      setError(err.response?.data?.detail || 'Failed to start the sustainability analysis.');
       setLoading(false);
     }
   };
@@ -184,21 +259,70 @@ function Map() {
     setLatitude(newPosition[0].toFixed(4));
     setLongitude(newPosition[1].toFixed(4));
     
-    // Clear place name when clicking directly on the map
+    // The old place name no longer applies; the clicked point is named once it is looked up
+    setSelectedPlaceName('');
+    setSearchInput('');
+    lookUpPlace(newPosition[0], newPosition[1]);
+  };
+
+  const openSavedReport = (report) => {
+    const selectedArea = { ...report.selectedArea, placeName: report.name };
+    navigate(`/result?${buildResultSearch(selectedArea)}`, {
+      state: { data: report.data, selectedArea },
+    });
+  };
+
+  const handleAreaChange = (vertices) => {
+    setAreaVertices(vertices);
+    const centroid = polygonCentroid(vertices);
+    setPosition(centroid);
+    setLatitude(centroid[0].toFixed(4));
+    setLongitude(centroid[1].toFixed(4));
     setSelectedPlaceName('');
     setSearchInput('');
+    lookUpPlace(centroid[0], centroid[1]);
+  };
+
+  const handleScanStarted = (started) => {
+    setScan(started);
+    setSelectedCell(null);
+  };
+
+  const clearScan = () => {
+    setScan(null);
+    setSelectedCell(null);
+  };
+
+  const selectRankedCell = (cell) => {
+    setSelectedCell(cell);
+    mapRef.current?.panTo(cell.center);
+  };
+
+  // Turns a scanned cell into the drawn area so the full report covers exactly that cell
+  const analyseCell = (cell) => {
+    setDrawMode('rectangle');
+    handleAreaChange(rectangleFromCorners(cell.bounds[0], cell.bounds[1]));
+  };
+
+  const handleDrawModeChange = (mode) => {
+    setDrawMode(mode);
+    // Pin mode analyses a single point, so any drawn area is discarded
+    if (mode === 'pin') {
+      setAreaVertices([]);
+    }
   };
 
   const scrollToMap = () => {
     document.getElementById('map-section').scrollIntoView({ behavior: 'smooth' });
   };
 
-  // Clean up timeout on unmount
+  // Clean up timeouts on unmount
   useEffect(() => {
     return () => {
       if (searchTimeoutRef.current) {
         clearTimeout(searchTimeoutRef.current);
       }
+      clearTimeout(reverseTimeoutRef.current);
     };
   }, []);
 
@@ -214,8 +338,32 @@ function Map() {
         <nav className="fixed w-full z-20 bg-[#0f0617] bg-opacity-80 backdrop-blur-md border-b border-[#2d1b4e] p-4">
           <div className="container mx-auto relative">
             {/* Left side buttons */}
-            <div className="absolute left-0 top-1/2 transform -translate-y-1/2">
+            <div className="absolute left-0 top-1/2 transform -translate-y-1/2 flex space-x-4">
               <button className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors">About Us</button>
+              <button
+                onClick={() => navigate('/history')}
+                className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors"
+              >
+                History
+              </button>
+              <button
+                onClick={() => navigate('/projects')}
+                className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors"
+              >
+                Projects
+              </button>
+              <button
+                onClick={() => navigate('/batch')}
+                className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors"
+              >
+                Batch Upload
+              </button>
+              <button
+                onClick={() => navigate('/settings')}
+                className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors"
+              >
+                Scoring
+              </button>
             </div>
             
             {/* Perfectly centered title */}
@@ -227,8 +375,32 @@ function Map() {
             
             {/* Right side buttons */}
             <div className="absolute right-0 top-1/2 transform -translate-y-1/2 flex space-x-4">
-              <button className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors">Sign In</button>
-              <button className="px-4 py-2 text-sm bg-[#1e0a30] text-white rounded hover:bg-[#2d1b4e] transition-colors">Sign Up</button>
+              {user ? (
+                <>
+                  <span className="px-4 py-2 text-sm text-gray-300">{user.email}</span>
+                  <button
+                    onClick={signOut}
+                    className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors"
+                  >
+                    Sign Out
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    onClick={() => navigate('/signin')}
+                    className="px-4 py-2 text-sm rounded hover:bg-[#1e0a30] transition-colors"
+                  >
+                    Sign In
+                  </button>
+                  <button
+                    onClick={() => navigate('/signup')}
+                    className="px-4 py-2 text-sm bg-[#1e0a30] text-white rounded hover:bg-[#2d1b4e] transition-colors"
+                  >
+                    Sign Up
+                  </button>
+                </>
+              )}
             </div>
           </div>
         </nav>
@@ -290,6 +462,36 @@ function Map() {
               <div className="flex flex-col md:flex-row gap-6">
                 {/* Left column - Map */}
                 <div className="md:w-3/5 w-full">
+                  <div className="flex items-center justify-between mb-3">
+                    <div className="flex space-x-2">
+                      {drawModes.map((mode) => (
+                        <button
+                          key={mode.id}
+                          type="button"
+                          onClick={() => handleDrawModeChange(mode.id)}
+                          className={`px-3 py-1 text-sm rounded-md border transition-colors ${
+                            drawMode === mode.id
+                              ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                              : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+                          }`}
+                        >
+                          {mode.label}
+                        </button>
+                      ))}
+                    </div>
+                    {hasArea && (
+                      <div className="flex items-center space-x-3 text-sm">
+                        <span className="text-gray-300">Area: <span className="text-white">{formatHectares(areaHectares)}</span></span>
+                        <button
+                          type="button"
+                          onClick={() => setAreaVertices([])}
+                          className="px-3 py-1 rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+                        >
+                          Clear
+                        </button>
+                      </div>
+                    )}
+                  </div>
                   <MapContainer
                     ref={mapRef}
                     center={mapCenter}
@@ -298,22 +500,81 @@ function Map() {
                     className="rounded-lg"
                   >
                     <TileLayer
-                      url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                      attribution='© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                      key={mapLayers.basemap.id}
+                      url={mapLayers.basemap.url}
+                      attribution={mapLayers.basemap.attribution}
+                      maxZoom={mapLayers.basemap.maxZoom || 19}
+                    />
+                    {mapLayers.activeOverlays.map((overlay, index) => (
+                      <TileLayer
+                        key={overlay.id}
+                        url={overlay.url}
+                        opacity={overlay.opacity}
+                        zIndex={10 + index}
+                        attribution="Google Earth Engine"
+                      />
+                    ))}
+                    <GridScanOverlay
+                      cells={scannedCells}
+                      highlightedIds={topRanked.map((cell) => cell.id)}
+                      selectedId={selectedCell?.id}
+                      onSelect={setSelectedCell}
+                    />
+                    <AreaSelector
+                      mode={drawMode}
+                      vertices={areaVertices}
+                      onChange={handleAreaChange}
+                      onPinSelect={handleMapClick}
                     />
-                    <LocationMarker setPosition={handleMapClick} />
-                    {position && (
+                    {position && !hasArea && (
                       <Marker position={position}>
                         <Popup>
                           Lat: {position[0].toFixed(4)}, Lng: {position[1].toFixed(4)}
                         </Popup>
                       </Marker>
                     )}
+                    {/* Previously analysed sites */}
+                    {savedReports.map((report) => (
+                      <CircleMarker
+                        key={report.id}
+                        center={[report.selectedArea.latitude, report.selectedArea.longitude]}
+                        radius={7}
+                        bubblingMouseEvents={false}
+                        pathOptions={{ color: '#ffffff', weight: 1, fillColor: '#10b981', fillOpacity: 0.8 }}
+                      >
+                        <Popup>
+                          <div className="font-medium">{report.name}</div>
+                          <div className="text-xs mb-2">Analysed {new Date(report.updatedAt).toLocaleDateString()}</div>
+                          <button
+                            type="button"
+                            onClick={() => openSavedReport(report)}
+                            className="px-2 py-1 text-xs rounded bg-[#7c3aed] text-white hover:bg-[#6d28d9]"
+                          >
+                            Open report
+                          </button>
+                        </Popup>
+                      </CircleMarker>
+                    ))}
                     <ChangeMapView center={mapCenter} zoom={mapZoom} />
                   </MapContainer>
                   <div className="mt-4 text-center text-sm text-gray-300">
-                    Click anywhere on the map to select a location for sustainability analysis
+                    {drawModeHints[drawMode]}
                   </div>
+                  <LayerPanel {...mapLayers} />
+                  <OfflineTilesPanel mapRef={mapRef} basemap={mapLayers.basemap} areaVertices={areaVertices} />
+                  <GridScanPanel
+                    areaVertices={areaVertices}
+                    scan={scan}
+                    job={scanJob}
+                    jobError={scanJobError}
+                    topRanked={topRanked}
+                    selectedCell={selectedCell}
+                    onStarted={handleScanStarted}
+                    onCancel={cancelScan}
+                    onClear={clearScan}
+                    onSelectCell={selectRankedCell}
+                    onAnalyseCell={analyseCell}
+                  />
                 </div>
                 
                 {/* Right column - Search and coordinates */}
@@ -325,10 +586,10 @@ function Map() {
                         type="text"
                         value={searchInput}
                         onChange={handleSearchChange}
-                        placeholder="Search for any place (city, landmark, address)..."
+                        placeholder={placeLookupPending ? 'Looking up this place...' : 'Search for any place (city, landmark, address)...'}
                         className="w-full p-3 rounded-md focus:ring-[#7c3aed] focus:border-[#7c3aed] text-white bg-[#170821] border border-[#2d1b4e] pr-10"
                       />
-                      {searchLoading ? (
+                      {searchLoading || placeLookupPending ? (
                         <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
                           <div className="h-4 w-4 border-2 border-[#7c3aed] border-t-transparent rounded-full animate-spin"></div>
                         </div>
@@ -400,29 +661,21 @@ function Map() {
                         />
                       </div>
                     </div>
+                    <PeriodSelector period={period} onChange={setPeriod} />
                     {error && <p className="text-red-400 text-sm">{error}</p>}
+                    {notice && <p className="text-yellow-300 text-sm">{notice}</p>}
                     <button
                       type="submit"
                       disabled={loading}
                       className="w-full bg-[#7c3aed] text-white py-3 px-4 rounded-md hover:bg-[#6d28d9] disabled:opacity-50 transition-colors"
                     >
-                      {loading ? 'Loading...' : 'Get Sustainability Report'}
+                      {loading ? 'Starting analysis...' : 'Get Sustainability Report'}
                     </button>
                   </form>
                 </div>
               </div>
             </div>
           </div>
-          {loading && (
-            <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-[1000]">
-              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md p-8 rounded-lg shadow-2xl flex flex-col items-center max-w-md border border-[#2d1b4e]">
-                <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-t-4 border-[#7c3aed] mb-4"></div>
-                <p className="text-gray-300 text-lg text-center">
-                  Data is being fetched and calculated. This may take approximately 1 to 3 minutes. Please do not refresh the page.
-                </p>
-              </div>
-            </div>
-          )}
         </section>
       </div>
     </>
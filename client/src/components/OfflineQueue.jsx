@@ -0,0 +1,79 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import useOfflineQueue from '../hooks/useOfflineQueue';
+import { buildResultSearch } from '../utils/reportUrl';
+import { periodLabel } from '../utils/period';
+
+const statusLabels = {
+  queued: 'Waiting for a connection',
+  submitted: 'Analysing...',
+  completed: 'Ready',
+  failed: 'Failed',
+};
+
+// Floating panel, on every page, with the connection state and the analyses queued
+// while offline. Mounting it is what keeps the queue syncing in the background.
+function OfflineQueue() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { entries, online, retry, remove } = useOfflineQueue(user?.id);
+
+  if (online && entries.length === 0) {
+    return null;
+  }
+
+  const openReport = (entry) => {
+    remove(entry.id);
+    navigate(`/result?${buildResultSearch(entry.selectedArea)}`);
+  };
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[1000] w-80 bg-[#0f0617] bg-opacity-95 backdrop-blur-md rounded-lg shadow-2xl border border-[#2d1b4e] p-4 text-sm">
+      {!online && (
+        <p className="text-yellow-300 mb-2">
+          You are offline. Saved reports and downloaded map areas still work; new analyses are queued.
+        </p>
+      )}
+      {entries.length > 0 && (
+        <>
+          <span className="block text-gray-300 mb-2">Queued analyses</span>
+          <div className="space-y-2 max-h-60 overflow-y-auto">
+            {entries.map((entry) => (
+              <div key={entry.id} className="flex items-start justify-between gap-2 border-t border-[#2d1b4e] pt-2">
+                <div className="min-w-0">
+                  <div className="text-white truncate">{entry.selectedArea.placeName}</div>
+                  {entry.selectedArea.period && (
+                    <div className="text-gray-400 text-xs">{periodLabel(entry.selectedArea.period)}</div>
+                  )}
+                  <div className={entry.status === 'failed' ? 'text-red-400 text-xs' : 'text-gray-400 text-xs'}>
+                    {statusLabels[entry.status]}{entry.error ? `: ${entry.error}` : ''}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  {entry.status === 'completed' && (
+                    <button onClick={() => openReport(entry)} className="text-[#a78bfa] hover:text-white transition-colors">
+                      Open
+                    </button>
+                  )}
+                  {entry.status === 'failed' && (
+                    <button onClick={() => retry(entry.id)} className="text-[#a78bfa] hover:text-white transition-colors">
+                      Retry
+                    </button>
+                  )}
+                  {entry.status !== 'submitted' && (
+                    <button onClick={() => remove(entry.id)} className="text-gray-400 hover:text-red-400 transition-colors">
+                      {entry.status === 'completed' ? 'Dismiss' : 'Remove'}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default OfflineQueue;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  tileCacheAvailable,
+  countTiles,
+  tileUrls,
+  downloadTiles,
+  countCachedTiles,
+  clearCachedTiles,
+  MAX_DOWNLOAD_TILES,
+  MAX_DOWNLOAD_ZOOM,
+} from '../utils/offlineTiles';
+
+// How many zoom levels past the current one can be downloaded
+const EXTRA_ZOOM_LEVELS = [0, 1, 2, 3, 4];
+
+// Bounds of the drawn area, or of the visible map when nothing is drawn
+function downloadBounds(map, areaVertices) {
+  if (areaVertices.length >= 3) {
+    const lats = areaVertices.map(([lat]) => lat);
+    const lngs = areaVertices.map(([, lng]) => lng);
+    return { south: Math.min(...lats), west: Math.min(...lngs), north: Math.max(...lats), east: Math.max(...lngs) };
+  }
+  const bounds = map.getBounds();
+  return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+}
+
+// Downloads basemap tiles for the drawn area (or the current view) so the map still
+// works on a site visit without a connection. Hidden until the service worker controls
+// the page (production builds served over HTTPS or localhost, from the second visit).
+function OfflineTilesPanel({ mapRef, basemap, areaVertices }) {
+  const [view, setView] = useState(null);
+  const [extraZoom, setExtraZoom] = useState(2);
+  const [progress, setProgress] = useState(null);
+  const [cachedCount, setCachedCount] = useState(null);
+  const [message, setMessage] = useState('');
+  const cancelledRef = useRef(false);
+  const available = tileCacheAvailable();
+
+  // Keep the estimate in step with the map
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !available) return undefined;
+    const update = () => setView({ zoom: map.getZoom(), bounds: downloadBounds(map, areaVertices) });
+    update();
+    map.on('moveend', update);
+    return () => map.off('moveend', update);
+  }, [mapRef, areaVertices, available]);
+
+  useEffect(() => {
+    if (available) {
+      countCachedTiles().then(setCachedCount).catch(() => setCachedCount(null));
+    }
+  }, [available]);
+
+  if (!available || !view) {
+    return null;
+  }
+
+  const minZoom = view.zoom;
+  const maxZoom = Math.min(view.zoom + extraZoom, MAX_DOWNLOAD_ZOOM);
+  const tileCount = countTiles(view.bounds, minZoom, maxZoom);
+  const tooMany = tileCount > MAX_DOWNLOAD_TILES;
+  const downloading = progress !== null;
+
+  const download = async () => {
+    cancelledRef.current = false;
+    setMessage('');
+    setProgress({ done: 0, total: tileCount });
+    const failed = await downloadTiles(
+      tileUrls(basemap, view.bounds, minZoom, maxZoom),
+      (done, total) => setProgress({ done, total }),
+      () => cancelledRef.current
+    );
+    setProgress(null);
+    setMessage(cancelledRef.current
+      ? 'Download cancelled.'
+      : failed > 0 ? `${failed} tiles could not be downloaded.` : 'This area is available offline.');
+    setCachedCount(await countCachedTiles());
+  };
+
+  const clear = async () => {
+    await clearCachedTiles();
+    setCachedCount(0);
+    setMessage('Offline tiles cleared.');
+  };
+
+  return (
+    <div className="mt-4 p-4 rounded-lg bg-[#170821] bg-opacity-60 border border-[#2d1b4e] text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-300">Offline map ({basemap.label})</span>
+        {cachedCount !== null && <span className="text-xs text-gray-400">{cachedCount} tiles stored</span>}
+      </div>
+      <p className="text-xs text-gray-400 mb-3">
+        Save the map for {areaVertices.length >= 3 ? 'the drawn area' : 'the current view'} before heading out to a site.
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="offline-zoom" className="text-gray-300">Detail</label>
+        <select
+          id="offline-zoom"
+          value={extraZoom}
+          onChange={(e) => setExtraZoom(Number(e.target.value))}
+          disabled={downloading}
+          className="p-1 rounded-md text-white bg-[#170821] border border-[#2d1b4e]"
+        >
+          {EXTRA_ZOOM_LEVELS.map((levels) => (
+            <option key={levels} value={levels}>
+              {levels === 0 ? 'Current zoom only' : `${levels} zoom level${levels === 1 ? '' : 's'} closer`}
+            </option>
+          ))}
+        </select>
+        <span className={tooMany ? 'text-red-400' : 'text-gray-400'}>
+          {tileCount} tiles{tooMany ? ` (limit ${MAX_DOWNLOAD_TILES}, zoom in or pick less detail)` : ''}
+        </span>
+      </div>
+      <div className="flex items-center gap-2 mt-3">
+        {downloading ? (
+          <>
+            <div className="flex-1 h-2 rounded-full bg-[#0f0617] overflow-hidden">
+              <div className="h-full bg-[#7c3aed] transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }}></div>
+            </div>
+            <button
+              type="button"
+              onClick={() => { cancelledRef.current = true; }}
+              className="px-3 py-1 rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={download}
+              disabled={tooMany || !navigator.onLine}
+              className="px-3 py-1 rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9] disabled:opacity-50 transition-colors"
+            >
+              Download for offline use
+            </button>
+            {cachedCount > 0 && (
+              <button
+                type="button"
+                onClick={clear}
+                className="px-3 py-1 rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+              >
+                Clear offline tiles
+              </button>
+            )}
+          </>
+        )}
+      </div>
+      {message && <p className="text-xs text-gray-400 mt-2">{message}</p>}
+    </div>
+  );
+}
+
+export default OfflineTilesPanel;
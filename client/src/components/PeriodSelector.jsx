@@ -0,0 +1,143 @@
+import React from 'react';
+import {
+  PERIOD_MODES,
+  SEASONS,
+  MONTH_NAMES,
+  FIRST_YEAR,
+  LATEST_YEAR,
+  SENTINEL_2_FIRST_YEAR,
+  normalizePeriod,
+  periodError,
+} from '../utils/period';
+
+const modeHints = {
+  default: `Rainfall and solar use ${FIRST_YEAR}–${LATEST_YEAR}, wind 2015–${LATEST_YEAR} and vegetation 2020–2023.`,
+  range: 'Every analysis looks at the same years.',
+  last_years: `The most recent complete years, up to ${LATEST_YEAR}.`,
+  season: 'Scores count only the season\'s months, e.g. to compare dry-season and monsoon conditions.',
+};
+
+const inputClassName = 'mt-1 w-full p-2 rounded-md focus:ring-[#7c3aed] focus:border-[#7c3aed] text-white bg-[#170821] border border-[#2d1b4e]';
+
+function YearInput({ id, label, value, onChange }) {
+  return (
+    <div className="flex-1">
+      <label htmlFor={id} className="block text-gray-300">{label}</label>
+      <input
+        id={id}
+        type="number"
+        min={FIRST_YEAR}
+        max={LATEST_YEAR}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={inputClassName}
+      />
+    </div>
+  );
+}
+
+// Chooses the years (and optionally season) every analysis of a report looks at.
+// `period` is the editable shape from utils/period (DEFAULT_PERIOD to start with).
+function PeriodSelector({ period, onChange }) {
+  const update = (changes) => onChange({ ...period, ...changes });
+  const normalized = normalizePeriod(period);
+  const error = periodError(period);
+
+  const toggleMonth = (month) => {
+    const months = period.months || [];
+    update({ months: months.includes(month) ? months.filter((item) => item !== month) : [...months, month] });
+  };
+
+  return (
+    <div className="p-4 rounded-lg bg-[#170821] bg-opacity-60 border border-[#2d1b4e] text-sm">
+      <span className="block text-gray-300 mb-2">Analysis period</span>
+      <div className="flex flex-wrap gap-2">
+        {PERIOD_MODES.map((mode) => (
+          <button
+            key={mode.id}
+            type="button"
+            onClick={() => update({ mode: mode.id })}
+            className={`px-3 py-1 rounded-md border transition-colors ${
+              period.mode === mode.id
+                ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+            }`}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {period.mode === 'last_years' && (
+        <div className="mt-3">
+          <label htmlFor="period-years" className="block text-gray-300">Number of years</label>
+          <input
+            id="period-years"
+            type="number"
+            min={1}
+            max={LATEST_YEAR - FIRST_YEAR + 1}
+            value={period.years}
+            onChange={(e) => update({ years: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {period.mode === 'season' && (
+        <div className="mt-3">
+          <label htmlFor="period-season" className="block text-gray-300">Season</label>
+          <select
+            id="period-season"
+            value={period.season}
+            onChange={(e) => update({ season: e.target.value })}
+            className={inputClassName}
+          >
+            {SEASONS.map((season) => (
+              <option key={season.id} value={season.id}>
+                {season.label}
+                {season.months.length > 0 ? ` (${MONTH_NAMES[season.months[0] - 1]}–${MONTH_NAMES[season.months[season.months.length - 1] - 1]})` : ''}
+              </option>
+            ))}
+          </select>
+          {period.season === 'custom' && (
+            <div className="grid grid-cols-6 gap-1 mt-2">
+              {MONTH_NAMES.map((name, index) => (
+                <button
+                  key={name}
+                  type="button"
+                  onClick={() => toggleMonth(index + 1)}
+                  className={`py-1 rounded-md border text-xs transition-colors ${
+                    (period.months || []).includes(index + 1)
+                      ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                      : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+                  }`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {(period.mode === 'range' || period.mode === 'season') && (
+        <div className="flex space-x-4 mt-3">
+          <YearInput id="period-from" label="From" value={period.startYear} onChange={(startYear) => update({ startYear })} />
+          <YearInput id="period-to" label="To" value={period.endYear} onChange={(endYear) => update({ endYear })} />
+        </div>
+      )}
+
+      {error ? (
+        <p className="text-red-400 mt-2">{error}</p>
+      ) : (
+        <p className="text-gray-400 mt-2">
+          {modeHints[period.mode]}
+          {normalized?.endYear < SENTINEL_2_FIRST_YEAR &&
+            ` Vegetation cover needs Sentinel-2 imagery, which starts in ${SENTINEL_2_FIRST_YEAR}.`}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default PeriodSelector;
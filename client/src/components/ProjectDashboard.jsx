@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { MapContainer, TileLayer } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import ProjectSitesLayer from './ProjectSitesLayer';
+import useAuth from '../hooks/useAuth';
+import {
+  fetchProject,
+  updateProject,
+  deleteProject,
+  addProjectMember,
+  updateProjectMember,
+  removeProjectMember,
+  saveProjectSite,
+  removeProjectSite,
+} from '../utils/api';
+import { listReports } from '../utils/reportStore';
+import { buildResultSearch } from '../utils/reportUrl';
+import { basemaps } from '../utils/mapLayers';
+import { formatHectares } from '../utils/geometry';
+
+const cardClass = 'bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e]';
+const inputClass = 'p-2 rounded-md focus:ring-[#7c3aed] focus:border-[#7c3aed] text-white bg-[#170821] border border-[#2d1b4e]';
+const secondaryButton = 'px-3 py-1 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] disabled:opacity-50 transition-colors';
+
+// One project: a map of all its sites, the site list, and the team. Viewers can open
+// sites and comment on them; editors also add and remove sites; the owner manages members.
+function ProjectDashboard() {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [project, setProject] = useState(null);
+  const [error, setError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [details, setDetails] = useState({ name: '', description: '' });
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [reportToAdd, setReportToAdd] = useState('');
+
+  const loadProject = useCallback(() => (
+    fetchProject(projectId)
+      .then(setProject)
+      .catch((err) => setError(err.response?.data?.detail || 'Could not load this project.'))
+  ), [projectId]);
+
+  useEffect(() => {
+    loadProject();
+  }, [loadProject]);
+
+  // Runs a change and reloads the project, showing the server's reason if it was refused
+  const act = async (change) => {
+    setActionError('');
+    try {
+      await change();
+      await loadProject();
+      return true;
+    } catch (err) {
+      setActionError(err.response?.data?.detail || 'That change could not be made.');
+      return false;
+    }
+  };
+
+  if (error || !project) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="cosmic-background"></div>
+        <div className="cosmic-effects"></div>
+        {error ? (
+          <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md p-8 rounded-lg shadow-2xl border border-[#2d1b4e] max-w-md mx-auto">
+            <p className="text-lg text-red-400">{error}</p>
+            <button
+              onClick={() => navigate('/projects')}
+              className="mt-4 bg-[#7c3aed] text-white py-2 px-6 rounded-md hover:bg-[#6d28d9] transition duration-200"
+            >
+              Back to Projects
+            </button>
+          </div>
+        ) : (
+          <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-t-4 border-[#7c3aed]"></div>
+        )}
+      </div>
+    );
+  }
+
+  const canEdit = project.role !== 'viewer';
+  const isOwner = project.role === 'owner';
+  const siteIds = project.sites.map((site) => site.id);
+  const addableReports = listReports().filter((report) => !siteIds.includes(report.id));
+
+  const openSite = (siteId) => {
+    const site = project.sites.find((candidate) => candidate.id === siteId);
+    const selectedArea = { ...site.report.selectedArea, placeName: site.report.name };
+    navigate(`/result?${buildResultSearch(selectedArea)}&project=${project.id}&site=${site.id}`);
+  };
+
+  const startEditing = () => {
+    setDetails({ name: project.name, description: project.description });
+    setEditing(true);
+  };
+
+  const submitDetails = async (e) => {
+    e.preventDefault();
+    if (await act(() => updateProject(project.id, details))) {
+      setEditing(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (window.confirm(`Delete the project "${project.name}" with its sites and comments for everyone?`)) {
+      setActionError('');
+      try {
+        await deleteProject(project.id);
+        navigate('/projects');
+      } catch (err) {
+        setActionError(err.response?.data?.detail || 'Could not delete the project.');
+      }
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await act(() => addProjectMember(project.id, { email: inviteEmail.trim(), role: inviteRole }))) {
+      setInviteEmail('');
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const leaving = member.user_id === user?.id;
+    if (window.confirm(leaving ? `Leave the project "${project.name}"?` : `Remove ${member.email} from the project?`)) {
+      if (leaving) {
+        setActionError('');
+        try {
+          await removeProjectMember(project.id, member.user_id);
+          navigate('/projects');
+        } catch (err) {
+          setActionError(err.response?.data?.detail || 'Could not leave the project.');
+        }
+      } else {
+        act(() => removeProjectMember(project.id, member.user_id));
+      }
+    }
+  };
+
+  const handleAddSite = async (e) => {
+    e.preventDefault();
+    const report = addableReports.find((candidate) => candidate.id === reportToAdd);
+    if (report && await act(() => saveProjectSite(project.id, report))) {
+      setReportToAdd('');
+    }
+  };
+
+  const handleRemoveSite = (site) => {
+    if (window.confirm(`Remove "${site.report.name}" and its comments from the project?`)) {
+      act(() => removeProjectSite(project.id, site.id));
+    }
+  };
+
+  return (
+    <>
+      {/* Fixed background */}
+      <div className="cosmic-background"></div>
+      <div className="cosmic-effects"></div>
+
+      <div className="snap-container">
+        <div className="min-h-screen pt-16 pb-16 px-4">
+          <div className="max-w-6xl mx-auto">
+            <div className="text-center mb-10">
+              {editing ? (
+                <form onSubmit={submitDetails} className="flex flex-col gap-3 max-w-xl mx-auto">
+                  <input
+                    type="text"
+                    value={details.name}
+                    onChange={(e) => setDetails((current) => ({ ...current, name: e.target.value }))}
+                    autoFocus
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={details.description}
+                    onChange={(e) => setDetails((current) => ({ ...current, description: e.target.value }))}
+                    placeholder="Description (optional)"
+                    className={inputClass}
+                  />
+                  <div className="flex justify-center gap-2">
+                    <button type="submit" className="px-3 py-1 text-sm rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9]">
+                      Save
+                    </button>
+                    <button type="button" onClick={() => setEditing(false)} className={secondaryButton}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <h1
+                    className="font-light mb-4 leading-tight glow-subtle"
+                    style={{
+                      fontFamily: 'Google Sans, sans-serif',
+                      fontSize: '40px',
+                      color: 'white',
+                      letterSpacing: '0.01em'
+                    }}
+                  >
+                    {project.name}
+                  </h1>
+                  {project.description && <p className="text-gray-300 mb-2">{project.description}</p>}
+                  <div className="flex items-center justify-center gap-3 text-sm text-gray-400">
+                    <span>You are {isOwner ? 'the owner' : `a ${project.role}`}</span>
+                    {canEdit && (
+                      <button onClick={startEditing} className="text-[#a78bfa] hover:text-white transition-colors">
+                        Edit details
+                      </button>
+                    )}
+                    {isOwner && (
+                      <button onClick={handleDelete} className="text-red-400 hover:text-white transition-colors">
+                        Delete project
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {actionError && <p className="text-red-400 text-sm text-center mb-4">{actionError}</p>}
+
+            {/* Every site of the project on one map */}
+            <div className={`${cardClass} mb-6`}>
+              <MapContainer
+                center={[20, 0]}
+                zoom={2}
+                style={{ height: '400px', width: '100%', zIndex: 10 }}
+                className="rounded-lg"
+              >
+                <TileLayer url={basemaps[0].url} attribution={basemaps[0].attribution} />
+                <ProjectSitesLayer sites={project.sites} onOpen={openSite} />
+              </MapContainer>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {/* Sites */}
+              <div className={`${cardClass} md:col-span-2`}>
+                <h2 className="text-2xl font-light text-white mb-4">Sites ({project.sites.length})</h2>
+                {project.sites.length === 0 && (
+                  <p className="text-gray-400 mb-4">No sites yet.{canEdit ? ' Add one of your saved analyses below.' : ''}</p>
+                )}
+                <div className="space-y-3 mb-4">
+                  {project.sites.map((site) => (
+                    <div key={site.id} className="flex flex-col md:flex-row md:items-center gap-3 border-b border-[#2d1b4e] pb-3">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-white truncate">{site.report.name}</div>
+                        <div className="text-sm text-gray-400">
+                          [{Number(site.report.selectedArea.latitude).toFixed(4)}, {Number(site.report.selectedArea.longitude).toFixed(4)}]
+                          {site.report.selectedArea.areaHectares ? ` · ${formatHectares(site.report.selectedArea.areaHectares)}` : ''}
+                          {' · '}added by {site.added_by} · {site.comment_count} {site.comment_count === 1 ? 'comment' : 'comments'}
+                        </div>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => openSite(site.id)}
+                          className="px-4 py-1 text-sm rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9] transition-colors"
+                        >
+                          Open
+                        </button>
+                        {canEdit && (
+                          <button onClick={() => handleRemoveSite(site)} className={`${secondaryButton} text-red-400`}>
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {canEdit && (
+                  <form onSubmit={handleAddSite} className="flex gap-2">
+                    <select
+                      value={reportToAdd}
+                      onChange={(e) => setReportToAdd(e.target.value)}
+                      className={`flex-1 ${inputClass}`}
+                    >
+                      <option value="">{addableReports.length ? 'Add a saved analysis...' : 'All your saved analyses are in this project'}</option>
+                      {addableReports.map((report) => (
+                        <option key={report.id} value={report.id}>{report.name}</option>
+                      ))}
+                    </select>
+                    <button type="submit" disabled={!reportToAdd} className={secondaryButton}>
+                      Add Site
+                    </button>
+                  </form>
+                )}
+              </div>
+
+              {/* Team */}
+              <div className={cardClass}>
+                <h2 className="text-2xl font-light text-white mb-4">Team</h2>
+                <div className="space-y-3 mb-4">
+                  {project.members.map((member) => (
+                    <div key={member.user_id} className="flex items-center justify-between gap-2 text-sm">
+                      <span className="text-gray-200 truncate">{member.email}</span>
+                      <div className="flex items-center gap-2">
+                        {isOwner && member.role !== 'owner' ? (
+                          <select
+                            value={member.role}
+                            onChange={(e) => act(() => updateProjectMember(project.id, member.user_id, e.target.value))}
+                            className="p-1 rounded-md text-white bg-[#170821] border border-[#2d1b4e]"
+                          >
+                            <option value="viewer">Viewer</option>
+                            <option value="editor">Editor</option>
+                          </select>
+                        ) : (
+                          <span className="text-xs uppercase tracking-wide text-[#a78bfa]">{member.role}</span>
+                        )}
+                        {member.role !== 'owner' && (isOwner || member.user_id === user?.id) && (
+                          <button
+                            onClick={() => handleRemoveMember(member)}
+                            className="text-gray-400 hover:text-red-400 transition-colors"
+                          >
+                            {member.user_id === user?.id ? 'Leave' : 'Remove'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {isOwner && (
+                  <form onSubmit={handleInvite} className="space-y-2 pt-3 border-t border-[#2d1b4e]">
+                    <label htmlFor="invite-email" className="block text-sm text-gray-300">Invite a teammate by email</label>
+                    <input
+                      id="invite-email"
+                      type="email"
+                      required
+                      value={inviteEmail}
+                      onChange={(e) => setInviteEmail(e.target.value)}
+                      placeholder="name@example.com"
+                      className={`w-full ${inputClass}`}
+                    />
+                    <div className="flex gap-2">
+                      <select
+                        value={inviteRole}
+                        onChange={(e) => setInviteRole(e.target.value)}
+                        className={`flex-1 ${inputClass}`}
+                      >
+                        <option value="viewer">Viewer – can view and comment</option>
+                        <option value="editor">Editor – can also manage sites</option>
+                      </select>
+                      <button type="submit" className={secondaryButton}>
+                        Invite
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-400">Teammates need a Zerra account first.</p>
+                  </form>
+                )}
+              </div>
+            </div>
+
+            <div className="flex justify-center space-x-4 mt-10">
+              <button
+                onClick={() => navigate('/projects')}
+                className="bg-[#1e0a30] text-white py-3 px-6 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] transition-colors"
+              >
+                All Projects
+              </button>
+              <button
+                onClick={() => navigate('/')}
+                className="bg-[#7c3aed] text-white py-3 px-6 rounded-md hover:bg-[#6d28d9] transition-colors"
+              >
+                Back to Map
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default ProjectDashboard;
@@ -0,0 +1,51 @@
+import React, { useEffect } from 'react';
+import { CircleMarker, Polygon, Popup, useMap } from 'react-leaflet';
+import { fromGeoJSONPolygon } from '../utils/geometry';
+
+// Sites of a project, drawn inside a MapContainer: a marker per site plus the outline
+// of analysed areas. The map is fitted to the sites whenever they change.
+function ProjectSitesLayer({ sites, onOpen }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const points = sites.flatMap(({ report }) => (
+      report.selectedArea.geometry
+        ? fromGeoJSONPolygon(report.selectedArea.geometry)
+        : [[report.selectedArea.latitude, report.selectedArea.longitude]]
+    ));
+    if (points.length > 0) {
+      map.fitBounds(points, { padding: [30, 30], maxZoom: 12 });
+    }
+  }, [sites, map]);
+
+  return sites.map(({ id, report, added_by: addedBy }) => (
+    <React.Fragment key={id}>
+      {report.selectedArea.geometry && (
+        <Polygon
+          positions={fromGeoJSONPolygon(report.selectedArea.geometry)}
+          pathOptions={{ color: '#a78bfa', weight: 2, fillColor: '#7c3aed', fillOpacity: 0.2 }}
+        />
+      )}
+      <CircleMarker
+        center={[report.selectedArea.latitude, report.selectedArea.longitude]}
+        radius={8}
+        bubblingMouseEvents={false}
+        pathOptions={{ color: '#ffffff', weight: 1, fillColor: '#7c3aed', fillOpacity: 0.9 }}
+      >
+        <Popup>
+          <div className="font-medium">{report.name}</div>
+          <div className="text-xs mb-2">Added by {addedBy}</div>
+          <button
+            type="button"
+            onClick={() => onOpen(id)}
+            className="px-2 py-1 text-xs rounded bg-[#7c3aed] text-white hover:bg-[#6d28d9]"
+          >
+            Open report
+          </button>
+        </Popup>
+      </CircleMarker>
+    </React.Fragment>
+  ));
+}
+
+export default ProjectSitesLayer;
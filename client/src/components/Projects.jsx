@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { fetchProjects, createProject } from '../utils/api';
+
+const inputClass = 'p-3 rounded-md focus:ring-[#7c3aed] focus:border-[#7c3aed] text-white bg-[#170821] border border-[#2d1b4e]';
+
+// Projects the user owns or was invited to, and a form to start a new one
+function Projects() {
+  const navigate = useNavigate();
+  const [projects, setProjects] = useState(null);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [error, setError] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    fetchProjects()
+      .then(setProjects)
+      .catch((err) => {
+        setError(err.response?.data?.detail || 'Could not load your projects.');
+        setProjects([]);
+      });
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setCreating(true);
+    setError('');
+    try {
+      const project = await createProject({ name: name.trim(), description: description.trim() });
+      navigate(`/projects/${project.id}`);
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Could not create the project.');
+      setCreating(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Fixed background */}
+      <div className="cosmic-background"></div>
+      <div className="cosmic-effects"></div>
+
+      <div className="snap-container">
+        <div className="min-h-screen pt-16 pb-16 px-4">
+          <div className="max-w-5xl mx-auto">
+            <div className="text-center mb-10">
+              <h1
+                className="font-light mb-6 leading-tight glow-subtle"
+                style={{
+                  fontFamily: 'Google Sans, sans-serif',
+                  fontSize: '40px',
+                  color: 'white',
+                  letterSpacing: '0.01em'
+                }}
+              >
+                Projects
+              </h1>
+              <p className="text-gray-400">Group analysed sites by client and share them with your team.</p>
+            </div>
+
+            <form onSubmit={handleCreate} className="flex flex-col md:flex-row gap-4 mb-6">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="New project name"
+                className={`md:w-64 ${inputClass}`}
+              />
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Description (optional)"
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                type="submit"
+                disabled={creating || !name.trim()}
+                className="bg-[#7c3aed] text-white py-3 px-6 rounded-md hover:bg-[#6d28d9] disabled:opacity-50 transition-colors"
+              >
+                {creating ? 'Creating...' : 'Create Project'}
+              </button>
+            </form>
+            {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+            {projects === null ? (
+              <div className="flex justify-center py-8">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-t-4 border-[#7c3aed]"></div>
+              </div>
+            ) : projects.length === 0 ? (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg p-8 border border-[#2d1b4e] text-center text-gray-400">
+                No projects yet. Create one above, or ask a teammate to invite you to theirs.
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {projects.map((project) => (
+                  <button
+                    key={project.id}
+                    onClick={() => navigate(`/projects/${project.id}`)}
+                    className="text-left bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-5 border border-[#2d1b4e] hover:bg-[#1e0a30] transition-colors"
+                  >
+                    <div className="flex items-center justify-between gap-3">
+                      <span className="text-white text-lg truncate">{project.name}</span>
+                      <span className="text-xs uppercase tracking-wide text-[#a78bfa]">{project.role}</span>
+                    </div>
+                    {project.description && <p className="text-sm text-gray-300 mt-1">{project.description}</p>}
+                    <div className="text-sm text-gray-400 mt-2">
+                      {project.site_count} {project.site_count === 1 ? 'site' : 'sites'} · {project.member_count}{' '}
+                      {project.member_count === 1 ? 'member' : 'members'} · updated {new Date(project.updated_at * 1000).toLocaleDateString()}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-center mt-10">
+              <button
+                onClick={() => navigate('/')}
+                className="bg-[#1e0a30] text-white py-3 px-6 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] transition-colors"
+              >
+                Back to Map
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default Projects;
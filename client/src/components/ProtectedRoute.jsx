@@ -0,0 +1,28 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+
+// Renders its page only for a signed-in user; anyone else is sent to sign in
+// and brought back here afterwards
+function ProtectedRoute({ children }) {
+  const { user, ready } = useAuth();
+  const location = useLocation();
+
+  if (!ready) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="cosmic-background"></div>
+        <div className="cosmic-effects"></div>
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-t-4 border-[#7c3aed]"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/signin" replace state={{ from: location }} />;
+  }
+
+  return children;
+}
+
+export default ProtectedRoute;
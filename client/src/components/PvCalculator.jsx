@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import { defaultPvInputs, pvInputRanges, pvInputErrors, calculatePvYield } from '../utils/pv';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const fields = [
+  { key: 'panelEfficiency', label: 'Panel efficiency (%)', step: 0.5 },
+  { key: 'tiltDeg', label: 'Tilt (°)', step: 1 },
+  { key: 'systemLosses', label: 'System losses (%)', step: 1 },
+  { key: 'tariffPerKwh', label: 'Tariff (per kWh)', step: 0.01 },
+  { key: 'installCost', label: 'Install cost', step: 100 },
+  { key: 'gridEmissionFactor', label: 'Grid CO₂ (kg/kWh)', step: 0.05 },
+  { key: 'discountRate', label: 'Discount rate (%)', step: 0.5 },
+  { key: 'lifetimeYears', label: 'Lifetime (years)', step: 1 },
+];
+
+const formatNumber = (value, digits = 0) => (
+  value === null || !isFinite(value)
+    ? 'N/A'
+    : value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+);
+
+// PV yield and payback calculator on the Solar card. Uses the monthly climatology
+// when the report has it, otherwise the headline average radiation for every month.
+function PvCalculator({ solar, latitude }) {
+  const [inputs, setInputs] = useState({ ...defaultPvInputs, tiltDeg: Math.round(Math.abs(latitude || 20)) });
+
+  const monthlyRadiation = solar?.series?.monthly_climatology?.length === 12
+    ? solar.series.monthly_climatology.map((point) => point.allsky)
+    : Array(12).fill(Number(solar?.average_radiation) || 0);
+
+  // Out-of-range inputs (e.g. a lifetime of 1e9 years) are refused rather than calculated
+  const errors = pvInputErrors(inputs);
+  const result = Object.keys(errors).length === 0 ? calculatePvYield(inputs, monthlyRadiation, latitude || 0) : null;
+  const monthly = result
+    ? result.monthlyYieldKwh.map((value, index) => ({ name: MONTH_NAMES[index], kwh: Math.round(value) }))
+    : [];
+
+  const updateInput = (key, value) => {
+    setInputs((current) => ({ ...current, [key]: value === '' ? '' : Number(value) }));
+  };
+
+  const inputClass = 'mt-1 w-full p-2 rounded-md text-white bg-[#170821] border focus:ring-[#7c3aed] focus:border-[#7c3aed]';
+
+  const renderInput = (key, label, step) => {
+    const { min, max } = pvInputRanges[key];
+    return (
+      <label key={key} className="text-gray-400">
+        {label}
+        <input
+          type="number"
+          min={min}
+          max={max === Infinity ? undefined : max}
+          step={step}
+          value={inputs[key]}
+          onChange={(e) => updateInput(key, e.target.value)}
+          className={`${inputClass} ${errors[key] ? 'border-red-500' : 'border-[#2d1b4e]'}`}
+        />
+        {errors[key] && <span className="block mt-1 text-xs text-red-400">{errors[key]}</span>}
+      </label>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex space-x-2">
+        {[{ id: 'size', label: 'Array size' }, { id: 'area', label: 'Roof area' }].map((mode) => (
+          <button
+            key={mode.id}
+            onClick={() => setInputs((current) => ({ ...current, sizingMode: mode.id }))}
+            className={`px-3 py-1 text-sm rounded-md border transition-colors ${
+              inputs.sizingMode === mode.id
+                ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+            }`}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+        {inputs.sizingMode === 'size'
+          ? renderInput('systemSizeKw', 'Array size (kWp)', 0.5)
+          : renderInput('roofAreaM2', 'Roof area (m²)', 1)}
+        {fields.map((field) => renderInput(field.key, field.label, field.step))}
+      </div>
+
+      {!result ? (
+        <p className="text-sm text-red-400">Correct the highlighted inputs to see the estimate.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {[
+              { label: 'System size', value: `${formatNumber(result.systemSizeKw, 1)} kWp` },
+              { label: 'Annual yield', value: `${formatNumber(result.annualYieldKwh)} kWh` },
+              { label: 'Specific yield', value: `${formatNumber(result.specificYield)} kWh/kWp` },
+              { label: 'CO₂ avoided', value: `${formatNumber(result.co2AvoidedTonnes, 2)} t/year` },
+              { label: 'Simple payback', value: result.simplePaybackYears === null ? 'N/A' : `${formatNumber(result.simplePaybackYears, 1)} years` },
+              { label: `NPV (${inputs.lifetimeYears} years)`, value: formatNumber(result.npv) },
+            ].map((item) => (
+              <div key={item.label} className="bg-[#170821] bg-opacity-60 p-3 rounded-lg">
+                <div className="text-xs text-gray-400">{item.label}</div>
+                <div className={`font-medium ${item.label.startsWith('NPV') && result.npv < 0 ? 'text-red-400' : 'text-white'}`}>
+                  {item.value}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ width: '100%', height: 200 }}>
+            <ResponsiveContainer>
+              <BarChart data={monthly}>
+                <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+                <XAxis dataKey="name" tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <YAxis tick={{ fill: '#9ca3af', fontSize: 12 }} width={60} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#170821', border: '1px solid #2d1b4e', color: '#ffffff' }}
+                  formatter={(value) => [`${value.toLocaleString()} kWh`, 'Yield']}
+                />
+                <Bar dataKey="kwh" fill="#10b981" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+      <p className="text-xs text-gray-500">
+        Estimates assume an equator-facing array and the site's long-term average irradiance.
+      </p>
+    </div>
+  );
+}
+
+export default PvCalculator;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { ResponsiveContainer, ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, CartesianGrid, Legend } from 'recharts';
+import { surfaceTypes, defaultRainwaterInputs, calculateRainwaterHarvest } from '../utils/rainwater';
+import { fetchMonthlyRainfall } from '../utils/api';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const formatLitres = (value) => `${Math.round(value).toLocaleString()} L`;
+
+// Harvest volume, storage sizing and dry-month shortfall for the Water Harvesting card.
+// `rainfall` is the report's monthly_rainfall block; older reports without it are
+// topped up from the API.
+function RainwaterCalculator({ rainfall, latitude, longitude, areaHectares }) {
+  const [inputs, setInputs] = useState(defaultRainwaterInputs);
+  const [fetchedRainfall, setFetchedRainfall] = useState(null);
+  const [error, setError] = useState('');
+
+  const source = rainfall?.monthly_mm ? rainfall : fetchedRainfall;
+
+  useEffect(() => {
+    if (rainfall?.monthly_mm || isNaN(latitude) || isNaN(longitude)) {
+      return;
+    }
+    let cancelled = false;
+    fetchMonthlyRainfall({ latitude, longitude })
+      .then((data) => {
+        if (!cancelled) setFetchedRainfall(data);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Monthly rainfall is not available for this location.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [rainfall, latitude, longitude]);
+
+  if (error) {
+    return <p className="text-gray-400 text-sm">{error}</p>;
+  }
+  if (!source) {
+    return <p className="text-gray-400 text-sm">Loading monthly rainfall...</p>;
+  }
+
+  const result = calculateRainwaterHarvest(inputs, source.monthly_mm);
+  const chartData = MONTH_NAMES.map((name, index) => ({
+    name,
+    harvest: Math.round(result.monthlyHarvestLitres[index]),
+    demand: Math.round(result.monthlyDemandLitres[index]),
+    shortfall: Math.round(result.monthlyShortfallLitres[index]),
+  }));
+
+  const updateInput = (key, value) => {
+    setInputs((current) => ({ ...current, [key]: value === '' ? '' : Number(value) }));
+  };
+
+  const inputClass = 'mt-1 w-full p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e] focus:ring-[#7c3aed] focus:border-[#7c3aed]';
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+        <label className="text-gray-400">
+          Catchment area (m²)
+          <input type="number" min="0" step="10" value={inputs.catchmentAreaM2} onChange={(e) => updateInput('catchmentAreaM2', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-gray-400">
+          Surface type
+          <select
+            value={inputs.surfaceType}
+            onChange={(e) => setInputs((current) => ({ ...current, surfaceType: e.target.value }))}
+            className={inputClass}
+          >
+            {surfaceTypes.map((type) => (
+              <option key={type.id} value={type.id}>{type.label} (runoff {type.runoffCoefficient})</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-gray-400">
+          Demand (L/day)
+          <input type="number" min="0" step="10" value={inputs.dailyDemandLitres} onChange={(e) => updateInput('dailyDemandLitres', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      {areaHectares > 0 && (
+        <button
+          onClick={() => setInputs((current) => ({ ...current, catchmentAreaM2: Math.round(areaHectares * 10000), surfaceType: 'open_ground' }))}
+          className="text-sm text-[#a78bfa] hover:text-white transition-colors"
+        >
+          Use the drawn area as open-ground catchment
+        </button>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {[
+          { label: 'Annual harvest', value: formatLitres(result.annualHarvestLitres) },
+          { label: 'Recommended storage', value: formatLitres(result.recommendedStorageLitres) },
+          { label: 'Demand met', value: result.demandMetFraction === null ? 'N/A' : `${Math.round(result.demandMetFraction * 100)}%` },
+          { label: 'Dry-month shortfall', value: formatLitres(result.annualShortfallLitres) },
+        ].map((item) => (
+          <div key={item.label} className="bg-[#170821] bg-opacity-60 p-3 rounded-lg">
+            <div className="text-xs text-gray-400">{item.label}</div>
+            <div className="font-medium text-white">{item.value}</div>
+          </div>
+        ))}
+      </div>
+      <p className="text-sm text-gray-400">
+        {result.dryMonths.length > 0
+          ? `Demand is not met in ${result.dryMonths.map((month) => MONTH_NAMES[month - 1]).join(', ')} even with the recommended storage.`
+          : 'The recommended storage meets demand in every month of an average year.'}
+      </p>
+
+      <div style={{ width: '100%', height: 220 }}>
+        <ResponsiveContainer>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+            <XAxis dataKey="name" tick={{ fill: '#9ca3af', fontSize: 12 }} />
+            <YAxis tick={{ fill: '#9ca3af', fontSize: 12 }} width={70} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#170821', border: '1px solid #2d1b4e', color: '#ffffff' }}
+              formatter={(value) => `${value.toLocaleString()} L`}
+            />
+            <Legend wrapperStyle={{ color: '#9ca3af', fontSize: 12 }} />
+            <Bar dataKey="harvest" name="Harvest" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+            <Bar dataKey="shortfall" name="Shortfall" fill="#ef4444" radius={[4, 4, 0, 0]} />
+            <Line type="monotone" dataKey="demand" name="Demand" stroke="#a78bfa" dot={false} strokeWidth={2} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      <p className="text-xs text-gray-500">
+        Based on average monthly rainfall ({source.start_year}–{source.end_year}) from NASA POWER. Dry years will yield less.
+      </p>
+    </div>
+  );
+}
+
+export default RainwaterCalculator;
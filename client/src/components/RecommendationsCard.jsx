@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { normalizeRecommendations, sortRecommendations, priorityLevels, costBands } from '../utils/recommendations';
+import { reportSections } from '../utils/metrics';
+
+const priorityStyles = {
+  high: 'bg-red-500 bg-opacity-20 text-red-300 border-red-500',
+  medium: 'bg-yellow-500 bg-opacity-20 text-yellow-300 border-yellow-500',
+  low: 'bg-green-500 bg-opacity-20 text-green-300 border-green-500',
+};
+
+const sortOptions = [
+  { id: 'priority', label: 'Priority' },
+  { id: 'cost', label: 'Cost (lowest first)' },
+  { id: 'section', label: 'Analysis' },
+];
+
+const sectionOrder = reportSections.map((section) => section.key);
+
+const sectionTitle = (key) => reportSections.find((section) => section.key === key)?.title || key;
+
+const metricLabel = (sectionKey, metricKey) => {
+  const section = reportSections.find((item) => item.key === sectionKey);
+  if (metricKey === section?.verdictKey) {
+    return 'Verdict';
+  }
+  return section?.metrics.find((metric) => metric.key === metricKey)?.label || metricKey;
+};
+
+// Structured AI recommendations with priority filters and sorting. Reports saved
+// before recommendations were structured fall back to the old text sections.
+// `onRegenerate` asks the server for a fresh set and returns a promise.
+function RecommendationsCard({ recommendations, onRegenerate }) {
+  const [priorityFilter, setPriorityFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('priority');
+  const [regenerating, setRegenerating] = useState(false);
+  const [regenerateError, setRegenerateError] = useState('');
+
+  const { items, legacySections, error } = normalizeRecommendations(recommendations);
+
+  const regenerate = async () => {
+    setRegenerating(true);
+    setRegenerateError('');
+    try {
+      await onRegenerate();
+    } catch (err) {
+      setRegenerateError(err.response?.data?.detail || 'Could not generate recommendations.');
+    } finally {
+      setRegenerating(false);
+    }
+  };
+
+  const regenerateButton = (label) => (
+    <button
+      type="button"
+      onClick={regenerate}
+      disabled={regenerating}
+      className="px-3 py-1 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors disabled:opacity-60"
+    >
+      {regenerating ? 'Generating...' : label}
+    </button>
+  );
+
+  if (legacySections.length > 0) {
+    return (
+      <div className="space-y-6">
+        <div className="flex items-center justify-between text-sm text-gray-400">
+          <span>These recommendations were generated before priorities and costs were available.</span>
+          {regenerateButton('Regenerate')}
+        </div>
+        {regenerateError && <p className="text-red-400 text-sm">{regenerateError}</p>}
+        {legacySections.map((section, index) => (
+          <div key={index} className="bg-[#170821] bg-opacity-60 p-4 rounded-lg">
+            <h3 className="text-xl font-medium text-[#a78bfa] mb-3">{section.title}</h3>
+            <ul className="space-y-2 text-gray-300">
+              {section.items.map((item, itemIndex) => (
+                <li key={itemIndex} className="flex items-start">
+                  <span className="text-[#7c3aed] mr-2 mt-1">•</span>
+                  <span>{item}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="space-y-3">
+        <p className="text-gray-400">{error ? `Recommendations could not be generated: ${error}` : 'No recommendations available.'}</p>
+        {regenerateError && <p className="text-red-400 text-sm">{regenerateError}</p>}
+        {regenerateButton('Try again')}
+      </div>
+    );
+  }
+
+  const visible = sortRecommendations(
+    items.filter((item) => priorityFilter === 'all' || item.priority === priorityFilter),
+    sortBy,
+    sectionOrder
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+        <div className="flex space-x-2">
+          {['all', ...priorityLevels].map((level) => (
+            <button
+              key={level}
+              type="button"
+              onClick={() => setPriorityFilter(level)}
+              className={`px-3 py-1 rounded-md border capitalize transition-colors ${
+                priorityFilter === level
+                  ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                  : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+              }`}
+            >
+              {level === 'all' ? `All (${items.length})` : `${level} (${items.filter((item) => item.priority === level).length})`}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center text-gray-400">
+          Sort by
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="ml-2 p-1 rounded-md text-white bg-[#170821] border border-[#2d1b4e]"
+          >
+            {sortOptions.map((option) => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {visible.length === 0 && <p className="text-gray-400">No {priorityFilter} priority recommendations.</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {visible.map((item, index) => (
+          <div key={`${item.section}-${index}`} className="bg-[#170821] bg-opacity-60 p-4 rounded-lg">
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+              <span className="text-[#a78bfa] font-medium text-sm mr-auto">{sectionTitle(item.section)}</span>
+              <span className={`px-2 py-0.5 rounded border capitalize ${priorityStyles[item.priority] || 'border-[#2d1b4e] text-gray-300'}`}>
+                {item.priority} priority
+              </span>
+              <span className="px-2 py-0.5 rounded border border-[#2d1b4e] text-gray-300">
+                {costBands[item.costBand] || item.costBand}
+              </span>
+            </div>
+            <p className="text-white mb-2">{item.action}</p>
+            <p className="text-sm text-gray-400">{item.rationale}</p>
+            {item.metric && (
+              <p className="text-xs text-gray-500 mt-2">
+                Based on {metricLabel(item.section, item.metric)}
+                {item.metricValue !== null && item.metricValue !== undefined ? `: ${item.metricValue}` : ''}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RecommendationsCard;
@@ -1,31 +1,245 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { formatHectares } from '../utils/geometry';
+import { submitAnalysisJob, fetchRecommendations, rerunReportSection } from '../utils/api';
+import { parseResultSearch, buildResultSearch } from '../utils/reportUrl';
+import { findReportByQuery, saveReport } from '../utils/reportStore';
+import { recommendationTextSections } from '../utils/recommendations';
+import { defaultProfile } from '../utils/scoring';
+import { sectionVerdict } from '../utils/verdict';
+import { sectionStatus, completedJobData } from '../utils/sectionStatus';
+import { periodLabel } from '../utils/period';
+import ExportMenu from './ExportMenu';
+import SolarCharts from './SolarCharts';
+import PvCalculator from './PvCalculator';
+import WindEnergyPanel from './WindEnergyPanel';
+import RainwaterCalculator from './RainwaterCalculator';
+import ChatPanel from './ChatPanel';
+import RecommendationsCard from './RecommendationsCard';
+import ScoreBreakdown from './ScoreBreakdown';
+import VerdictBadge from './VerdictBadge';
+import SectionStatus from './SectionStatus';
+import CardComments from './CardComments';
+import AddToProject from './AddToProject';
+import useAnalysisJob from '../hooks/useAnalysisJob';
+import useProjectSite from '../hooks/useProjectSite';
+import useAuth from '../hooks/useAuth';
+
+const sectionStateLabels = {
+  pending: 'Waiting to start...',
+  running: 'Analysing...',
+  failed: 'This analysis failed.',
+  cancelled: 'Cancelled.',
+};
+
+// Card body shown while a section of a background job has not finished
+function PendingSection({ state, error, label }) {
+  const inProgress = state === 'pending' || state === 'running';
+  return (
+    <div className="flex items-center space-x-3 py-6">
+      {inProgress && (
+        <div className="h-5 w-5 border-2 border-[#7c3aed] border-t-transparent rounded-full animate-spin"></div>
+      )}
+      <span className={inProgress ? 'text-gray-400' : 'text-red-400'}>
+        {label || sectionStateLabels[state] || sectionStateLabels.pending}
+        {error && <span className="block text-xs text-gray-400 mt-1">{error}</span>}
+      </span>
+    </div>
+  );
+}
 
 function Result() {
   const location = useLocation();
   const navigate = useNavigate();
-  const data = location.state?.data;
-  const selectedArea = location.state?.selectedArea || {};
+  const stateData = location.state?.data;
+  const urlArea = useMemo(() => parseResultSearch(location.search), [location.search]);
+  const jobId = useMemo(() => new URLSearchParams(location.search).get('job'), [location.search]);
+  const projectId = useMemo(() => new URLSearchParams(location.search).get('project'), [location.search]);
+  const siteId = useMemo(() => new URLSearchParams(location.search).get('site'), [location.search]);
+  const inProject = Boolean(projectId && siteId);
+  const { user } = useAuth();
+  const projectSite = useProjectSite(projectId, siteId);
+  const stateArea = location.state?.selectedArea;
+  const selectedArea = stateArea || urlArea || projectSite.site?.report.selectedArea || {};
+  const [data, setData] = useState(stateData || null);
+  const [status, setStatus] = useState(stateData ? 'ready' : 'loading');
+  const [fetchError, setFetchError] = useState('');
+  const [retryCount, setRetryCount] = useState(0);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showSolarCharts, setShowSolarCharts] = useState(false);
+  const [showPvCalculator, setShowPvCalculator] = useState(false);
+  const [showWindEnergy, setShowWindEnergy] = useState(false);
+  const [showRainwater, setShowRainwater] = useState(false);
+  const [openBreakdowns, setOpenBreakdowns] = useState({});
+  const [openComments, setOpenComments] = useState({});
+  const { job, error: jobError, cancel: cancelJob } = useAnalysisJob(stateData || inProject ? null : jobId);
+
+  // Every report that reaches this page is kept in the local history. Without router
+  // state (reload, bookmark, shared link) the report is rebuilt from the URL: a running
+  // job is followed, a saved copy is used when there is one, otherwise a new job is started.
+  // A project site (?project=&site=) is read from the project instead and stays out of the history
+  useEffect(() => {
+    if (stateData) {
+      setData(stateData);
+      setStatus('ready');
+      if ((stateArea || urlArea) && !inProject) {
+        saveReport({ selectedArea: stateArea || urlArea, data: stateData });
+      }
+      return;
+    }
+    if (inProject) {
+      if (projectSite.error) {
+        setFetchError(projectSite.error);
+        setStatus('error');
+      } else if (projectSite.site) {
+        setData(projectSite.site.report.data);
+        setStatus('ready');
+      } else {
+        setStatus('loading');
+      }
+      return;
+    }
+    if (!urlArea) {
+      setStatus('missing');
+      return;
+    }
+    if (jobId) {
+      setStatus('running');
+      return;
+    }
+
+    const saved = findReportByQuery(urlArea);
+    if (saved && retryCount === 0) {
+      setData(saved.data);
+      setStatus('ready');
+      return;
+    }
+
+    let cancelled = false;
+    setStatus('loading');
+    setFetchError('');
+    submitAnalysisJob(urlArea)
+      .then((newJobId) => {
+        if (cancelled) return;
+        navigate(`/result?${buildResultSearch(urlArea)}&job=${newJobId}`, {
+          replace: true,
+          state: stateArea ? { selectedArea: stateArea } : null,
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setFetchError(err.response?.data?.detail || 'Failed to start the sustainability analysis.');
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stateData, stateArea, urlArea, jobId, retryCount, navigate, inProject, projectSite.site, projectSite.error]);
+
+  // A finished job becomes a regular report: drop the job id from the URL and hand the data over as state
+  useEffect(() => {
+    if (job?.status !== 'completed' || !urlArea) return;
+    const area = stateArea || urlArea;
+    navigate(`/result?${buildResultSearch(area)}`, {
+      replace: true,
+      state: { data: completedJobData(job), selectedArea: area },
+    });
+  }, [job, stateArea, urlArea, navigate]);
+
+  useEffect(() => {
+    if (status !== 'running') return;
+    if (jobError || job?.status === 'failed') {
+      setFetchError(jobError || job.error || 'The analysis failed.');
+      setStatus('error');
+    } else if (job?.status === 'cancelled') {
+      setStatus('cancelled');
+    }
+  }, [status, job, jobError]);
+
+  const restartAnalysis = () => {
+    navigate(`/result?${buildResultSearch(urlArea)}`, {
+      replace: true,
+      state: stateArea ? { selectedArea: stateArea } : null,
+    });
+    setRetryCount((count) => count + 1);
+  };
 
-  if (!data) {
+  const copyLink = async () => {
+    try {
+      // Share the report itself rather than the (temporary) job
+      const params = new URLSearchParams(window.location.search);
+      params.delete('job');
+      await navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}?${params.toString()}`);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying report link:', err);
+    }
+  };
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="cosmic-background"></div>
+        <div className="cosmic-effects"></div>
+        <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md p-8 rounded-lg shadow-2xl flex flex-col items-center max-w-md border border-[#2d1b4e]">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-t-4 border-[#7c3aed] mb-4"></div>
+          <p className="text-gray-300 text-lg text-center">
+            {inProject ? 'Loading the project site...' : `Starting the analysis for ${urlArea?.placeName || 'this location'}...`}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const jobRunning = status === 'running';
+  const currentData = jobRunning
+    ? {
+        report: job?.report || {},
+        recommendations: job?.recommendations,
+        scoring_profile: job?.metadata?.scoring_profile,
+        period: job?.metadata?.period,
+      }
+    : data;
+
+  if (!jobRunning && (status !== 'ready' || !data)) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="cosmic-background"></div>
         <div className="cosmic-effects"></div>
         <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md p-8 rounded-lg shadow-2xl border border-[#2d1b4e] max-w-md mx-auto">
-          <p className="text-red-400 text-lg">No data available. Please try again.</p>
-          <button
-            onClick={() => navigate('/')}
-            className="mt-4 bg-[#7c3aed] text-white py-2 px-6 rounded-md hover:bg-[#6d28d9] transition duration-200"
-          >
-            Back to Map
-          </button>
+          <p className={`text-lg ${status === 'cancelled' ? 'text-gray-300' : 'text-red-400'}`}>
+            {status === 'error' && fetchError}
+            {status === 'cancelled' && 'The analysis was cancelled.'}
+            {status === 'missing' && 'No data available. Please try again.'}
+          </p>
+          <div className="flex space-x-3 mt-4">
+            {(status === 'error' || status === 'cancelled') && urlArea && !inProject && (
+              <button
+                onClick={restartAnalysis}
+                className="bg-[#1e0a30] text-white py-2 px-6 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] transition duration-200"
+              >
+                {status === 'cancelled' ? 'Restart Analysis' : 'Retry'}
+              </button>
+            )}
+            <button
+              onClick={() => navigate('/')}
+              className="bg-[#7c3aed] text-white py-2 px-6 rounded-md hover:bg-[#6d28d9] transition duration-200"
+            >
+              Back to Map
+            </button>
+          </div>
         </div>
       </div>
     );
   }
 
-  const { report, recommendations, place_name } = data;
+  // While a job runs, sections fill in one by one; a finished report has every section done
+  const sectionState = (key) => (jobRunning ? job?.sections?.[key]?.status || 'pending' : 'done');
+  const sectionError = (key) => (jobRunning ? job?.sections?.[key]?.error : null);
+
+  const { report, recommendations, place_name, scoring_profile, period } = currentData;
   
   // Safely extract coordinates from navigation state first, then from API response
   let coords = {
@@ -50,44 +264,93 @@ function Result() {
     };
   }
 
-  // Parse recommendations into sections
-  const parseRecommendations = (text) => {
-    const sections = [];
-    let currentSection = null;
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+  const recommendationSections = recommendationTextSections(recommendations);
 
-    lines.forEach((line, index) => {
-      // Skip the first line if it's the title 
-      if (index === 0 && line.includes('AI Recommendations')) {
-        return;
-      }
-      // Check for section headers (e.g., "**Solar Energy:**")
-      if (line.startsWith('**') && line.endsWith(':**')) {
-        if (currentSection && currentSection.items.length > 0) {
-          sections.push(currentSection);
-        }
-        currentSection = {
-          title: line.replace(/\*\*/g, '').replace(':', ''),
-          items: [],
-        };
-      }
-      // Treat non-header, non-empty lines as items under the current section
-      else if (currentSection && line !== '') {
-        // Remove leading bullet markers if present
-        const itemText = line.startsWith('*') || line.startsWith('-') ? line.slice(2).trim() : line;
-        if (itemText) {
-          currentSection.items.push(itemText);
-        }
-      }
-    });
+  // Breakdowns recompute verdicts with the profile the report was scored with
+  const scoringProfile = scoring_profile || defaultProfile;
+  const toggleBreakdown = (sectionKey) => {
+    setOpenBreakdowns((current) => ({ ...current, [sectionKey]: !current[sectionKey] }));
+  };
+  const breakdown = (sectionKey) => (
+    <>
+      <button
+        onClick={() => toggleBreakdown(sectionKey)}
+        className="block text-sm text-[#a78bfa] hover:text-white transition-colors"
+      >
+        {openBreakdowns[sectionKey] ? 'Hide score breakdown' : 'How was this verdict reached?'}
+      </button>
+      {openBreakdowns[sectionKey] && (
+        <div className="pt-3 border-t border-[#2d1b4e]">
+          <ScoreBreakdown sectionKey={sectionKey} section={report?.[sectionKey]} profile={scoringProfile} />
+        </div>
+      )}
+    </>
+  );
 
-    if (currentSection && currentSection.items.length > 0) {
-      sections.push(currentSection);
+  // Updated data goes through router state, which saves it to history. A project site's
+  // copy is updated in the project instead; a viewer's changes last only for this visit
+  const projectRole = projectSite.project?.role;
+  const replaceData = async (nextData) => {
+    if (!inProject) {
+      navigate(`${location.pathname}${location.search}`, {
+        replace: true,
+        state: { data: nextData, selectedArea: stateArea || urlArea },
+      });
+    } else if (projectRole === 'viewer') {
+      setData(nextData);
+    } else {
+      await projectSite.updateSite({ ...projectSite.site.report, data: nextData });
     }
-    return sections;
   };
 
-  const recommendationSections = parseRecommendations(recommendations || '');
+  // A section re-run on its own replaces the stored one, saved like fresh recommendations
+  const retrySection = async (sectionKey) => {
+    const area = { ...coords, geometry: selectedArea?.geometry, period: selectedArea?.period };
+    const { result } = await rerunReportSection(sectionKey, area, scoring_profile?.id);
+    await replaceData({ ...data, report: { ...report, [sectionKey]: result } });
+  };
+  const isUnavailable = (sectionKey) => sectionStatus(report?.[sectionKey])?.state === 'unavailable';
+  const statusNotice = (sectionKey) => (
+    <SectionStatus
+      status={sectionStatus(report?.[sectionKey])}
+      onRetry={jobRunning ? null : () => retrySection(sectionKey)}
+    />
+  );
+
+  // Fresh recommendations replace the stored ones
+  const regenerateRecommendations = async () => {
+    const fresh = await fetchRecommendations(report);
+    await replaceData({ ...data, recommendations: fresh });
+  };
+
+  // Project sites carry a comment thread under each card
+  const toggleComments = (sectionKey) => {
+    setOpenComments((current) => ({ ...current, [sectionKey]: !current[sectionKey] }));
+  };
+  const comments = (sectionKey) => {
+    if (!inProject || !projectSite.site) return null;
+    const cardComments = projectSite.comments.filter((comment) => comment.section === sectionKey);
+    return (
+      <div className="mt-3">
+        <button
+          onClick={() => toggleComments(sectionKey)}
+          className="block text-sm text-[#a78bfa] hover:text-white transition-colors"
+        >
+          {openComments[sectionKey] ? 'Hide comments' : `Comments (${cardComments.length})`}
+        </button>
+        {openComments[sectionKey] && (
+          <CardComments
+            comments={cardComments}
+            user={user}
+            role={projectRole}
+            onAdd={(body) => projectSite.addComment(sectionKey, body)}
+            onDelete={projectSite.deleteComment}
+          />
+        )}
+      </div>
+    );
+  };
+  const savedReport = !inProject && urlArea ? findReportByQuery(urlArea) : null;
 
   // Format place name or use coordinates as fallback
   const displayPlace = selectedArea?.placeName || place_name || "Selected Area";
@@ -130,35 +393,143 @@ function Result() {
                     Coordinates: {displayCoordinates}
                   </div>
                 )}
+                {selectedArea?.areaHectares && (
+                  <div className="text-lg text-gray-300">
+                    Analysed Area: {formatHectares(selectedArea.areaHectares)}
+                  </div>
+                )}
+                {(period || selectedArea?.period) && (
+                  <div className="text-lg text-gray-300">
+                    Analysis Period: {period?.label || periodLabel(selectedArea.period)}
+                  </div>
+                )}
+                {inProject && projectSite.project && (
+                  <div className="text-sm text-gray-400">
+                    Site in the project{' '}
+                    <button
+                      onClick={() => navigate(`/projects/${projectId}`)}
+                      className="text-[#a78bfa] hover:text-white transition-colors"
+                    >
+                      {projectSite.project.name}
+                    </button>
+                    {' '}· added by {projectSite.site.added_by} · you are {projectRole === 'owner' ? 'the owner' : `a ${projectRole}`}
+                  </div>
+                )}
+                <div className="text-sm text-gray-400">
+                  Scored with the {scoring_profile?.name || 'Default'} profile ·{' '}
+                  <button
+                    onClick={() => navigate('/settings', { state: { reportId: urlArea ? findReportByQuery(urlArea)?.id : undefined } })}
+                    className="text-[#a78bfa] hover:text-white transition-colors"
+                  >
+                    Scoring settings
+                  </button>
+                </div>
+                <div className="flex items-center space-x-3 mt-2">
+                  {urlArea && (
+                    <button
+                      onClick={copyLink}
+                      className="px-4 py-1 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+                    >
+                      {linkCopied ? 'Link copied' : 'Copy shareable link'}
+                    </button>
+                  )}
+                  {!jobRunning && (
+                    <ExportMenu
+                      data={data}
+                      selectedArea={{ ...selectedArea, latitude: coords.latitude, longitude: coords.longitude, placeName: displayPlace }}
+                      recommendationSections={recommendationSections}
+                    />
+                  )}
+                  {!jobRunning && savedReport && <AddToProject report={savedReport} />}
+                </div>
               </div>
             </div>
 
+            {/* Live progress of a background analysis job */}
+            {jobRunning && (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] mb-6">
+                <div className="flex items-center justify-between mb-3">
+                  <span className="text-gray-300">
+                    Analysing... {job ? `${job.progress.completed} of ${job.progress.total} steps complete` : 'connecting to the server'}
+                  </span>
+                  <button
+                    onClick={cancelJob}
+                    disabled={!job}
+                    className="px-4 py-1 text-sm rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] disabled:opacity-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+                <div className="h-2 rounded-full bg-[#170821] overflow-hidden">
+                  <div
+                    className="h-full bg-[#7c3aed] transition-all"
+                    style={{ width: `${job ? (job.progress.completed / job.progress.total) * 100 : 0}%` }}
+                  ></div>
+                </div>
+                <p className="text-sm text-gray-400 mt-3">
+                  Results appear below as each analysis finishes. You can leave or refresh this page and come back to it.
+                </p>
+              </div>
+            )}
+
             {/* Analysis cards grid */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-10">
-              {/* Solar Potential */}
-              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] transition-all hover:shadow-xl">
+              {/* Solar Potential (spans both columns when its charts or calculator are open) */}
+              <div className={`bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] transition-all hover:shadow-xl ${showSolarCharts || showPvCalculator ? 'md:col-span-2' : ''}`}>
                 <h2 className="text-2xl font-light text-white mb-4 flex items-center">
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-[#7c3aed]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
                   </svg>
                   Solar Potential
                 </h2>
-                <div className="space-y-3">
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Average Radiation</span>
-                    <span className="text-white font-medium">{report?.solar_potential?.average_radiation || 'N/A'} kWh/m²/day</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Result</span>
-                    <span className={`font-medium ${
-                      report?.solar_potential?.result?.includes('High') ? 'text-green-400' : 
-                      report?.solar_potential?.result?.includes('Medium') ? 'text-yellow-400' : 
-                      'text-red-400'
-                    }`}>
-                      {report?.solar_potential?.result || 'N/A'}
-                    </span>
+                {sectionState('solar_potential') !== 'done' ? (
+                  <PendingSection state={sectionState('solar_potential')} error={sectionError('solar_potential')} />
+                ) : isUnavailable('solar_potential') ? (
+                  statusNotice('solar_potential')
+                ) : (
+                  <div className="space-y-3">
+                    {statusNotice('solar_potential')}
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Average Radiation</span>
+                      <span className="text-white font-medium">{report?.solar_potential?.average_radiation || 'N/A'} kWh/m²/day</span>
+                    </div>
+                    <div>
+                      <span className="block text-gray-400 mb-1">Result</span>
+                      <VerdictBadge verdict={sectionVerdict('solar_potential', report?.solar_potential)} />
+                    </div>
+                    {breakdown('solar_potential')}
+                    {report?.solar_potential?.series && (
+                      <button
+                        onClick={() => setShowSolarCharts((current) => !current)}
+                        className="block text-sm text-[#a78bfa] hover:text-white transition-colors"
+                      >
+                        {showSolarCharts ? 'Hide charts' : 'Show seasonality and trend charts'}
+                      </button>
+                    )}
+                    {showSolarCharts && (
+                      <div className="pt-3 border-t border-[#2d1b4e]">
+                        <SolarCharts
+                          series={report?.solar_potential?.series}
+                          targetYear={report?.solar_potential?.target_year}
+                        />
+                      </div>
+                    )}
+                    {report?.solar_potential?.average_radiation !== undefined && (
+                      <button
+                        onClick={() => setShowPvCalculator((current) => !current)}
+                        className="block text-sm text-[#a78bfa] hover:text-white transition-colors"
+                      >
+                        {showPvCalculator ? 'Hide yield calculator' : 'Estimate energy yield and payback'}
+                      </button>
+                    )}
+                    {showPvCalculator && (
+                      <div className="pt-3 border-t border-[#2d1b4e]">
+                        <PvCalculator solar={report?.solar_potential} latitude={Number(coords.latitude)} />
+                      </div>
+                    )}
                   </div>
-                </div>
+                )}
+                {comments('solar_potential')}
               </div>
 
               {/* Afforestation Feasibility */}
@@ -169,106 +540,149 @@ function Result() {
                   </svg>
                   Afforestation Feasibility
                 </h2>
-                <div className="space-y-3">
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Green Cover</span>
-                    <span className="text-white font-medium">{report?.afforestation_feasibility?.green_cover_percent || 'N/A'}%</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Barren Land</span>
-                    <span className="text-white font-medium">{report?.afforestation_feasibility?.barren_land_percent || 'N/A'}%</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Afforestation Potential</span>
-                    <span className="text-white font-medium">{report?.afforestation_feasibility?.afforestation_potential_percent || 'N/A'}%</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Feasibility</span>
-                    <span className={`font-medium ${
-                      report?.afforestation_feasibility?.feasibility?.includes('High') ? 'text-green-400' : 
-                      report?.afforestation_feasibility?.feasibility?.includes('Medium') ? 'text-yellow-400' : 
-                      'text-red-400'
-                    }`}>
-                      {report?.afforestation_feasibility?.feasibility || 'N/A'}
-                    </span>
+                {sectionState('afforestation_feasibility') !== 'done' ? (
+                  <PendingSection state={sectionState('afforestation_feasibility')} error={sectionError('afforestation_feasibility')} />
+                ) : isUnavailable('afforestation_feasibility') ? (
+                  statusNotice('afforestation_feasibility')
+                ) : (
+                  <div className="space-y-3">
+                    {statusNotice('afforestation_feasibility')}
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Green Cover</span>
+                      <span className="text-white font-medium">{report?.afforestation_feasibility?.green_cover_percent || 'N/A'}%</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Barren Land</span>
+                      <span className="text-white font-medium">{report?.afforestation_feasibility?.barren_land_percent || 'N/A'}%</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Afforestation Potential</span>
+                      <span className="text-white font-medium">{report?.afforestation_feasibility?.afforestation_potential_percent || 'N/A'}%</span>
+                    </div>
+                    {report?.afforestation_feasibility?.imagery_years && (
+                      <div className="text-xs text-gray-500">
+                        Sentinel-2 imagery from {[...new Set(report.afforestation_feasibility.imagery_years)].join('–')}
+                      </div>
+                    )}
+                    <div>
+                      <span className="block text-gray-400 mb-1">Feasibility</span>
+                      <VerdictBadge verdict={sectionVerdict('afforestation_feasibility', report?.afforestation_feasibility)} />
+                    </div>
+                    {breakdown('afforestation_feasibility')}
                   </div>
-                </div>
+                )}
+                {comments('afforestation_feasibility')}
               </div>
 
-              {/* Water Harvesting */}
-              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] transition-all hover:shadow-xl">
+              {/* Water Harvesting (spans both columns when the harvest calculator is open) */}
+              <div className={`bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] transition-all hover:shadow-xl ${showRainwater ? 'md:col-span-2' : ''}`}>
                 <h2 className="text-2xl font-light text-white mb-4 flex items-center">
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-[#7c3aed]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19.428 15.428a2 2 0 00-1.022-.547l-2.387-.477a6 6 0 00-3.86.517l-.318.158a6 6 0 01-3.86.517L6.05 15.21a2 2 0 00-1.806.547M8 4h8l-1 1v5.172a2 2 0 00.586 1.414l5 5c1.26 1.26.367 3.414-1.415 3.414H4.828c-1.782 0-2.674-2.154-1.414-3.414l5-5A2 2 0 009 10.172V5L8 4z" />
                   </svg>
                   Water Harvesting
                 </h2>
-                <div className="space-y-3">
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Rainfall Score</span>
-                    <span className="text-white font-medium">{report?.water_harvesting?.rainfall_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Soil Score</span>
-                    <span className="text-white font-medium">{report?.water_harvesting?.soil_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Slope Score</span>
-                    <span className="text-white font-medium">{report?.water_harvesting?.slope_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Water Harvesting Score</span>
-                    <span className="text-white font-medium">{report?.water_harvesting?.water_harvesting_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Feasibility</span>
-                    <span className={`font-medium ${
-                      report?.water_harvesting?.feasibility?.includes('High') ? 'text-green-400' : 
-                      report?.water_harvesting?.feasibility?.includes('Medium') ? 'text-yellow-400' : 
-                      'text-red-400'
-                    }`}>
-                      {report?.water_harvesting?.feasibility || 'N/A'}
-                    </span>
+                {sectionState('water_harvesting') !== 'done' ? (
+                  <PendingSection state={sectionState('water_harvesting')} error={sectionError('water_harvesting')} />
+                ) : isUnavailable('water_harvesting') ? (
+                  statusNotice('water_harvesting')
+                ) : (
+                  <div className="space-y-3">
+                    {statusNotice('water_harvesting')}
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Rainfall Score</span>
+                      <span className="text-white font-medium">{report?.water_harvesting?.rainfall_score || 'N/A'}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Soil Score</span>
+                      <span className="text-white font-medium">{report?.water_harvesting?.soil_score || 'N/A'}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Slope Score</span>
+                      <span className="text-white font-medium">{report?.water_harvesting?.slope_score || 'N/A'}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Water Harvesting Score</span>
+                      <span className="text-white font-medium">{report?.water_harvesting?.water_harvesting_score || 'N/A'}</span>
+                    </div>
+                    <div>
+                      <span className="block text-gray-400 mb-1">Feasibility</span>
+                      <VerdictBadge verdict={sectionVerdict('water_harvesting', report?.water_harvesting)} />
+                    </div>
+                    {breakdown('water_harvesting')}
+                    <button
+                      onClick={() => setShowRainwater((current) => !current)}
+                      className="block text-sm text-[#a78bfa] hover:text-white transition-colors"
+                    >
+                      {showRainwater ? 'Hide harvest calculator' : 'Size a tank or pond for this site'}
+                    </button>
+                    {showRainwater && (
+                      <div className="pt-3 border-t border-[#2d1b4e]">
+                        <RainwaterCalculator
+                          rainfall={report?.water_harvesting?.monthly_rainfall}
+                          latitude={Number(coords.latitude)}
+                          longitude={Number(coords.longitude)}
+                          areaHectares={selectedArea?.areaHectares}
+                        />
+                      </div>
+                    )}
                   </div>
-                </div>
+                )}
+                {comments('water_harvesting')}
               </div>
 
-              {/* Windmill Feasibility */}
-              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] transition-all hover:shadow-xl">
+              {/* Windmill Feasibility (spans both columns when the energy estimate is open) */}
+              <div className={`bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] transition-all hover:shadow-xl ${showWindEnergy ? 'md:col-span-2' : ''}`}>
                 <h2 className="text-2xl font-light text-white mb-4 flex items-center">
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-[#7c3aed]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 10l-2 1m0 0l-2-1m2 1v2.5M20 7l-2 1m2-1l-2-1m2 1v2.5M14 4l-2-1-2 1M4 7l2-1M4 7l2 1M4 7v2.5M12 21l-2-1m2 1l2-1m-2 1v-2.5M6 18l-2-1v-2.5M18 18l2-1v-2.5" />
                   </svg>
                   Windmill Feasibility
                 </h2>
-                <div className="space-y-3">
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Wind Score</span>
-                    <span className="text-white font-medium">{report?.windmill_feasibility?.wind_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Slope Score</span>
-                    <span className="text-white font-medium">{report?.windmill_feasibility?.slope_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Land Score</span>
-                    <span className="text-white font-medium">{report?.windmill_feasibility?.land_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Windmill Feasibility Score</span>
-                    <span className="text-white font-medium">{report?.windmill_feasibility?.windmill_feasibility_score || 'N/A'}</span>
-                  </div>
-                  <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Feasibility</span>
-                    <span className={`font-medium ${
-                      report?.windmill_feasibility?.feasibility?.includes('High') ? 'text-green-400' : 
-                      report?.windmill_feasibility?.feasibility?.includes('Medium') ? 'text-yellow-400' : 
-                      'text-red-400'
-                    }`}>
-                      {report?.windmill_feasibility?.feasibility || 'N/A'}
-                    </span>
+                {sectionState('windmill_feasibility') !== 'done' ? (
+                  <PendingSection state={sectionState('windmill_feasibility')} error={sectionError('windmill_feasibility')} />
+                ) : isUnavailable('windmill_feasibility') ? (
+                  statusNotice('windmill_feasibility')
+                ) : (
+                  <div className="space-y-3">
+                    {statusNotice('windmill_feasibility')}
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Wind Score</span>
+                      <span className="text-white font-medium">{report?.windmill_feasibility?.wind_score || 'N/A'}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Slope Score</span>
+                      <span className="text-white font-medium">{report?.windmill_feasibility?.slope_score || 'N/A'}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Land Score</span>
+                      <span className="text-white font-medium">{report?.windmill_feasibility?.land_score || 'N/A'}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Windmill Feasibility Score</span>
+                      <span className="text-white font-medium">{report?.windmill_feasibility?.windmill_feasibility_score || 'N/A'}</span>
+                    </div>
+                    <div>
+                      <span className="block text-gray-400 mb-1">Feasibility</span>
+                      <VerdictBadge verdict={sectionVerdict('windmill_feasibility', report?.windmill_feasibility)} />
+                    </div>
+                    {breakdown('windmill_feasibility')}
+                    {report?.windmill_feasibility?.wind_resource && (
+                      <button
+                        onClick={() => setShowWindEnergy((current) => !current)}
+                        className="block text-sm text-[#a78bfa] hover:text-white transition-colors"
+                      >
+                        {showWindEnergy ? 'Hide energy estimate' : 'Estimate turbine energy production'}
+                      </button>
+                    )}
+                    {showWindEnergy && (
+                      <div className="pt-3 border-t border-[#2d1b4e]">
+                        <WindEnergyPanel resource={report?.windmill_feasibility?.wind_resource} />
+                      </div>
+                    )}
                   </div>
-                </div>
+                )}
+                {comments('windmill_feasibility')}
               </div>
             </div>
 
@@ -280,35 +694,40 @@ function Result() {
                 </svg>
                 AI Recommendations
               </h2>
-              {recommendationSections.length > 0 ? (
-                <div className="space-y-6">
-                  {recommendationSections.map((section, index) => (
-                    <div key={index} className="bg-[#170821] bg-opacity-60 p-4 rounded-lg">
-                      <h3 className="text-xl font-medium text-[#a78bfa] mb-3">{section.title}</h3>
-                      <ul className="space-y-2 text-gray-300">
-                        {section.items.map((item, itemIndex) => (
-                          <li key={itemIndex} className="flex items-start">
-                            <span className="text-[#7c3aed] mr-2 mt-1">•</span>
-                            <span>{item}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  ))}
-                </div>
+              {jobRunning ? (
+                <PendingSection state="pending" label="Recommendations are generated once every analysis has finished." />
               ) : (
-                <p className="text-gray-400">No recommendations available.</p>
+                <RecommendationsCard recommendations={recommendations} onRegenerate={regenerateRecommendations} />
               )}
             </div>
 
-            {/* Back Button */}
-            <div className="text-center">
+            {/* Follow-up chat, once the report is complete */}
+            {!jobRunning && report && Object.keys(report).length > 0 && (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e] transition-all hover:shadow-xl mb-8">
+                <h2 className="text-2xl font-light text-white mb-6 flex items-center">
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-[#7c3aed]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                  </svg>
+                  Ask About This Report
+                </h2>
+                <ChatPanel report={report} recommendations={recommendations} />
+              </div>
+            )}
+
+            {/* Navigation Buttons */}
+            <div className="flex justify-center space-x-4">
               <button
                 onClick={() => navigate('/')}
                 className="bg-[#7c3aed] text-white py-3 px-8 rounded-md hover:bg-[#6d28d9] transition-all duration-200 shadow-lg hover:shadow-xl"
               >
                 Back to Map
               </button>
+              <button
+                onClick={() => navigate('/history')}
+                className="bg-[#1e0a30] text-white py-3 px-8 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] transition-all duration-200 shadow-lg hover:shadow-xl"
+              >
+                View History
+              </button>
             </div>
           </div>
         </div>
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from 'recharts';
+import { breakdownInputs, sectionInputs, scoreBreakdown } from '../utils/scoring';
+import VerdictBadge from './VerdictBadge';
+
+const axisStyle = { fill: '#9ca3af', fontSize: 12 };
+const tooltipStyle = { backgroundColor: '#170821', border: '1px solid #2d1b4e', color: '#ffffff' };
+
+// Waterfall rows: each factor's bar starts where the previous one ended and the
+// last bar is the total score
+function waterfallData(factors, score) {
+  let running = 0;
+  const rows = factors.map((factor) => {
+    const row = { name: factor.label, base: running, contribution: Number(factor.contribution.toFixed(3)) };
+    running += factor.contribution;
+    return row;
+  });
+  return [...rows, { name: 'Score', base: 0, contribution: Number(score.toFixed(3)), total: true }];
+}
+
+// Expandable explanation of one report card: every input, its weight and its
+// contribution, with sliders to try other inputs. The verdict is recomputed in
+// the browser with the profile the report was scored with.
+function ScoreBreakdown({ sectionKey, section, profile }) {
+  const [initial] = useState(() => sectionInputs(sectionKey, section, profile));
+  const [inputs, setInputs] = useState(initial);
+
+  if (!initial) {
+    return <p className="text-gray-400 text-sm">This report does not have the values needed for a breakdown.</p>;
+  }
+
+  const { factors, score, thresholds, checks, verdict } = scoreBreakdown(sectionKey, inputs, profile);
+  const changed = Object.keys(initial).some((key) => inputs[key] !== initial[key]);
+  const waterfall = factors.length > 0 ? waterfallData(factors, score) : [];
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-gray-400 mb-1">{changed ? 'What-if verdict' : 'Verdict'}</div>
+          <VerdictBadge verdict={verdict} showGauge={false} />
+          {score !== null && <div className="text-gray-300 mt-1">Score {score.toFixed(2)}</div>}
+        </div>
+        {changed && (
+          <button
+            type="button"
+            onClick={() => setInputs(initial)}
+            className="px-3 py-1 rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      {factors.length > 0 && (
+        <>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-[#2d1b4e]">
+                <th className="py-1 pr-2 font-normal">Factor</th>
+                <th className="py-1 pr-2 font-normal text-right">Value</th>
+                <th className="py-1 pr-2 font-normal text-right">Weight</th>
+                <th className="py-1 font-normal text-right">Contribution</th>
+              </tr>
+            </thead>
+            <tbody>
+              {factors.map((factor) => (
+                <tr key={factor.key} className="text-gray-300">
+                  <td className="py-1 pr-2">{factor.label}</td>
+                  <td className="py-1 pr-2 text-right">{factor.value.toFixed(2)}</td>
+                  <td className="py-1 pr-2 text-right">× {factor.weight}</td>
+                  <td className="py-1 text-right text-white">{factor.contribution.toFixed(3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ width: '100%', height: 200 }}>
+            <ResponsiveContainer>
+              <BarChart data={waterfall}>
+                <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+                <XAxis dataKey="name" tick={axisStyle} />
+                <YAxis tick={axisStyle} domain={[0, 1]} width={40} />
+                <Tooltip contentStyle={tooltipStyle} cursor={{ fill: '#1e0a30' }} />
+                <ReferenceLine y={thresholds.feasible} stroke="#4ade80" strokeDasharray="4 4" />
+                <ReferenceLine y={thresholds.moderate} stroke="#facc15" strokeDasharray="4 4" />
+                <Bar dataKey="base" stackId="waterfall" fill="transparent" tooltipType="none" />
+                <Bar dataKey="contribution" name="Contribution" stackId="waterfall">
+                  {waterfall.map((row) => (
+                    <Cell key={row.name} fill={row.total ? '#a78bfa' : '#7c3aed'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-xs text-gray-500">
+            Dashed lines: feasible from {thresholds.feasible}, moderately feasible from {thresholds.moderate}.
+          </p>
+        </>
+      )}
+
+      {checks && (
+        <ul className="space-y-1">
+          {checks.map((check) => (
+            <li key={check.label} className={check.passed ? 'text-green-400' : 'text-gray-500'}>
+              {check.passed ? '✓' : '✗'} {check.label}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-3 pt-3 border-t border-[#2d1b4e]">
+        <div className="text-gray-400">What if...</div>
+        {breakdownInputs[sectionKey].map((field) => (
+          <label key={field.key} className="block">
+            <span className="flex justify-between text-gray-300">
+              <span>{field.label}</span>
+              <span className="text-white">{Number(inputs[field.key].toFixed(2))}{field.unit ? ` ${field.unit}` : ''}</span>
+            </span>
+            <input
+              type="range"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={inputs[field.key]}
+              onChange={(e) => setInputs({ ...inputs, [field.key]: Number(e.target.value) })}
+              className="w-full accent-[#7c3aed]"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ScoreBreakdown;
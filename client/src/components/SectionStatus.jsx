@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+
+// Degraded state of a report card. An unavailable section replaces the card body with
+// the reason and data sources; a partial one gets a short notice above the values.
+// Both offer to re-run just this analysis through `onRetry` (a promise).
+function SectionStatus({ status, onRetry }) {
+  const [retrying, setRetrying] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!status || status.state === 'ok') {
+    return null;
+  }
+
+  const retry = async () => {
+    setRetrying(true);
+    setError('');
+    try {
+      await onRetry();
+    } catch (err) {
+      setError(err.response?.data?.detail || err.message || 'Retrying failed.');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const retryButton = onRetry && (
+    <button
+      type="button"
+      onClick={retry}
+      disabled={retrying}
+      className="px-3 py-1 rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] disabled:opacity-50 transition-colors"
+    >
+      {retrying ? 'Retrying...' : 'Retry this section'}
+    </button>
+  );
+
+  if (status.state === 'partial') {
+    return (
+      <div className="rounded-md border border-yellow-500 border-opacity-40 bg-yellow-500 bg-opacity-10 p-3 text-sm">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <span className="block text-yellow-300">Partial result</span>
+            <span className="text-gray-300">{status.reason}</span>
+          </div>
+          {retryButton}
+        </div>
+        {error && <p className="text-red-400 mt-2">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-md border border-red-500 border-opacity-40 bg-red-500 bg-opacity-10 p-4 text-sm space-y-2">
+      <span className="block text-red-300 text-base">This analysis is unavailable</span>
+      {status.reason && <p className="text-gray-300">{status.reason}</p>}
+      {status.sources?.length > 0 && (
+        <p className="text-gray-400">Data sources: {status.sources.join(', ')}</p>
+      )}
+      {retryButton}
+      {error && <p className="text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+export default SectionStatus;
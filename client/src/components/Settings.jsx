@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  fetchScoringProfiles, createScoringProfile, updateScoringProfile, deleteScoringProfile, selectScoringProfile,
+} from '../utils/api';
+import { listReports } from '../utils/reportStore';
+import {
+  DEFAULT_PROFILE_ID, profileGroups, validateProfile, numericProfile, rescoreReport, reportedScores,
+} from '../utils/scoring';
+
+const inputClass = 'mt-1 w-full p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e] focus:ring-[#7c3aed] focus:border-[#7c3aed] disabled:opacity-60';
+
+const copyProfile = (profile) => JSON.parse(JSON.stringify(profile));
+
+// Scoring profiles: pick the profile new analyses use, and edit weights and
+// thresholds with a live preview of the verdicts a saved report would get.
+// The result page links here with the id of the report it shows.
+function Settings() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [profiles, setProfiles] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [reports] = useState(() => listReports());
+  const [previewId, setPreviewId] = useState(() => location.state?.reportId || listReports()[0]?.id || '');
+
+  const editProfile = (profile) => {
+    setEditingId(profile.id);
+    setDraft(copyProfile(profile));
+    setError('');
+    setNotice('');
+  };
+
+  const load = useCallback(async (editId) => {
+    try {
+      const { selected, profiles: loaded } = await fetchScoringProfiles();
+      setProfiles(loaded);
+      setSelectedId(selected);
+      setLoadError('');
+      const toEdit = loaded.find((profile) => profile.id === (editId || selected)) || loaded[0];
+      setEditingId(toEdit.id);
+      setDraft(copyProfile(toEdit));
+    } catch (err) {
+      setLoadError('Could not load scoring profiles from the server.');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const startNewProfile = () => {
+    setEditingId(null);
+    setDraft({ ...copyProfile(draft), id: null, name: `${draft.name} (copy)`, read_only: false });
+    setError('');
+    setNotice('');
+  };
+
+  const updateField = (groupKey, fieldKey, value) => {
+    setDraft((current) => ({ ...current, [groupKey]: { ...current[groupKey], [fieldKey]: value } }));
+  };
+
+  const draftError = draft ? validateProfile(draft) : '';
+
+  const save = async () => {
+    if (draftError) return;
+    setSaving(true);
+    setError('');
+    try {
+      const profile = numericProfile(draft);
+      const saved = editingId ? await updateScoringProfile(editingId, profile) : await createScoringProfile(profile);
+      await load(saved.id);
+      setNotice('Profile saved.');
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Could not save the profile.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectForAnalyses = async () => {
+    setError('');
+    try {
+      await selectScoringProfile(editingId);
+      setSelectedId(editingId);
+      setNotice('New analyses will use this profile.');
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Could not select the profile.');
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the scoring profile "${draft.name}"? Reports already scored with it keep a copy.`)) {
+      return;
+    }
+    setError('');
+    try {
+      await deleteScoringProfile(editingId);
+      await load();
+      setNotice('Profile deleted.');
+    } catch (err) {
+      setError(err.response?.data?.detail || 'Could not delete the profile.');
+    }
+  };
+
+  const readOnly = Boolean(draft?.read_only);
+  const previewReport = reports.find((report) => report.id === previewId);
+  const reportData = previewReport?.data?.report;
+  const current = reportData ? reportedScores(reportData) : null;
+  const preview = reportData && !draftError
+    ? rescoreReport(reportData, numericProfile(draft), previewReport.data.scoring_profile)
+    : null;
+
+  const formatOutcome = (outcome) => {
+    if (!outcome) return 'N/A';
+    return outcome.score !== null && outcome.score !== undefined ? `${outcome.score} · ${outcome.verdict}` : outcome.verdict;
+  };
+
+  return (
+    <>
+      {/* Fixed background */}
+      <div className="cosmic-background"></div>
+      <div className="cosmic-effects"></div>
+
+      <div className="snap-container">
+        <div className="min-h-screen pt-16 pb-16 px-4">
+          <div className="max-w-6xl mx-auto">
+            <div className="text-center mb-10">
+              <h1
+                className="font-light mb-6 leading-tight glow-subtle"
+                style={{
+                  fontFamily: 'Google Sans, sans-serif',
+                  fontSize: '40px',
+                  color: 'white',
+                  letterSpacing: '0.01em'
+                }}
+              >
+                Scoring Profiles
+              </h1>
+              <p className="text-gray-400">
+                The weights and thresholds behind every verdict. Each report records the profile it was scored with.
+              </p>
+            </div>
+
+            {loadError && (
+              <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg p-8 border border-[#2d1b4e] text-center text-red-400 mb-6">
+                {loadError}
+              </div>
+            )}
+
+            {draft && (
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e]">
+                  <h2 className="text-2xl font-light text-white mb-4">Profiles</h2>
+                  <ul className="space-y-2">
+                    {profiles.map((profile) => (
+                      <li key={profile.id}>
+                        <button
+                          type="button"
+                          onClick={() => editProfile(profile)}
+                          className={`w-full text-left px-3 py-2 rounded-md border transition-colors ${
+                            editingId === profile.id
+                              ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                              : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+                          }`}
+                        >
+                          <span className="block">{profile.name}</span>
+                          <span className="block text-xs opacity-75">
+                            {profile.id === selectedId
+                              ? 'Used for new analyses'
+                              : profile.read_only ? (profile.id === DEFAULT_PROFILE_ID ? 'Built in' : 'Shared') : 'Custom'}
+                          </span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  <button
+                    type="button"
+                    onClick={startNewProfile}
+                    className="mt-4 w-full px-3 py-2 rounded-md border border-[#2d1b4e] text-[#a78bfa] hover:bg-[#1e0a30] transition-colors"
+                  >
+                    New profile from "{draft.name}"
+                  </button>
+                </div>
+
+                <div className="lg:col-span-2 bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e]">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                    <label className="block text-sm text-gray-400">
+                      Name
+                      <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                        disabled={readOnly}
+                        className={inputClass}
+                      />
+                    </label>
+                    <label className="block text-sm text-gray-400">
+                      Description
+                      <input
+                        type="text"
+                        value={draft.description}
+                        onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                        disabled={readOnly}
+                        className={inputClass}
+                      />
+                    </label>
+                  </div>
+                  {readOnly && (
+                    <p className="text-sm text-gray-400 mb-4">The default profile cannot be edited. Create a new profile from it to change the values.</p>
+                  )}
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {profileGroups.map((group) => (
+                      <div key={group.key} className="bg-[#170821] bg-opacity-60 p-4 rounded-lg">
+                        <h3 className="text-lg font-medium text-[#a78bfa] mb-2">{group.title}</h3>
+                        {group.fields.map((field) => (
+                          <label key={field.key} className="block text-sm text-gray-400 mb-2">
+                            {field.label}{field.unit ? ` (${field.unit})` : ''}
+                            <input
+                              type="number"
+                              step={field.step}
+                              value={draft[group.key][field.key]}
+                              onChange={(e) => updateField(group.key, field.key, e.target.value)}
+                              disabled={readOnly}
+                              className={inputClass}
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+
+                  {draftError && !readOnly && <p className="mt-4 text-yellow-400 text-sm">{draftError}</p>}
+                  {error && <p className="mt-4 text-red-400 text-sm">{error}</p>}
+                  {notice && <p className="mt-4 text-green-400 text-sm">{notice}</p>}
+
+                  <div className="flex flex-wrap gap-2 mt-4">
+                    {!readOnly && (
+                      <button
+                        type="button"
+                        onClick={save}
+                        disabled={saving || Boolean(draftError)}
+                        className="px-4 py-2 rounded-md bg-[#7c3aed] text-white hover:bg-[#6d28d9] transition-colors disabled:opacity-60"
+                      >
+                        {saving ? 'Saving...' : editingId ? 'Save changes' : 'Create profile'}
+                      </button>
+                    )}
+                    {editingId && editingId !== selectedId && (
+                      <button
+                        type="button"
+                        onClick={selectForAnalyses}
+                        className="px-4 py-2 rounded-md border border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30] transition-colors"
+                      >
+                        Use for new analyses
+                      </button>
+                    )}
+                    {editingId && !readOnly && (
+                      <button
+                        type="button"
+                        onClick={remove}
+                        className="px-4 py-2 rounded-md border border-[#2d1b4e] text-red-400 hover:bg-[#1e0a30] transition-colors"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div className="lg:col-span-3 bg-[#0f0617] bg-opacity-90 backdrop-blur-md rounded-lg shadow-lg p-6 border border-[#2d1b4e]">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <h2 className="text-2xl font-light text-white">Preview</h2>
+                    {reports.length > 0 && (
+                      <select
+                        value={previewId}
+                        onChange={(e) => setPreviewId(e.target.value)}
+                        className="p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e]"
+                      >
+                        {reports.map((report) => (
+                          <option key={report.id} value={report.id}>{report.name}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  {!reportData ? (
+                    <p className="text-gray-400">Run an analysis to preview profiles against its results.</p>
+                  ) : (
+                    <>
+                      <p className="text-sm text-gray-400 mb-3">
+                        Scored with {previewReport.data.scoring_profile?.name || 'the default profile'}.
+                        {draftError ? ' Fix the profile to see the preview.' : ` Compared with "${draft.name}".`}
+                      </p>
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-400 border-b border-[#2d1b4e]">
+                            <th className="py-2 pr-4">Analysis</th>
+                            <th className="py-2 pr-4">In the report</th>
+                            <th className="py-2">With this profile</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {profileGroups.map((group) => {
+                            const before = current[group.reportKey];
+                            const after = preview?.[group.reportKey];
+                            const changed = after && before && (after.verdict !== before.verdict || after.score !== before.score);
+                            return (
+                              <tr key={group.key} className="border-b border-[#2d1b4e] align-top">
+                                <td className="py-2 pr-4 text-gray-300">{group.title}</td>
+                                <td className="py-2 pr-4 text-gray-300">{formatOutcome(before)}</td>
+                                <td className={`py-2 ${changed ? 'text-[#a78bfa]' : 'text-gray-300'}`}>{preview ? formatOutcome(after) : '—'}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-center mt-8">
+              <button
+                onClick={() => navigate(-1)}
+                className="bg-[#1e0a30] text-white py-3 px-6 rounded-md border border-[#2d1b4e] hover:bg-[#2d1b4e] transition-colors"
+              >
+                Back
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  LineChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const axisStyle = { fill: '#9ca3af', fontSize: 12 };
+const tooltipStyle = { backgroundColor: '#170821', border: '1px solid #2d1b4e', color: '#ffffff' };
+
+// Least-squares line through the yearly averages, returned as a value per year
+function withTrend(yearly) {
+  const n = yearly.length;
+  if (n < 2) {
+    return yearly;
+  }
+  const meanX = yearly.reduce((sum, point) => sum + point.year, 0) / n;
+  const meanY = yearly.reduce((sum, point) => sum + point.allsky, 0) / n;
+  const covariance = yearly.reduce((sum, point) => sum + (point.year - meanX) * (point.allsky - meanY), 0);
+  const variance = yearly.reduce((sum, point) => sum + (point.year - meanX) ** 2, 0);
+  const slope = variance ? covariance / variance : 0;
+  return yearly.map((point) => ({
+    ...point,
+    trend: Number((meanY + slope * (point.year - meanX)).toFixed(3)),
+  }));
+}
+
+const tabs = [
+  { id: 'monthly', label: 'Monthly' },
+  { id: 'yearly', label: 'Year by Year' },
+  { id: 'model', label: 'Predicted vs Observed' },
+];
+
+// Chart panel for the solar time series returned by predict_solar
+function SolarCharts({ series, targetYear }) {
+  const [activeTab, setActiveTab] = useState('monthly');
+
+  if (!series) {
+    return <p className="text-gray-400 text-sm">No time series available for this report.</p>;
+  }
+
+  const monthly = (series.monthly_climatology || []).map((point) => ({ ...point, name: MONTH_NAMES[point.month - 1] }));
+  const yearly = withTrend(series.yearly_averages || []);
+  const model = (series.predicted_vs_observed || []).map((point) => ({ ...point, name: MONTH_NAMES[point.month - 1] }));
+
+  return (
+    <div>
+      <div className="flex space-x-2 mb-4">
+        {tabs.map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-3 py-1 text-sm rounded-md border transition-colors ${
+              activeTab === tab.id
+                ? 'bg-[#7c3aed] border-[#7c3aed] text-white'
+                : 'border-[#2d1b4e] text-gray-300 hover:bg-[#1e0a30]'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ width: '100%', height: 280 }}>
+        <ResponsiveContainer>
+          {activeTab === 'monthly' ? (
+            <ComposedChart data={monthly}>
+              <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+              <XAxis dataKey="name" tick={axisStyle} />
+              <YAxis tick={axisStyle} unit=" kWh" width={70} />
+              <Tooltip contentStyle={tooltipStyle} formatter={(value) => `${value} kWh/m²/day`} />
+              <Legend />
+              <Bar dataKey="allsky" name="All-sky" fill="#7c3aed" radius={[4, 4, 0, 0]} />
+              <Line dataKey="clearsky" name="Clear-sky" stroke="#fbbf24" strokeWidth={2} dot={false} type="monotone" />
+            </ComposedChart>
+          ) : activeTab === 'yearly' ? (
+            <LineChart data={yearly}>
+              <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+              <XAxis dataKey="year" tick={axisStyle} />
+              <YAxis tick={axisStyle} unit=" kWh" width={70} domain={['auto', 'auto']} />
+              <Tooltip contentStyle={tooltipStyle} formatter={(value) => `${value} kWh/m²/day`} />
+              <Legend />
+              <Line dataKey="allsky" name="All-sky average" stroke="#a78bfa" strokeWidth={2} type="monotone" />
+              <Line dataKey="clearsky" name="Clear-sky average" stroke="#fbbf24" strokeWidth={1} dot={false} type="monotone" />
+              <Line dataKey="trend" name="Trend" stroke="#10b981" strokeDasharray="6 4" dot={false} />
+            </LineChart>
+          ) : (
+            <LineChart data={model}>
+              <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+              <XAxis dataKey="name" tick={axisStyle} />
+              <YAxis tick={axisStyle} unit=" kWh" width={70} domain={['auto', 'auto']} />
+              <Tooltip contentStyle={tooltipStyle} formatter={(value) => `${value} kWh/m²/day`} />
+              <Legend />
+              <Line dataKey="observed" name={`Observed ${targetYear || ''}`} stroke="#a78bfa" strokeWidth={2} type="monotone" />
+              <Line dataKey="predicted" name="CatBoost prediction" stroke="#10b981" strokeWidth={2} strokeDasharray="6 4" type="monotone" />
+            </LineChart>
+          )}
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default SolarCharts;
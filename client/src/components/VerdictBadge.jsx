@@ -0,0 +1,36 @@
+import React from 'react';
+import { verdictLevels, verdictMessage } from '../utils/verdict';
+
+const neutralBadge = 'border-[#2d1b4e] text-gray-300';
+
+// A report verdict coloured by its level, with a 0-1 gauge of the score behind it.
+// `verdict` comes from sectionVerdict (or a what-if breakdown); null renders N/A.
+function VerdictBadge({ verdict, showGauge = true }) {
+  if (!verdict) {
+    return <span className="text-gray-400">N/A</span>;
+  }
+
+  const style = verdictLevels[verdict.level];
+  const score = typeof verdict.score === 'number' ? Math.min(Math.max(verdict.score, 0), 1) : null;
+
+  return (
+    <div>
+      <span
+        title={style?.label}
+        className={`inline-block px-2 py-1 rounded border text-sm font-medium ${style ? style.badge : neutralBadge}`}
+      >
+        {verdictMessage(verdict)}
+      </span>
+      {showGauge && score !== null && (
+        <div className="flex items-center gap-2 mt-2">
+          <div className="flex-1 h-1.5 rounded bg-[#2d1b4e] overflow-hidden">
+            <div className="h-full rounded" style={{ width: `${score * 100}%`, background: style?.gauge || '#6b7280' }} />
+          </div>
+          <span className="text-xs text-gray-400">{score.toFixed(2)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VerdictBadge;
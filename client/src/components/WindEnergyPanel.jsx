@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, ComposedChart, BarChart, Bar, Line, XAxis, YAxis, Tooltip, CartesianGrid, Legend } from 'recharts';
+import {
+  turbineLibrary,
+  DEFAULT_SHEAR_EXPONENT,
+  extrapolateSpeed,
+  weibullPdf,
+  powerAt,
+  annualEnergyProduction,
+  ratedPower,
+  parseCustomCurve,
+} from '../utils/wind';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CUSTOM_CURVE_EXAMPLE = '3, 0\n5, 40\n8, 160\n11, 300\n13, 330\n25, 330';
+
+const tooltipStyle = { backgroundColor: '#170821', border: '1px solid #2d1b4e', color: '#ffffff' };
+const axisStyle = { fill: '#9ca3af', fontSize: 12 };
+
+// Turbine selection and AEP / capacity factor readout for the Windmill card.
+// `resource` is the wind_resource block of the windmill_feasibility report.
+function WindEnergyPanel({ resource }) {
+  const [turbineId, setTurbineId] = useState(turbineLibrary[2].id);
+  const [hubHeight, setHubHeight] = useState(turbineLibrary[2].hubHeight);
+  const [shearExponent, setShearExponent] = useState(DEFAULT_SHEAR_EXPONENT);
+  const [customCurveText, setCustomCurveText] = useState(CUSTOM_CURVE_EXAMPLE);
+
+  if (!resource?.weibull_k || !resource?.weibull_c) {
+    return <p className="text-gray-400 text-sm">Wind speed distribution is not available for this report.</p>;
+  }
+
+  let curve;
+  let curveError = '';
+  if (turbineId === 'custom') {
+    try {
+      curve = parseCustomCurve(customCurveText);
+    } catch (error) {
+      curve = [];
+      curveError = error.message;
+    }
+  } else {
+    curve = turbineLibrary.find((turbine) => turbine.id === turbineId).curve;
+  }
+
+  const selectTurbine = (id) => {
+    setTurbineId(id);
+    const turbine = turbineLibrary.find((item) => item.id === id);
+    if (turbine) {
+      setHubHeight(turbine.hubHeight);
+    }
+  };
+
+  // The Weibull scale grows with height like the mean speed; the shape is kept as measured
+  const measuredAt = resource.measurement_height_m;
+  const height = Number(hubHeight) > 0 ? Number(hubHeight) : measuredAt;
+  const alpha = Number(shearExponent) || 0;
+  const k = resource.weibull_k;
+  const hubScale = extrapolateSpeed(resource.weibull_c, measuredAt, height, alpha);
+  const hubMeanSpeed = resource.mean_speed !== null ? extrapolateSpeed(resource.mean_speed, measuredAt, height, alpha) : null;
+
+  const rated = ratedPower(curve);
+  const aepKwh = curve.length ? annualEnergyProduction(curve, k, hubScale) : 0;
+  const capacityFactor = rated ? aepKwh / (rated * 8760) : 0;
+
+  const distribution = [];
+  for (let speed = 0; speed <= 25; speed += 1) {
+    distribution.push({
+      speed,
+      frequency: Number((weibullPdf(speed, k, hubScale) * 100).toFixed(2)),
+      power: Number(powerAt(curve, speed).toFixed(1)),
+    });
+  }
+
+  const monthly = (resource.monthly_speeds || []).map((speed, index) => ({
+    name: MONTH_NAMES[index],
+    speed: Number(extrapolateSpeed(speed, measuredAt, height, alpha).toFixed(2)),
+  }));
+
+  const inputClass = 'mt-1 w-full p-2 rounded-md text-white bg-[#170821] border border-[#2d1b4e] focus:ring-[#7c3aed] focus:border-[#7c3aed]';
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+        <label className="text-gray-400">
+          Turbine
+          <select value={turbineId} onChange={(e) => selectTurbine(e.target.value)} className={inputClass}>
+            {turbineLibrary.map((turbine) => (
+              <option key={turbine.id} value={turbine.id}>{turbine.name}</option>
+            ))}
+            <option value="custom">Custom power curve</option>
+          </select>
+        </label>
+        <label className="text-gray-400">
+          Hub height (m)
+          <input type="number" min="10" step="5" value={hubHeight} onChange={(e) => setHubHeight(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-gray-400">
+          Shear exponent (α)
+          <input type="number" min="0" max="0.5" step="0.01" value={shearExponent} onChange={(e) => setShearExponent(e.target.value)} className={inputClass} />
+        </label>
+      </div>
+
+      {turbineId === 'custom' && (
+        <label className="block text-sm text-gray-400">
+          Power curve: one "wind speed (m/s), power (kW)" pair per line
+          <textarea
+            rows={6}
+            value={customCurveText}
+            onChange={(e) => setCustomCurveText(e.target.value)}
+            className={`${inputClass} font-mono`}
+          />
+          {curveError && <span className="text-red-400">{curveError}</span>}
+        </label>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {[
+          { label: `Mean speed at ${height} m`, value: hubMeanSpeed === null ? 'N/A' : `${hubMeanSpeed.toFixed(2)} m/s` },
+          { label: 'Weibull k / c', value: `${k.toFixed(2)} / ${hubScale.toFixed(2)} m/s` },
+          { label: 'Annual energy', value: `${(aepKwh / 1000).toLocaleString(undefined, { maximumFractionDigits: 1 })} MWh` },
+          { label: 'Capacity factor', value: `${(capacityFactor * 100).toFixed(1)}%` },
+        ].map((item) => (
+          <div key={item.label} className="bg-[#170821] bg-opacity-60 p-3 rounded-lg">
+            <div className="text-xs text-gray-400">{item.label}</div>
+            <div className="text-white font-medium">{item.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div style={{ width: '100%', height: 220 }}>
+          <ResponsiveContainer>
+            <ComposedChart data={distribution}>
+              <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+              <XAxis dataKey="speed" tick={axisStyle} unit=" m/s" />
+              <YAxis yAxisId="frequency" tick={axisStyle} unit="%" width={45} />
+              <YAxis yAxisId="power" orientation="right" tick={axisStyle} width={55} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Legend />
+              <Bar yAxisId="frequency" dataKey="frequency" name="Frequency (%)" fill="#7c3aed" />
+              <Line yAxisId="power" dataKey="power" name="Power (kW)" stroke="#10b981" dot={false} strokeWidth={2} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ width: '100%', height: 220 }}>
+          <ResponsiveContainer>
+            <BarChart data={monthly}>
+              <CartesianGrid stroke="#2d1b4e" strokeDasharray="3 3" />
+              <XAxis dataKey="name" tick={axisStyle} />
+              <YAxis tick={axisStyle} unit=" m/s" width={60} />
+              <Tooltip contentStyle={tooltipStyle} formatter={(value) => [`${value} m/s`, `Mean speed at ${height} m`]} />
+              <Bar dataKey="speed" fill="#a78bfa" radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Speeds are NASA POWER 50 m data extrapolated with the power law; losses and wake effects are not included.
+      </p>
+    </div>
+  );
+}
+
+export default WindEnergyPanel;
@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getAnalysisJob, cancelAnalysisJob, analysisJobEventsUrl } from '../utils/api.js';
+
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+const POLL_INTERVAL = 3000;
+
+// Follows a background analysis job. Uses the server-sent events stream and falls
+// back to polling if the stream can't be opened or drops.
+function useAnalysisJob(jobId) {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!jobId) {
+      setJob(null);
+      setError('');
+      return undefined;
+    }
+
+    let closed = false;
+    let source = null;
+    let pollTimer = null;
+
+    // Returns true once the job has finished and no more updates are expected
+    const handleSnapshot = (snapshot) => {
+      if (!closed) {
+        setJob(snapshot);
+      }
+      return TERMINAL_STATES.includes(snapshot.status);
+    };
+
+    const poll = async () => {
+      try {
+        const snapshot = await getAnalysisJob(jobId);
+        if (!handleSnapshot(snapshot) && !closed) {
+          pollTimer = setTimeout(poll, POLL_INTERVAL);
+        }
+      } catch (err) {
+        if (closed) return;
+        setError(err.response?.status === 404
+          ? 'This analysis is no longer available on the server. Please run it again.'
+          : 'Lost connection to the analysis server.');
+      }
+    };
+
+    const stream = async () => {
+      let url;
+      try {
+        url = await analysisJobEventsUrl(jobId);
+      } catch (err) {
+        if (!closed) {
+          poll();
+        }
+        return;
+      }
+      if (closed) return;
+      source = new EventSource(url);
+      source.onmessage = (e) => {
+        if (handleSnapshot(JSON.parse(e.data))) {
+          source.close();
+        }
+      };
+      // The token is used up, so a dropped stream is followed by polling instead of reconnecting
+      source.onerror = () => {
+        source.close();
+        if (!closed) {
+          poll();
+        }
+      };
+    };
+
+    if (window.EventSource) {
+      stream();
+    } else {
+      poll();
+    }
+
+    return () => {
+      closed = true;
+      if (source) source.close();
+      clearTimeout(pollTimer);
+    };
+  }, [jobId]);
+
+  const cancel = useCallback(async () => {
+    try {
+      setJob(await cancelAnalysisJob(jobId));
+    } catch (err) {
+      console.error('Error cancelling analysis job:', err);
+    }
+  }, [jobId]);
+
+  return { job, error, cancel };
+}
+
+export default useAnalysisJob;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+export const AuthContext = createContext(null);
+
+// The signed-in user and the account actions, provided by AuthProvider:
+// { user, ready, signIn, signUp, signOut }. `ready` is false while a stored
+// session is being checked.
+function useAuth() {
+  return useContext(AuthContext);
+}
+
+export default useAuth;
@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchMapLayers, fetchLayerTiles } from '../utils/api.js';
+import { basemaps, DEFAULT_OVERLAY_OPACITY } from '../utils/mapLayers.js';
+
+// Basemap choice and thematic overlays for the map page. Overlay tile URLs are
+// requested the first time a layer is switched on, since each one costs the
+// server an Earth Engine call.
+function useMapLayers() {
+  const [basemapId, setBasemapId] = useState(basemaps[0].id);
+  const [catalogue, setCatalogue] = useState([]);
+  const [catalogueError, setCatalogueError] = useState('');
+  // id -> { enabled, opacity, url, loading, error }
+  const [overlays, setOverlays] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchMapLayers()
+      .then((layers) => {
+        if (!cancelled) setCatalogue(layers);
+      })
+      .catch(() => {
+        if (!cancelled) setCatalogueError('Map overlays are unavailable right now.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateOverlay = useCallback((layerId, changes) => {
+    setOverlays((current) => ({
+      ...current,
+      [layerId]: { enabled: false, opacity: DEFAULT_OVERLAY_OPACITY, ...current[layerId], ...changes },
+    }));
+  }, []);
+
+  const toggleOverlay = useCallback(async (layerId) => {
+    const overlay = overlays[layerId];
+    if (overlay?.enabled) {
+      updateOverlay(layerId, { enabled: false });
+      return;
+    }
+    updateOverlay(layerId, { enabled: true, error: '' });
+    if (overlay?.url || overlay?.loading) {
+      return;
+    }
+
+    updateOverlay(layerId, { loading: true });
+    try {
+      const tiles = await fetchLayerTiles(layerId);
+      updateOverlay(layerId, { url: tiles.url, loading: false });
+    } catch (err) {
+      updateOverlay(layerId, {
+        enabled: false,
+        loading: false,
+        error: err.response?.data?.detail || 'Could not load this layer.',
+      });
+    }
+  }, [overlays, updateOverlay]);
+
+  const setOverlayOpacity = useCallback((layerId, opacity) => {
+    updateOverlay(layerId, { opacity });
+  }, [updateOverlay]);
+
+  const basemap = basemaps.find((item) => item.id === basemapId) || basemaps[0];
+
+  // Enabled overlays in catalogue order, ready to render as tile layers
+  const activeOverlays = catalogue
+    .filter((layer) => overlays[layer.id]?.enabled && overlays[layer.id]?.url)
+    .map((layer) => ({ ...layer, ...overlays[layer.id] }));
+
+  return {
+    basemap,
+    setBasemapId,
+    catalogue,
+    catalogueError,
+    overlays,
+    activeOverlays,
+    toggleOverlay,
+    setOverlayOpacity,
+  };
+}
+
+export default useMapLayers;
@@ -0,0 +1,97 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { submitAnalysisJob, getAnalysisJob } from '../utils/api.js';
+import {
+  listQueued,
+  updateQueued,
+  removeQueued,
+  claimQueued,
+  releaseQueued,
+  withQueueLock,
+  onQueueChange,
+  isOfflineError,
+} from '../utils/offlineQueue.js';
+import { saveReport } from '../utils/reportStore.js';
+import { completedJobData } from '../utils/sectionStatus.js';
+import useOnlineStatus from './useOnlineStatus.js';
+
+const SYNC_INTERVAL = 5000;
+
+// Sends the user's queued analyses while the browser is online and follows their jobs
+// until they finish; completed reports are saved to the history like any other.
+function useOfflineQueue(userId) {
+  const online = useOnlineStatus();
+  const [entries, setEntries] = useState(() => listQueued(userId));
+  const [tick, setTick] = useState(0);
+  const syncingRef = useRef(false);
+  const waiting = entries.filter((entry) => entry.status === 'queued').length;
+
+  useEffect(() => {
+    setEntries(listQueued(userId));
+    return onQueueChange(() => setEntries(listQueued(userId)));
+  }, [userId]);
+
+  // One pass over the queue at a time; another follows while anything is still waiting
+  // or running. Passes start when the connection returns and when an analysis is queued
+  useEffect(() => {
+    if (!online || !userId || syncingRef.current) return;
+    syncingRef.current = true;
+
+    // Only one tab sends and follows the queue at a time, and each entry is claimed before
+    // it is sent, so an analysis is neither submitted nor saved to the history twice
+    const sendQueued = async () => {
+      for (const { id } of listQueued(userId)) {
+        // Read back as claimed, in case another tab moved it on since the list was read
+        const entry = claimQueued(id);
+        if (!entry) {
+          continue;
+        }
+        try {
+          if (entry.status === 'queued') {
+            const jobId = await submitAnalysisJob(entry.selectedArea);
+            updateQueued(entry.id, { status: 'submitted', jobId, error: null });
+          } else {
+            const job = await getAnalysisJob(entry.jobId);
+            if (job.status === 'completed') {
+              saveReport({ selectedArea: entry.selectedArea, data: completedJobData(job) });
+              updateQueued(entry.id, { status: 'completed' });
+            } else if (job.status === 'failed' || job.status === 'cancelled') {
+              updateQueued(entry.id, { status: 'failed', error: job.error || 'The analysis did not finish.' });
+            }
+          }
+        } catch (error) {
+          if (isOfflineError(error)) {
+            break;
+          }
+          if (entry.status === 'submitted' && error.response?.status === 404) {
+            // The server no longer knows the job (e.g. it restarted), so send the analysis again
+            updateQueued(entry.id, { status: 'queued', jobId: null });
+          } else {
+            updateQueued(entry.id, { status: 'failed', error: error.response?.data?.detail || 'The analysis could not be sent.' });
+          }
+        } finally {
+          releaseQueued(entry.id);
+        }
+      }
+    };
+
+    const sync = async () => {
+      await withQueueLock(sendQueued);
+
+      syncingRef.current = false;
+      if (listQueued(userId).some((entry) => entry.status === 'queued' || entry.status === 'submitted')) {
+        setTimeout(() => setTick((current) => current + 1), SYNC_INTERVAL);
+      }
+    };
+
+    sync();
+  }, [online, userId, tick, waiting]);
+
+  const retry = useCallback((id) => {
+    updateQueued(id, { status: 'queued', jobId: null, error: null });
+    setTick((current) => current + 1);
+  }, []);
+
+  return { entries, online, retry, remove: removeQueued };
+}
+
+export default useOfflineQueue;
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  fetchProject,
+  fetchProjectSite,
+  fetchSiteComments,
+  saveProjectSite,
+  addSiteComment,
+  deleteSiteComment,
+} from '../utils/api.js';
+
+// Loads a site of a project (its saved report and the card comments on it) for the
+// result page. Does nothing without both ids, so the page works the same outside projects.
+function useProjectSite(projectId, siteId) {
+  const [project, setProject] = useState(null);
+  const [site, setSite] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setProject(null);
+    setSite(null);
+    setComments([]);
+    setError('');
+    if (!projectId || !siteId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    Promise.all([fetchProject(projectId), fetchProjectSite(projectId, siteId), fetchSiteComments(projectId, siteId)])
+      .then(([loadedProject, loadedSite, loadedComments]) => {
+        if (cancelled) return;
+        setProject(loadedProject);
+        setSite(loadedSite);
+        setComments(loadedComments);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.response?.data?.detail || 'Could not load this project site.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, siteId]);
+
+  // Replaces the project's copy of the report (editors and owners only)
+  const updateSite = useCallback(async (report) => {
+    const saved = await saveProjectSite(projectId, report);
+    setSite(saved);
+    return saved;
+  }, [projectId]);
+
+  const addComment = useCallback(async (section, body) => {
+    setComments(await addSiteComment(projectId, siteId, { section, body }));
+  }, [projectId, siteId]);
+
+  const deleteComment = useCallback(async (commentId) => {
+    setComments(await deleteSiteComment(projectId, commentId));
+  }, [projectId]);
+
+  return { project, site, comments, error, updateSite, addComment, deleteComment };
+}
+
+export default useProjectSite;
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx'; 
 import "./style.css"
+import { register as registerServiceWorker } from './serviceWorkerRegistration.js';
 
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -13,5 +14,5 @@ root.render(
   </React.StrictMode>
 );
 
-
-
+// Installable PWA: caches the app shell and map tiles for offline use
+registerServiceWorker();
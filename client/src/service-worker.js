@@ -0,0 +1,45 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { TILE_CACHE, TILE_HOSTS, MAX_CACHED_TILES } from './utils/offlineTiles.js';
+
+// Service worker built by react-scripts (InjectManifest) for production builds only.
+// It keeps the app shell so the app opens without a connection; saved reports live in
+// localStorage and need nothing more. API calls are never cached: offline, analyses are
+// queued by the page instead (see utils/offlineQueue.js).
+
+clientsClaim();
+
+// Every file of the build, replaced with the real list at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Client-side routes (/result, /history, ...) are answered with index.html
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && url.origin === self.location.origin && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Map tiles come from the cache first, which also holds the tiles downloaded for offline use.
+// Leaflet loads tiles as plain images, so their responses are opaque (status 0).
+registerRoute(
+  ({ url }) => TILE_HOSTS.some((host) => url.hostname.endsWith(host)),
+  new CacheFirst({
+    cacheName: TILE_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: MAX_CACHED_TILES, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// Lets the page activate an updated worker straight away
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
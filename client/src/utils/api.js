@@ -0,0 +1,358 @@
+import axios from 'axios';
+import { periodPayload } from './period.js';
+
+export const API_BASE_URL = 'http://localhost:8000';
+
+// Session token of the signed-in user, sent with every axios request (see AuthProvider)
+let authToken = null;
+
+export function setAuthToken(token) {
+  authToken = token;
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+}
+
+// Calls `onExpired` when the server rejects the session of a signed-in user.
+// Returns a function that removes the handler.
+export function onSessionExpired(onExpired) {
+  const interceptor = axios.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (error.response?.status === 401 && error.config?.headers?.Authorization) {
+        onExpired();
+      }
+      return Promise.reject(error);
+    }
+  );
+  return () => axios.interceptors.response.eject(interceptor);
+}
+
+// Runs the full sustainability analysis for a point or drawn area.
+// Takes the same `selectedArea` shape the map hands to the result page; its
+// optional `period` narrows the years (and season) the analyses look at.
+export async function fetchSustainabilityReport({ latitude, longitude, geometry, period }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/sustainability-result`,
+    { latitude, longitude, geometry: geometry || null, period: periodPayload(period) },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+// Background analysis jobs: submit returns immediately with a job id whose
+// progress can be followed with getAnalysisJob or the server-sent events stream
+export async function submitAnalysisJob({ latitude, longitude, geometry, period }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/jobs`,
+    { latitude, longitude, geometry: geometry || null, period: periodPayload(period) },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data.job_id;
+}
+
+export async function getAnalysisJob(jobId) {
+  const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}`);
+  return response.data;
+}
+
+export async function cancelAnalysisJob(jobId) {
+  const response = await axios.delete(`${API_BASE_URL}/jobs/${jobId}`);
+  return response.data;
+}
+
+// EventSource cannot send headers, so the stream is opened with a short-lived,
+// single-use token for this job rather than the session token
+export async function analysisJobEventsUrl(jobId) {
+  const response = await axios.post(`${API_BASE_URL}/jobs/${jobId}/events-token`);
+  return `${API_BASE_URL}/jobs/${jobId}/events?token=${encodeURIComponent(response.data.token)}`;
+}
+
+// Average monthly rainfall totals (mm) for reports saved before the water
+// analysis started returning them
+export async function fetchMonthlyRainfall({ latitude, longitude }) {
+  const response = await axios.get(`${API_BASE_URL}/rainfall/monthly`, { params: { latitude, longitude } });
+  return response.data;
+}
+
+// Map overlays: the catalogue is cheap, tile URLs are created on demand per layer
+export async function fetchMapLayers() {
+  const response = await axios.get(`${API_BASE_URL}/layers`);
+  return response.data;
+}
+
+export async function fetchLayerTiles(layerId) {
+  const response = await axios.get(`${API_BASE_URL}/layers/${layerId}/tiles`);
+  return response.data;
+}
+
+// Place search and reverse geocoding go through the server, which picks the provider and
+// falls back to its own gazetteer. Places are { id, name, latitude, longitude, type }.
+export async function searchPlaces(query) {
+  const response = await axios.get(`${API_BASE_URL}/geocode/search`, { params: { q: query, limit: 10 } });
+  return response.data.results;
+}
+
+// Resolves with the place at the coordinates, or null when nothing is known there
+export async function reverseGeocode(latitude, longitude) {
+  const response = await axios.get(`${API_BASE_URL}/geocode/reverse`, { params: { latitude, longitude } });
+  return response.data.result;
+}
+
+// Grid scan: scores a grid of cells inside the region for one analysis as a
+// background job, followed with the same job helpers as a full report
+export async function submitGridScan({ geometry, analysis, targetCells }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/grid-scan`,
+    { geometry, analysis, target_cells: targetCells },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+// Follow-up chat about a report. The reply is streamed as plain text, so this uses
+// fetch rather than axios to read it chunk by chunk (and sends the session token itself);
+// `onChunk` gets each piece.
+// Resolves with the full reply. Pass an AbortController signal to stop early.
+export async function streamChat({ report, recommendations, messages, provider, signal, onChunk }) {
+  const response = await fetch(`${API_BASE_URL}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}) },
+    body: JSON.stringify({ report, recommendations: recommendations || null, messages, provider: provider || null }),
+    signal,
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.detail || `Chat request failed (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let reply = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const chunk = decoder.decode(value, { stream: true });
+    reply += chunk;
+    onChunk(chunk);
+  }
+  return reply;
+}
+
+// Structured recommendations for an existing report (used to retry or upgrade old ones)
+export async function fetchRecommendations(report) {
+  const response = await axios.post(
+    `${API_BASE_URL}/recommendations`,
+    { report },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+// Scoring profiles: named weights and thresholds. The selected profile is used
+// for every analysis that does not name one.
+const profileBody = ({ name, description, solar, water, windmill, afforestation }) => (
+  { name, description, solar, water, windmill, afforestation }
+);
+
+export async function fetchScoringProfiles() {
+  const response = await axios.get(`${API_BASE_URL}/scoring-profiles`);
+  return response.data;
+}
+
+export async function createScoringProfile(profile) {
+  const response = await axios.post(
+    `${API_BASE_URL}/scoring-profiles`,
+    profileBody(profile),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function updateScoringProfile(id, profile) {
+  const response = await axios.put(
+    `${API_BASE_URL}/scoring-profiles/${id}`,
+    profileBody(profile),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function deleteScoringProfile(id) {
+  const response = await axios.delete(`${API_BASE_URL}/scoring-profiles/${id}`);
+  return response.data;
+}
+
+export async function selectScoringProfile(id) {
+  const response = await axios.post(`${API_BASE_URL}/scoring-profiles/${id}/select`);
+  return response.data;
+}
+
+// Re-runs one analysis of a report (e.g. one that came back unavailable) without
+// recomputing the others. Resolves with { section, result, scoring_profile }.
+export async function rerunReportSection(section, { latitude, longitude, geometry, period }, scoringProfileId) {
+  const response = await axios.post(
+    `${API_BASE_URL}/sustainability-result/${section}`,
+    {
+      latitude,
+      longitude,
+      geometry: geometry || null,
+      period: periodPayload(period),
+      scoring_profile_id: scoringProfileId || null,
+    },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+// Accounts. Sign-up and sign-in resolve with { token, user }.
+export async function signUp({ email, password }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/auth/signup`,
+    { email, password },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function signIn({ email, password }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/auth/signin`,
+    { email, password },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function signOut() {
+  const response = await axios.post(`${API_BASE_URL}/auth/signout`);
+  return response.data;
+}
+
+export async function fetchCurrentUser() {
+  const response = await axios.get(`${API_BASE_URL}/auth/me`);
+  return response.data;
+}
+
+// The signed-in user's workspace: their saved reports, kept as the report store writes them
+export async function fetchWorkspaceReports() {
+  const response = await axios.get(`${API_BASE_URL}/workspace/reports`);
+  return response.data;
+}
+
+export async function saveWorkspaceReport(report) {
+  const response = await axios.put(
+    `${API_BASE_URL}/workspace/reports/${report.id}`,
+    { report },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function deleteWorkspaceReport(id) {
+  const response = await axios.delete(`${API_BASE_URL}/workspace/reports/${id}`);
+  return response.data;
+}
+
+// Projects group saved reports (sites) for a team. Members are viewers, editors or the owner;
+// the server answers 403 when the caller's role does not allow a change.
+export async function fetchProjects() {
+  const response = await axios.get(`${API_BASE_URL}/projects`);
+  return response.data;
+}
+
+export async function createProject({ name, description }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/projects`,
+    { name, description: description || '' },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+// Resolves with the project, the caller's role, its members and its sites
+export async function fetchProject(id) {
+  const response = await axios.get(`${API_BASE_URL}/projects/${id}`);
+  return response.data;
+}
+
+export async function updateProject(id, { name, description }) {
+  const response = await axios.put(
+    `${API_BASE_URL}/projects/${id}`,
+    { name, description: description || '' },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function deleteProject(id) {
+  const response = await axios.delete(`${API_BASE_URL}/projects/${id}`);
+  return response.data;
+}
+
+// Invites go to existing accounts only, by their email
+export async function addProjectMember(projectId, { email, role }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/projects/${projectId}/members`,
+    { email, role },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function updateProjectMember(projectId, memberId, role) {
+  const response = await axios.put(
+    `${API_BASE_URL}/projects/${projectId}/members/${memberId}`,
+    { role },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function removeProjectMember(projectId, memberId) {
+  const response = await axios.delete(`${API_BASE_URL}/projects/${projectId}/members/${memberId}`);
+  return response.data;
+}
+
+// Sites are saved reports copied into the project under the report's id
+export async function saveProjectSite(projectId, report) {
+  const response = await axios.put(
+    `${API_BASE_URL}/projects/${projectId}/sites/${report.id}`,
+    { report },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function fetchProjectSite(projectId, siteId) {
+  const response = await axios.get(`${API_BASE_URL}/projects/${projectId}/sites/${siteId}`);
+  return response.data;
+}
+
+export async function removeProjectSite(projectId, siteId) {
+  const response = await axios.delete(`${API_BASE_URL}/projects/${projectId}/sites/${siteId}`);
+  return response.data;
+}
+
+// Comments are attached to one card (section) of a site's report. Adding or deleting
+// one resolves with the site's updated comment list.
+export async function fetchSiteComments(projectId, siteId) {
+  const response = await axios.get(`${API_BASE_URL}/projects/${projectId}/sites/${siteId}/comments`);
+  return response.data;
+}
+
+export async function addSiteComment(projectId, siteId, { section, body }) {
+  const response = await axios.post(
+    `${API_BASE_URL}/projects/${projectId}/sites/${siteId}/comments`,
+    { section, body },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return response.data;
+}
+
+export async function deleteSiteComment(projectId, commentId) {
+  const response = await axios.delete(`${API_BASE_URL}/projects/${projectId}/comments/${commentId}`);
+  return response.data;
+}
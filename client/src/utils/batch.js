@@ -0,0 +1,176 @@
+import {
+  isValidCoordinate,
+  polygonCentroid,
+  fromGeoJSONPolygon,
+  holesFromGeoJSONPolygon,
+  toGeoJSONPolygon,
+} from './geometry.js';
+
+// Parsing and queueing for batch analyses uploaded as CSV or GeoJSON.
+// Parsed sites look like { name, latitude, longitude, geometry, error }.
+
+const LATITUDE_HEADERS = ['lat', 'latitude', 'y'];
+const LONGITUDE_HEADERS = ['lon', 'lng', 'long', 'longitude', 'x'];
+const NAME_HEADERS = ['name', 'site', 'place', 'label'];
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function validateSite(site) {
+  if (!isValidCoordinate(site.latitude, site.longitude)) {
+    return { ...site, error: 'Latitude must be -90 to 90 and longitude -180 to 180.' };
+  }
+  return site;
+}
+
+export function parseSitesFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('The CSV file is empty.');
+  }
+
+  const columns = header.map((cell) => cell.trim().toLowerCase());
+  const latIndex = columns.findIndex((column) => LATITUDE_HEADERS.includes(column));
+  const lonIndex = columns.findIndex((column) => LONGITUDE_HEADERS.includes(column));
+  const nameIndex = columns.findIndex((column) => NAME_HEADERS.includes(column));
+
+  if (latIndex === -1 || lonIndex === -1) {
+    throw new Error('The CSV needs "lat" and "lon" (or "latitude" and "longitude") columns.');
+  }
+
+  return rows.map((cells, index) => validateSite({
+    name: nameIndex !== -1 && cells[nameIndex]?.trim() ? cells[nameIndex].trim() : `Row ${index + 2}`,
+    latitude: parseFloat(cells[latIndex]),
+    longitude: parseFloat(cells[lonIndex]),
+    geometry: null,
+  }));
+}
+
+function siteFromGeometry(geometry, name) {
+  if (geometry?.type === 'Point') {
+    const [longitude, latitude] = geometry.coordinates || [];
+    return validateSite({ name, latitude, longitude, geometry: null });
+  }
+
+  if (geometry?.type === 'Polygon') {
+    const vertices = fromGeoJSONPolygon(geometry);
+    const holes = holesFromGeoJSONPolygon(geometry);
+    const validRing = (ring) => ring.length >= 3 && ring.every(([lat, lng]) => isValidCoordinate(lat, lng));
+    if (!validRing(vertices)) {
+      return { name, latitude: NaN, longitude: NaN, geometry: null, error: 'Polygon needs at least three valid vertices.' };
+    }
+    if (!holes.every(validRing)) {
+      return { name, latitude: NaN, longitude: NaN, geometry: null, error: 'Polygon holes need at least three valid vertices each.' };
+    }
+    const [latitude, longitude] = polygonCentroid(vertices);
+    return { name, latitude, longitude, geometry: toGeoJSONPolygon(vertices, holes) };
+  }
+
+  return { name, latitude: NaN, longitude: NaN, geometry: null, error: `Unsupported geometry type "${geometry?.type}".` };
+}
+
+export function parseSitesFromGeoJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  let features;
+  if (json.type === 'FeatureCollection') {
+    features = json.features || [];
+  } else if (json.type === 'Feature') {
+    features = [json];
+  } else {
+    features = [{ type: 'Feature', geometry: json, properties: {} }];
+  }
+
+  return features.map((feature, index) => {
+    const properties = feature.properties || {};
+    const name = properties.name || properties.site || properties.place || `Feature ${index + 1}`;
+    return siteFromGeometry(feature.geometry, String(name));
+  });
+}
+
+export function parseSitesFile(filename, text) {
+  return /\.csv$/i.test(filename) ? parseSitesFromCsv(text) : parseSitesFromGeoJSON(text);
+}
+
+// Client errors (4xx) will fail again, so only network and server errors are retried
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status >= 500;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs `worker(item)` for each item with at most `concurrency` in flight, retrying
+// failures with exponential backoff. `onUpdate(index, patch)` reports progress and
+// `shouldStop()` lets the caller stop picking up new items.
+export async function runQueue(items, worker, { concurrency = 2, retries = 2, onUpdate, shouldStop = () => false }) {
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      for (let attempt = 0; ; attempt++) {
+        onUpdate(index, { status: attempt === 0 ? 'running' : 'retrying', attempts: attempt + 1 });
+        try {
+          const result = await worker(items[index]);
+          onUpdate(index, { status: 'done', result, error: '' });
+          break;
+        } catch (error) {
+          const message = error.response?.data?.detail || error.message || 'Request failed.';
+          if (attempt >= retries || !isRetryable(error) || shouldStop()) {
+            onUpdate(index, { status: 'failed', error: message });
+            break;
+          }
+          onUpdate(index, { status: 'retrying', error: message });
+          await wait(2000 * 2 ** attempt);
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+}
@@ -0,0 +1,94 @@
+// Helpers for turning report data into downloadable files
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  // Text starting like a formula (e.g. an uploaded site name "=HYPERLINK(...)") would run in
+  // Excel or Sheets, so it is prefixed with a quote; numbers such as negative longitudes are kept
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` is a list of { key, label }; rows are plain objects
+export function toCsv(columns, rows) {
+  const header = columns.map((column) => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map((row) => columns.map((column) => escapeCsvValue(row[column.key])).join(','));
+  return [header, ...lines].join('\n');
+}
+
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// File-system friendly slug for download names
+export function fileSlug(text) {
+  return (text || 'report')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'report';
+}
+
+// Nested objects become dotted keys: { report: { a: { b: 1 } } } -> { 'report.a.b': 1 }.
+// Arrays (chart series) don't fit a flat record and are left out.
+export function flattenObject(value, prefix = '', result = {}) {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(child)) {
+      return;
+    }
+    if (child && typeof child === 'object') {
+      flattenObject(child, path, result);
+    } else {
+      result[path] = child;
+    }
+  });
+  return result;
+}
+
+// One flat record describing the analysed site and every report.* field
+export function buildReportRecord(data, selectedArea) {
+  return {
+    place_name: selectedArea.placeName || data.place_name || '',
+    latitude: selectedArea.latitude,
+    longitude: selectedArea.longitude,
+    area_hectares: selectedArea.areaHectares ?? '',
+    exported_at: new Date().toISOString(),
+    ...flattenObject(data.report, 'report'),
+  };
+}
+
+export function reportToCsv(data, selectedArea) {
+  const record = buildReportRecord(data, selectedArea);
+  const columns = Object.keys(record).map((key) => ({ key, label: key }));
+  return toCsv(columns, [record]);
+}
+
+export function reportToJson(data, selectedArea) {
+  return JSON.stringify(buildReportRecord(data, selectedArea), null, 2);
+}
+
+// GeoJSON Feature with the drawn area (or the point) and the scores as properties
+export function reportToGeoJSON(data, selectedArea) {
+  const geometry = selectedArea.geometry || {
+    type: 'Point',
+    coordinates: [Number(selectedArea.longitude), Number(selectedArea.latitude)],
+  };
+  return JSON.stringify({
+    type: 'Feature',
+    geometry,
+    properties: buildReportRecord(data, selectedArea),
+  }, null, 2);
+}
@@ -0,0 +1,117 @@
+// Geometry helpers for the area-of-interest tools. Vertices are kept as
+// [lat, lng] pairs, the same shape the map uses for `position`.
+
+const EARTH_RADIUS = 6378137; // metres (WGS84)
+const DEG_TO_RAD = Math.PI / 180;
+
+// Geodesic area of a ring in square metres (same approximation Leaflet.draw uses)
+export function geodesicArea(vertices) {
+  if (!vertices || vertices.length < 3) {
+    return 0;
+  }
+
+  let area = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const [lat1, lng1] = vertices[i];
+    const [lat2, lng2] = vertices[(i + 1) % vertices.length];
+    area += (lng2 - lng1) * DEG_TO_RAD *
+      (2 + Math.sin(lat1 * DEG_TO_RAD) + Math.sin(lat2 * DEG_TO_RAD));
+  }
+  return Math.abs(area * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+// Bounds check for user-supplied coordinates (map form, URLs, uploaded files)
+export function isValidCoordinate(lat, lng) {
+  return !isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+export function squareMetresToHectares(squareMetres) {
+  return squareMetres / 10000;
+}
+
+export function formatHectares(hectares) {
+  if (hectares >= 100) {
+    return `${hectares.toLocaleString(undefined, { maximumFractionDigits: 0 })} ha`;
+  }
+  return `${hectares.toFixed(2)} ha`;
+}
+
+// Axis-aligned rectangle between two opposite corners
+export function rectangleFromCorners(a, b) {
+  const south = Math.min(a[0], b[0]);
+  const north = Math.max(a[0], b[0]);
+  const west = Math.min(a[1], b[1]);
+  const east = Math.max(a[1], b[1]);
+  return [[south, west], [north, west], [north, east], [south, east]];
+}
+
+// Drop consecutive duplicate vertices (a double click adds the same point twice)
+// and the closing vertex of a GeoJSON ring
+export function dedupeVertices(vertices, tolerance = 1e-9) {
+  const same = (a, b) => Math.abs(a[0] - b[0]) <= tolerance && Math.abs(a[1] - b[1]) <= tolerance;
+  const result = [];
+  vertices.forEach((vertex) => {
+    if (result.length === 0 || !same(vertex, result[result.length - 1])) {
+      result.push(vertex);
+    }
+  });
+  while (result.length > 1 && same(result[0], result[result.length - 1])) {
+    result.pop();
+  }
+  return result;
+}
+
+// Area-weighted centroid, falling back to the vertex mean for degenerate rings
+export function polygonCentroid(vertices) {
+  let twiceArea = 0;
+  let lat = 0;
+  let lng = 0;
+
+  for (let i = 0; i < vertices.length; i++) {
+    const [y1, x1] = vertices[i];
+    const [y2, x2] = vertices[(i + 1) % vertices.length];
+    const cross = x1 * y2 - x2 * y1;
+    twiceArea += cross;
+    lng += (x1 + x2) * cross;
+    lat += (y1 + y2) * cross;
+  }
+
+  if (Math.abs(twiceArea) < 1e-12) {
+    const sum = vertices.reduce((acc, [vLat, vLng]) => [acc[0] + vLat, acc[1] + vLng], [0, 0]);
+    return [sum[0] / vertices.length, sum[1] / vertices.length];
+  }
+  return [lat / (3 * twiceArea), lng / (3 * twiceArea)];
+}
+
+// GeoJSON Polygon (lng/lat order, closed rings) for the API; `holes` are inner rings of [lat, lng] vertices
+export function toGeoJSONPolygon(vertices, holes = []) {
+  const toRing = (ringVertices) => {
+    const ring = ringVertices.map(([lat, lng]) => [Number(lng.toFixed(6)), Number(lat.toFixed(6))]);
+    ring.push(ring[0]);
+    return ring;
+  };
+  return {
+    type: 'Polygon',
+    coordinates: [toRing(vertices), ...holes.map(toRing)],
+  };
+}
+
+function ringVertices(ring) {
+  return dedupeVertices(ring.map(([lng, lat]) => [lat, lng]));
+}
+
+// Outer ring of a GeoJSON Polygon as [lat, lng] vertices
+export function fromGeoJSONPolygon(geometry) {
+  if (!geometry || geometry.type !== 'Polygon' || !geometry.coordinates?.length) {
+    return [];
+  }
+  return ringVertices(geometry.coordinates[0]);
+}
+
+// Inner rings (holes) of a GeoJSON Polygon, each as [lat, lng] vertices
+export function holesFromGeoJSONPolygon(geometry) {
+  if (!geometry || geometry.type !== 'Polygon' || !geometry.coordinates?.length) {
+    return [];
+  }
+  return geometry.coordinates.slice(1).map(ringVertices);
+}
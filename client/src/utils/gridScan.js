@@ -0,0 +1,57 @@
+// Helpers for the grid scan overlay on the map page.
+
+export const scanAnalyses = [
+  { id: 'solar', label: 'Solar' },
+  { id: 'wind', label: 'Wind' },
+  { id: 'water', label: 'Water harvesting' },
+  { id: 'afforestation', label: 'Afforestation' },
+];
+
+export const scanSizes = [100, 200, 400];
+
+// Same ramp as the server's suitability heatmaps (server/gee_layers.py)
+const SCORE_PALETTE = ['#7f1d1d', '#ef4444', '#f59e0b', '#facc15', '#22c55e', '#15803d'];
+
+const hexToRgb = (hex) => [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+
+// Colour for a 0-1 score, interpolated along the palette; grey when the cell has no data
+export function scoreColor(score) {
+  if (score === null || score === undefined || isNaN(score)) {
+    return '#6b7280';
+  }
+  const position = Math.min(Math.max(score, 0), 1) * (SCORE_PALETTE.length - 1);
+  const index = Math.min(Math.floor(position), SCORE_PALETTE.length - 2);
+  const t = position - index;
+  const from = hexToRgb(SCORE_PALETTE[index]);
+  const to = hexToRgb(SCORE_PALETTE[index + 1]);
+  const mixed = from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+  return `rgb(${mixed.join(', ')})`;
+}
+
+export const scoreGradient = `linear-gradient(to right, ${SCORE_PALETTE.join(', ')})`;
+
+// Cells scored so far: the ranked list once the scan is done, otherwise the finished batches
+export function scanCells(job) {
+  if (!job) {
+    return [];
+  }
+  if (job.scan?.cells) {
+    return job.scan.cells;
+  }
+  return Object.values(job.report || {}).flat();
+}
+
+export function topCells(cells, count) {
+  return cells
+    .filter((cell) => cell.score !== null && cell.score !== undefined)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count);
+}
+
+// Human-readable component values for a cell's popup and the ranked list
+export function describeComponents(components) {
+  return Object.entries(components || {}).map(([key, value]) => ({
+    label: key.replace(/_/g, ' ').replace(/\b\w/g, (letter) => letter.toUpperCase()),
+    value,
+  }));
+}
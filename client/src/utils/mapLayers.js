@@ -0,0 +1,32 @@
+// Basemaps for the map page. Thematic overlays come from the API (see useMapLayers).
+
+export const basemaps = [
+  {
+    id: 'streets',
+    label: 'Streets',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  },
+  {
+    id: 'satellite',
+    label: 'Satellite',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics and the GIS User Community',
+    maxZoom: 19,
+  },
+];
+
+export const DEFAULT_OVERLAY_OPACITY = 0.7;
+
+// CSS gradient for a continuous legend
+export function legendGradient(legend) {
+  if (!legend?.palette?.length) {
+    return null;
+  }
+  return `linear-gradient(to right, ${legend.palette.join(', ')})`;
+}
+
+// Soil texture is categorical: one swatch per class instead of a ramp
+export function isCategoricalLegend(legend) {
+  return Boolean(legend?.labels && legend.labels.length === legend.palette?.length);
+}
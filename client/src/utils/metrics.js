@@ -0,0 +1,99 @@
+// Numeric fields of a sustainability report, grouped by analysis section.
+// `better` says which direction is favourable; null means the value is informational only.
+// `verdictKey` names the section's text verdict field.
+export const reportSections = [
+  {
+    key: 'solar_potential',
+    title: 'Solar Potential',
+    verdictKey: 'result',
+    metrics: [
+      { key: 'average_radiation', label: 'Average Radiation', unit: 'kWh/m²/day', better: 'higher' },
+    ],
+  },
+  {
+    key: 'afforestation_feasibility',
+    title: 'Afforestation Feasibility',
+    verdictKey: 'feasibility',
+    metrics: [
+      { key: 'green_cover_percent', label: 'Green Cover', unit: '%', better: 'higher' },
+      { key: 'barren_land_percent', label: 'Barren Land', unit: '%', better: null },
+      { key: 'afforestation_potential_percent', label: 'Afforestation Potential', unit: '%', better: 'higher' },
+    ],
+  },
+  {
+    key: 'water_harvesting',
+    title: 'Water Harvesting',
+    verdictKey: 'feasibility',
+    metrics: [
+      { key: 'rainfall_score', label: 'Rainfall Score', better: 'higher' },
+      { key: 'soil_score', label: 'Soil Score', better: 'higher' },
+      { key: 'slope_score', label: 'Slope Score', better: 'higher' },
+      { key: 'water_harvesting_score', label: 'Water Harvesting Score', better: 'higher' },
+    ],
+  },
+  {
+    key: 'windmill_feasibility',
+    title: 'Windmill Feasibility',
+    verdictKey: 'feasibility',
+    metrics: [
+      { key: 'wind_score', label: 'Wind Score', better: 'higher' },
+      { key: 'slope_score', label: 'Slope Score', better: 'higher' },
+      { key: 'land_score', label: 'Land Score', better: 'higher' },
+      { key: 'windmill_feasibility_score', label: 'Windmill Feasibility Score', better: 'higher' },
+    ],
+  },
+];
+
+export function getMetricValue(report, sectionKey, metricKey) {
+  const value = report?.[sectionKey]?.[metricKey];
+  return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+// Each analysis is scaled to 0-1 so the four can be averaged into an overall score.
+// Solar radiation is scaled against 7 kWh/m²/day, roughly the best sites on Earth.
+const overallComponents = [
+  { sectionKey: 'solar_potential', metricKey: 'average_radiation', scale: (value) => Math.min(value / 7, 1) },
+  { sectionKey: 'afforestation_feasibility', metricKey: 'afforestation_potential_percent', scale: (value) => Math.min(value / 100, 1) },
+  { sectionKey: 'water_harvesting', metricKey: 'water_harvesting_score', scale: (value) => value },
+  { sectionKey: 'windmill_feasibility', metricKey: 'windmill_feasibility_score', scale: (value) => value },
+];
+
+// Mean of the available scaled scores, or null when the report has none of them
+export function overallScore(report) {
+  const scores = overallComponents
+    .map(({ sectionKey, metricKey, scale }) => {
+      const value = getMetricValue(report, sectionKey, metricKey);
+      return value === null ? null : scale(value);
+    })
+    .filter((score) => score !== null);
+
+  if (scores.length === 0) {
+    return null;
+  }
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+// Indices of the best and worst values in a row; ties and single values get no highlight
+export function rankExtremes(values, better) {
+  const present = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => value !== null);
+
+  if (!better || present.length < 2) {
+    return { best: [], worst: [] };
+  }
+
+  const numbers = present.map(({ value }) => value);
+  const max = Math.max(...numbers);
+  const min = Math.min(...numbers);
+  if (max === min) {
+    return { best: [], worst: [] };
+  }
+
+  const top = better === 'higher' ? max : min;
+  const bottom = better === 'higher' ? min : max;
+  return {
+    best: present.filter(({ value }) => value === top).map(({ index }) => index),
+    worst: present.filter(({ value }) => value === bottom).map(({ index }) => index),
+  };
+}
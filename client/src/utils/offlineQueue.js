@@ -0,0 +1,110 @@
+// Analyses requested while offline. Each entry waits in localStorage until the
+// connection returns, is then submitted as a background job, and ends up in the
+// report history once the job completes (see useOfflineQueue).
+//
+// Entry: { id, owner, selectedArea, queuedAt, status, jobId, error, claimedBy, claimedAt }
+// where status is 'queued' (not sent yet), 'submitted' (job running), 'completed' or
+// 'failed', and claimedBy is the tab currently sending or following it.
+
+const STORAGE_KEY = 'zerra.analysisQueue';
+const CHANGE_EVENT = 'zerra:analysis-queue';
+const LOCK_NAME = 'zerra.analysisQueue';
+
+// Claims of a tab that was closed mid-request are taken over after this long
+const CLAIM_TTL = 60 * 1000;
+
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+function readQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function writeQueue(entries) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+// A request that never reached the server, as opposed to one the server refused
+export function isOfflineError(error) {
+  return !error.response && (!navigator.onLine || error.code === 'ERR_NETWORK');
+}
+
+// Oldest first, so analyses are sent in the order they were asked for
+export function listQueued(owner) {
+  return owner ? readQueue().filter((entry) => entry.owner === owner) : [];
+}
+
+export function queueAnalysis(owner, selectedArea) {
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    owner,
+    selectedArea,
+    queuedAt: Date.now(),
+    status: 'queued',
+    jobId: null,
+    error: null,
+  };
+  writeQueue([...readQueue(), entry]);
+  return entry;
+}
+
+export function updateQueued(id, changes) {
+  writeQueue(readQueue().map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+}
+
+// Marks an entry that still has to be sent or followed as handled by this tab and returns
+// it as stored now; null when it is finished or another tab has a live claim on it.
+// Without the Web Locks API two tabs can still race between the read and the write, so
+// this narrows rather than closes the window; withQueueLock closes it where available.
+export function claimQueued(id) {
+  const now = Date.now();
+  const entry = readQueue().find((item) => item.id === id);
+  if (!entry || (entry.status !== 'queued' && entry.status !== 'submitted')) {
+    return null;
+  }
+  if (entry.claimedBy && entry.claimedBy !== TAB_ID && now - entry.claimedAt < CLAIM_TTL) {
+    return null;
+  }
+  const claimed = { ...entry, claimedBy: TAB_ID, claimedAt: now };
+  updateQueued(id, claimed);
+  return claimed;
+}
+
+export function releaseQueued(id) {
+  updateQueued(id, { claimedBy: null, claimedAt: null });
+}
+
+// Runs `callback` while no other tab is working through the queue. Resolves false without
+// running it when another tab holds the lock.
+export async function withQueueLock(callback) {
+  if (!navigator.locks) {
+    await callback();
+    return true;
+  }
+  return navigator.locks.request(LOCK_NAME, { ifAvailable: true }, async (lock) => {
+    if (!lock) return false;
+    await callback();
+    return true;
+  });
+}
+
+export function removeQueued(id) {
+  writeQueue(readQueue().filter((entry) => entry.id !== id));
+}
+
+// Calls `callback` whenever the queue changes, in this tab or another one; returns an unsubscribe function
+export function onQueueChange(callback) {
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEY) callback();
+  };
+  window.addEventListener(CHANGE_EVENT, callback);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, callback);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
@@ -0,0 +1,125 @@
+// Map tiles kept for offline use. The service worker serves basemap tiles from this
+// cache first; the page fills it ahead of a site visit with downloadTiles.
+
+export const TILE_CACHE = 'zerra-tiles';
+
+// Hosts of the basemaps in mapLayers.js whose tiles are cached
+export const TILE_HOSTS = ['tile.openstreetmap.org', 'server.arcgisonline.com'];
+
+export const MAX_CACHED_TILES = 5000;
+
+// One download is capped well below the cache size; the tile servers are shared
+// public services and ask clients not to bulk-download
+export const MAX_DOWNLOAD_TILES = 1500;
+export const MAX_DOWNLOAD_ZOOM = 17;
+
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Leaflet spreads {s} requests over these subdomains by (x + y); the same choice
+// here means a downloaded tile has exactly the URL the map will ask for
+const SUBDOMAINS = 'abc';
+
+// Downloaded tiles are only used when the service worker controls the page
+export function tileCacheAvailable() {
+  return typeof window !== 'undefined' && 'caches' in window && Boolean(navigator.serviceWorker?.controller);
+}
+
+function tileX(lng, zoom) {
+  return Math.floor(((lng + 180) / 360) * 2 ** zoom);
+}
+
+function tileY(lat, zoom) {
+  const radians = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom);
+}
+
+function tileRange({ south, west, north, east }, zoom) {
+  const last = 2 ** zoom - 1;
+  const clamp = (value) => Math.min(Math.max(value, 0), last);
+  return {
+    minX: clamp(tileX(west, zoom)),
+    maxX: clamp(tileX(east, zoom)),
+    minY: clamp(tileY(Math.min(north, 85.0511), zoom)),
+    maxY: clamp(tileY(Math.max(south, -85.0511), zoom)),
+  };
+}
+
+// Number of tiles covering the bounds over the zoom range
+export function countTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom += 1) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, zoom);
+    count += (maxX - minX + 1) * (maxY - minY + 1);
+  }
+  return count;
+}
+
+// Tile URLs of a basemap covering `bounds` ({ south, west, north, east }) from minZoom to maxZoom
+export function tileUrls(basemap, bounds, minZoom, maxZoom) {
+  const urls = [];
+  for (let zoom = minZoom; zoom <= maxZoom; zoom += 1) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, zoom);
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let y = minY; y <= maxY; y += 1) {
+        urls.push(
+          basemap.url
+            .replace('{s}', SUBDOMAINS[(x + y) % SUBDOMAINS.length])
+            .replace('{z}', zoom)
+            .replace('{x}', x)
+            .replace('{y}', y)
+        );
+      }
+    }
+  }
+  return urls;
+}
+
+// Fetches the tiles into the tile cache, skipping ones already there. `onProgress` gets
+// (done, total); returning true from `isCancelled` stops the download. Resolves with the
+// number of tiles that could not be fetched.
+//
+// Tiles stored here bypass the service worker's expiration plugin, so the oldest tiles are
+// evicted here once the cache holds MAX_CACHED_TILES.
+export async function downloadTiles(urls, onProgress, isCancelled) {
+  const cache = await caches.open(TILE_CACHE);
+  // Oldest first: the cache lists its entries in the order they were stored
+  const cachedKeys = await cache.keys();
+  const queue = [...urls];
+  let done = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (queue.length > 0 && !isCancelled()) {
+      const url = queue.shift();
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { mode: 'cors' });
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          await cache.put(url, response);
+          cachedKeys.push(url);
+          while (cachedKeys.length > MAX_CACHED_TILES) {
+            await cache.delete(cachedKeys.shift());
+          }
+        }
+      } catch (error) {
+        failed += 1;
+      }
+      done += 1;
+      onProgress(done, urls.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  return failed;
+}
+
+export async function countCachedTiles() {
+  const cache = await caches.open(TILE_CACHE);
+  return (await cache.keys()).length;
+}
+
+export async function clearCachedTiles() {
+  await caches.delete(TILE_CACHE);
+}
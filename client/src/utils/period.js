@@ -0,0 +1,116 @@
+// Analysis periods, mirroring server/period.py. A period is
+// { mode, startYear, endYear, years, season, months } with mode 'range', 'last_years' or
+// 'season'; null (or mode 'default') leaves every data source on its own default window.
+
+export const FIRST_YEAR = 1981;
+// Last complete year of data on the server (PERIOD_LATEST_YEAR)
+export const LATEST_YEAR = 2024;
+export const SENTINEL_2_FIRST_YEAR = 2017;
+
+export const PERIOD_MODES = [
+  { id: 'default', label: 'Default' },
+  { id: 'range', label: 'Years' },
+  { id: 'last_years', label: 'Last N years' },
+  { id: 'season', label: 'Season' },
+];
+
+export const SEASONS = [
+  { id: 'winter', label: 'Winter', months: [1, 2] },
+  { id: 'pre_monsoon', label: 'Pre-monsoon', months: [3, 4, 5] },
+  { id: 'monsoon', label: 'Monsoon', months: [6, 7, 8, 9] },
+  { id: 'post_monsoon', label: 'Post-monsoon', months: [10, 11, 12] },
+  { id: 'custom', label: 'Custom months', months: [] },
+];
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const DEFAULT_PERIOD = {
+  mode: 'default',
+  startYear: FIRST_YEAR,
+  endYear: LATEST_YEAR,
+  years: 5,
+  season: 'monsoon',
+  months: [],
+};
+
+// Only the fields the period's mode uses, as numbers; null for the default windows
+export function normalizePeriod(period) {
+  if (!period || !PERIOD_MODES.some((mode) => mode.id === period.mode) || period.mode === 'default') {
+    return null;
+  }
+  if (period.mode === 'last_years') {
+    return { mode: 'last_years', years: parseInt(period.years, 10) };
+  }
+  const normalized = {
+    mode: period.mode,
+    startYear: parseInt(period.startYear, 10),
+    endYear: parseInt(period.endYear, 10),
+  };
+  if (period.mode === 'season') {
+    normalized.season = period.season;
+    if (period.season === 'custom') {
+      normalized.months = [...new Set((period.months || []).map(Number))].sort((a, b) => a - b);
+    }
+  }
+  return normalized;
+}
+
+// Why the period would be refused by the server, or '' when it is fine
+export function periodError(period) {
+  const normalized = normalizePeriod(period);
+  if (!normalized) {
+    return '';
+  }
+  if (normalized.mode === 'last_years') {
+    const count = LATEST_YEAR - FIRST_YEAR + 1;
+    return normalized.years >= 1 && normalized.years <= count ? '' : `Choose between 1 and ${count} years.`;
+  }
+  const inRange = (year) => year >= FIRST_YEAR && year <= LATEST_YEAR;
+  if (!inRange(normalized.startYear) || !inRange(normalized.endYear)) {
+    return `Years must be between ${FIRST_YEAR} and ${LATEST_YEAR}.`;
+  }
+  if (normalized.startYear > normalized.endYear) {
+    return 'The start year must not be after the end year.';
+  }
+  if (normalized.season === 'custom' && (normalized.months.length === 0 || normalized.months.length === 12)) {
+    return 'Pick at least one month, and not all twelve.';
+  }
+  return '';
+}
+
+// The request body field the analysis endpoints take
+export function periodPayload(period) {
+  const normalized = normalizePeriod(period);
+  if (!normalized) {
+    return null;
+  }
+  return {
+    mode: normalized.mode,
+    start_year: normalized.startYear ?? null,
+    end_year: normalized.endYear ?? null,
+    years: normalized.years ?? null,
+    season: normalized.season ?? null,
+    months: normalized.months ?? null,
+  };
+}
+
+// Short description such as "Monsoon, 2015–2024"; the server's label is preferred when a report has one
+export function periodLabel(period) {
+  const normalized = normalizePeriod(period);
+  if (!normalized) {
+    return 'Default data windows';
+  }
+  if (normalized.mode === 'last_years') {
+    return `Last ${normalized.years} year${normalized.years > 1 ? 's' : ''}`;
+  }
+  const years = normalized.startYear === normalized.endYear
+    ? `${normalized.startYear}`
+    : `${normalized.startYear}–${normalized.endYear}`;
+  if (normalized.mode !== 'season') {
+    return years;
+  }
+  const season = normalized.season === 'custom'
+    ? normalized.months.map((month) => MONTH_NAMES[month - 1]).join('+')
+    : SEASONS.find((item) => item.id === normalized.season)?.label || normalized.season;
+  return `${season}, ${years}`;
+}
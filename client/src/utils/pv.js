@@ -0,0 +1,103 @@
+// PV energy yield and financial payback. Mirrors server/pv_calculator.py so the
+// result page can recalculate instantly while the API serves batch requests.
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const DEG_TO_RAD = Math.PI / 180;
+
+export const defaultPvInputs = {
+  sizingMode: 'size',
+  systemSizeKw: 5,
+  roofAreaM2: 30,
+  panelEfficiency: 20,
+  tiltDeg: 20,
+  systemLosses: 14,
+  tariffPerKwh: 0.1,
+  installCost: 4000,
+  gridEmissionFactor: 0.7,
+  discountRate: 6,
+  lifetimeYears: 25,
+  degradationRate: 0.5,
+};
+
+// Accepted ranges in form units, the same as validate_pv_input on the server. `lowOpen` and
+// `highOpen` exclude the bound itself.
+export const pvInputRanges = {
+  systemSizeKw: { min: 0, max: 1000000, lowOpen: true },
+  roofAreaM2: { min: 0, max: 10000000, lowOpen: true },
+  panelEfficiency: { min: 0, max: 100, lowOpen: true },
+  tiltDeg: { min: 0, max: 90 },
+  systemLosses: { min: 0, max: 100, highOpen: true },
+  tariffPerKwh: { min: 0, max: Infinity },
+  installCost: { min: 0, max: Infinity },
+  gridEmissionFactor: { min: 0, max: 5 },
+  discountRate: { min: 0, max: 100 },
+  lifetimeYears: { min: 1, max: 100 },
+  degradationRate: { min: 0, max: 100, highOpen: true },
+};
+
+// Messages keyed by input for values outside pvInputRanges; empty when the inputs can be calculated.
+// Only the sizing input of the current mode is checked.
+export function pvInputErrors(inputs) {
+  const skipped = inputs.sizingMode === 'area' ? 'systemSizeKw' : 'roofAreaM2';
+  const errors = {};
+  Object.entries(pvInputRanges).forEach(([key, { min, max, lowOpen, highOpen }]) => {
+    const value = inputs[key];
+    if (key === skipped) {
+      return;
+    }
+    if (value === '' || value === null || value === undefined || !Number.isFinite(Number(value))) {
+      errors[key] = 'Enter a number.';
+    } else if (value < min || value > max || (lowOpen && value === min) || (highOpen && value === max)) {
+      const low = `${lowOpen ? 'above' : 'at least'} ${min}`;
+      errors[key] = max === Infinity ? `Must be ${low}.` : `Must be ${low} and ${highOpen ? 'below' : 'at most'} ${max}.`;
+    }
+  });
+  return errors;
+}
+
+// Gain of a tilted, equator-facing array over a horizontal surface (60% beam, 40% isotropic diffuse)
+export function tiltFactor(latitude, tiltDeg) {
+  const lat = Math.min(Math.abs(latitude), 75) * DEG_TO_RAD;
+  const tilt = tiltDeg * DEG_TO_RAD;
+  const beam = Math.min(Math.max(Math.cos(lat - tilt) / Math.cos(lat), 0), 1.5);
+  const diffuse = (1 + Math.cos(tilt)) / 2;
+  return 0.6 * beam + 0.4 * diffuse;
+}
+
+// `inputs` uses percentages for efficiency, losses, discount and degradation, as entered in the form,
+// and should be checked with pvInputErrors first.
+// `monthlyRadiation` is twelve horizontal irradiance values in kWh/m²/day.
+export function calculatePvYield(inputs, monthlyRadiation, latitude) {
+  const systemSizeKw = inputs.sizingMode === 'area'
+    ? inputs.roofAreaM2 * (inputs.panelEfficiency / 100)
+    : inputs.systemSizeKw;
+
+  const factor = tiltFactor(latitude, inputs.tiltDeg);
+  const performance = 1 - inputs.systemLosses / 100;
+  const monthlyKwh = monthlyRadiation.map((radiation, index) => (
+    systemSizeKw * radiation * factor * DAYS_IN_MONTH[index] * performance
+  ));
+  const annualKwh = monthlyKwh.reduce((sum, value) => sum + value, 0);
+  const annualSavings = annualKwh * inputs.tariffPerKwh;
+
+  let npv = -inputs.installCost;
+  let lifetimeKwh = 0;
+  for (let year = 1; year <= inputs.lifetimeYears; year++) {
+    const yearKwh = annualKwh * (1 - inputs.degradationRate / 100) ** (year - 1);
+    lifetimeKwh += yearKwh;
+    npv += (yearKwh * inputs.tariffPerKwh) / (1 + inputs.discountRate / 100) ** year;
+  }
+
+  return {
+    systemSizeKw,
+    tiltFactor: factor,
+    annualYieldKwh: annualKwh,
+    monthlyYieldKwh: monthlyKwh,
+    specificYield: systemSizeKw ? annualKwh / systemSizeKw : 0,
+    co2AvoidedTonnes: (annualKwh * inputs.gridEmissionFactor) / 1000,
+    annualSavings,
+    simplePaybackYears: annualSavings > 0 ? inputs.installCost / annualSavings : null,
+    npv,
+    lifetimeYieldKwh: lifetimeKwh,
+  };
+}
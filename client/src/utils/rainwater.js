@@ -0,0 +1,85 @@
+// Rainwater harvest volume and storage sizing. Mirrors server/rainwater.py so the
+// Water Harvesting card can recalculate as the catchment inputs change.
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const TANK_SIZE_STEP = 500; // litres
+
+// Share of rain on the surface that reaches the tank or pond
+export const surfaceTypes = [
+  { id: 'roof', label: 'Roof', runoffCoefficient: 0.85 },
+  { id: 'paved', label: 'Paved surface', runoffCoefficient: 0.75 },
+  { id: 'open_ground', label: 'Open ground', runoffCoefficient: 0.3 },
+];
+
+export const defaultRainwaterInputs = {
+  catchmentAreaM2: 100,
+  surfaceType: 'roof',
+  dailyDemandLitres: 150,
+};
+
+// Storage needed to carry the wet-season surplus into the dry months, over two
+// runs of the average year. Sequent-peak when the catchment covers annual demand,
+// otherwise the most the tank ever holds before running dry.
+export function requiredStorage(inflow, demand) {
+  const supplyTwice = [...inflow, ...inflow];
+  const demandTwice = [...demand, ...demand];
+  const coversDemand = inflow.reduce((a, b) => a + b, 0) >= demand.reduce((a, b) => a + b, 0);
+
+  let level = 0;
+  let peak = 0;
+  supplyTwice.forEach((supply, index) => {
+    level = coversDemand
+      ? Math.max(0, level + demandTwice[index] - supply)
+      : Math.max(0, level + supply - demandTwice[index]);
+    peak = Math.max(peak, level);
+  });
+  return peak;
+}
+
+// Month-by-month supply and shortfall for a tank of `capacity` litres; the first
+// pass brings the tank to its steady state and the second is reported
+export function simulateTank(inflow, demand, capacity) {
+  let stored = 0;
+  let months = [];
+  for (let pass = 0; pass < 2; pass++) {
+    months = [];
+    for (let index = 0; index < inflow.length; index++) {
+      const available = stored + inflow[index];
+      const supplied = Math.min(demand[index], available);
+      stored = available - supplied;
+      const overflow = Math.max(0, stored - capacity);
+      stored -= overflow;
+      months.push({ supplied, shortfall: demand[index] - supplied, overflow, stored });
+    }
+  }
+  return months;
+}
+
+// `monthlyRainfall` is twelve average monthly totals in mm
+export function calculateRainwaterHarvest(inputs, monthlyRainfall) {
+  const surface = surfaceTypes.find((type) => type.id === inputs.surfaceType) || surfaceTypes[0];
+  const catchment = Number(inputs.catchmentAreaM2) || 0;
+  const dailyDemand = Number(inputs.dailyDemandLitres) || 0;
+
+  // 1 mm of rain on 1 m² is 1 litre
+  const inflow = monthlyRainfall.map((mm) => mm * catchment * surface.runoffCoefficient);
+  const demand = DAYS_IN_MONTH.map((days) => dailyDemand * days);
+
+  const storage = Math.ceil(requiredStorage(inflow, demand) / TANK_SIZE_STEP) * TANK_SIZE_STEP;
+  const months = simulateTank(inflow, demand, storage);
+
+  const annualDemand = demand.reduce((a, b) => a + b, 0);
+  const annualSupplied = months.reduce((sum, month) => sum + month.supplied, 0);
+
+  return {
+    runoffCoefficient: surface.runoffCoefficient,
+    monthlyHarvestLitres: inflow,
+    annualHarvestLitres: inflow.reduce((a, b) => a + b, 0),
+    monthlyDemandLitres: demand,
+    recommendedStorageLitres: storage,
+    monthlyShortfallLitres: months.map((month) => month.shortfall),
+    dryMonths: months.map((month, index) => (month.shortfall > 0.5 ? index + 1 : null)).filter(Boolean),
+    annualShortfallLitres: months.reduce((sum, month) => sum + month.shortfall, 0),
+    demandMetFraction: annualDemand > 0 ? annualSupplied / annualDemand : null,
+  };
+}
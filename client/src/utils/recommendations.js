@@ -0,0 +1,113 @@
+import { reportSections } from './metrics.js';
+
+// Splits the Gemini recommendation text into sections keyed by its "**Header:**" lines
+export function parseRecommendations(text) {
+  const sections = [];
+  let currentSection = null;
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line);
+
+  lines.forEach((line, index) => {
+    // Skip the first line if it's the title 
+    if (index === 0 && line.includes('AI Recommendations')) {
+      return;
+    }
+    // Check for section headers (e.g., "**Solar Energy:**")
+    if (line.startsWith('**') && line.endsWith(':**')) {
+      if (currentSection && currentSection.items.length > 0) {
+        sections.push(currentSection);
+      }
+      currentSection = {
+        title: line.replace(/\*\*/g, '').replace(':', ''),
+        items: [],
+      };
+    }
+    // Treat non-header, non-empty lines as items under the current section
+    else if (currentSection && line !== '') {
+      // Remove leading bullet markers if present
+      const itemText = line.startsWith('*') || line.startsWith('-') ? line.slice(2).trim() : line;
+      if (itemText) {
+        currentSection.items.push(itemText);
+      }
+    }
+  });
+
+  if (currentSection && currentSection.items.length > 0) {
+    sections.push(currentSection);
+  }
+  return sections;
+}
+
+export const priorityLevels = ['high', 'medium', 'low'];
+
+export const costBands = {
+  low: 'Under $1,000',
+  medium: '$1,000 – $10,000',
+  high: 'Over $10,000',
+};
+
+const rank = { high: 0, medium: 1, low: 2 };
+
+// Reports hold either the structured recommendations ({ items, error }) or, for
+// reports saved before those existed, Gemini's plain text. Returns
+// { items, legacySections, error } so callers can handle both.
+export function normalizeRecommendations(recommendations) {
+  if (!recommendations) {
+    return { items: [], legacySections: [], error: null };
+  }
+  if (typeof recommendations === 'string') {
+    return { items: [], legacySections: parseRecommendations(recommendations), error: null };
+  }
+  return {
+    items: (recommendations.items || []).map((item) => ({
+      section: item.section,
+      action: item.action,
+      priority: item.priority,
+      costBand: item.cost_band,
+      rationale: item.rationale,
+      metric: item.metric,
+      metricValue: item.metric_value,
+    })),
+    legacySections: [],
+    error: recommendations.error || null,
+  };
+}
+
+// `sortBy` is 'priority', 'cost' or 'section'; ties keep the model's order
+export function sortRecommendations(items, sortBy, sectionOrder = []) {
+  const keyFor = {
+    priority: (item) => rank[item.priority] ?? 3,
+    cost: (item) => rank[item.costBand] !== undefined ? 2 - rank[item.costBand] : 3,
+    section: (item) => {
+      const index = sectionOrder.indexOf(item.section);
+      return index === -1 ? sectionOrder.length : index;
+    },
+  }[sortBy];
+  if (!keyFor) {
+    return items;
+  }
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => keyFor(a.item) - keyFor(b.item) || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+// Title + bullet sections for plain-text outputs such as the PDF export
+export function recommendationTextSections(recommendations) {
+  const { items, legacySections } = normalizeRecommendations(recommendations);
+  if (items.length === 0) {
+    return legacySections;
+  }
+  const sections = [];
+  sortRecommendations(items, 'priority').forEach((item) => {
+    const title = reportSections.find((section) => section.key === item.section)?.title || item.section;
+    let section = sections.find((existing) => existing.title === title);
+    if (!section) {
+      section = { title, items: [] };
+      sections.push(section);
+    }
+    section.items.push(
+      `[${item.priority} priority, ${costBands[item.costBand] || item.costBand}] ${item.action} ${item.rationale}`
+    );
+  });
+  return sections;
+}
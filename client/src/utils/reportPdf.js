@@ -0,0 +1,100 @@
+import { reportSections } from './metrics.js';
+
+const PAGE_MARGIN = 48;
+const ACCENT = [124, 58, 237];
+const MUTED = [107, 114, 128];
+const TEXT = [17, 24, 39];
+
+// The standard PDF fonts only cover Latin-1, so emoji in verdicts are dropped
+function pdfText(value) {
+  return String(value ?? 'N/A').replace(/[^\x20-\x7E\xA0-\xFF]/g, '').trim() || 'N/A';
+}
+
+// Builds a printable PDF of the whole report: site details, metric cards and the
+// AI recommendation sections. jsPDF is loaded on demand to keep it out of the main bundle.
+export async function buildReportPdf({ data, selectedArea, recommendationSections }) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  const writeWrapped = (text, { size = 10, color = TEXT, indent = 0, style = 'normal' } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    const lines = doc.splitTextToSize(pdfText(text), contentWidth - indent);
+    lines.forEach((line) => {
+      ensureSpace(size + 4);
+      doc.text(line, PAGE_MARGIN + indent, y);
+      y += size + 4;
+    });
+  };
+
+  // Header
+  writeWrapped('Sustainability Analysis Report', { size: 20, color: ACCENT, style: 'bold' });
+  y += 4;
+  writeWrapped(`Selected Area: ${selectedArea.placeName || data.place_name || 'Selected Area'}`, { size: 12 });
+  writeWrapped(
+    `Coordinates: ${Number(selectedArea.latitude).toFixed(4)}, ${Number(selectedArea.longitude).toFixed(4)}` +
+      (selectedArea.areaHectares ? `   Analysed Area: ${selectedArea.areaHectares} ha` : ''),
+    { color: MUTED }
+  );
+  writeWrapped(`Generated: ${new Date().toLocaleString()}`, { color: MUTED });
+  y += 12;
+
+  // Metric cards
+  reportSections.forEach((section) => {
+    const values = data.report?.[section.key] || {};
+    ensureSpace(40);
+    doc.setDrawColor(...ACCENT);
+    doc.line(PAGE_MARGIN, y, PAGE_MARGIN + contentWidth, y);
+    y += 16;
+    writeWrapped(section.title, { size: 14, color: ACCENT, style: 'bold' });
+
+    section.metrics.forEach((metric) => {
+      ensureSpace(14);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      doc.setTextColor(...MUTED);
+      doc.text(pdfText(metric.label), PAGE_MARGIN, y);
+      doc.setTextColor(...TEXT);
+      const value = values[metric.key];
+      doc.text(pdfText(value === undefined ? 'N/A' : `${value}${metric.unit ? ` ${metric.unit}` : ''}`), PAGE_MARGIN + contentWidth, y, { align: 'right' });
+      y += 14;
+    });
+
+    const verdict = values[section.verdictKey] || values.message;
+    if (verdict) {
+      writeWrapped(verdict, { style: 'bold' });
+    }
+    y += 10;
+  });
+
+  // AI recommendations
+  ensureSpace(40);
+  doc.setDrawColor(...ACCENT);
+  doc.line(PAGE_MARGIN, y, PAGE_MARGIN + contentWidth, y);
+  y += 16;
+  writeWrapped('AI Recommendations', { size: 14, color: ACCENT, style: 'bold' });
+  if (recommendationSections.length === 0) {
+    writeWrapped('No recommendations available.', { color: MUTED });
+  }
+  recommendationSections.forEach((section) => {
+    y += 4;
+    writeWrapped(section.title, { size: 12, style: 'bold' });
+    section.items.forEach((item) => {
+      writeWrapped(`- ${item}`, { indent: 10 });
+    });
+  });
+
+  return doc;
+}
@@ -0,0 +1,224 @@
+import { reportQueryKey } from './reportUrl.js';
+import { saveWorkspaceReport, deleteWorkspaceReport } from './api.js';
+
+// History of analyses of the signed-in user. Each user has a copy in localStorage,
+// so lists render synchronously, and every change is also sent to their server
+// workspace, which is merged back in on sign-in.
+// Each entry keeps the API response alongside the `selectedArea` it was run for.
+//
+// Changes the workspace has not accepted yet (e.g. made offline) are remembered as
+// pending, { [id]: 'save' | 'delete' }, and sent again until the server takes them.
+
+// Where reports were kept before accounts; claimed by the next user to sign in
+const LEGACY_STORAGE_KEY = 'zerra.reports';
+const MAX_REPORTS = 200;
+const RETRY_INTERVAL = 30000;
+
+let owner = null;
+
+const storageKey = () => `zerra.reports.${owner}`;
+const pendingKey = (userId) => `zerra.reports.${userId}.pending`;
+let retryTimer = null;
+
+// Signed out (null) there are no reports to read or write
+export function setReportOwner(userId) {
+  owner = userId;
+}
+
+function readStored(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function readReports() {
+  return owner ? readStored(storageKey()) : [];
+}
+
+function writeReports(reports) {
+  if (!owner) return;
+  // Drop the oldest reports until the list fits the storage quota
+  let remaining = [...reports].sort((a, b) => b.updatedAt - a.updatedAt).slice(0, MAX_REPORTS);
+  while (remaining.length > 0) {
+    try {
+      localStorage.setItem(storageKey(), JSON.stringify(remaining));
+      return;
+    } catch (error) {
+      remaining = remaining.slice(0, -1);
+    }
+  }
+  localStorage.removeItem(storageKey());
+}
+
+function readPending(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(pendingKey(userId))) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function setPending(userId, id, change) {
+  const pending = readPending(userId);
+  if (change) {
+    pending[id] = change;
+  } else {
+    delete pending[id];
+  }
+  localStorage.setItem(pendingKey(userId), JSON.stringify(pending));
+}
+
+// Another attempt at the pending changes once the connection returns, or after a while
+function scheduleRetry() {
+  if (retryTimer) return;
+  const retry = () => {
+    clearTimeout(retryTimer);
+    window.removeEventListener('online', retry);
+    retryTimer = null;
+    retryPendingReports();
+  };
+  retryTimer = setTimeout(retry, RETRY_INTERVAL);
+  window.addEventListener('online', retry);
+}
+
+// Sends one change to the workspace; a failed one stays pending and is retried
+async function sendChange(userId, id, change, report) {
+  try {
+    if (change === 'delete') {
+      await deleteWorkspaceReport(id);
+    } else {
+      await saveWorkspaceReport(report);
+    }
+  } catch (error) {
+    // A report the workspace never had is as deleted as it gets
+    if (!(change === 'delete' && error.response?.status === 404)) {
+      console.error(`Error ${change === 'delete' ? 'deleting report from' : 'saving report to'} the workspace:`, error);
+      scheduleRetry();
+      return;
+    }
+  }
+  // A newer change made while this one was in flight stays pending
+  if (readPending(userId)[id] === change) {
+    setPending(userId, id, null);
+  }
+  releaseLegacyReports(userId);
+}
+
+function pushChange(id, change, report) {
+  if (!owner) return;
+  setPending(owner, id, change);
+  sendChange(owner, id, change, report);
+}
+
+// The pre-accounts list is only given up once the workspace holds all of it
+function releaseLegacyReports(userId) {
+  const legacy = readStored(LEGACY_STORAGE_KEY);
+  const pending = readPending(userId);
+  if (legacy.length > 0 && !legacy.some((report) => pending[report.id])) {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+}
+
+// Sends every change still pending for the signed-in user, e.g. those left over from an
+// earlier session when the workspace could not be loaded
+export function retryPendingReports() {
+  if (!owner) return;
+  const userId = owner;
+  const reports = readReports();
+  Object.entries(readPending(userId)).forEach(([id, change]) => {
+    const report = reports.find((item) => item.id === id);
+    if (change === 'delete' || report) {
+      sendChange(userId, id, change, report);
+    } else {
+      setPending(userId, id, null);
+    }
+  });
+}
+
+// Merges the reports from the user's workspace into the local copy. Local changes the
+// workspace hasn't accepted yet win, and local reports it doesn't have are kept and
+// sent to it, as are reports saved on this device before accounts existed.
+export function restoreReports(workspaceReports) {
+  if (!owner) return;
+  const userId = owner;
+  const pending = readPending(userId);
+  const local = readReports();
+  const localIds = new Set(local.map((report) => report.id));
+  const known = new Set(workspaceReports.map((report) => report.id));
+
+  const fromWorkspace = workspaceReports.filter((report) => (
+    pending[report.id] !== 'delete' && !(pending[report.id] === 'save' && localIds.has(report.id))
+  ));
+  const missing = local.filter((report) => !known.has(report.id) || pending[report.id] === 'save');
+  const legacy = readStored(LEGACY_STORAGE_KEY)
+    .filter((report) => !known.has(report.id) && !localIds.has(report.id) && pending[report.id] !== 'delete');
+
+  writeReports([...fromWorkspace, ...missing, ...legacy]);
+
+  [...missing, ...legacy].forEach((report) => setPending(userId, report.id, 'save'));
+  releaseLegacyReports(userId);
+  retryPendingReports();
+}
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Newest first
+export function listReports() {
+  return readReports().sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getReport(id) {
+  return readReports().find((report) => report.id === id) || null;
+}
+
+export function findReportByQuery(selectedArea) {
+  const queryKey = reportQueryKey(selectedArea);
+  return readReports().find((report) => report.queryKey === queryKey) || null;
+}
+
+// Re-running the same point or area refreshes the existing entry instead of duplicating it
+export function saveReport({ selectedArea, data }) {
+  const reports = readReports();
+  const queryKey = reportQueryKey(selectedArea);
+  const now = Date.now();
+  const existing = reports.find((report) => report.queryKey === queryKey);
+
+  let saved;
+  if (existing) {
+    saved = { ...existing, data, updatedAt: now };
+  } else {
+    saved = {
+      id: createId(),
+      name: selectedArea.placeName || `Site at ${Number(selectedArea.latitude).toFixed(4)}, ${Number(selectedArea.longitude).toFixed(4)}`,
+      selectedArea,
+      data,
+      queryKey,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  writeReports([saved, ...reports.filter((report) => report.id !== saved.id)]);
+  pushChange(saved.id, 'save', saved);
+  return saved;
+}
+
+export function renameReport(id, name) {
+  const reports = readReports().map((report) => (
+    report.id === id ? { ...report, name, selectedArea: { ...report.selectedArea, placeName: name } } : report
+  ));
+  writeReports(reports);
+  const renamed = reports.find((report) => report.id === id);
+  if (renamed) {
+    pushChange(renamed.id, 'save', renamed);
+  }
+}
+
+export function deleteReport(id) {
+  writeReports(readReports().filter((report) => report.id !== id));
+  pushChange(id, 'delete');
+}
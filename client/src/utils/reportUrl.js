@@ -0,0 +1,101 @@
+import {
+  geodesicArea,
+  squareMetresToHectares,
+  toGeoJSONPolygon,
+  fromGeoJSONPolygon,
+  isValidCoordinate,
+} from './geometry.js';
+import { normalizePeriod, periodError } from './period.js';
+
+// Polygons are written as "lat,lng;lat,lng;..." which is far shorter than GeoJSON in a URL
+function encodeGeometry(geometry) {
+  return fromGeoJSONPolygon(geometry)
+    .map(([lat, lng]) => `${lat.toFixed(6)},${lng.toFixed(6)}`)
+    .join(';');
+}
+
+function decodeGeometry(value) {
+  const vertices = value.split(';').map((pair) => pair.split(',').map(Number));
+  const valid = vertices.length >= 3 && vertices.every(([lat, lng]) => isValidCoordinate(lat, lng));
+  return valid ? toGeoJSONPolygon(vertices) : null;
+}
+
+// A period is spread over "period" (its mode), "from", "to", "years", "season" and "months"
+function encodePeriod(period, params) {
+  const normalized = normalizePeriod(period);
+  if (!normalized) {
+    return;
+  }
+  params.set('period', normalized.mode);
+  if (normalized.mode === 'last_years') {
+    params.set('years', normalized.years);
+    return;
+  }
+  params.set('from', normalized.startYear);
+  params.set('to', normalized.endYear);
+  if (normalized.season) {
+    params.set('season', normalized.season);
+  }
+  if (normalized.months) {
+    params.set('months', normalized.months.join(','));
+  }
+}
+
+function decodePeriod(params) {
+  const period = normalizePeriod({
+    mode: params.get('period'),
+    startYear: params.get('from'),
+    endYear: params.get('to'),
+    years: params.get('years'),
+    season: params.get('season'),
+    months: (params.get('months') || '').split(',').filter(Boolean),
+  });
+  return period && !periodError(period) ? period : null;
+}
+
+// Query string for /result describing the analysed area and period
+export function buildResultSearch({ latitude, longitude, placeName, geometry, period }) {
+  const params = new URLSearchParams();
+  params.set('lat', Number(latitude).toFixed(6));
+  params.set('lon', Number(longitude).toFixed(6));
+  if (placeName) {
+    params.set('place', placeName);
+  }
+  if (geometry) {
+    params.set('area', encodeGeometry(geometry));
+  }
+  encodePeriod(period, params);
+  return params.toString();
+}
+
+// Inverse of buildResultSearch; returns null when the URL does not describe a valid location
+export function parseResultSearch(search) {
+  const params = new URLSearchParams(search);
+  const latitude = parseFloat(params.get('lat'));
+  const longitude = parseFloat(params.get('lon'));
+
+  if (!isValidCoordinate(latitude, longitude)) {
+    return null;
+  }
+
+  const geometry = params.get('area') ? decodeGeometry(params.get('area')) : null;
+  const areaHectares = geometry
+    ? Number(squareMetresToHectares(geodesicArea(fromGeoJSONPolygon(geometry))).toFixed(2))
+    : null;
+
+  return {
+    latitude,
+    longitude,
+    geometry,
+    areaHectares,
+    placeName: params.get('place') || '',
+    period: params.get('period') ? decodePeriod(params) : null,
+  };
+}
+
+// Key identifying the analysis itself (place name is cosmetic and left out); the
+// same place over another period is a different report
+export function reportQueryKey(selectedArea) {
+  const params = new URLSearchParams(buildResultSearch({ ...selectedArea, placeName: '' }));
+  return params.toString();
+}
@@ -0,0 +1,270 @@
+import { makeVerdict, sectionVerdict, SOLAR_SCORE_SCALE } from './verdict.js';
+
+// Scoring profiles: the weights and thresholds behind each verdict. Mirrors
+// server/scoring.py and the verdict rules of the four analyses so a profile can be
+// previewed against a saved report without running it again.
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const defaultProfile = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Default',
+  description: "The platform's standard weights and thresholds.",
+  solar: { excellent: 5.0, good: 3.5, moderate: 2.0 },
+  water: { rainfall_weight: 0.5, soil_weight: 0.3, slope_weight: 0.2, feasible: 0.6, moderate: 0.4 },
+  windmill: { wind_weight: 0.5, slope_weight: 0.3, land_weight: 0.2, max_slope: 15, feasible: 0.6, moderate: 0.4 },
+  afforestation: { min_green_cover: 0.2, min_potential: 0.1 },
+  read_only: true,
+};
+
+// Editable fields per analysis, in the order the settings screen shows them
+export const profileGroups = [
+  {
+    key: 'solar',
+    reportKey: 'solar_potential',
+    title: 'Solar Potential',
+    fields: [
+      { key: 'excellent', label: 'Excellent from', unit: 'kWh/m²/day', step: 0.1 },
+      { key: 'good', label: 'Good from', unit: 'kWh/m²/day', step: 0.1 },
+      { key: 'moderate', label: 'Moderate from', unit: 'kWh/m²/day', step: 0.1 },
+    ],
+  },
+  {
+    key: 'water',
+    reportKey: 'water_harvesting',
+    title: 'Water Harvesting',
+    weights: ['rainfall_weight', 'soil_weight', 'slope_weight'],
+    fields: [
+      { key: 'rainfall_weight', label: 'Rainfall weight', step: 0.05 },
+      { key: 'soil_weight', label: 'Soil weight', step: 0.05 },
+      { key: 'slope_weight', label: 'Slope weight', step: 0.05 },
+      { key: 'feasible', label: 'Feasible from', step: 0.05 },
+      { key: 'moderate', label: 'Moderately feasible from', step: 0.05 },
+    ],
+  },
+  {
+    key: 'windmill',
+    reportKey: 'windmill_feasibility',
+    title: 'Windmill Feasibility',
+    weights: ['wind_weight', 'slope_weight', 'land_weight'],
+    fields: [
+      { key: 'wind_weight', label: 'Wind weight', step: 0.05 },
+      { key: 'slope_weight', label: 'Slope weight', step: 0.05 },
+      { key: 'land_weight', label: 'Barren land weight', step: 0.05 },
+      { key: 'max_slope', label: 'Slope ruling a site out', step: 0.5 },
+      { key: 'feasible', label: 'Feasible from', step: 0.05 },
+      { key: 'moderate', label: 'Moderately feasible from', step: 0.05 },
+    ],
+  },
+  {
+    key: 'afforestation',
+    reportKey: 'afforestation_feasibility',
+    title: 'Afforestation Feasibility',
+    fields: [
+      { key: 'min_green_cover', label: 'Green cover above', unit: 'fraction', step: 0.05 },
+      { key: 'min_potential', label: 'Afforestation potential above', unit: 'fraction', step: 0.05 },
+    ],
+  },
+];
+
+const weightSum = (values, keys) => keys.reduce((sum, key) => sum + Number(values[key]), 0);
+
+// Same rules as validate_profile on the server; returns an error message or ''.
+// Accepts form values, so numbers may still be strings.
+export function validateProfile(profile) {
+  if (!profile.name?.trim()) {
+    return 'Profile name is required.';
+  }
+  const values = profileGroups.flatMap((group) => group.fields.map((field) => profile[group.key][field.key]));
+  if (values.some((value) => value === '' || isNaN(Number(value)))) {
+    return 'Every weight and threshold needs a number.';
+  }
+
+  const numeric = numericProfile(profile);
+  const { solar, windmill, afforestation } = numeric;
+  if (!(solar.moderate >= 0 && solar.moderate < solar.good && solar.good < solar.excellent)) {
+    return 'Solar thresholds must satisfy 0 ≤ moderate < good < excellent.';
+  }
+  for (const group of profileGroups.filter((item) => item.weights)) {
+    const section = numeric[group.key];
+    if (group.weights.some((key) => section[key] < 0)) {
+      return `${group.title} weights cannot be negative.`;
+    }
+    const total = weightSum(section, group.weights);
+    if (Math.abs(total - 1) > 0.001) {
+      return `${group.title} weights must add up to 1 (they add up to ${Math.round(total * 1000) / 1000}).`;
+    }
+    if (!(section.moderate >= 0 && section.moderate < section.feasible && section.feasible <= 1)) {
+      return `${group.title} thresholds must satisfy 0 ≤ moderate < feasible ≤ 1.`;
+    }
+  }
+  if (windmill.max_slope <= 0) {
+    return 'Windmill maximum slope must be above 0.';
+  }
+  if (![afforestation.min_green_cover, afforestation.min_potential].every((value) => value >= 0 && value <= 1)) {
+    return 'Afforestation thresholds must be between 0 and 1.';
+  }
+  return '';
+}
+
+// Form values arrive as strings; the server and the scoring below expect numbers
+export function numericProfile(profile) {
+  const next = { ...profile };
+  profileGroups.forEach((group) => {
+    next[group.key] = Object.fromEntries(
+      Object.entries(profile[group.key]).map(([key, value]) => [key, Number(value)])
+    );
+  });
+  return next;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function solarVerdict(radiation, thresholds) {
+  const score = Math.min(radiation / SOLAR_SCORE_SCALE, 1);
+  if (radiation > thresholds.excellent) return makeVerdict('solar.excellent', score);
+  if (radiation >= thresholds.good) return makeVerdict('solar.good', score);
+  if (radiation >= thresholds.moderate) return makeVerdict('solar.moderate', score);
+  return makeVerdict('solar.low', score);
+}
+
+function weightedVerdict(prefix, score, scoring) {
+  if (score >= scoring.feasible) return makeVerdict(`${prefix}.feasible`, score);
+  if (score >= scoring.moderate) return makeVerdict(`${prefix}.moderate`, score);
+  return makeVerdict(`${prefix}.not_feasible`, score);
+}
+
+// Same as windmill_slope_score on the server
+export function windmillSlopeScore(slope, maxSlope) {
+  return slope <= maxSlope ? Math.max(1 - slope / maxSlope, 0) : 0;
+}
+
+// Normalised slope behind a windmill report. Reports from before it was stored
+// only have the slope score, which is inverted with the profile they were scored with.
+function windmillSlope(windmill, scoredWith) {
+  if (typeof windmill.normalized_slope === 'number') {
+    return windmill.normalized_slope;
+  }
+  return (1 - windmill.slope_score) * (scoredWith?.windmill?.max_slope ?? defaultProfile.windmill.max_slope);
+}
+
+// Inputs of each analysis that the what-if sliders can change, with their ranges
+export const breakdownInputs = {
+  solar_potential: [
+    { key: 'average_radiation', label: 'Average radiation', unit: 'kWh/m²/day', min: 0, max: 8, step: 0.1 },
+  ],
+  afforestation_feasibility: [
+    { key: 'green_cover_percent', label: 'Green cover', unit: '%', min: 0, max: 100, step: 1 },
+    { key: 'afforestation_potential_percent', label: 'Afforestation potential', unit: '%', min: 0, max: 100, step: 1 },
+  ],
+  water_harvesting: [
+    { key: 'rainfall_score', label: 'Rainfall score', min: 0, max: 1, step: 0.01 },
+    { key: 'soil_score', label: 'Soil score', min: 0, max: 1, step: 0.01 },
+    { key: 'slope_score', label: 'Slope score', min: 0, max: 1, step: 0.01 },
+  ],
+  windmill_feasibility: [
+    { key: 'wind_score', label: 'Wind score', min: 0, max: 1, step: 0.01 },
+    { key: 'normalized_slope', label: 'Slope (degrees ÷ 45)', min: 0, max: 1, step: 0.01 },
+    { key: 'land_score', label: 'Land score', min: 0, max: 1, step: 0.01 },
+  ],
+};
+
+// Slider starting values taken from a report section, or null if it lacks them
+export function sectionInputs(sectionKey, section, scoredWith = null) {
+  const fields = breakdownInputs[sectionKey];
+  if (!section || !fields) {
+    return null;
+  }
+  const values = {};
+  for (const field of fields) {
+    const value = field.key === 'normalized_slope' && typeof section.slope_score === 'number'
+      ? windmillSlope(section, scoredWith)
+      : section[field.key];
+    if (typeof value !== 'number' || isNaN(value)) {
+      return null;
+    }
+    values[field.key] = value;
+  }
+  return values;
+}
+
+// How a section's verdict follows from its inputs under `profile`: the weighted
+// factors (for the two scored analyses), the 0-1 score and the verdict. Mirrors
+// calculate_water_harvesting_score, calculate_windmill_feasibility, predict_solar's
+// verdict and analyze_afforestation.
+export function scoreBreakdown(sectionKey, inputs, profile) {
+  if (sectionKey === 'water_harvesting') {
+    const scoring = profile.water;
+    const factors = [
+      { key: 'rainfall', label: 'Rainfall', value: inputs.rainfall_score, weight: scoring.rainfall_weight },
+      { key: 'soil', label: 'Soil', value: inputs.soil_score, weight: scoring.soil_weight },
+      { key: 'slope', label: 'Slope', value: inputs.slope_score, weight: scoring.slope_weight },
+    ].map((factor) => ({ ...factor, contribution: factor.weight * factor.value }));
+    const score = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+    return { factors, score, thresholds: { feasible: scoring.feasible, moderate: scoring.moderate }, verdict: weightedVerdict('water', score, scoring) };
+  }
+
+  if (sectionKey === 'windmill_feasibility') {
+    const scoring = profile.windmill;
+    const factors = [
+      { key: 'wind', label: 'Wind', value: inputs.wind_score, weight: scoring.wind_weight },
+      { key: 'slope', label: 'Slope', value: windmillSlopeScore(inputs.normalized_slope, scoring.max_slope), weight: scoring.slope_weight },
+      { key: 'land', label: 'Barren land', value: inputs.land_score, weight: scoring.land_weight },
+    ].map((factor) => ({ ...factor, contribution: factor.weight * factor.value }));
+    const score = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+    return { factors, score, thresholds: { feasible: scoring.feasible, moderate: scoring.moderate }, verdict: weightedVerdict('windmill', score, scoring) };
+  }
+
+  if (sectionKey === 'solar_potential') {
+    const { excellent, good, moderate } = profile.solar;
+    return {
+      factors: [],
+      score: null,
+      checks: [
+        { label: `Excellent above ${excellent} kWh/m²/day`, passed: inputs.average_radiation > excellent },
+        { label: `Good from ${good} kWh/m²/day`, passed: inputs.average_radiation >= good },
+        { label: `Moderate from ${moderate} kWh/m²/day`, passed: inputs.average_radiation >= moderate },
+      ],
+      verdict: solarVerdict(inputs.average_radiation, profile.solar),
+    };
+  }
+
+  const { min_green_cover, min_potential } = profile.afforestation;
+  const checks = [
+    { label: `Green cover above ${round2(min_green_cover * 100)}%`, passed: inputs.green_cover_percent / 100 > min_green_cover },
+    { label: `Afforestation potential above ${round2(min_potential * 100)}%`, passed: inputs.afforestation_potential_percent / 100 > min_potential },
+  ];
+  const verdict = makeVerdict(
+    checks.every((check) => check.passed) ? 'afforestation.feasible' : 'afforestation.not_feasible',
+    inputs.afforestation_potential_percent / 100
+  );
+  return { factors: [], score: null, checks, verdict };
+}
+
+// Verdicts (and scores, where the analysis has one) a report would get under
+// `profile`, keyed by report section. Sections without the needed values are null.
+// Scores come from the rounded terms in the report, so they can differ from a
+// fresh server run in the second decimal.
+export function rescoreReport(report, profile, scoredWith = null) {
+  return Object.fromEntries(Object.keys(breakdownInputs).map((sectionKey) => {
+    const inputs = sectionInputs(sectionKey, report?.[sectionKey], scoredWith);
+    if (!inputs) {
+      return [sectionKey, null];
+    }
+    const { score, verdict } = scoreBreakdown(sectionKey, inputs, profile);
+    return [sectionKey, { score: score === null ? null : round2(score), verdict: verdict.message }];
+  }));
+}
+
+// Score and verdict as stored in the report, for comparison with a preview
+export function reportedScores(report) {
+  const scored = ['water_harvesting', 'windmill_feasibility'];
+  return Object.fromEntries(Object.keys(breakdownInputs).map((sectionKey) => {
+    const verdict = sectionVerdict(sectionKey, report?.[sectionKey]);
+    if (!verdict) {
+      return [sectionKey, null];
+    }
+    const score = scored.includes(sectionKey) ? round2(verdict.score) : null;
+    return [sectionKey, { score, verdict: verdict.message }];
+  }));
+}
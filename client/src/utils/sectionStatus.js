@@ -0,0 +1,41 @@
+// Per-section status of a report. Mirrors server/section_status.py: every section
+// carries `status` ({ state: 'ok' | 'partial' | 'unavailable', reason, sources }).
+
+// Status of a report section, or null if the section is missing. Older reports have
+// no status: a section with only a `message` is one whose analysis could not run.
+export function sectionStatus(section) {
+  if (!section) {
+    return null;
+  }
+  if (section.status) {
+    return section.status;
+  }
+  const keys = Object.keys(section);
+  if (keys.length === 1 && keys[0] === 'message') {
+    return { state: 'unavailable', reason: section.message, sources: [] };
+  }
+  return { state: 'ok', reason: null, sources: [] };
+}
+
+// Stand-in for a section whose background job step raised, so it can be retried like any other
+export function failedSection(error) {
+  const reason = error || 'The analysis failed.';
+  return { message: reason, status: { state: 'unavailable', reason, sources: [] } };
+}
+
+// Report data of a completed background job, in the shape the result page and history keep.
+// Sections whose step raised are kept as unavailable so they can be retried on their own
+export function completedJobData(job) {
+  const report = { ...job.report };
+  Object.entries(job.sections || {}).forEach(([key, section]) => {
+    if (section.status === 'failed') {
+      report[key] = failedSection(section.error);
+    }
+  });
+  return {
+    report,
+    recommendations: job.recommendations,
+    scoring_profile: job.metadata?.scoring_profile,
+    period: job.metadata?.period,
+  };
+}
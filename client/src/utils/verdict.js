@@ -0,0 +1,64 @@
+// Typed verdicts. Mirrors server/verdict.py: every report section carries a
+// `verdict` ({ level, score, message, key }) next to its legacy text field.
+
+// Display style per level; the level is what the colour is driven by
+export const verdictLevels = {
+  high: { label: 'Favourable', badge: 'bg-green-500 bg-opacity-20 text-green-300 border-green-500', gauge: '#22c55e' },
+  medium: { label: 'Moderate', badge: 'bg-yellow-500 bg-opacity-20 text-yellow-300 border-yellow-500', gauge: '#facc15' },
+  low: { label: 'Unfavourable', badge: 'bg-red-500 bg-opacity-20 text-red-300 border-red-500', gauge: '#ef4444' },
+};
+
+// Level and English message per localisation key
+export const verdicts = {
+  'solar.excellent': { level: 'high', message: '✅ Excellent potential! Installing solar is a great investment.' },
+  'solar.good': { level: 'high', message: '👍 Good potential. Solar installation is beneficial.' },
+  'solar.moderate': { level: 'medium', message: '⚠️ Moderate potential. Consider additional analysis before installation.' },
+  'solar.low': { level: 'low', message: '❌ Low potential. Solar may not be a cost-effective option.' },
+  'water.feasible': { level: 'high', message: '✅ Water harvesting is feasible in this area.' },
+  'water.moderate': { level: 'medium', message: '⚠️ Water harvesting may be moderately feasible.' },
+  'water.not_feasible': { level: 'low', message: '🚫 Water harvesting is not feasible in this area.' },
+  'windmill.feasible': { level: 'high', message: '✅ Windmill installation is feasible.' },
+  'windmill.moderate': { level: 'medium', message: '⚠️ Windmill installation may be moderately feasible.' },
+  'windmill.not_feasible': { level: 'low', message: '🚫 Windmill installation is not feasible.' },
+  'afforestation.feasible': { level: 'high', message: '✅ Afforestation is feasible in this area.' },
+  'afforestation.not_feasible': { level: 'low', message: '🚫 Afforestation is NOT feasible in this area.' },
+};
+
+// Solar radiation is scaled against 7 kWh/m²/day for its 0-1 score
+export const SOLAR_SCORE_SCALE = 7;
+
+export function makeVerdict(key, score) {
+  const { level, message } = verdicts[key];
+  return { level, score: score === null || score === undefined ? null : Math.round(score * 1000) / 1000, message, key };
+}
+
+// Where reports saved before typed verdicts keep the text and the score
+const legacyFields = {
+  solar_potential: { text: 'result', score: (section) => Math.min(section.average_radiation / SOLAR_SCORE_SCALE, 1) },
+  afforestation_feasibility: { text: 'feasibility', score: (section) => section.afforestation_potential_percent / 100 },
+  water_harvesting: { text: 'feasibility', score: (section) => section.water_harvesting_score },
+  windmill_feasibility: { text: 'feasibility', score: (section) => section.windmill_feasibility_score },
+};
+
+// The verdict of a report section, or null if it has none. Older reports only have
+// the text, which is matched against the known messages; text that matches none
+// gets a null level.
+export function sectionVerdict(sectionKey, section) {
+  if (section?.verdict) {
+    return section.verdict;
+  }
+  const fields = legacyFields[sectionKey];
+  const text = fields && section?.[fields.text];
+  if (!text) {
+    return null;
+  }
+  const rawScore = fields.score(section);
+  const score = typeof rawScore === 'number' && !isNaN(rawScore) ? Math.round(rawScore * 1000) / 1000 : null;
+  const key = Object.keys(verdicts).find((candidate) => verdicts[candidate].message === text);
+  return key ? makeVerdict(key, score) : { level: null, score, message: text, key: null };
+}
+
+// Message to show, looked up by key so it can be translated; falls back to the server text
+export function verdictMessage(verdict) {
+  return verdicts[verdict.key]?.message || verdict.message;
+}
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { verdicts, makeVerdict, sectionVerdict, verdictMessage } from './verdict';
+
+// The server's VERDICTS table, read from its source so the two cannot drift apart
+function serverVerdicts() {
+  const source = fs.readFileSync(path.resolve(__dirname, '../../../server/verdict.py'), 'utf8');
+  const entries = [...source.matchAll(/^\s+"([a-z_.]+)": \(VerdictLevel\.([A-Z]+), "(.*)"\),$/gm)];
+  return Object.fromEntries(entries.map(([, key, level, message]) => [key, { level: level.toLowerCase(), message }]));
+}
+
+const expectedLevels = {
+  'solar.excellent': 'high',
+  'solar.good': 'high',
+  'solar.moderate': 'medium',
+  'solar.low': 'low',
+  'water.feasible': 'high',
+  'water.moderate': 'medium',
+  'water.not_feasible': 'low',
+  'windmill.feasible': 'high',
+  'windmill.moderate': 'medium',
+  'windmill.not_feasible': 'low',
+  'afforestation.feasible': 'high',
+  'afforestation.not_feasible': 'low',
+};
+
+describe('makeVerdict', () => {
+  test.each(Object.entries(expectedLevels))('%s is %s', (key, level) => {
+    expect(makeVerdict(key, 0.5)).toEqual({ level, score: 0.5, message: verdicts[key].message, key });
+  });
+
+  test('rounds the score to three decimals and keeps a missing one', () => {
+    expect(makeVerdict('solar.good', 0.123456).score).toBe(0.123);
+    expect(makeVerdict('solar.good', null).score).toBeNull();
+    expect(makeVerdict('solar.good', undefined).score).toBeNull();
+  });
+});
+
+describe('client and server verdicts', () => {
+  test('have the same keys, levels and messages', () => {
+    const server = serverVerdicts();
+    expect(Object.keys(server).sort()).toEqual(Object.keys(verdicts).sort());
+    Object.entries(verdicts).forEach(([key, { level, message }]) => {
+      expect(server[key]).toEqual({ level, message });
+    });
+  });
+});
+
+describe('sectionVerdict', () => {
+  test('returns the typed verdict when the section has one', () => {
+    const verdict = makeVerdict('water.moderate', 0.45);
+    expect(sectionVerdict('water_harvesting', { verdict, feasibility: 'ignored' })).toBe(verdict);
+  });
+
+  test('maps legacy text to its key and derives the score', () => {
+    expect(sectionVerdict('solar_potential', {
+      result: verdicts['solar.good'].message,
+      average_radiation: 3.5,
+    })).toEqual(makeVerdict('solar.good', 0.5));
+    expect(sectionVerdict('afforestation_feasibility', {
+      feasibility: verdicts['afforestation.not_feasible'].message,
+      afforestation_potential_percent: 4.2,
+    })).toEqual(makeVerdict('afforestation.not_feasible', 0.042));
+    expect(sectionVerdict('windmill_feasibility', {
+      feasibility: verdicts['windmill.feasible'].message,
+      windmill_feasibility_score: 0.71,
+    })).toEqual(makeVerdict('windmill.feasible', 0.71));
+  });
+
+  test('keeps unknown legacy text with a null level', () => {
+    expect(sectionVerdict('water_harvesting', { feasibility: 'Something else', water_harvesting_score: 0.3 }))
+      .toEqual({ level: null, score: 0.3, message: 'Something else', key: null });
+    expect(sectionVerdict('water_harvesting', { feasibility: 'Something else' }))
+      .toEqual({ level: null, score: null, message: 'Something else', key: null });
+  });
+
+  test('is null without a verdict or text', () => {
+    expect(sectionVerdict('water_harvesting', undefined)).toBeNull();
+    expect(sectionVerdict('water_harvesting', { water_harvesting_score: 0.3 })).toBeNull();
+    expect(sectionVerdict('unknown_section', { feasibility: 'text' })).toBeNull();
+  });
+});
+
+describe('verdictMessage', () => {
+  test('looks the message up by key and falls back to the text', () => {
+    expect(verdictMessage({ key: 'solar.low', message: 'old text' })).toBe(verdicts['solar.low'].message);
+    expect(verdictMessage({ key: null, message: 'old text' })).toBe('old text');
+  });
+});
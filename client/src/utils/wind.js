@@ -0,0 +1,100 @@
+// Wind turbine power curves and annual energy production (AEP) from a Weibull
+// wind speed distribution. Wind speeds are m/s, power is kW.
+
+// Generic power curves for common turbine classes, sampled at whole m/s.
+// Values are representative of each class rather than a specific manufacturer.
+export const turbineLibrary = [
+  {
+    id: 'small-10',
+    name: 'Small 10 kW (7 m rotor)',
+    ratedKw: 10,
+    hubHeight: 24,
+    curve: [[0, 0], [2.5, 0], [3, 0.2], [4, 0.6], [5, 1.3], [6, 2.3], [7, 3.6], [8, 5.2], [9, 7], [10, 8.7], [11, 9.8], [12, 10], [20, 10], [20.01, 0]],
+  },
+  {
+    id: 'medium-250',
+    name: 'Medium 250 kW (30 m rotor)',
+    ratedKw: 250,
+    hubHeight: 50,
+    curve: [[0, 0], [3, 0], [4, 8], [5, 22], [6, 42], [7, 70], [8, 106], [9, 150], [10, 196], [11, 232], [12, 248], [13, 250], [25, 250], [25.01, 0]],
+  },
+  {
+    id: 'utility-2000',
+    name: 'Utility 2 MW (90 m rotor)',
+    ratedKw: 2000,
+    hubHeight: 80,
+    curve: [[0, 0], [3, 0], [4, 66], [5, 152], [6, 280], [7, 457], [8, 690], [9, 978], [10, 1296], [11, 1598], [12, 1818], [13, 1935], [14, 1980], [15, 2000], [25, 2000], [25.01, 0]],
+  },
+  {
+    id: 'utility-3600',
+    name: 'Utility 3.6 MW (120 m rotor)',
+    ratedKw: 3600,
+    hubHeight: 100,
+    curve: [[0, 0], [3, 0], [4, 120], [5, 290], [6, 530], [7, 860], [8, 1290], [9, 1830], [10, 2440], [11, 3020], [12, 3420], [13, 3580], [14, 3600], [25, 3600], [25.01, 0]],
+  },
+];
+
+// Power-law shear exponent for open, flat terrain
+export const DEFAULT_SHEAR_EXPONENT = 0.143;
+
+export function extrapolateSpeed(speed, fromHeight, toHeight, shearExponent = DEFAULT_SHEAR_EXPONENT) {
+  return speed * (toHeight / fromHeight) ** shearExponent;
+}
+
+export function weibullPdf(speed, k, c) {
+  if (speed < 0 || k <= 0 || c <= 0) {
+    return 0;
+  }
+  return (k / c) * (speed / c) ** (k - 1) * Math.exp(-((speed / c) ** k));
+}
+
+// Linear interpolation along the curve; zero outside it
+export function powerAt(curve, speed) {
+  if (!curve.length || speed < curve[0][0] || speed > curve[curve.length - 1][0]) {
+    return 0;
+  }
+  for (let i = 1; i < curve.length; i++) {
+    const [v1, p1] = curve[i - 1];
+    const [v2, p2] = curve[i];
+    if (speed <= v2) {
+      return v2 === v1 ? p2 : p1 + ((p2 - p1) * (speed - v1)) / (v2 - v1);
+    }
+  }
+  return 0;
+}
+
+// AEP in kWh: 8760 h × ∫ P(v) f(v) dv, integrated numerically in 0.1 m/s steps
+export function annualEnergyProduction(curve, k, c) {
+  const step = 0.1;
+  let meanPower = 0;
+  for (let speed = step / 2; speed < 40; speed += step) {
+    meanPower += powerAt(curve, speed) * weibullPdf(speed, k, c) * step;
+  }
+  return meanPower * 8760;
+}
+
+export function ratedPower(curve) {
+  return curve.reduce((max, [, power]) => Math.max(max, power), 0);
+}
+
+// Parses "speed kW" pairs, one per line, separated by a comma, tab or spaces.
+// Throws with the offending line number so the form can show it.
+export function parseCustomCurve(text) {
+  const points = text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const [speed, power] = line.split(/[\s,;]+/).map(Number);
+      if (!isFinite(speed) || !isFinite(power) || speed < 0 || power < 0) {
+        throw new Error(`Line ${index + 1}: expected "speed, kW".`);
+      }
+      return [speed, power];
+    })
+    .sort((a, b) => a[0] - b[0]);
+
+  if (points.length < 2) {
+    throw new Error('Enter at least two points.');
+  }
+  return points;
+}
@@ -2,7 +2,33 @@
 export default {
   content: [
     "./src/components/Map.jsx",
-    "./src/components/Result.jsx",],
+    "./src/components/Result.jsx",
+    "./src/components/History.jsx",
+    "./src/components/Compare.jsx",
+    "./src/components/BatchUpload.jsx",
+    "./src/components/ExportMenu.jsx",
+    "./src/components/SolarCharts.jsx",
+    "./src/components/PvCalculator.jsx",
+    "./src/components/WindEnergyPanel.jsx",
+    "./src/components/RainwaterCalculator.jsx",
+    "./src/components/LayerPanel.jsx",
+    "./src/components/GridScanPanel.jsx",
+    "./src/components/ChatPanel.jsx",
+    "./src/components/RecommendationsCard.jsx",
+    "./src/components/Settings.jsx",
+    "./src/components/ScoreBreakdown.jsx",
+    "./src/components/VerdictBadge.jsx",
+    "./src/components/SectionStatus.jsx",
+    "./src/components/AuthPage.jsx",
+    "./src/components/ProtectedRoute.jsx",
+    "./src/components/CardComments.jsx",
+    "./src/components/AddToProject.jsx",
+    "./src/components/Projects.jsx",
+    "./src/components/ProjectDashboard.jsx",
+    "./src/components/ProjectSitesLayer.jsx",
+    "./src/components/OfflineQueue.jsx",
+    "./src/components/OfflineTilesPanel.jsx",
+    "./src/components/PeriodSelector.jsx",],
   theme: {
     extend: {},
   },
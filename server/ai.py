@@ -1,5 +1,8 @@
 from google.generativeai import configure, GenerativeModel
 from dotenv import load_dotenv
+from pydantic import BaseModel, ValidationError
+from typing import Any, Dict, List, Literal
+import json
 import os
 
 load_dotenv()
@@ -8,49 +11,108 @@ api_key = os.getenv("API_KEY")
 
 configure(api_key=api_key)
 
+GEMINI_MODEL = "gemini-2.0-flash"
 
-def analyze_with_gemini(data: dict) -> str:
-    """Analyze sustainability data using Gemini 2.0 Flash and return recommendations."""
-    try:
-        model = GenerativeModel("gemini-2.0-flash")
-        
-        # Format the data as a prompt
-        prompt = f"""
-        You are an AI assistant for the Sustainability Analysis Platform. Below is a sustainability report for a specific location. Analyze the data and provide actionable recommendations to improve sustainability in the areas of solar potential, afforestation, water harvesting, and windmill feasibility. Be concise, professional, and focus on practical steps. Format the response exactly as follows, with one recommendation per bullet point:
-
-        **Solar Energy:**
-        * Recommendation for solar energy
-        **Afforestation:**
-        * Recommendation for afforestation
-        **Water Harvesting:**
-        * Recommendation for water harvesting
-        **Wind Energy:**
-        * Recommendation for wind energy
-
-        Data:
-        - Solar Potential:
-          - Average Radiation: {data['solar_potential']['average_radiation']} kWh/m²/day
-          - Result: {data['solar_potential']['result']}
-        - Afforestation Feasibility:
-          - Green Cover: {data['afforestation_feasibility']['green_cover_percent']}%
-          - Barren Land: {data['afforestation_feasibility']['barren_land_percent']}%
-          - Afforestation Potential: {data['afforestation_feasibility']['afforestation_potential_percent']}%
-          - Feasibility: {data['afforestation_feasibility']['feasibility']}
-        - Water Harvesting:
-          - Rainfall Score: {data['water_harvesting']['rainfall_score']}
-          - Soil Score: {data['water_harvesting']['soil_score']}
-          - Slope Score: {data['water_harvesting']['slope_score']}
-          - Water Harvesting Score: {data['water_harvesting']['water_harvesting_score']}
-          - Feasibility: {data['water_harvesting']['feasibility']}
-        - Windmill Feasibility:
-          - Wind Score: {data['windmill_feasibility']['wind_score']}
-          - Slope Score: {data['windmill_feasibility']['slope_score']}
-          - Land Score: {data['windmill_feasibility']['land_score']}
-          - Windmill Feasibility Score: {data['windmill_feasibility']['windmill_feasibility_score']}
-          - Feasibility: {data['windmill_feasibility']['feasibility']}
-        """
-        
-        response = model.generate_content(prompt)
-        return response.text
-    except Exception as e:
-        return f"Error analyzing data with Gemini: {str(e)}"
\ No newline at end of file
+# Invalid answers are sent back to the model with the validation error this many times in total
+MAX_ATTEMPTS = 3
+
+# Report fields a recommendation may cite, per report section
+RECOMMENDATION_METRICS = {
+    "solar_potential": ["average_radiation", "result"],
+    "afforestation_feasibility": [
+        "green_cover_percent", "barren_land_percent", "afforestation_potential_percent", "feasibility"
+    ],
+    "water_harvesting": ["rainfall_score", "soil_score", "slope_score", "water_harvesting_score", "feasibility"],
+    "windmill_feasibility": ["wind_score", "slope_score", "land_score", "windmill_feasibility_score", "feasibility"],
+}
+
+COST_BANDS = {
+    "low": "under $1,000",
+    "medium": "$1,000 to $10,000",
+    "high": "over $10,000",
+}
+
+class Recommendation(BaseModel):
+    section: Literal["solar_potential", "afforestation_feasibility", "water_harvesting", "windmill_feasibility"]
+    action: str
+    priority: Literal["high", "medium", "low"]
+    cost_band: Literal["low", "medium", "high"]
+    rationale: str
+    metric: str  # the report field that drove this recommendation
+
+class RecommendationSet(BaseModel):
+    recommendations: List[Recommendation]
+
+class RecommendationError(Exception):
+    """Gemini could not be reached or kept returning recommendations that fail validation."""
+
+
+def _prompt(data: dict) -> str:
+    metrics = {
+        section: {metric: (data.get(section) or {}).get(metric) for metric in fields}
+        for section, fields in RECOMMENDATION_METRICS.items()
+    }
+    return f"""
+    You are an AI assistant for the Sustainability Analysis Platform. Below is a sustainability report for a specific location. Analyze the data and provide actionable recommendations to improve sustainability in the areas of solar potential, afforestation, water harvesting, and windmill feasibility. Be concise, professional, and focus on practical steps.
+
+    Respond with JSON only, in exactly this shape:
+    {{"recommendations": [{{"section": "...", "action": "...", "priority": "...", "cost_band": "...", "rationale": "...", "metric": "..."}}]}}
+
+    Rules:
+    - Give one to three recommendations for every section: {", ".join(RECOMMENDATION_METRICS)}.
+    - "action" is one practical step in a single sentence.
+    - "priority" is "high", "medium" or "low", based on how much the step would improve the site.
+    - "cost_band" is "low" ({COST_BANDS["low"]}), "medium" ({COST_BANDS["medium"]}) or "high" ({COST_BANDS["high"]}).
+    - "rationale" explains in one sentence how the data supports the step, quoting the value it relies on.
+    - "metric" is the field of that section the rationale relies on, one of: {json.dumps(RECOMMENDATION_METRICS)}.
+
+    Data (a null value means the analysis could not measure it):
+    {json.dumps(metrics, ensure_ascii=False)}
+    """
+
+
+def validate_recommendations(text: str, data: dict) -> List[Dict[str, Any]]:
+    """Parse and check a model answer. Raises ValueError or ValidationError describing the problem."""
+    parsed = RecommendationSet(**json.loads(text))
+    items = []
+    for recommendation in parsed.recommendations:
+        allowed = RECOMMENDATION_METRICS[recommendation.section]
+        if recommendation.metric not in allowed:
+            raise ValueError(
+                f"metric '{recommendation.metric}' is not a field of {recommendation.section}; use one of {allowed}"
+            )
+        item = dict(recommendation.__dict__)
+        item["metric_value"] = (data.get(recommendation.section) or {}).get(recommendation.metric)
+        items.append(item)
+
+    missing = [section for section in RECOMMENDATION_METRICS if not any(item["section"] == section for item in items)]
+    if missing:
+        raise ValueError(f"no recommendations for: {', '.join(missing)}")
+    return items
+
+
+def analyze_with_gemini(data: dict) -> Dict[str, Any]:
+    """Structured recommendations for a sustainability report from Gemini 2.0 Flash.
+
+    Answers that fail validation are retried with the error appended to the prompt.
+    Raises RecommendationError when no valid answer is produced.
+    """
+    model = GenerativeModel(GEMINI_MODEL, generation_config={"response_mime_type": "application/json"})
+    prompt = _prompt(data)
+    last_error = None
+
+    for attempt in range(1, MAX_ATTEMPTS + 1):
+        request = prompt if last_error is None else \
+            f"{prompt}\n    Your previous answer was rejected: {last_error}. Return the corrected JSON only."
+        try:
+            response = model.generate_content(request)
+        except Exception as e:
+            raise RecommendationError(f"Error analyzing data with Gemini: {str(e)}")
+
+        try:
+            items = validate_recommendations(response.text, data)
+            return {"items": items, "model": GEMINI_MODEL, "attempts": attempt}
+        except (ValueError, ValidationError) as e:
+            last_error = str(e)
+
+    raise RecommendationError(f"Gemini did not return valid recommendations after {MAX_ATTEMPTS} attempts: {last_error}")
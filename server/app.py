@@ -1,12 +1,43 @@
-from fastapi import FastAPI, HTTPException
+from fastapi import FastAPI, HTTPException, Header, Depends
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from pydantic import BaseModel
+from typing import Any, Dict, List, Optional
 from solar_predictor import predict_solar
 from gee_afforestation import analyze_afforestation
 from gee_water import calculate_water_harvesting_score
 from windmill import calculate_windmill_feasibility
-from ai import analyze_with_gemini
+from pv_calculator import PvYieldInput, calculate_pv_yield, MAX_BATCH_SYSTEMS
+from rainwater import RainwaterInput, calculate_rainwater_harvest
+from gee_layers import list_layers, get_layer_tiles
+from geocoding import search_places, reverse_geocode
+from period import PeriodInput, resolve_period
+from grid_scan import GridScanInput, build_grid, scan_sections, rank_cells
+from chat import ChatInput, stream_chat
+from scoring import (
+    ScoringProfileInput, list_profiles, get_profile, create_profile, update_profile, delete_profile, resolve_profile,
+    DEFAULT_PROFILE_ID
+)
+from data_loader import get_nasa_monthly_rainfall
+from cache import recording, summary, inspect_entries, purge_entries
+from auth import (
+    Credentials, sign_up, sign_in, sign_out, user_for_token, list_workspace_reports, save_workspace_report,
+    delete_workspace_report, get_workspace_settings, update_workspace_settings
+)
+from projects import (
+    ProjectInput, MemberInput, RoleInput, SiteInput, CommentInput, NotFoundError, list_projects, get_project,
+    create_project, update_project, delete_project, add_member, update_member, remove_member, save_site, get_site,
+    remove_site, list_comments, add_comment, delete_comment
+)
+from ai import analyze_with_gemini, RecommendationError
+from jobs import create_job, get_job, cancel_job, create_events_token, redeem_events_token, TERMINAL_STATES, EVENTS_TOKEN_TTL_SECONDS
+from functools import partial
+import asyncio
+import hmac
+import json
 import logging
+import math
+import os
 
 # Set up logging
 logging.basicConfig(level=logging.INFO)
@@ -19,38 +50,143 @@ app.add_middleware(
     CORSMiddleware,
     allow_origins=["http://localhost:3000"],
     allow_credentials=True,
-    allow_methods=["POST", "GET"],
-    allow_headers=["Content-Type"],
+    allow_methods=["POST", "GET", "PUT", "DELETE"],
+    allow_headers=["Content-Type", "Authorization"],
 )
 
 class LocationInput(BaseModel):
     latitude: float
     longitude: float
+    geometry: Optional[Dict[str, Any]] = None  # GeoJSON Polygon of the area of interest
+    scoring_profile_id: Optional[str] = None  # the selected profile when omitted
+    period: Optional[PeriodInput] = None  # each source's default window when omitted
+
+def _valid_position(position: Any) -> bool:
+    """A [lon, lat, ...] position of finite numbers within the coordinate range."""
+    if not isinstance(position, list) or len(position) < 2:
+        return False
+    if not all(isinstance(value, (int, float)) and not isinstance(value, bool) and math.isfinite(value)
+               for value in position):
+        return False
+    lon, lat = position[:2]
+    return -90 <= lat <= 90 and -180 <= lon <= 180
+
+def validate_geometry(geometry: Optional[Dict[str, Any]]):
+    """Reject anything other than a GeoJSON Polygon whose rings are closed and have at least three corners."""
+    if geometry is None:
+        return
+    if geometry.get("type") != "Polygon":
+        raise HTTPException(status_code=400, detail="Geometry must be a GeoJSON Polygon.")
+    rings = geometry.get("coordinates")
+    if not isinstance(rings, list) or not rings:
+        raise HTTPException(status_code=400, detail="Polygon must have at least one ring.")
+    for ring in rings:
+        if not isinstance(ring, list) or not all(_valid_position(position) for position in ring):
+            raise HTTPException(status_code=400, detail="Polygon coordinates must be [longitude, latitude] pairs within range.")
+        if len(ring) < 4 or ring[0] != ring[-1]:
+            raise HTTPException(status_code=400, detail="Every polygon ring must be closed with at least three vertices.")
+
+def validate_period(period: Optional[PeriodInput]) -> Optional[Dict[str, Any]]:
+    """The years and months the period covers (see period.resolve_period), or 400 when it is invalid."""
+    try:
+        return resolve_period(period)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+# The four sub-analyses of a sustainability report, keyed by their report field
+REPORT_SECTIONS = {
+    "solar_potential": predict_solar,
+    "afforestation_feasibility": analyze_afforestation,
+    "water_harvesting": calculate_water_harvesting_score,
+    "windmill_feasibility": calculate_windmill_feasibility,
+}
+
+# Session tokens are sent as "Authorization: Bearer <token>"
+def bearer_token(authorization: Optional[str] = Header(None)) -> Optional[str]:
+    if authorization and authorization.lower().startswith("bearer "):
+        return authorization[7:].strip()
+    return None
+
+def optional_user(token: Optional[str] = Depends(bearer_token)) -> Optional[Dict[str, Any]]:
+    return user_for_token(token)
+
+def current_user(user: Optional[Dict[str, Any]] = Depends(optional_user)) -> Dict[str, Any]:
+    if user is None:
+        raise HTTPException(status_code=401, detail="Sign in to continue.")
+    return user
+
+def user_selected_profile_id(user: Optional[Dict[str, Any]]) -> Optional[str]:
+    """The profile the user picked in their workspace, if it still exists."""
+    if user is None:
+        return None
+    profile_id = get_workspace_settings(user["id"]).get("scoring_profile_id")
+    return profile_id if profile_id and get_profile(profile_id, user["id"]) else None
+
+def scoring_profile_for(profile_id: Optional[str], user: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+    """The named profile, else the user's selected one, else the default."""
+    try:
+        return resolve_profile(profile_id or user_selected_profile_id(user), user["id"] if user else None)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+def visible_profiles(user: Optional[Dict[str, Any]]) -> Dict[str, Any]:
+    """The profiles the caller can use and the id of the selected one (the user's own choice when signed in)."""
+    profiles = list_profiles(user["id"] if user else None)
+    return {**profiles, "selected": user_selected_profile_id(user) or DEFAULT_PROFILE_ID}
+
+def owned_job(job_id: str, user: Dict[str, Any]) -> Dict[str, Any]:
+    """A job started by this user; other users' jobs are reported as missing."""
+    job = get_job(job_id)
+    if job is None or job["metadata"].get("user_id") != user["id"]:
+        raise HTTPException(status_code=404, detail="Job not found or expired.")
+    return job
+
+def run_section(analysis, location: LocationInput, profile: Dict[str, Any]):
+    """Run one sub-analysis and add which of its inputs came from the cache under "cache"."""
+    with recording() as lookups:
+        result = analysis(location, profile)
+    return {**result, "cache": summary(lookups)}
+
+def report_sections(location: LocationInput, profile: Dict[str, Any]):
+    """Zero-argument callables running each sub-analysis for the given location."""
+    return {name: partial(run_section, analysis, location, profile) for name, analysis in REPORT_SECTIONS.items()}
+
+def recommendations_for(report_data: dict):
+    """Gemini recommendations, only generated once every section is available.
+
+    A failure is returned as {"items": [], "error": ...} so the report itself still gets through.
+    """
+    if len(report_data) < len(REPORT_SECTIONS):
+        return None
+    try:
+        return analyze_with_gemini(report_data)
+    except RecommendationError as e:
+        logger.error(f"Error generating recommendations: {str(e)}")
+        return {"items": [], "error": str(e)}
+
+class RecommendationInput(BaseModel):
+    report: Dict[str, Any]
 
 @app.post("/sustainability-result")
-async def get_feasibility_report(location: LocationInput):
-    try:
-        logger.info(f"Received request for sustainability report: latitude={location.latitude}, longitude={location.longitude}")
-        # Generate sustainability report
-        solar_data = predict_solar(location)
-        afforestation_data = analyze_afforestation(location)
-        water_data = calculate_water_harvesting_score(location)
-        wind_data = calculate_windmill_feasibility(location)
-
-        report_data = {
-            "solar_potential": solar_data,
-            "afforestation_feasibility": afforestation_data,
-            "water_harvesting": water_data,
-            "windmill_feasibility": wind_data
-        }
+async def get_feasibility_report(location: LocationInput, user: Dict[str, Any] = Depends(current_user)):
+    validate_geometry(location.geometry)
+    period = validate_period(location.period)
+    profile = await asyncio.to_thread(scoring_profile_for, location.scoring_profile_id, user)
+    try:
+        logger.info(f"Received request for sustainability report: user={user['id']}, latitude={location.latitude}, longitude={location.longitude}, area={'polygon' if location.geometry else 'point'}, period={period['key'] if period else 'default'}, profile={profile['id']}")
+        # Generate sustainability report; each section blocks on NASA and Earth Engine, so off the event loop
+        report_data = {name: await asyncio.to_thread(run) for name, run in report_sections(location, profile).items()}
 
         # Get Gemini recommendations
-        gemini_recommendations = analyze_with_gemini(report_data)
+        gemini_recommendations = await asyncio.to_thread(recommendations_for, report_data)
 
         # Combine report data and recommendations
         response = {
             "report": report_data,
-            "recommendations": gemini_recommendations
+            "recommendations": gemini_recommendations,
+            "period": period,
+            # The full profile, so the verdicts can be reproduced after it is edited
+            "scoring_profile": profile
         }
 
         logger.info("Sustainability report and recommendations generated successfully")
@@ -59,6 +195,418 @@ async def get_feasibility_report(location: LocationInput):
         logger.error(f"Error generating sustainability report: {str(e)}")
         raise HTTPException(status_code=500, detail=f"Internal server error: {str(e)}")
 
+@app.post("/sustainability-result/{section}")
+async def rerun_report_section(section: str, location: LocationInput, user: Dict[str, Any] = Depends(current_user)):
+    """Re-run one sub-analysis of a report, e.g. after it came back unavailable."""
+    if section not in REPORT_SECTIONS:
+        raise HTTPException(status_code=404, detail=f"Unknown report section: {section}")
+    validate_geometry(location.geometry)
+    period = validate_period(location.period)
+    profile = await asyncio.to_thread(scoring_profile_for, location.scoring_profile_id, user)
+    logger.info(f"Re-running {section}: user={user['id']}, latitude={location.latitude}, longitude={location.longitude}, profile={profile['id']}")
+    try:
+        result = await asyncio.to_thread(run_section, REPORT_SECTIONS[section], location, profile)
+    except Exception as e:
+        logger.error(f"Error re-running {section}: {str(e)}")
+        raise HTTPException(status_code=500, detail=f"Internal server error: {str(e)}")
+    return {"section": section, "result": result, "scoring_profile": profile, "period": period}
+
+@app.post("/recommendations")
+async def get_recommendations(body: RecommendationInput, user: Dict[str, Any] = Depends(current_user)):
+    """(Re)generate structured recommendations for an existing report."""
+    missing = [name for name in REPORT_SECTIONS if name not in body.report]
+    if missing:
+        raise HTTPException(status_code=400, detail=f"Report is missing sections: {', '.join(missing)}")
+    try:
+        return await asyncio.to_thread(analyze_with_gemini, body.report)
+    except RecommendationError as e:
+        raise HTTPException(status_code=502, detail=str(e))
+
+@app.post("/jobs")
+async def submit_analysis_job(location: LocationInput, user: Dict[str, Any] = Depends(current_user)):
+    """Start a sustainability report in the background and return its job id straight away."""
+    validate_geometry(location.geometry)
+    period = validate_period(location.period)
+    profile = await asyncio.to_thread(scoring_profile_for, location.scoring_profile_id, user)
+    logger.info(f"Submitting analysis job: user={user['id']}, latitude={location.latitude}, longitude={location.longitude}, area={'polygon' if location.geometry else 'point'}, period={period['key'] if period else 'default'}, profile={profile['id']}")
+    job_id = create_job(
+        report_sections(location, profile),
+        finalize=recommendations_for,
+        metadata={
+            "latitude": location.latitude, "longitude": location.longitude, "geometry": location.geometry,
+            "scoring_profile": profile, "period": period, "user_id": user["id"]
+        },
+    )
+    return {"job_id": job_id, "status": "running"}
+
+@app.post("/grid-scan")
+async def submit_grid_scan(scan: GridScanInput, user: Dict[str, Any] = Depends(current_user)):
+    """Score a grid of cells inside the region for one analysis, as a background job.
+
+    Progress and results are read through the /jobs endpoints; the ranked cells are under "scan".
+    """
+    validate_geometry(scan.geometry)
+    profile = await asyncio.to_thread(scoring_profile_for, scan.scoring_profile_id, user)
+    try:
+        grid = build_grid(scan.geometry, scan.cell_size_km, scan.target_cells)
+        sections = scan_sections(grid, scan.analysis, profile)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+    logger.info(f"Submitting grid scan: analysis={scan.analysis}, cells={len(grid['cells'])}, cell_size_km={grid['cell_size_km']}")
+    job_id = create_job(
+        sections,
+        finalize=rank_cells,
+        finalize_name="scan",
+        pool="scan",
+        metadata={
+            "kind": "grid_scan", "analysis": scan.analysis, "cell_size_km": grid["cell_size_km"],
+            "cell_count": len(grid["cells"]), "scoring_profile": profile, "user_id": user["id"]
+        },
+    )
+    return {"job_id": job_id, "status": "running", "cell_size_km": grid["cell_size_km"], "cell_count": len(grid["cells"])}
+
+@app.get("/jobs/{job_id}")
+async def get_analysis_job(job_id: str, user: Dict[str, Any] = Depends(current_user)):
+    return owned_job(job_id, user)
+
+@app.post("/jobs/{job_id}/events-token")
+async def get_analysis_job_events_token(job_id: str, user: Dict[str, Any] = Depends(current_user)):
+    """Short-lived, single-use token for opening the job's event stream."""
+    owned_job(job_id, user)
+    return {"token": create_events_token(job_id, user["id"]), "expires_in": EVENTS_TOKEN_TTL_SECONDS}
+
+@app.get("/jobs/{job_id}/events")
+async def stream_analysis_job(job_id: str, token: Optional[str] = None,
+                              user: Optional[Dict[str, Any]] = Depends(optional_user)):
+    """Server-sent events stream that emits a job snapshot every time it changes.
+
+    EventSource cannot send headers, so it authenticates with ?token= from /jobs/{job_id}/events-token;
+    other clients can send the session token as usual.
+    """
+    if user is None:
+        user_id = redeem_events_token(job_id, token) if token else None
+        if user_id is None:
+            raise HTTPException(status_code=401, detail="Sign in to continue.")
+        user = {"id": user_id}
+    owned_job(job_id, user)
+
+    async def events():
+        last_version = None
+        while True:
+            job = get_job(job_id)
+            if job is None:
+                break
+            if job["version"] != last_version:
+                last_version = job["version"]
+                yield f"data: {json.dumps(job)}\n\n"
+            if job["status"] in TERMINAL_STATES:
+                break
+            await asyncio.sleep(0.5)
+
+    return StreamingResponse(events(), media_type="text/event-stream", headers={"Cache-Control": "no-cache"})
+
+@app.delete("/jobs/{job_id}")
+async def cancel_analysis_job(job_id: str, user: Dict[str, Any] = Depends(current_user)):
+    owned_job(job_id, user)
+    if not cancel_job(job_id):
+        raise HTTPException(status_code=404, detail="Job not found or expired.")
+    return get_job(job_id)
+
+@app.post("/pv-yield")
+async def get_pv_yield(params: PvYieldInput):
+    """Energy yield, CO2 savings and payback for a PV system at one site."""
+    try:
+        return await asyncio.to_thread(calculate_pv_yield, params)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+@app.post("/pv-yield/batch")
+async def get_pv_yield_batch(systems: List[PvYieldInput], user: Dict[str, Any] = Depends(current_user)):
+    """Same as /pv-yield for up to MAX_BATCH_SYSTEMS systems; failures are reported per item."""
+    if len(systems) > MAX_BATCH_SYSTEMS:
+        raise HTTPException(status_code=400, detail=f"A batch is limited to {MAX_BATCH_SYSTEMS} systems.")
+    results = []
+    for params in systems:
+        try:
+            results.append({"result": await asyncio.to_thread(calculate_pv_yield, params), "error": None})
+        except ValueError as e:
+            results.append({"result": None, "error": str(e)})
+    return results
+
+@app.get("/rainfall/monthly")
+async def get_monthly_rainfall(latitude: float, longitude: float):
+    """Average monthly rainfall totals (mm) from the NASA POWER daily series."""
+    if not (-90 <= latitude <= 90 and -180 <= longitude <= 180):
+        raise HTTPException(status_code=400, detail="Coordinates are out of range.")
+    rainfall = await asyncio.to_thread(get_nasa_monthly_rainfall, latitude, longitude)
+    if rainfall is None:
+        raise HTTPException(status_code=502, detail="Failed to fetch NASA data.")
+    return rainfall
+
+@app.post("/rainwater-harvest")
+async def get_rainwater_harvest(params: RainwaterInput):
+    """Monthly harvestable volume, recommended storage and dry-month shortfall for a catchment."""
+    try:
+        return await asyncio.to_thread(calculate_rainwater_harvest, params)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+@app.get("/layers")
+async def get_layers():
+    """Map overlays the client can switch on, with their legends."""
+    return list_layers()
+
+@app.get("/layers/{layer_id}/tiles")
+async def get_layer_tile_url(layer_id: str):
+    """Earth Engine tile URL template for one overlay."""
+    try:
+        layer = await asyncio.to_thread(get_layer_tiles, layer_id)
+    except Exception as e:
+        logger.error(f"Error creating tiles for layer {layer_id}: {str(e)}")
+        raise HTTPException(status_code=502, detail=f"Failed to create map tiles: {str(e)}")
+    if layer is None:
+        raise HTTPException(status_code=404, detail="Unknown layer.")
+    return layer
+
+@app.get("/geocode/search")
+async def geocode_search(q: str, limit: int = 5):
+    """Places matching the text, from the configured geocoder or the bundled gazetteer."""
+    try:
+        return await asyncio.to_thread(search_places, q, limit)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+@app.get("/geocode/reverse")
+async def geocode_reverse(latitude: float, longitude: float):
+    """Name of the place at the coordinates; `result` is null when nothing is known there."""
+    if not (-90 <= latitude <= 90 and -180 <= longitude <= 180):
+        raise HTTPException(status_code=400, detail="Coordinates are out of range.")
+    try:
+        return await asyncio.to_thread(reverse_geocode, latitude, longitude)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+@app.post("/chat")
+async def chat_about_report(chat: ChatInput, user: Dict[str, Any] = Depends(current_user)):
+    """Follow-up questions about a report. The reply is streamed as plain text chunks."""
+    try:
+        reply = stream_chat(chat)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+    def chunks():
+        # Once streaming has started the status code is sent, so failures are reported in the text
+        try:
+            yield from reply
+        except Exception as e:
+            logger.error(f"Error streaming chat reply: {str(e)}")
+            yield f"\n\n[Error: {str(e)}]"
+
+    return StreamingResponse(chunks(), media_type="text/plain; charset=utf-8", headers={"Cache-Control": "no-cache"})
+
+@app.get("/scoring-profiles")
+async def get_scoring_profiles(user: Optional[Dict[str, Any]] = Depends(optional_user)):
+    """The scoring profiles the caller can use and the id of the selected one (the user's own choice when signed in)."""
+    return await asyncio.to_thread(visible_profiles, user)
+
+@app.post("/scoring-profiles")
+async def create_scoring_profile(profile: ScoringProfileInput, user: Dict[str, Any] = Depends(current_user)):
+    try:
+        return await asyncio.to_thread(create_profile, profile, user["id"])
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+@app.get("/scoring-profiles/{profile_id}")
+async def get_scoring_profile(profile_id: str, user: Optional[Dict[str, Any]] = Depends(optional_user)):
+    profile = await asyncio.to_thread(get_profile, profile_id, user["id"] if user else None)
+    if profile is None:
+        raise HTTPException(status_code=404, detail="Scoring profile not found.")
+    return profile
+
+@app.put("/scoring-profiles/{profile_id}")
+async def update_scoring_profile(profile_id: str, profile: ScoringProfileInput, user: Dict[str, Any] = Depends(current_user)):
+    try:
+        updated = await asyncio.to_thread(update_profile, profile_id, profile, user["id"])
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    if updated is None:
+        raise HTTPException(status_code=404, detail="Scoring profile not found.")
+    return updated
+
+@app.delete("/scoring-profiles/{profile_id}")
+async def delete_scoring_profile(profile_id: str, user: Dict[str, Any] = Depends(current_user)):
+    try:
+        deleted = await asyncio.to_thread(delete_profile, profile_id, user["id"])
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    if not deleted:
+        raise HTTPException(status_code=404, detail="Scoring profile not found.")
+    return await asyncio.to_thread(visible_profiles, user)
+
+@app.post("/scoring-profiles/{profile_id}/select")
+async def select_scoring_profile(profile_id: str, user: Dict[str, Any] = Depends(current_user)):
+    """Use this profile for every analysis of the user's that does not name one; kept in their workspace."""
+    profile = await asyncio.to_thread(get_profile, profile_id, user["id"])
+    if profile is None:
+        raise HTTPException(status_code=404, detail="Scoring profile not found.")
+    await asyncio.to_thread(update_workspace_settings, user["id"], {"scoring_profile_id": profile_id})
+    return profile
+
+@app.post("/auth/signup")
+async def sign_up_user(credentials: Credentials):
+    """Create an account; the response carries a session token like /auth/signin."""
+    try:
+        session = await asyncio.to_thread(sign_up, credentials)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    logger.info(f"New user signed up: {session['user']['id']}")
+    return session
+
+@app.post("/auth/signin")
+async def sign_in_user(credentials: Credentials):
+    session = await asyncio.to_thread(sign_in, credentials)
+    if session is None:
+        raise HTTPException(status_code=401, detail="Incorrect email or password.")
+    return session
+
+@app.post("/auth/signout")
+async def sign_out_user(token: Optional[str] = Depends(bearer_token)):
+    if token:
+        await asyncio.to_thread(sign_out, token)
+    return {"status": "signed_out"}
+
+@app.get("/auth/me")
+async def get_signed_in_user(user: Dict[str, Any] = Depends(current_user)):
+    return user
+
+class WorkspaceReportInput(BaseModel):
+    report: Dict[str, Any]  # a saved report as the client stores it
+
+class WorkspaceSettingsInput(BaseModel):
+    settings: Dict[str, Any]
+
+@app.get("/workspace/reports")
+async def get_workspace_reports(user: Dict[str, Any] = Depends(current_user)):
+    """The user's saved reports, most recently changed first."""
+    return await asyncio.to_thread(list_workspace_reports, user["id"])
+
+@app.put("/workspace/reports/{report_id}")
+async def put_workspace_report(report_id: str, body: WorkspaceReportInput, user: Dict[str, Any] = Depends(current_user)):
+    return await asyncio.to_thread(save_workspace_report, user["id"], report_id, body.report)
+
+@app.delete("/workspace/reports/{report_id}")
+async def remove_workspace_report(report_id: str, user: Dict[str, Any] = Depends(current_user)):
+    if not await asyncio.to_thread(delete_workspace_report, user["id"], report_id):
+        raise HTTPException(status_code=404, detail="Report not found.")
+    return {"status": "deleted"}
+
+@app.get("/workspace/settings")
+async def get_user_settings(user: Dict[str, Any] = Depends(current_user)):
+    return await asyncio.to_thread(get_workspace_settings, user["id"])
+
+@app.put("/workspace/settings")
+async def put_user_settings(body: WorkspaceSettingsInput, user: Dict[str, Any] = Depends(current_user)):
+    """Merge the given settings into the user's workspace settings."""
+    return await asyncio.to_thread(update_workspace_settings, user["id"], body.settings)
+
+async def project_call(func, *args):
+    """Run a projects function for the calling user off the event loop, turning its errors into HTTP errors."""
+    try:
+        return await asyncio.to_thread(func, *args)
+    except NotFoundError as e:
+        raise HTTPException(status_code=404, detail=str(e))
+    except PermissionError as e:
+        raise HTTPException(status_code=403, detail=str(e))
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+@app.get("/projects")
+async def get_projects(user: Dict[str, Any] = Depends(current_user)):
+    """Projects the user owns or was invited to, with their role in each."""
+    return await asyncio.to_thread(list_projects, user["id"])
+
+@app.post("/projects")
+async def post_project(project: ProjectInput, user: Dict[str, Any] = Depends(current_user)):
+    return await project_call(create_project, user["id"], project)
+
+@app.get("/projects/{project_id}")
+async def get_project_detail(project_id: str, user: Dict[str, Any] = Depends(current_user)):
+    """A project with its members and sites (each site carries its saved report)."""
+    return await project_call(get_project, user["id"], project_id)
+
+@app.put("/projects/{project_id}")
+async def put_project(project_id: str, project: ProjectInput, user: Dict[str, Any] = Depends(current_user)):
+    return await project_call(update_project, user["id"], project_id, project)
+
+@app.delete("/projects/{project_id}")
+async def remove_project(project_id: str, user: Dict[str, Any] = Depends(current_user)):
+    await project_call(delete_project, user["id"], project_id)
+    return {"status": "deleted"}
+
+@app.post("/projects/{project_id}/members")
+async def post_project_member(project_id: str, member: MemberInput, user: Dict[str, Any] = Depends(current_user)):
+    """Invite an existing account by email as a viewer or editor."""
+    return await project_call(add_member, user["id"], project_id, member)
+
+@app.put("/projects/{project_id}/members/{member_id}")
+async def put_project_member(project_id: str, member_id: str, body: RoleInput, user: Dict[str, Any] = Depends(current_user)):
+    return await project_call(update_member, user["id"], project_id, member_id, body.role)
+
+@app.delete("/projects/{project_id}/members/{member_id}")
+async def remove_project_member(project_id: str, member_id: str, user: Dict[str, Any] = Depends(current_user)):
+    """Remove a member (owner only), or leave the project when it is the caller."""
+    await project_call(remove_member, user["id"], project_id, member_id)
+    return {"status": "removed"}
+
+@app.put("/projects/{project_id}/sites/{site_id}")
+async def put_project_site(project_id: str, site_id: str, body: SiteInput, user: Dict[str, Any] = Depends(current_user)):
+    """Add a saved report to the project, or update the project's copy of it."""
+    return await project_call(save_site, user["id"], project_id, site_id, body.report)
+
+@app.get("/projects/{project_id}/sites/{site_id}")
+async def get_project_site(project_id: str, site_id: str, user: Dict[str, Any] = Depends(current_user)):
+    return await project_call(get_site, user["id"], project_id, site_id)
+
+@app.delete("/projects/{project_id}/sites/{site_id}")
+async def remove_project_site(project_id: str, site_id: str, user: Dict[str, Any] = Depends(current_user)):
+    await project_call(remove_site, user["id"], project_id, site_id)
+    return {"status": "removed"}
+
+@app.get("/projects/{project_id}/sites/{site_id}/comments")
+async def get_site_comments(project_id: str, site_id: str, user: Dict[str, Any] = Depends(current_user)):
+    return await project_call(list_comments, user["id"], project_id, site_id)
+
+@app.post("/projects/{project_id}/sites/{site_id}/comments")
+async def post_site_comment(project_id: str, site_id: str, comment: CommentInput, user: Dict[str, Any] = Depends(current_user)):
+    """Comment on one result card of a site; returns every comment on the site."""
+    return await project_call(add_comment, user["id"], project_id, site_id, comment)
+
+@app.delete("/projects/{project_id}/comments/{comment_id}")
+async def remove_site_comment(project_id: str, comment_id: str, user: Dict[str, Any] = Depends(current_user)):
+    site_id = await project_call(delete_comment, user["id"], project_id, comment_id)
+    return await project_call(list_comments, user["id"], project_id, site_id)
+
+# Admin endpoints are only enabled when ADMIN_TOKEN is set; callers send it as X-Admin-Token
+def require_admin(x_admin_token: Optional[str] = Header(None)):
+    admin_token = os.getenv("ADMIN_TOKEN")
+    if not admin_token:
+        raise HTTPException(status_code=503, detail="Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.")
+    if not hmac.compare_digest(x_admin_token or "", admin_token):
+        raise HTTPException(status_code=401, detail="Invalid admin token.")
+
+@app.get("/admin/cache", dependencies=[Depends(require_admin)])
+async def get_cache_entries(source: Optional[str] = None, expired: bool = False, errors: bool = False, limit: int = 100):
+    """Entry counts per data source and the most recent entries, optionally only expired or failed ones."""
+    return await asyncio.to_thread(inspect_entries, source, expired, errors, min(max(limit, 1), 1000))
+
+@app.delete("/admin/cache", dependencies=[Depends(require_admin)])
+async def purge_cache_entries(source: Optional[str] = None, key: Optional[str] = None, expired: bool = False, errors: bool = False):
+    """Delete cache entries by source, key, expiry or failure; everything when no filter is given."""
+    deleted = await asyncio.to_thread(purge_entries, source, key, expired, errors)
+    logger.info(f"Purged {deleted} cache entries: source={source}, key={key}, expired={expired}, errors={errors}")
+    return {"deleted": deleted}
+
 @app.get("/health")
 async def health_check():
     return {"status": "healthy"}
\ No newline at end of file
@@ -0,0 +1,205 @@
+import hashlib
+import hmac
+import json
+import os
+import re
+import secrets
+import sqlite3
+import time
+import uuid
+from contextlib import contextmanager
+from pydantic import BaseModel
+from typing import Any, Dict, List, Optional
+
+# Users, their sessions and their workspaces live in this SQLite file next to the server.
+# Nothing else is needed to run it locally; point USERS_DB_PATH elsewhere to keep it apart.
+USERS_PATH = os.getenv("USERS_DB_PATH", os.path.join(os.path.dirname(os.path.abspath(__file__)), "users.db"))
+
+SESSION_TTL_SECONDS = int(os.getenv("SESSION_TTL_DAYS", "30")) * 24 * 60 * 60
+MIN_PASSWORD_LENGTH = 8
+
+# PBKDF2-HMAC-SHA256, stored as "pbkdf2_sha256$<iterations>$<salt>$<hash>" so the
+# iteration count can be raised without invalidating existing passwords
+HASH_ITERATIONS = 260000
+
+EMAIL_PATTERN = re.compile(r"^[^@\s]+@[^@\s]+\.[^@\s]+$")
+
+
+class Credentials(BaseModel):
+    email: str
+    password: str
+
+
+@contextmanager
+def connect():
+    """Connection to the user store (projects keep their tables there too); commits on success, always closed."""
+    connection = sqlite3.connect(USERS_PATH, timeout=10)
+    connection.row_factory = sqlite3.Row
+    connection.executescript(
+        """CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            email TEXT NOT NULL UNIQUE,
+            password_hash TEXT NOT NULL,
+            created_at REAL NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users(id),
+            created_at REAL NOT NULL,
+            expires_at REAL NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS workspace_reports (
+            user_id TEXT NOT NULL REFERENCES users(id),
+            id TEXT NOT NULL,
+            report TEXT NOT NULL,
+            updated_at REAL NOT NULL,
+            PRIMARY KEY (user_id, id)
+        );
+        CREATE TABLE IF NOT EXISTS workspace_settings (
+            user_id TEXT PRIMARY KEY REFERENCES users(id),
+            settings TEXT NOT NULL,
+            updated_at REAL NOT NULL
+        );"""
+    )
+    try:
+        with connection:
+            yield connection
+    finally:
+        connection.close()
+
+
+def hash_password(password: str, iterations: int = HASH_ITERATIONS) -> str:
+    salt = secrets.token_hex(16)
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode(), salt.encode(), iterations).hex()
+    return f"pbkdf2_sha256${iterations}${salt}${digest}"
+
+
+def verify_password(password: str, stored: str) -> bool:
+    try:
+        algorithm, iterations, salt, digest = stored.split("$")
+    except ValueError:
+        return False
+    if algorithm != "pbkdf2_sha256":
+        return False
+    candidate = hashlib.pbkdf2_hmac("sha256", password.encode(), salt.encode(), int(iterations)).hex()
+    return hmac.compare_digest(candidate, digest)
+
+
+def _token_hash(token: str) -> str:
+    # Only a hash of each session token is stored, so a copy of the database cannot sign anyone in
+    return hashlib.sha256(token.encode()).hexdigest()
+
+
+def _public(row: sqlite3.Row) -> Dict[str, Any]:
+    return {"id": row["id"], "email": row["email"], "created_at": row["created_at"]}
+
+
+def _create_session(connection: sqlite3.Connection, user_id: str) -> str:
+    token = secrets.token_urlsafe(32)
+    now = time.time()
+    connection.execute("DELETE FROM sessions WHERE expires_at <= ?", (now,))
+    connection.execute(
+        "INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)",
+        (_token_hash(token), user_id, now, now + SESSION_TTL_SECONDS),
+    )
+    return token
+
+
+def sign_up(credentials: Credentials) -> Dict[str, Any]:
+    """Create an account and sign it in. Raises ValueError for a bad email or password or a taken email."""
+    email = credentials.email.strip().lower()
+    if not EMAIL_PATTERN.match(email):
+        raise ValueError("Enter a valid email address.")
+    if len(credentials.password) < MIN_PASSWORD_LENGTH:
+        raise ValueError(f"Passwords need at least {MIN_PASSWORD_LENGTH} characters.")
+
+    password_hash = hash_password(credentials.password)
+    with connect() as connection:
+        if connection.execute("SELECT 1 FROM users WHERE email = ?", (email,)).fetchone():
+            raise ValueError("An account with this email already exists.")
+        user_id = uuid.uuid4().hex
+        try:
+            connection.execute(
+                "INSERT INTO users (id, email, password_hash, created_at) VALUES (?, ?, ?, ?)",
+                (user_id, email, password_hash, time.time()),
+            )
+        except sqlite3.IntegrityError:
+            # Another sign-up for the same email got in between the check and the insert
+            raise ValueError("An account with this email already exists.")
+        token = _create_session(connection, user_id)
+        user = connection.execute("SELECT * FROM users WHERE id = ?", (user_id,)).fetchone()
+    return {"token": token, "user": _public(user)}
+
+
+def sign_in(credentials: Credentials) -> Optional[Dict[str, Any]]:
+    """A new session for the account, or None if the email or password is wrong."""
+    email = credentials.email.strip().lower()
+    with connect() as connection:
+        user = connection.execute("SELECT * FROM users WHERE email = ?", (email,)).fetchone()
+        if user is None or not verify_password(credentials.password, user["password_hash"]):
+            return None
+        token = _create_session(connection, user["id"])
+    return {"token": token, "user": _public(user)}
+
+
+def sign_out(token: str):
+    with connect() as connection:
+        connection.execute("DELETE FROM sessions WHERE token_hash = ?", (_token_hash(token),))
+
+
+def user_for_token(token: Optional[str]) -> Optional[Dict[str, Any]]:
+    """The signed-in user of a session token, or None if it is unknown or expired."""
+    if not token:
+        return None
+    with connect() as connection:
+        user = connection.execute(
+            "SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id"
+            " WHERE sessions.token_hash = ? AND sessions.expires_at > ?",
+            (_token_hash(token), time.time()),
+        ).fetchone()
+    return _public(user) if user else None
+
+
+# Workspace: the reports a user has run and their settings, stored as the JSON the client sends
+
+def list_workspace_reports(user_id: str) -> List[Dict[str, Any]]:
+    with connect() as connection:
+        rows = connection.execute(
+            "SELECT report FROM workspace_reports WHERE user_id = ? ORDER BY updated_at DESC", (user_id,)
+        ).fetchall()
+    return [json.loads(row["report"]) for row in rows]
+
+
+def save_workspace_report(user_id: str, report_id: str, report: Dict[str, Any]) -> Dict[str, Any]:
+    saved = {**report, "id": report_id}
+    with connect() as connection:
+        connection.execute(
+            "INSERT OR REPLACE INTO workspace_reports (user_id, id, report, updated_at) VALUES (?, ?, ?, ?)",
+            (user_id, report_id, json.dumps(saved), time.time()),
+        )
+    return saved
+
+
+def delete_workspace_report(user_id: str, report_id: str) -> bool:
+    with connect() as connection:
+        deleted = connection.execute(
+            "DELETE FROM workspace_reports WHERE user_id = ? AND id = ?", (user_id, report_id)
+        ).rowcount
+    return deleted > 0
+
+
+def get_workspace_settings(user_id: str) -> Dict[str, Any]:
+    with connect() as connection:
+        row = connection.execute("SELECT settings FROM workspace_settings WHERE user_id = ?", (user_id,)).fetchone()
+    return json.loads(row["settings"]) if row else {}
+
+
+def update_workspace_settings(user_id: str, changes: Dict[str, Any]) -> Dict[str, Any]:
+    """Merge `changes` into the user's settings and return the result."""
+    settings = {**get_workspace_settings(user_id), **changes}
+    with connect() as connection:
+        connection.execute(
+            "INSERT OR REPLACE INTO workspace_settings (user_id, settings, updated_at) VALUES (?, ?, ?)",
+            (user_id, json.dumps(settings), time.time()),
+        )
+    return settings
@@ -0,0 +1,208 @@
+import hashlib
+import json
+import os
+import sqlite3
+import threading
+import time
+from contextlib import contextmanager
+from typing import Any, Callable, Dict, List, Optional
+
+# NASA POWER, Earth Engine and geocoding answers are kept in this SQLite file next to
+# the server, so a restart does not download them again
+CACHE_PATH = os.getenv("CACHE_DB_PATH", os.path.join(os.path.dirname(os.path.abspath(__file__)), "cache.db"))
+
+DAY = 24 * 60 * 60
+
+# Per data source: the grid (degrees of latitude, longitude) coordinates are snapped to
+# before keying, roughly the source's native resolution, and how long an answer is kept
+SOURCES: Dict[str, Dict[str, Any]] = {
+    # POWER meteorology is on the MERRA-2 0.5° x 0.625° grid
+    "nasa_power": {"resolution": (0.5, 0.625), "ttl": 30 * DAY},
+    # SRTM is 1 arc-second (~30 m)
+    "srtm": {"resolution": (1 / 3600, 1 / 3600), "ttl": 365 * DAY},
+    # OpenLandMap soil texture is 250 m
+    "openlandmap_soil": {"resolution": (1 / 480, 1 / 480), "ttl": 365 * DAY},
+    # NDVI is reduced over a 2 km buffer, so ~100 m steps barely move the answer
+    "sentinel_2": {"resolution": (0.001, 0.001), "ttl": 30 * DAY},
+    # Place searches are keyed by their text and stored at 0, 0
+    "geocode_search": {"resolution": (1, 1), "ttl": 30 * DAY},
+    # Reverse geocoding names the suburb or village, which ~100 m does not change
+    "geocode_reverse": {"resolution": (0.001, 0.001), "ttl": 90 * DAY},
+    # Grid scan batches are keyed by their cells' bounds and stored at 0, 0; the composites are fixed years
+    "grid_scan_batch": {"resolution": (1, 1), "ttl": 30 * DAY},
+}
+
+# Failed requests are remembered briefly so a failing upstream is not hammered, then retried
+ERROR_TTL_SECONDS = int(os.getenv("CACHE_ERROR_TTL_SECONDS", "300"))
+
+_local = threading.local()
+
+
+class CachedFailure(Exception):
+    """A request that failed recently and is not retried until its negative entry expires."""
+
+
+class NotCachedFailure(Exception):
+    """A fetch that failed without asking the upstream (e.g. our own rate limit), so nothing is stored."""
+
+
+@contextmanager
+def _connect():
+    """Connection that commits on success and is always closed."""
+    connection = sqlite3.connect(CACHE_PATH, timeout=10)
+    connection.row_factory = sqlite3.Row
+    connection.execute(
+        """CREATE TABLE IF NOT EXISTS entries (
+            key TEXT PRIMARY KEY,
+            source TEXT NOT NULL,
+            name TEXT NOT NULL,
+            latitude REAL NOT NULL,
+            longitude REAL NOT NULL,
+            value TEXT,
+            error TEXT,
+            created_at REAL NOT NULL,
+            expires_at REAL NOT NULL,
+            hits INTEGER NOT NULL DEFAULT 0
+        )"""
+    )
+    try:
+        with connection:
+            yield connection
+    finally:
+        connection.close()
+
+
+def snap(lat: float, lon: float, source: str) -> tuple:
+    """Coordinates rounded to the source's grid, so nearby points share an entry."""
+    lat_step, lon_step = SOURCES[source]["resolution"]
+    return round(round(lat / lat_step) * lat_step, 6), round(round(lon / lon_step) * lon_step, 6)
+
+
+def cache_key(source: str, name: str, lat: float, lon: float, geometry: Optional[Dict[str, Any]] = None) -> str:
+    """Key of one answer: source, what was asked, snapped coordinates and the drawn area if any."""
+    snapped_lat, snapped_lon = snap(lat, lon, source)
+    key = f"{source}:{name}:{snapped_lat}:{snapped_lon}"
+    if geometry is None:
+        return key
+    digest = hashlib.md5(json.dumps(geometry, sort_keys=True).encode()).hexdigest()
+    return f"{key}:{digest}"
+
+
+def _record(source: str, name: str, hit: bool, created_at: float, expires_at: float):
+    lookups = getattr(_local, "lookups", None)
+    if lookups is not None:
+        lookups.append({
+            "source": source, "name": name, "hit": hit, "created_at": created_at, "expires_at": expires_at
+        })
+
+
+@contextmanager
+def recording():
+    """Collect the cache lookups made by this thread, e.g. while one analysis runs."""
+    previous = getattr(_local, "lookups", None)
+    _local.lookups = []
+    try:
+        yield _local.lookups
+    finally:
+        _local.lookups = previous
+
+
+def summary(lookups: List[Dict[str, Any]]) -> Dict[str, Any]:
+    """Cache metadata for an API response: hit and miss counts and every lookup."""
+    hits = sum(1 for lookup in lookups if lookup["hit"])
+    return {"hits": hits, "misses": len(lookups) - hits, "lookups": lookups}
+
+
+def cached(source: str, name: str, lat: float, lon: float, fetch: Callable[[], Any],
+           geometry: Optional[Dict[str, Any]] = None) -> Any:
+    """Answer from the cache, or from `fetch` (JSON-serialisable) which is then stored.
+
+    An answer of None ("no data") is cached like any other. If `fetch` raises, the error is
+    cached for ERROR_TTL_SECONDS and re-raised; until then CachedFailure is raised instead.
+    NotCachedFailure is re-raised without being cached.
+    """
+    key = cache_key(source, name, lat, lon, geometry)
+    now = time.time()
+    with _connect() as connection:
+        row = connection.execute(
+            "SELECT value, error, created_at, expires_at FROM entries WHERE key = ? AND expires_at > ?", (key, now)
+        ).fetchone()
+        if row is not None:
+            connection.execute("UPDATE entries SET hits = hits + 1 WHERE key = ?", (key,))
+    if row is not None:
+        _record(source, name, True, row["created_at"], row["expires_at"])
+        if row["error"] is not None:
+            raise CachedFailure(f"{row['error']} (cached, retried after {time.strftime('%H:%M:%S', time.localtime(row['expires_at']))})")
+        return json.loads(row["value"])
+
+    snapped_lat, snapped_lon = snap(lat, lon, source)
+    try:
+        value = fetch()
+    except NotCachedFailure:
+        raise
+    except Exception as e:
+        _store(key, source, name, snapped_lat, snapped_lon, None, str(e), now, now + ERROR_TTL_SECONDS)
+        _record(source, name, False, now, now + ERROR_TTL_SECONDS)
+        raise
+    expires_at = now + SOURCES[source]["ttl"]
+    _store(key, source, name, snapped_lat, snapped_lon, json.dumps(value), None, now, expires_at)
+    _record(source, name, False, now, expires_at)
+    return value
+
+
+def _store(key: str, source: str, name: str, lat: float, lon: float, value: Optional[str],
+           error: Optional[str], created_at: float, expires_at: float):
+    with _connect() as connection:
+        connection.execute(
+            "INSERT OR REPLACE INTO entries (key, source, name, latitude, longitude, value, error, created_at, expires_at)"
+            " VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            (key, source, name, lat, lon, value, error, created_at, expires_at),
+        )
+
+
+def _filters(source: Optional[str], key: Optional[str], expired: bool, errors: bool) -> tuple:
+    clauses, params = [], []
+    if source:
+        clauses.append("source = ?")
+        params.append(source)
+    if key:
+        clauses.append("key = ?")
+        params.append(key)
+    if expired:
+        clauses.append("expires_at <= ?")
+        params.append(time.time())
+    if errors:
+        clauses.append("error IS NOT NULL")
+    return (" WHERE " + " AND ".join(clauses)) if clauses else "", params
+
+
+def inspect_entries(source: Optional[str] = None, expired: bool = False, errors: bool = False, limit: int = 100) -> Dict[str, Any]:
+    """Counts per source and the most recent entries (without their values) matching the filters."""
+    where, params = _filters(source, None, expired, errors)
+    now = time.time()
+    with _connect() as connection:
+        sources = connection.execute(
+            "SELECT source, COUNT(*) AS entries, SUM(error IS NOT NULL) AS errors,"
+            " SUM(expires_at <= ?) AS expired, SUM(hits) AS hits, SUM(LENGTH(value)) AS bytes"
+            " FROM entries GROUP BY source", (now,)
+        ).fetchall()
+        entries = connection.execute(
+            "SELECT key, source, name, latitude, longitude, error, created_at, expires_at, hits FROM entries"
+            f"{where} ORDER BY created_at DESC LIMIT ?", (*params, limit)
+        ).fetchall()
+    return {
+        "path": CACHE_PATH,
+        "sources": {
+            row["source"]: {**{field: row[field] or 0 for field in ("entries", "errors", "expired", "hits", "bytes")},
+                            "ttl_seconds": SOURCES.get(row["source"], {}).get("ttl")}
+            for row in sources
+        },
+        "entries": [{**dict(row), "expired": row["expires_at"] <= now} for row in entries],
+    }
+
+
+def purge_entries(source: Optional[str] = None, key: Optional[str] = None, expired: bool = False, errors: bool = False) -> int:
+    """Delete the entries matching the filters (all of them without any) and return how many."""
+    where, params = _filters(source, key, expired, errors)
+    with _connect() as connection:
+        return connection.execute(f"DELETE FROM entries{where}", params).rowcount
@@ -0,0 +1,161 @@
+import json
+import os
+import time
+from google.generativeai import GenerativeModel
+from pydantic import BaseModel
+from typing import Any, Dict, Iterator, List, Literal, Optional, Union
+from ai import GEMINI_MODEL
+
+# Older turns are dropped so long conversations stay within the model's context
+MAX_HISTORY_MESSAGES = 20
+MAX_MESSAGE_LENGTH = 2000
+
+class ChatMessage(BaseModel):
+    role: Literal["user", "assistant"]
+    content: str
+
+class ChatInput(BaseModel):
+    report: Dict[str, Any]
+    # Structured recommendations, or the plain text of reports saved before they existed
+    recommendations: Optional[Union[Dict[str, Any], str]] = None
+    messages: List[ChatMessage]
+    # Falls back to the CHAT_PROVIDER environment variable, then Gemini
+    provider: Optional[str] = None
+
+
+def _compact(value: Any) -> Any:
+    """The report without chart series and cache metadata, which add tokens but little the model can use."""
+    if isinstance(value, dict):
+        return {key: _compact(item) for key, item in value.items() if key not in ("series", "cache")}
+    if isinstance(value, list) and len(value) > 12:
+        return f"[{len(value)} values omitted]"
+    return value
+
+
+def _recommendations_text(recommendations: Optional[Union[Dict[str, Any], str]]) -> str:
+    if not recommendations:
+        return "None"
+    if isinstance(recommendations, str):
+        return recommendations
+    return "\n".join(
+        f"- [{item.get('priority')} priority, {item.get('cost_band')} cost] {item.get('section')}: "
+        f"{item.get('action')} ({item.get('rationale')})"
+        for item in recommendations.get("items", [])
+    ) or "None"
+
+
+def system_prompt(report: Dict[str, Any], recommendations: Optional[Union[Dict[str, Any], str]]) -> str:
+    return f"""You are the assistant of the Sustainability Analysis Platform. The user is looking at the
+sustainability report below for one site and is asking follow-up questions about it. Answer from the
+report where you can, say when a question needs data the report does not contain, and give rough cost or
+sizing figures as ranges with the assumptions stated. Keep answers short and practical.
+
+Report (JSON):
+{json.dumps(_compact(report), ensure_ascii=False)}
+
+Recommendations already given to the user:
+{_recommendations_text(recommendations)}
+"""
+
+
+class ChatProvider:
+    """Streams a reply to a conversation, one text chunk at a time.
+
+    `system` already contains the report; it is also passed as `report` for providers
+    that work from the raw values rather than a prompt.
+    """
+    name = ""
+
+    def stream(self, system: str, report: Dict[str, Any], messages: List[ChatMessage]) -> Iterator[str]:
+        raise NotImplementedError
+
+
+class GeminiProvider(ChatProvider):
+    name = "gemini"
+
+    def stream(self, system: str, report: Dict[str, Any], messages: List[ChatMessage]) -> Iterator[str]:
+        model = GenerativeModel(GEMINI_MODEL, system_instruction=system)
+        contents = [
+            {"role": "model" if message.role == "assistant" else "user", "parts": [message.content]}
+            for message in messages
+        ]
+        for chunk in model.generate_content(contents, stream=True):
+            if chunk.text:
+                yield chunk.text
+
+
+class MockProvider(ChatProvider):
+    """Offline provider that answers from the report with canned templates.
+
+    Useful for development and demos without a Gemini key. MOCK_CHAT_DELAY sets the
+    pause between streamed words in seconds.
+    """
+    name = "mock"
+
+    def __init__(self):
+        self.delay = float(os.getenv("MOCK_CHAT_DELAY", "0.03"))
+
+    def _reply(self, report: Dict[str, Any], question: str) -> str:
+        solar = report.get("solar_potential") or {}
+        water = report.get("water_harvesting") or {}
+        wind = report.get("windmill_feasibility") or {}
+        trees = report.get("afforestation_feasibility") or {}
+        question = question.lower()
+
+        if "cost" in question or "price" in question or "payback" in question:
+            return (
+                f"With about {solar.get('average_radiation', 'N/A')} kWh/m²/day of sunlight, a 5 kWp rooftop "
+                "array would typically cost 3,000-6,000 and pay back in 5-10 years, depending on the local "
+                "tariff. Use the yield calculator on the Solar card to refine this. (Mock provider answer.)"
+            )
+        if "why" in question:
+            return (
+                f"The water harvesting score of {water.get('water_harvesting_score', 'N/A')} combines rainfall "
+                f"({water.get('rainfall_score', 'N/A')}), soil ({water.get('soil_score', 'N/A')}) and slope "
+                f"({water.get('slope_score', 'N/A')}). The windmill score of {wind.get('windmill_feasibility_score', 'N/A')} "
+                f"is driven mostly by wind ({wind.get('wind_score', 'N/A')}). (Mock provider answer.)"
+            )
+        return (
+            f"This site gets {solar.get('average_radiation', 'N/A')} kWh/m²/day of solar radiation, has "
+            f"{trees.get('green_cover_percent', 'N/A')}% green cover and a water harvesting score of "
+            f"{water.get('water_harvesting_score', 'N/A')}. Ask me why a score is what it is, or what an "
+            "installation would cost. (Mock provider answer.)"
+        )
+
+    def stream(self, system: str, report: Dict[str, Any], messages: List[ChatMessage]) -> Iterator[str]:
+        words = self._reply(report, messages[-1].content).split(" ")
+        for index, word in enumerate(words):
+            if self.delay:
+                time.sleep(self.delay)
+            yield word if index == len(words) - 1 else f"{word} "
+
+
+PROVIDERS = {
+    GeminiProvider.name: GeminiProvider,
+    MockProvider.name: MockProvider,
+}
+
+
+def get_provider(name: Optional[str] = None) -> ChatProvider:
+    name = (name or os.getenv("CHAT_PROVIDER") or GeminiProvider.name).lower()
+    if name not in PROVIDERS:
+        raise ValueError(f"Unknown chat provider. Use one of: {', '.join(PROVIDERS)}.")
+    return PROVIDERS[name]()
+
+
+def stream_chat(chat: ChatInput) -> Iterator[str]:
+    """Validate the conversation and return the provider's reply stream.
+
+    Validation happens before anything is streamed so bad requests can still get a 400.
+    """
+    if not chat.messages or chat.messages[-1].role != "user":
+        raise ValueError("The conversation must end with a user message.")
+    if any(len(message.content) > MAX_MESSAGE_LENGTH for message in chat.messages):
+        raise ValueError(f"Messages are limited to {MAX_MESSAGE_LENGTH} characters.")
+
+    provider = get_provider(chat.provider)
+    messages = chat.messages[-MAX_HISTORY_MESSAGES:]
+    # Conversations sent to the model have to open with a user turn
+    while messages[0].role != "user":
+        messages = messages[1:]
+    return provider.stream(system_prompt(chat.report, chat.recommendations), chat.report, messages)
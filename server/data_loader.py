@@ -2,122 +2,287 @@ import ee
 import numpy as np
 import requests
 import pandas as pd
-from typing import Dict, Optional
+from typing import Any, Dict, List, Optional
 from dotenv import load_dotenv
+from cache import cached
+from period import LATEST_YEAR, NASA_POWER_FIRST_YEAR, SENTINEL_2_FIRST_YEAR, source_years, in_period
+import logging
 import os
 
 load_dotenv()
 
+logger = logging.getLogger(__name__)
+
 project = os.getenv("Google_Console_Project")
 
-# Initialize Google Earth Engine
-try:
-    ee.Initialize(project=project)
-except Exception as e:
-    raise Exception(f"Failed to initialize GEE: {str(e)}")
+_ee_initialized = False
+
+def init_earth_engine():
+    """Initialize Google Earth Engine once for every module that queries it."""
+    global _ee_initialized
+    if _ee_initialized:
+        return
+    try:
+        ee.Initialize(project=project)
+    except Exception as e:
+        raise Exception(f"Failed to initialize GEE: {str(e)}")
+    _ee_initialized = True
+
+init_earth_engine()
 
 # NASA API endpoint
 NASA_API_URL = "https://power.larc.nasa.gov/api/temporal"
+# Seconds to wait on NASA POWER; analyses run on a small worker pool, so a stalled request must not hold a worker forever
+NASA_REQUEST_TIMEOUT = 60
 
-# In-memory cache for API and GEE results
-_cache: Dict[str, Dict] = {}
+def _region(lat: float, lon: float, geometry: Optional[Dict[str, Any]] = None, radius: Optional[float] = None) -> ee.Geometry:
+    """Earth Engine region for a drawn polygon, or the point (buffered by radius) when none was drawn."""
+    if geometry is not None:
+        return ee.Geometry(geometry)
+    point = ee.Geometry.Point([lon, lat])
+    return point.buffer(radius) if radius else point
 
-def _generate_cache_key(lat: float, lon: float, data_type: str) -> str:
-    """Generate a unique cache key based on coordinates and data type."""
-    return f"{lat}_{lon}_{data_type}"
+RAINFALL_START_YEAR = NASA_POWER_FIRST_YEAR
+RAINFALL_END_YEAR = LATEST_YEAR
 
-def get_nasa_rainfall_data(lat: float, lon: float) -> float:
-    """Fetch average annual rainfall from NASA API (1981-2024)."""
-    cache_key = _generate_cache_key(lat, lon, "rainfall")
-    if cache_key in _cache:
-        return _cache[cache_key]
+def get_nasa_daily_rainfall(lat: float, lon: float) -> Optional[Dict[str, float]]:
+    """Fetch the daily PRECTOTCORR series (mm/day, keyed YYYYMMDD) from NASA API, 1981 to LATEST_YEAR.
 
+    The whole record is fetched once; periods are picked out of it rather than fetched separately.
+    """
     params = {
         "parameters": "PRECTOTCORR",
         "community": "RE",
         "longitude": lon,
         "latitude": lat,
-        "start": "19810101",
-        "end": "20241231",
+        "start": f"{RAINFALL_START_YEAR}0101",
+        "end": f"{RAINFALL_END_YEAR}1231",
         "format": "JSON"
     }
+
+    def fetch():
+        response = requests.get(f"{NASA_API_URL}/daily/point", params=params, timeout=NASA_REQUEST_TIMEOUT)
+        response.raise_for_status()
+        data = response.json()
+        # Negative values are NASA's fill value for missing days
+        series = {
+            date: float(value)
+            for date, value in data['properties']['parameter']['PRECTOTCORR'].items()
+            if value >= 0
+        }
+        return series or None
+
     try:
-        response = requests.get(f"{NASA_API_URL}/daily/point", params=params)
+        return cached("nasa_power", "rainfall_daily", lat, lon, fetch)
+    except Exception as e:
+        logger.error(f"Error fetching NASA daily rainfall: {str(e)}")
+        return None
+
+def get_nasa_rainfall_data(lat: float, lon: float, period: Optional[Dict[str, Any]] = None) -> Optional[float]:
+    """Score the average annual rainfall from NASA API over the period (default 1981 on), or None without data.
+
+    With a season only the rainfall that falls in its months counts, so a dry season scores low.
+    """
+    series = get_nasa_daily_rainfall(lat, lon)
+    if not series:
+        return None
+    if period is not None:
+        series = {date: value for date, value in series.items() if in_period(int(date[:4]), int(date[4:6]), period)}
+        if not series:
+            return None
+    start, end = (period["start_year"], period["end_year"]) if period else (RAINFALL_START_YEAR, RAINFALL_END_YEAR)
+    avg_rainfall = sum(series.values()) / (end - start + 1)
+    return min(avg_rainfall / 1000, 1.0)
+
+def get_nasa_monthly_rainfall(lat: float, lon: float, period: Optional[Dict[str, Any]] = None) -> Optional[Dict[str, Any]]:
+    """Average rainfall total (mm) for each calendar month, from the daily NASA series.
+
+    A period narrows the years averaged; all twelve months are kept even for a season,
+    since the harvest calculator needs the whole year.
+    """
+    series = get_nasa_daily_rainfall(lat, lon)
+    if period is not None and series:
+        series = {
+            date: value for date, value in series.items()
+            if in_period(int(date[:4]), int(date[4:6]), period, months=False)
+        }
+    if not series:
+        return None
+
+    # Sum each year-month first so months with missing days still average over the years they cover
+    totals: Dict[tuple, float] = {}
+    for date, value in series.items():
+        key = (int(date[:4]), int(date[4:6]))
+        totals[key] = totals.get(key, 0.0) + value
+
+    monthly = []
+    for month in range(1, 13):
+        values = [total for (_, m), total in totals.items() if m == month]
+        monthly.append(round(float(np.mean(values)), 1) if values else 0.0)
+
+    return {
+        "monthly_mm": monthly,
+        "annual_mm": round(sum(monthly), 1),
+        "start_year": period["start_year"] if period else RAINFALL_START_YEAR,
+        "end_year": period["end_year"] if period else RAINFALL_END_YEAR
+    }
+
+MONTH_KEYS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"]
+
+def get_nasa_climatology(lat: float, lon: float, parameter: str) -> Optional[Dict[str, Any]]:
+    """Fetch the monthly and annual long-term mean of one NASA API parameter."""
+    params = {
+        "parameters": parameter,
+        "community": "RE",
+        "longitude": lon,
+        "latitude": lat,
+        "format": "JSON"
+    }
+
+    def fetch():
+        response = requests.get(f"{NASA_API_URL}/climatology/point", params=params, timeout=NASA_REQUEST_TIMEOUT)
         response.raise_for_status()
         data = response.json()
-        rainfall_values = list(data['properties']['parameter']['PRECTOTCORR'].values())
-        rainfall_values = [val for val in rainfall_values if val >= 0]
-        if not rainfall_values:
-            _cache[cache_key] = 0.0
-            return 0.0
-        total_rainfall = np.sum(rainfall_values)
-        avg_rainfall = total_rainfall / (2024 - 1981 + 1)
-        result = min(avg_rainfall / 1000, 1.0)
-        _cache[cache_key] = result
-        return result
-    except Exception:
-        _cache[cache_key] = 0.0
+        values = data['properties']['parameter'][parameter]
+        monthly = [float(values[month]) for month in MONTH_KEYS if values.get(month, -1) >= 0]
+        if len(monthly) != 12:
+            return None
+        annual = values.get("ANN", -1)
+        return {
+            "monthly": monthly,
+            "annual": float(annual) if annual >= 0 else float(np.mean(monthly))
+        }
+
+    try:
+        return cached("nasa_power", f"climatology_{parameter}", lat, lon, fetch)
+    except Exception as e:
+        logger.error(f"Error fetching NASA climatology: {str(e)}")
+        return None
+
+def get_nasa_wind_climatology(lat: float, lon: float, period: Optional[Dict[str, Any]] = None) -> Optional[Dict[str, Any]]:
+    """Monthly and annual mean wind speed at 50 m (m/s) from NASA API climatology.
+
+    For a period both are averaged from the daily series of its years instead; the "annual"
+    mean then covers only the season's months, the monthly means all twelve.
+    """
+    if period is None:
+        return get_nasa_climatology(lat, lon, "WS50M")
+
+    series = get_nasa_daily_wind_series(lat, lon, period["start_year"], period["end_year"])
+    if not series:
+        return None
+    by_month: Dict[int, List[float]] = {}
+    for date, value in series.items():
+        by_month.setdefault(int(date[4:6]), []).append(value)
+    if len(by_month) != 12:
+        return None
+    in_season = [value for date, value in series.items() if in_period(int(date[:4]), int(date[4:6]), period)]
+    if not in_season:
+        return None
+    return {
+        "monthly": [float(np.mean(by_month[month])) for month in range(1, 13)],
+        "annual": float(np.mean(in_season))
+    }
+
+def wind_speed_score(avg_speed: float) -> float:
+    """Five-step 0-1 score for an average 50 m wind speed in m/s."""
+    if avg_speed < 3:
         return 0.0
+    elif avg_speed < 5:
+        return 0.2
+    elif avg_speed < 7:
+        return 0.5
+    elif avg_speed < 9:
+        return 0.75
+    elif avg_speed <= 12:
+        return 1.0
+    return 0.0
 
-def get_nasa_wind_speed_data(lat: float, lon: float) -> float:
-    """Fetch average wind speed from NASA API climatology."""
-    cache_key = _generate_cache_key(lat, lon, "wind_speed")
-    if cache_key in _cache:
-        return _cache[cache_key]
+def get_nasa_wind_speed_data(lat: float, lon: float, period: Optional[Dict[str, Any]] = None) -> Optional[float]:
+    """Score the average wind speed from NASA API climatology, or None without data."""
+    climatology = get_nasa_wind_climatology(lat, lon, period)
+    if climatology is None:
+        return None
+    return wind_speed_score(climatology["annual"])
 
+def get_nasa_daily_wind_series(lat: float, lon: float, start_year: int, end_year: int) -> Optional[Dict[str, float]]:
+    """Fetch the daily 50 m wind speeds (m/s, keyed YYYYMMDD) for whole years from NASA API."""
     params = {
         "parameters": "WS50M",
         "community": "RE",
         "longitude": lon,
         "latitude": lat,
+        "start": f"{start_year}0101",
+        "end": f"{end_year}1231",
         "format": "JSON"
     }
-    try:
-        response = requests.get(f"{NASA_API_URL}/climatology/point", params=params)
+
+    def fetch():
+        response = requests.get(f"{NASA_API_URL}/daily/point", params=params, timeout=NASA_REQUEST_TIMEOUT)
         response.raise_for_status()
         data = response.json()
-        values = list(data['properties']['parameter']['WS50M'].values())
-        values = [v for v in values if v >= 0]
-        avg_speed = np.mean(values)
-        if avg_speed < 3:
-            result = 0.0
-        elif avg_speed < 5:
-            result = 0.2  
-        elif avg_speed < 7:
-            result = 0.5  
-        elif avg_speed < 9:
-            result = 0.75  
-        elif avg_speed <= 12:
-            result = 1.0  
-        else:
-            result = 0.0  
-
-        _cache[cache_key] = result
-        return result
-    except Exception:
-        _cache[cache_key] = 0.0
-        return 0.0
+        series = {date: float(value) for date, value in data['properties']['parameter']['WS50M'].items() if value >= 0}
+        return series or None
 
-def get_nasa_solar_data(lat: float, lon: float) -> Optional[pd.DataFrame]:
-    """Fetch solar radiation and temperature data from NASA API."""
-    cache_key = _generate_cache_key(lat, lon, "solar")
-    if cache_key in _cache:
-        return _cache[cache_key]
+    try:
+        return cached("nasa_power", f"wind_daily_{start_year}_{end_year}", lat, lon, fetch)
+    except Exception as e:
+        logger.error(f"Error fetching NASA daily wind series: {str(e)}")
+        return None
+
+def get_nasa_daily_wind_speeds(lat: float, lon: float, period: Optional[Dict[str, Any]] = None) -> Optional[List[float]]:
+    """Fetch daily 50 m wind speeds (2015-2024, or the period's days) from NASA API for fitting a distribution."""
+    if period is not None:
+        series = get_nasa_daily_wind_series(lat, lon, period["start_year"], period["end_year"])
+        if not series:
+            return None
+        values = [value for date, value in series.items() if in_period(int(date[:4]), int(date[4:6]), period)]
+        return values or None
 
     params = {
-        "parameters": "ALLSKY_SFC_SW_DWN,CLRSKY_SFC_SW_DWN,T2M",
+        "parameters": "WS50M",
         "community": "RE",
         "longitude": lon,
         "latitude": lat,
-        "start": "19810101",
+        "start": "20150101",
         "end": "20241231",
         "format": "JSON"
     }
+
+    def fetch():
+        response = requests.get(f"{NASA_API_URL}/daily/point", params=params, timeout=NASA_REQUEST_TIMEOUT)
+        response.raise_for_status()
+        data = response.json()
+        values = [float(v) for v in data['properties']['parameter']['WS50M'].values() if v >= 0]
+        return values if values else None
+
     try:
-        response = requests.get(f"{NASA_API_URL}/daily/point", params=params)
+        return cached("nasa_power", "wind_daily", lat, lon, fetch)
+    except Exception as e:
+        logger.error(f"Error fetching NASA daily wind speeds: {str(e)}")
+        return None
+
+def get_nasa_solar_data(lat: float, lon: float) -> Optional[pd.DataFrame]:
+    """Fetch solar radiation and temperature data from NASA API, 1981 to LATEST_YEAR."""
+    params = {
+        "parameters": "ALLSKY_SFC_SW_DWN,CLRSKY_SFC_SW_DWN,T2M",
+        "community": "RE",
+        "longitude": lon,
+        "latitude": lat,
+        "start": f"{NASA_POWER_FIRST_YEAR}0101",
+        "end": f"{LATEST_YEAR}1231",
+        "format": "JSON"
+    }
+
+    # The raw daily series is what gets cached; the frame is rebuilt from it
+    def fetch():
+        response = requests.get(f"{NASA_API_URL}/daily/point", params=params, timeout=NASA_REQUEST_TIMEOUT)
         response.raise_for_status()
         data = response.json()
-        properties = data['properties']['parameter']
+        return data['properties']['parameter']
+
+    try:
+        properties = cached("nasa_power", "solar_daily", lat, lon, fetch)
         dates = list(properties['ALLSKY_SFC_SW_DWN'].keys())
         df = pd.DataFrame({"Date": dates})
         df['ALLSKY_SFC_SW_DWN'] = df['Date'].map(properties['ALLSKY_SFC_SW_DWN'])
@@ -134,68 +299,86 @@ def get_nasa_solar_data(lat: float, lon: float) -> Optional[pd.DataFrame]:
         df['SWDWN_7d_avg'] = df['ALLSKY_SFC_SW_DWN'].rolling(window=7, min_periods=1).mean()
         df['SWDWN_30d_avg'] = df['ALLSKY_SFC_SW_DWN'].rolling(window=30, min_periods=1).mean()
         df['T2M_7d_avg'] = df['T2M'].rolling(window=7, min_periods=1).mean()
-        _cache[cache_key] = df
         return df
-    except Exception:
-        _cache[cache_key] = None
+    except Exception as e:
+        logger.error(f"Error fetching NASA solar data: {str(e)}")
         return None
 
-def get_soil_texture(lat: float, lon: float) -> float:
-    """Fetch soil texture class from GEE."""
-    cache_key = _generate_cache_key(lat, lon, "soil_texture")
-    if cache_key in _cache:
-        return _cache[cache_key]
+def get_soil_texture(lat: float, lon: float, geometry: Optional[Dict[str, Any]] = None) -> Optional[float]:
+    """Fetch soil texture class from GEE, averaged over the area when a geometry is given.
 
-    try:
+    Returns None when there is no soil data for the area or the request failed.
+    """
+    def fetch():
         soil_value = ee.Image("OpenLandMap/SOL/SOL_TEXTURE-CLASS_USDA-TT_M/v02") \
             .select('b0') \
             .reduceRegion(
                 reducer=ee.Reducer.mean(),
-                geometry=ee.Geometry.Point([lon, lat]),
-                scale=30
+                geometry=_region(lat, lon, geometry),
+                scale=30,
+                maxPixels=1e9
             ).get('b0').getInfo()
-        result = 0.0 if soil_value is None or soil_value < 0 else min(soil_value / 100, 1.0)
-        _cache[cache_key] = result
-        return result
-    except Exception:
-        _cache[cache_key] = 0.0
-        return 0.0
-
-def get_slope(lat: float, lon: float) -> float:
-    """Fetch slope from GEE SRTM dataset."""
-    cache_key = _generate_cache_key(lat, lon, "slope")
-    if cache_key in _cache:
-        return _cache[cache_key]
+        return None if soil_value is None or soil_value < 0 else min(soil_value / 100, 1.0)
 
     try:
+        return cached("openlandmap_soil", "soil_texture", lat, lon, fetch, geometry)
+    except Exception as e:
+        logger.error(f"Error fetching soil texture: {str(e)}")
+        return None
+
+def get_slope(lat: float, lon: float, geometry: Optional[Dict[str, Any]] = None) -> Optional[float]:
+    """Fetch slope from GEE SRTM dataset, averaged over the area when a geometry is given.
+
+    Returns None when there is no elevation data for the area or the request failed.
+    """
+    def fetch():
         slope_value = ee.Terrain.slope(ee.Image("USGS/SRTMGL1_003")) \
             .reduceRegion(
                 reducer=ee.Reducer.mean(),
-                geometry=ee.Geometry.Point([lon, lat]),
-                scale=30
+                geometry=_region(lat, lon, geometry),
+                scale=30,
+                maxPixels=1e9
             ).get('slope').getInfo()
-        result = 0.0 if slope_value is None or slope_value < 0 else min(slope_value / 45, 1.0)
-        _cache[cache_key] = result
-        return result
-    except Exception:
-        _cache[cache_key] = 0.0
-        return 0.0
-
-def get_ndvi_data(lat: float, lon: float, radius: float = 2000) -> Optional[Dict[str, float]]:
-    """Fetch NDVI-based land cover data from GEE Sentinel-2."""
-    cache_key = _generate_cache_key(lat, lon, f"ndvi_{radius}")
-    if cache_key in _cache:
-        return _cache[cache_key]
+        return None if slope_value is None or slope_value < 0 else min(slope_value / 45, 1.0)
 
     try:
-        point = ee.Geometry.Point([lon, lat])
-        region = point.buffer(radius)
-        s2 = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED") \
+        return cached("srtm", "slope", lat, lon, fetch, geometry)
+    except Exception as e:
+        logger.error(f"Error fetching slope: {str(e)}")
+        return None
+
+NDVI_START_YEAR = 2020
+NDVI_END_YEAR = 2023
+
+def ndvi_years(period: Optional[Dict[str, Any]] = None) -> Optional[tuple]:
+    """The (start, end) years of imagery used for NDVI, or None when the period ends before Sentinel-2."""
+    if period is None:
+        return NDVI_START_YEAR, NDVI_END_YEAR
+    return source_years(period, SENTINEL_2_FIRST_YEAR)
+
+
+def get_ndvi_data(lat: float, lon: float, radius: float = 2000, geometry: Optional[Dict[str, Any]] = None,
+                  period: Optional[Dict[str, Any]] = None) -> Optional[Dict[str, float]]:
+    """Fetch NDVI-based land cover data from GEE Sentinel-2 over the drawn area, or a buffer around the point.
+
+    Imagery is composited over 2020-2023, or over the period's years and season; None when the
+    period has no Sentinel-2 years (see ndvi_years).
+    """
+    years = ndvi_years(period)
+    if years is None:
+        return None
+
+    def fetch():
+        region = _region(lat, lon, geometry, radius)
+        collection = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED") \
             .filterBounds(region) \
-            .filterDate('2020-01-01', '2023-12-31') \
-            .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 5)) \
-            .select(['B8', 'B4']) \
-            .median()
+            .filterDate(f'{years[0]}-01-01', f'{years[1]}-12-31') \
+            .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 5))
+        if period is not None and period["months"]:
+            collection = collection.filter(
+                ee.Filter.Or(*[ee.Filter.calendarRange(month, month, 'month') for month in period["months"]])
+            )
+        s2 = collection.select(['B8', 'B4']).median()
         ndvi = s2.normalizedDifference(['B8', 'B4']).rename('NDVI')
         green_zone = ndvi.gt(0.4)
         barren_zone = ndvi.lt(0.2)
@@ -210,13 +393,17 @@ def get_ndvi_data(lat: float, lon: float, radius: float = 2000) -> Optional[Dict
         potential = afforestation_area.reduceRegion(
             reducer=ee.Reducer.mean(), geometry=region, scale=30, maxPixels=1e9
         ).get('NDVI').getInfo()
-        result = {
+        return {
             "green_cover": green if green is not None else 0.0,
             "barren_cover": barren if barren is not None else 0.0,
             "afforestation_potential": potential if potential is not None else 0.0
         }
-        _cache[cache_key] = result
-        return result
-    except Exception:
-        _cache[cache_key] = None
+
+    try:
+        name = "ndvi" if geometry else f"ndvi_{radius}"
+        if period is not None:
+            name = f"{name}_{period['key']}"
+        return cached("sentinel_2", name, lat, lon, fetch, geometry)
+    except Exception as e:
+        logger.error(f"Error fetching NDVI data: {str(e)}")
         return None
@@ -1,38 +1,58 @@
 from pydantic import BaseModel
-from data_loader import get_ndvi_data
+from typing import Any, Dict, Optional
+from data_loader import get_ndvi_data, ndvi_years
+from period import PeriodInput, SENTINEL_2_FIRST_YEAR, resolve_period
+from scoring import DEFAULT_PROFILE
+from verdict import afforestation_verdict
+from section_status import section_status, unavailable_section, SENTINEL_2
 
 class LocationInput(BaseModel):
     latitude: float
     longitude: float
+    geometry: Optional[Dict[str, Any]] = None
+    period: Optional[PeriodInput] = None
 
-def analyze_afforestation(input_data: LocationInput):
+def analyze_afforestation(input_data: LocationInput, profile: Dict[str, Any] = DEFAULT_PROFILE):
     lat = input_data.latitude
     lon = input_data.longitude
-    radius = 5000  # 5 km radius
+    radius = 5000  # 5 km radius, used when no area was drawn
+    period = resolve_period(input_data.period)
+
+    if ndvi_years(period) is None:
+        reason = f"Sentinel-2 imagery starts in {SENTINEL_2_FIRST_YEAR}; choose a period that ends in {SENTINEL_2_FIRST_YEAR} or later."
+        return unavailable_section(reason, [SENTINEL_2], message=f"❌ {reason}")
 
     try:
-        ndvi_data = get_ndvi_data(lat, lon, radius)
+        ndvi_data = get_ndvi_data(lat, lon, radius, input_data.geometry, period)
         if ndvi_data is None:
-            return {"message": "❌ No cloud-free Sentinel-2 imagery available or error occurred."}
+            return unavailable_section(
+                "No cloud-free Sentinel-2 imagery available or the request failed.", [SENTINEL_2],
+                message="❌ No cloud-free Sentinel-2 imagery available or error occurred."
+            )
 
         green = ndvi_data["green_cover"]
         barren = ndvi_data["barren_cover"]
         potential = ndvi_data["afforestation_potential"]
 
         if None in (green, barren, potential):
-            return {"message": "❌ Could not compute NDVI values accurately."}
+            return unavailable_section(
+                "Could not compute NDVI values accurately.", [SENTINEL_2],
+                message="❌ Could not compute NDVI values accurately."
+            )
 
         result = {
             "green_cover_percent": round(green * 100, 2),
             "barren_land_percent": round(barren * 100, 2),
-            "afforestation_potential_percent": round(potential * 100, 2)
+            "afforestation_potential_percent": round(potential * 100, 2),
+            # The years the imagery was composited over, which can be narrower than the period
+            "imagery_years": list(ndvi_years(period))
         }
 
-        if green > 0.2 and potential > 0.1:
-            result["feasibility"] = "✅ Afforestation is feasible in this area."
-        else:
-            result["feasibility"] = "🚫 Afforestation is NOT feasible in this area."
+        verdict = afforestation_verdict(green, potential, profile["afforestation"])
+        result["feasibility"] = verdict["message"]
+        result["verdict"] = verdict
+        result["status"] = section_status([("NDVI", SENTINEL_2, potential)])
 
         return result
     except Exception as e:
-        return {"message": f"⚠️ Error: {str(e)}"}
\ No newline at end of file
+        return unavailable_section(f"Error: {str(e)}", [SENTINEL_2], message=f"⚠️ Error: {str(e)}")
\ No newline at end of file
@@ -0,0 +1,180 @@
+import ee
+import threading
+import time
+from typing import Any, Callable, Dict, List, Optional
+from data_loader import init_earth_engine
+
+# Earth Engine map ids stop serving tiles after a while, so they are refreshed well before that
+TILE_URL_TTL_SECONDS = 6 * 60 * 60
+
+# Composite windows for the imagery behind the overlays
+NDVI_START, NDVI_END = "2023-01-01", "2023-12-31"
+CLIMATE_START, CLIMATE_END = "2014-01-01", "2023-12-31"
+
+SUITABILITY_PALETTE = ["#7f1d1d", "#ef4444", "#f59e0b", "#facc15", "#22c55e", "#15803d"]
+
+_tile_cache: Dict[str, Dict[str, Any]] = {}
+_lock = threading.Lock()
+
+
+def ndvi_image() -> ee.Image:
+    return ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED") \
+        .filterDate(NDVI_START, NDVI_END) \
+        .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 20)) \
+        .select(['B8', 'B4']) \
+        .median() \
+        .normalizedDifference(['B8', 'B4']) \
+        .rename('NDVI')
+
+
+def slope_image() -> ee.Image:
+    return ee.Terrain.slope(ee.Image("USGS/SRTMGL1_003"))
+
+
+def soil_texture_image() -> ee.Image:
+    return ee.Image("OpenLandMap/SOL/SOL_TEXTURE-CLASS_USDA-TT_M/v02").select('b0')
+
+
+def _terraclimate_mean(band: str) -> ee.Image:
+    return ee.ImageCollection("IDAHO_EPSCOR/TERRACLIMATE") \
+        .filterDate(CLIMATE_START, CLIMATE_END) \
+        .select(band) \
+        .mean()
+
+
+# The suitability layers approximate the point analyses pixel by pixel. NASA POWER is not
+# available in Earth Engine, so TerraClimate stands in for rainfall, wind and irradiance.
+
+def _water_suitability() -> ee.Image:
+    # Same weights as gee_water.calculate_water_harvesting_score
+    annual_rainfall = _terraclimate_mean('pr').multiply(12)
+    rainfall_score = annual_rainfall.divide(1000).min(1)
+    soil_score = soil_texture_image().divide(100).min(1)
+    slope_score = slope_image().divide(45).min(1)
+    return rainfall_score.multiply(0.5).add(soil_score.multiply(0.3)).add(slope_score.multiply(0.2))
+
+
+def _windmill_suitability() -> ee.Image:
+    # TerraClimate wind is at 10 m (scale 0.01); lift it to 50 m with the 1/7 power law
+    # and score it with the same steps as data_loader.wind_speed_score
+    speed = _terraclimate_mean('vs').multiply(0.01).multiply((50 / 10) ** 0.143)
+    wind_score = ee.Image(0) \
+        .where(speed.gte(3), 0.2) \
+        .where(speed.gte(5), 0.5) \
+        .where(speed.gte(7), 0.75) \
+        .where(speed.gte(9), 1.0) \
+        .where(speed.gt(12), 0.0)
+    # Same weights and slope and land terms as windmill.calculate_windmill_feasibility
+    slope_score = ee.Image(1).subtract(slope_image().divide(45).divide(15)).max(0)
+    land_score = ndvi_image().lt(0.2).focal_mean(radius=2000, units='meters')
+    return wind_score.multiply(0.5).add(slope_score.multiply(0.3)).add(land_score.multiply(0.2))
+
+
+def _solar_suitability() -> ee.Image:
+    # Downward shortwave (W/m², scale 0.1) as kWh/m²/day, scaled like the client's overall score
+    radiation = _terraclimate_mean('srad').multiply(0.1).multiply(24).divide(1000)
+    return radiation.divide(7).min(1)
+
+
+def _afforestation_suitability() -> ee.Image:
+    # Share of barren land within 500 m of green cover, as in data_loader.get_ndvi_data
+    ndvi = ndvi_image()
+    green_buffer = ndvi.gt(0.4).focal_max(radius=500, units='meters')
+    potential = ndvi.lt(0.2).And(green_buffer)
+    return potential.focal_mean(radius=1000, units='meters')
+
+
+def _legend(min_value: float, max_value: float, palette: List[str], unit: str = "",
+            labels: Optional[List[str]] = None) -> Dict[str, Any]:
+    return {"min": min_value, "max": max_value, "palette": palette, "unit": unit, "labels": labels}
+
+
+def _suitability_layer(layer_id: str, name: str, builder: Callable[[], ee.Image], description: str):
+    return {
+        "id": layer_id,
+        "name": name,
+        "group": "suitability",
+        "description": description,
+        "build": builder,
+        "vis": {"min": 0, "max": 1, "palette": SUITABILITY_PALETTE},
+        "legend": _legend(0, 1, SUITABILITY_PALETTE, "score", ["Poor", "Good"]),
+    }
+
+
+NDVI_PALETTE = ["#a16207", "#d9b56d", "#f3f4c6", "#86c46a", "#2f8f3a", "#0b4f1c"]
+SLOPE_PALETTE = ["#f7fcf5", "#c7e9c0", "#fdd49e", "#fc8d59", "#d7301f", "#7f0000"]
+SOIL_PALETTE = [
+    "#d5c36b", "#b96947", "#9d3706", "#ae868f", "#f86714", "#46d143",
+    "#368f20", "#3e5a14", "#ffd557", "#fff72e", "#ff5a9d", "#ff005b"
+]
+
+LAYERS: List[Dict[str, Any]] = [
+    {
+        "id": "ndvi",
+        "name": "Vegetation (NDVI)",
+        "group": "data",
+        "description": f"Sentinel-2 median NDVI, {NDVI_START[:4]}.",
+        "build": ndvi_image,
+        "vis": {"min": 0, "max": 0.8, "palette": NDVI_PALETTE},
+        "legend": _legend(0, 0.8, NDVI_PALETTE, "NDVI", ["Bare", "Dense vegetation"]),
+    },
+    {
+        "id": "slope",
+        "name": "Slope",
+        "group": "data",
+        "description": "SRTM 30 m terrain slope.",
+        "build": slope_image,
+        "vis": {"min": 0, "max": 30, "palette": SLOPE_PALETTE},
+        "legend": _legend(0, 30, SLOPE_PALETTE, "°", ["Flat", "Steep"]),
+    },
+    {
+        "id": "soil_texture",
+        "name": "Soil texture",
+        "group": "data",
+        "description": "OpenLandMap USDA texture class at the surface.",
+        "build": soil_texture_image,
+        "vis": {"min": 1, "max": 12, "palette": SOIL_PALETTE},
+        "legend": _legend(1, 12, SOIL_PALETTE, "class", [
+            "Clay", "Silty clay", "Sandy clay", "Clay loam", "Silty clay loam", "Sandy clay loam",
+            "Loam", "Silt loam", "Sandy loam", "Silt", "Loamy sand", "Sand"
+        ]),
+    },
+    _suitability_layer("solar_suitability", "Solar suitability", _solar_suitability,
+                       "Mean surface irradiance (TerraClimate), scaled to 7 kWh/m²/day."),
+    _suitability_layer("water_suitability", "Water harvesting suitability", _water_suitability,
+                       "Rainfall, soil and slope, weighted as in the full analysis."),
+    _suitability_layer("windmill_suitability", "Windmill suitability", _windmill_suitability,
+                       "Wind speed, slope and barren land, weighted as in the full analysis."),
+    _suitability_layer("afforestation_suitability", "Afforestation suitability", _afforestation_suitability,
+                       "Share of barren land next to existing vegetation."),
+]
+
+_layers_by_id = {layer["id"]: layer for layer in LAYERS}
+
+
+def _public(layer: Dict[str, Any]) -> Dict[str, Any]:
+    return {key: layer[key] for key in ("id", "name", "group", "description", "legend")}
+
+
+def list_layers() -> List[Dict[str, Any]]:
+    """Layer metadata and legends, without tile URLs (those cost an Earth Engine call each)."""
+    return [_public(layer) for layer in LAYERS]
+
+
+def get_layer_tiles(layer_id: str) -> Optional[Dict[str, Any]]:
+    """XYZ tile URL template for a layer, or None if the layer id is unknown."""
+    layer = _layers_by_id.get(layer_id)
+    if layer is None:
+        return None
+
+    with _lock:
+        cached = _tile_cache.get(layer_id)
+        if cached and time.time() - cached["created_at"] < TILE_URL_TTL_SECONDS:
+            return cached["result"]
+
+    init_earth_engine()
+    map_id = layer["build"]().getMapId(layer["vis"])
+    result = {**_public(layer), "url": map_id["tile_fetcher"].url_format}
+    with _lock:
+        _tile_cache[layer_id] = {"result": result, "created_at": time.time()}
+    return result
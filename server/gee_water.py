@@ -1,31 +1,53 @@
 from pydantic import BaseModel
-from data_loader import get_nasa_rainfall_data, get_soil_texture, get_slope
+from typing import Any, Dict, Optional
+from data_loader import get_nasa_rainfall_data, get_nasa_monthly_rainfall, get_soil_texture, get_slope
+from period import PeriodInput, resolve_period
+from scoring import DEFAULT_PROFILE
+from verdict import water_verdict
+from section_status import section_status, UNAVAILABLE, NASA_POWER, OPENLANDMAP_SOIL, SRTM
 
 class LocationInput(BaseModel):
     latitude: float
     longitude: float
+    geometry: Optional[Dict[str, Any]] = None
+    period: Optional[PeriodInput] = None
 
-def calculate_water_harvesting_score(input_data: LocationInput):
+def water_harvesting_score(rainfall_score: float, soil_score: float, slope_score: float,
+                           scoring: Dict[str, float] = DEFAULT_PROFILE["water"]) -> float:
+    """Weighted 0-1 score from the normalised rainfall, soil and slope terms."""
+    return (scoring["rainfall_weight"] * rainfall_score) + (scoring["soil_weight"] * soil_score) + \
+        (scoring["slope_weight"] * slope_score)
+
+def calculate_water_harvesting_score(input_data: LocationInput, profile: Dict[str, Any] = DEFAULT_PROFILE):
     lat = input_data.latitude
     lon = input_data.longitude
+    period = resolve_period(input_data.period)
+
+    rainfall_score = get_nasa_rainfall_data(lat, lon, period)
+    soil_score = get_soil_texture(lat, lon, input_data.geometry)
+    slope_score = get_slope(lat, lon, input_data.geometry)
 
-    rainfall_score = get_nasa_rainfall_data(lat, lon)
-    soil_score = get_soil_texture(lat, lon)
-    slope_score = get_slope(lat, lon)
+    status = section_status([
+        ("rainfall", NASA_POWER, rainfall_score),
+        ("soil", OPENLANDMAP_SOIL, soil_score),
+        ("slope", SRTM, slope_score),
+    ])
+    if status["state"] == UNAVAILABLE:
+        return {"message": status["reason"], "status": status}
 
-    final_score = (0.5 * rainfall_score) + (0.3 * soil_score) + (0.2 * slope_score)
+    scoring = profile["water"]
+    final_score = water_harvesting_score(rainfall_score or 0.0, soil_score or 0.0, slope_score or 0.0, scoring)
 
-    if final_score >= 0.6:
-        feasibility = "✅ Water harvesting is feasible in this area."
-    elif final_score >= 0.4:
-        feasibility = "⚠️ Water harvesting may be moderately feasible."
-    else:
-        feasibility = "🚫 Water harvesting is not feasible in this area."
+    verdict = water_verdict(final_score, scoring)
 
     return {
-        "rainfall_score": round(rainfall_score, 2),
-        "soil_score": round(soil_score, 2),
-        "slope_score": round(slope_score, 2),
+        "rainfall_score": round(rainfall_score, 2) if rainfall_score is not None else None,
+        "soil_score": round(soil_score, 2) if soil_score is not None else None,
+        "slope_score": round(slope_score, 2) if slope_score is not None else None,
         "water_harvesting_score": round(final_score, 2),
-        "feasibility": feasibility
+        "feasibility": verdict["message"],
+        "verdict": verdict,
+        "status": status,
+        # Inputs for the harvest volume and storage calculator on the result page
+        "monthly_rainfall": get_nasa_monthly_rainfall(lat, lon, period)
     }
\ No newline at end of file
@@ -0,0 +1,255 @@
+import csv
+import logging
+import math
+import os
+import threading
+import time
+import requests
+from typing import Any, Dict, List, Optional
+from cache import cached, NotCachedFailure
+
+logger = logging.getLogger(__name__)
+
+# Place search and reverse geocoding for the map. Requests go to a configurable provider
+# (GEOCODER_PROVIDER: "nominatim", "photon" or "offline"), are rate limited and cached,
+# and fall back to the gazetteer bundled with the server when the provider fails.
+GEOCODER_PROVIDER = os.getenv("GEOCODER_PROVIDER", "nominatim")
+GEOCODER_URL = os.getenv("GEOCODER_URL")
+# Nominatim's usage policy asks for an identifying User-Agent and at most one request a second
+GEOCODER_USER_AGENT = os.getenv("GEOCODER_USER_AGENT", "ZerraSustainabilityAnalysis")
+GEOCODER_MIN_INTERVAL = float(os.getenv("GEOCODER_MIN_INTERVAL_SECONDS", "1.0"))
+
+REQUEST_TIMEOUT = 10
+# A request that would have to wait longer than this for its turn uses the gazetteer instead
+MAX_RATE_LIMIT_WAIT = 3.0
+
+MIN_QUERY_LENGTH = 2
+MAX_RESULTS = 10
+
+GAZETTEER_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), "gazetteer.csv")
+# Reverse lookups in the gazetteer only name places within this distance of a listed city
+GAZETTEER_REVERSE_KM = 50
+GAZETTEER_EXACT_KM = 5
+
+
+class RateLimited(NotCachedFailure):
+    """The provider's request budget is used up for now; says nothing about the provider, so it is not cached."""
+
+
+class _RateLimiter:
+    """Spaces requests at least `interval` seconds apart across all threads."""
+
+    def __init__(self, interval: float):
+        self.interval = interval
+        self._next_slot = 0.0
+        self._lock = threading.Lock()
+
+    def wait(self):
+        with self._lock:
+            now = time.monotonic()
+            delay = max(0.0, self._next_slot - now)
+            if delay > MAX_RATE_LIMIT_WAIT:
+                raise RateLimited("Too many place lookups right now.")
+            self._next_slot = max(now, self._next_slot) + self.interval
+        if delay:
+            time.sleep(delay)
+
+
+def _place(place_id: str, name: str, lat: float, lon: float, kind: Optional[str]) -> Dict[str, Any]:
+    return {"id": place_id, "name": name, "latitude": lat, "longitude": lon, "type": kind}
+
+
+class GeocodingProvider:
+    """Looks places up by name and by coordinates; answers are lists of places as built by _place."""
+    name = ""
+    url = ""
+
+    def __init__(self):
+        self.url = GEOCODER_URL or self.url
+        self.limiter = _RateLimiter(GEOCODER_MIN_INTERVAL)
+
+    def _get(self, path: str, params: Dict[str, Any]) -> Any:
+        self.limiter.wait()
+        response = requests.get(
+            f"{self.url}{path}", params=params, headers={"User-Agent": GEOCODER_USER_AGENT}, timeout=REQUEST_TIMEOUT
+        )
+        response.raise_for_status()
+        return response.json()
+
+    def search(self, query: str, limit: int) -> List[Dict[str, Any]]:
+        raise NotImplementedError
+
+    def reverse(self, lat: float, lon: float) -> Optional[Dict[str, Any]]:
+        raise NotImplementedError
+
+
+class NominatimProvider(GeocodingProvider):
+    name = "nominatim"
+    url = "https://nominatim.openstreetmap.org"
+
+    def search(self, query: str, limit: int) -> List[Dict[str, Any]]:
+        places = self._get("/search", {"q": query, "format": "jsonv2", "limit": limit})
+        return [
+            _place(f"nominatim:{place['place_id']}", place["display_name"], float(place["lat"]), float(place["lon"]), place.get("type"))
+            for place in places
+        ]
+
+    def reverse(self, lat: float, lon: float) -> Optional[Dict[str, Any]]:
+        # Zoom 14 names the suburb or village rather than the nearest building
+        place = self._get("/reverse", {"lat": lat, "lon": lon, "format": "jsonv2", "zoom": 14})
+        if "error" in place:
+            return None
+        return _place(f"nominatim:{place['place_id']}", place["display_name"], float(place["lat"]), float(place["lon"]), place.get("type"))
+
+
+class PhotonProvider(GeocodingProvider):
+    name = "photon"
+    url = "https://photon.komoot.io"
+
+    @staticmethod
+    def _feature_place(feature: Dict[str, Any]) -> Dict[str, Any]:
+        properties = feature["properties"]
+        parts = []
+        for key in ("name", "city", "state", "country"):
+            value = properties.get(key)
+            if value and value not in parts:
+                parts.append(value)
+        lon, lat = feature["geometry"]["coordinates"]
+        return _place(f"photon:{properties.get('osm_type')}{properties.get('osm_id')}", ", ".join(parts), lat, lon,
+                      properties.get("osm_value"))
+
+    def search(self, query: str, limit: int) -> List[Dict[str, Any]]:
+        data = self._get("/api", {"q": query, "limit": limit})
+        return [self._feature_place(feature) for feature in data.get("features", [])]
+
+    def reverse(self, lat: float, lon: float) -> Optional[Dict[str, Any]]:
+        features = self._get("/reverse", {"lat": lat, "lon": lon, "limit": 1}).get("features", [])
+        return self._feature_place(features[0]) if features else None
+
+
+PROVIDERS = {provider.name: provider for provider in (NominatimProvider, PhotonProvider)}
+
+_providers: Dict[str, GeocodingProvider] = {}
+_providers_lock = threading.Lock()
+
+
+def get_provider(name: Optional[str] = None) -> Optional[GeocodingProvider]:
+    """The configured provider (one shared instance, so its rate limit is global), or None for "offline"."""
+    name = (name or GEOCODER_PROVIDER).lower()
+    if name == "offline":
+        return None
+    if name not in PROVIDERS:
+        raise ValueError(f"Unknown geocoding provider '{name}'. Use one of: {', '.join([*PROVIDERS, 'offline'])}.")
+    with _providers_lock:
+        if name not in _providers:
+            _providers[name] = PROVIDERS[name]()
+        return _providers[name]
+
+
+# Offline gazetteer: the cities in gazetteer.csv, loaded once
+
+_gazetteer: Optional[List[Dict[str, Any]]] = None
+
+
+def _load_gazetteer() -> List[Dict[str, Any]]:
+    global _gazetteer
+    if _gazetteer is None:
+        with open(GAZETTEER_PATH, encoding="utf-8", newline="") as f:
+            _gazetteer = [
+                {
+                    "name": row["name"],
+                    "names": [row["name"].lower(), *(alias.lower() for alias in row["alternate_names"].split("|") if alias)],
+                    "label": ", ".join(part for part in (row["name"], row["admin"], row["country"]) if part),
+                    "latitude": float(row["latitude"]),
+                    "longitude": float(row["longitude"]),
+                    "population": int(row["population"]),
+                }
+                for row in csv.DictReader(f)
+            ]
+    return _gazetteer
+
+
+def _gazetteer_place(city: Dict[str, Any], name: Optional[str] = None) -> Dict[str, Any]:
+    return _place(f"gazetteer:{city['name'].lower()}", name or city["label"], city["latitude"], city["longitude"], "city")
+
+
+def gazetteer_search(query: str, limit: int) -> List[Dict[str, Any]]:
+    """Cities whose name or alias matches the query: exact matches, then prefixes, then the rest, larger cities first."""
+    query = query.lower()
+    terms = [term.strip() for term in query.split(",")]
+    matches = []
+    for city in _load_gazetteer():
+        # "Pune, India" narrows by state or country after the comma
+        if len(terms) > 1 and not all(term in city["label"].lower() for term in terms[1:]):
+            continue
+        if terms[0] in city["names"]:
+            rank = 0
+        elif any(name.startswith(terms[0]) for name in city["names"]):
+            rank = 1
+        elif any(terms[0] in name for name in city["names"]):
+            rank = 2
+        else:
+            continue
+        matches.append((rank, -city["population"], city))
+    matches.sort(key=lambda match: match[:2])
+    return [_gazetteer_place(city) for _, _, city in matches[:limit]]
+
+
+def _distance_km(lat1: float, lon1: float, lat2: float, lon2: float) -> float:
+    lat1, lon1, lat2, lon2 = map(math.radians, (lat1, lon1, lat2, lon2))
+    a = math.sin((lat2 - lat1) / 2) ** 2 + math.cos(lat1) * math.cos(lat2) * math.sin((lon2 - lon1) / 2) ** 2
+    return 6371 * 2 * math.asin(math.sqrt(a))
+
+
+def gazetteer_reverse(lat: float, lon: float) -> Optional[Dict[str, Any]]:
+    """The nearest listed city within GAZETTEER_REVERSE_KM, named "Near ..." unless the point is in it."""
+    distance, city = min(
+        ((_distance_km(lat, lon, city["latitude"], city["longitude"]), city) for city in _load_gazetteer()),
+        key=lambda match: match[0],
+    )
+    if distance > GAZETTEER_REVERSE_KM:
+        return None
+    name = city["label"] if distance <= GAZETTEER_EXACT_KM else f"Near {city['label']}"
+    return {**_gazetteer_place(city, name), "latitude": lat, "longitude": lon}
+
+
+def _normalise(query: str) -> str:
+    return " ".join(query.split())
+
+
+def search_places(query: str, limit: int = 5) -> Dict[str, Any]:
+    """Places matching `query` from the provider, or from the gazetteer if it fails or finds nothing.
+
+    Raises ValueError for a query that is too short or an unknown GEOCODER_PROVIDER.
+    """
+    query = _normalise(query)
+    if len(query) < MIN_QUERY_LENGTH:
+        raise ValueError(f"Search for at least {MIN_QUERY_LENGTH} characters.")
+    limit = max(1, min(limit, MAX_RESULTS))
+
+    geocoder = get_provider()
+    if geocoder is not None:
+        try:
+            # Search answers are keyed by text, not coordinates, so every one sits at 0, 0
+            results = cached("geocode_search", f"{geocoder.name}:{query.lower()}:{limit}", 0, 0,
+                             lambda: geocoder.search(query, limit))
+            if results:
+                return {"results": results, "source": geocoder.name, "fallback": False}
+        except Exception as e:
+            logger.warning(f"Place search with {geocoder.name} failed, using the gazetteer: {str(e)}")
+    return {"results": gazetteer_search(query, limit), "source": "gazetteer", "fallback": geocoder is not None}
+
+
+def reverse_geocode(lat: float, lon: float) -> Dict[str, Any]:
+    """The place at the coordinates from the provider, or the nearest gazetteer city if it fails.
+
+    `result` is None when nothing is known there (open sea, or far from any listed city offline).
+    """
+    geocoder = get_provider()
+    if geocoder is not None:
+        try:
+            result = cached("geocode_reverse", geocoder.name, lat, lon, lambda: geocoder.reverse(lat, lon))
+            return {"result": result, "source": geocoder.name, "fallback": False}
+        except Exception as e:
+            logger.warning(f"Reverse geocoding with {geocoder.name} failed, using the gazetteer: {str(e)}")
+    return {"result": gazetteer_reverse(lat, lon), "source": "gazetteer", "fallback": geocoder is not None}
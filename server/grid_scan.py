@@ -0,0 +1,264 @@
+import ee
+import hashlib
+import json
+import math
+import threading
+from functools import partial
+from pydantic import BaseModel
+from typing import Any, Callable, Dict, List, Optional
+from data_loader import get_nasa_climatology, wind_speed_score
+from gee_layers import ndvi_image, slope_image, soil_texture_image
+from gee_water import water_harvesting_score
+from windmill import windmill_slope_score, windmill_score
+from scoring import DEFAULT_PROFILE
+from verdict import SOLAR_SCORE_SCALE
+from cache import cached
+
+SCAN_ANALYSES = ("solar", "wind", "water", "afforestation")
+
+DEFAULT_TARGET_CELLS = 200
+MAX_GRID_CELLS = 500
+MIN_CELL_SIZE_KM = 0.1
+
+# Cells are scored in batches: one Earth Engine request per batch, and one job section
+# per batch so the progress bar moves as batches finish
+BATCH_SIZE = 25
+
+# NASA POWER data is on a 0.5° x 0.625° grid, so cells in the same grid box share one
+# (cached) request. At most this many NASA requests run at once across all scans.
+NASA_LAT_STEP = 0.5
+NASA_LON_STEP = 0.625
+_nasa_slots = threading.BoundedSemaphore(2)
+
+KM_PER_DEGREE = 111.32
+
+
+class GridScanInput(BaseModel):
+    geometry: Dict[str, Any]  # GeoJSON Polygon of the region to scan
+    analysis: str
+    cell_size_km: Optional[float] = None
+    target_cells: int = DEFAULT_TARGET_CELLS
+    scoring_profile_id: Optional[str] = None  # the selected profile when omitted
+
+
+def _point_in_ring(lon: float, lat: float, ring: List[List[float]]) -> bool:
+    inside = False
+    for i in range(len(ring) - 1):
+        x1, y1 = ring[i][:2]
+        x2, y2 = ring[i + 1][:2]
+        if (y1 > lat) != (y2 > lat) and lon < (x2 - x1) * (lat - y1) / (y2 - y1) + x1:
+            inside = not inside
+    return inside
+
+
+def _ring_area_km2(ring: List[List[float]], mid_lat: float) -> float:
+    """Shoelace area on an equirectangular projection; fine for the region sizes a scan covers."""
+    x_scale = KM_PER_DEGREE * math.cos(math.radians(mid_lat))
+    area = 0.0
+    for i in range(len(ring) - 1):
+        x1, y1 = ring[i][0] * x_scale, ring[i][1] * KM_PER_DEGREE
+        x2, y2 = ring[i + 1][0] * x_scale, ring[i + 1][1] * KM_PER_DEGREE
+        area += x1 * y2 - x2 * y1
+    return abs(area) / 2
+
+
+def build_grid(geometry: Dict[str, Any], cell_size_km: Optional[float] = None,
+               target_cells: int = DEFAULT_TARGET_CELLS) -> Dict[str, Any]:
+    """Square cells whose centres fall inside the polygon and outside its holes.
+
+    Without an explicit cell size, the size is picked so roughly `target_cells` cells fit.
+    """
+    ring, *holes = geometry["coordinates"]
+    lons = [position[0] for position in ring]
+    lats = [position[1] for position in ring]
+    south, north, west, east = min(lats), max(lats), min(lons), max(lons)
+    mid_lat = (south + north) / 2
+
+    if cell_size_km is None:
+        target = min(max(target_cells, 1), MAX_GRID_CELLS)
+        area = _ring_area_km2(ring, mid_lat) - sum(_ring_area_km2(hole, mid_lat) for hole in holes)
+        cell_size_km = max(math.sqrt(max(area, 0) / target), MIN_CELL_SIZE_KM)
+    elif cell_size_km < MIN_CELL_SIZE_KM:
+        raise ValueError(f"cell_size_km must be at least {MIN_CELL_SIZE_KM}.")
+
+    lat_step = cell_size_km / KM_PER_DEGREE
+    lon_step = cell_size_km / (KM_PER_DEGREE * max(math.cos(math.radians(mid_lat)), 0.01))
+    rows = math.ceil((north - south) / lat_step)
+    cols = math.ceil((east - west) / lon_step)
+    if rows * cols > MAX_GRID_CELLS * 4:
+        raise ValueError(f"The region needs more than {MAX_GRID_CELLS} cells at this cell size.")
+
+    cells = []
+    for row in range(rows):
+        for col in range(cols):
+            cell_south = south + row * lat_step
+            cell_west = west + col * lon_step
+            center_lat = cell_south + lat_step / 2
+            center_lon = cell_west + lon_step / 2
+            if not _point_in_ring(center_lon, center_lat, ring):
+                continue
+            if any(_point_in_ring(center_lon, center_lat, hole) for hole in holes):
+                continue
+            cells.append({
+                "id": f"{row}-{col}",
+                "center": [round(center_lat, 6), round(center_lon, 6)],
+                "bounds": [
+                    [round(cell_south, 6), round(cell_west, 6)],
+                    [round(cell_south + lat_step, 6), round(cell_west + lon_step, 6)]
+                ]
+            })
+
+    if len(cells) > MAX_GRID_CELLS:
+        raise ValueError(f"The region needs {len(cells)} cells at this cell size; the limit is {MAX_GRID_CELLS}.")
+    if not cells:
+        raise ValueError("The region is too small for a single cell at this cell size.")
+    return {"cell_size_km": round(cell_size_km, 3), "cells": cells}
+
+
+def _nasa_annual(lat: float, lon: float, parameter: str) -> Optional[float]:
+    """Annual climatology for the NASA grid box containing the point."""
+    snapped_lat = round(round(lat / NASA_LAT_STEP) * NASA_LAT_STEP, 3)
+    snapped_lon = round(round(lon / NASA_LON_STEP) * NASA_LON_STEP, 3)
+    with _nasa_slots:
+        climatology = get_nasa_climatology(snapped_lat, snapped_lon, parameter)
+    return climatology["annual"] if climatology else None
+
+
+def _earth_engine_image(analysis: str) -> Optional[ee.Image]:
+    """Per-pixel terms whose cell means feed the scorer, or None if it only needs NASA data."""
+    if analysis == "water":
+        return soil_texture_image().rename('soil').addBands(slope_image().rename('slope'))
+    if analysis == "wind":
+        return slope_image().rename('slope').addBands(ndvi_image().lt(0.2).rename('barren'))
+    if analysis == "afforestation":
+        ndvi = ndvi_image()
+        green = ndvi.gt(0.4)
+        barren = ndvi.lt(0.2)
+        potential = barren.And(green.focal_max(radius=500, units='meters'))
+        return green.rename('green').addBands(barren.rename('barren')).addBands(potential.rename('potential'))
+    return None
+
+
+def _earth_engine_terms(cells: List[Dict[str, Any]], analysis: str, scale: float) -> Dict[str, Dict[str, float]]:
+    image = _earth_engine_image(analysis)
+    if image is None:
+        return {}
+
+    # Keyed by analysis, scale and the batch's cell bounds; batches have no single point, so stored at 0, 0
+    digest = hashlib.md5(json.dumps([scale, [cell["bounds"] for cell in cells]]).encode()).hexdigest()
+
+    def fetch():
+        features = ee.FeatureCollection([
+            ee.Feature(
+                ee.Geometry.Rectangle([cell["bounds"][0][1], cell["bounds"][0][0], cell["bounds"][1][1], cell["bounds"][1][0]]),
+                {"cell": cell["id"]}
+            )
+            for cell in cells
+        ])
+        stats = image.reduceRegions(collection=features, reducer=ee.Reducer.mean(), scale=scale, tileScale=4).getInfo()
+        return {feature["properties"]["cell"]: feature["properties"] for feature in stats["features"]}
+
+    return cached("grid_scan_batch", f"{analysis}:{digest}", 0, 0, fetch)
+
+
+def _value(terms: Dict[str, float], key: str) -> float:
+    value = terms.get(key)
+    return 0.0 if value is None or value < 0 else float(value)
+
+
+# Each scorer takes a cell, its Earth Engine terms and the scoring profile and returns the
+# score with its components, normalised as in the full point analysis. Only wind and water
+# use the profile (its weights and thresholds); solar and afforestation scores ignore it.
+
+def _score_solar(cell, terms, profile):
+    radiation = _nasa_annual(cell["center"][0], cell["center"][1], "ALLSKY_SFC_SW_DWN")
+    if radiation is None:
+        return None
+    return min(radiation / SOLAR_SCORE_SCALE, 1.0), {"average_radiation": round(radiation, 2)}
+
+
+def _score_wind(cell, terms, profile):
+    speed = _nasa_annual(cell["center"][0], cell["center"][1], "WS50M")
+    if speed is None:
+        return None
+    wind = wind_speed_score(speed)
+    slope = windmill_slope_score(min(_value(terms, "slope") / 45, 1.0), profile["windmill"]["max_slope"])
+    land = _value(terms, "barren")
+    return windmill_score(wind, slope, land, profile["windmill"]), {
+        "wind_speed": round(speed, 2), "wind_score": wind, "slope_score": round(slope, 2), "land_score": round(land, 2)
+    }
+
+
+def _score_water(cell, terms, profile):
+    rainfall_per_day = _nasa_annual(cell["center"][0], cell["center"][1], "PRECTOTCORR")
+    if rainfall_per_day is None:
+        return None
+    annual_rainfall = rainfall_per_day * 365
+    rainfall = min(annual_rainfall / 1000, 1.0)
+    soil = min(_value(terms, "soil") / 100, 1.0)
+    slope = min(_value(terms, "slope") / 45, 1.0)
+    return water_harvesting_score(rainfall, soil, slope, profile["water"]), {
+        "annual_rainfall_mm": round(annual_rainfall), "rainfall_score": round(rainfall, 2),
+        "soil_score": round(soil, 2), "slope_score": round(slope, 2)
+    }
+
+
+def _score_afforestation(cell, terms, profile):
+    if "potential" not in terms:
+        return None
+    green = _value(terms, "green")
+    potential = _value(terms, "potential")
+    return potential, {
+        "green_cover_percent": round(green * 100, 1),
+        "barren_land_percent": round(_value(terms, "barren") * 100, 1),
+        "afforestation_potential_percent": round(potential * 100, 1)
+    }
+
+
+SCORERS: Dict[str, Callable] = {
+    "solar": _score_solar,
+    "wind": _score_wind,
+    "water": _score_water,
+    "afforestation": _score_afforestation,
+}
+
+
+def score_cells(cells: List[Dict[str, Any]], analysis: str, scale: float,
+                profile: Dict[str, Any] = DEFAULT_PROFILE) -> List[Dict[str, Any]]:
+    """Score one batch of cells. Cells without data are returned with a None score."""
+    terms = _earth_engine_terms(cells, analysis, scale)
+    scorer = SCORERS[analysis]
+    scored = []
+    for cell in cells:
+        outcome = scorer(cell, terms.get(cell["id"], {}), profile)
+        score, components = outcome if outcome else (None, {})
+        scored.append({
+            **cell,
+            "score": round(score, 3) if score is not None else None,
+            "components": components
+        })
+    return scored
+
+
+def rank_cells(results: Dict[str, List[Dict[str, Any]]]) -> Dict[str, Any]:
+    """Merge the batches and rank cells by score, best first; cells without data go last."""
+    cells = [cell for batch in results.values() for cell in batch]
+    cells.sort(key=lambda cell: -1 if cell["score"] is None else cell["score"], reverse=True)
+    for rank, cell in enumerate(cells, start=1):
+        cell["rank"] = rank if cell["score"] is not None else None
+    return {"cells": cells}
+
+
+def scan_sections(grid: Dict[str, Any], analysis: str,
+                  profile: Dict[str, Any] = DEFAULT_PROFILE) -> Dict[str, Callable[[], Any]]:
+    """One job section per batch of cells."""
+    if analysis not in SCORERS:
+        raise ValueError(f"Unknown analysis. Use one of: {', '.join(SCAN_ANALYSES)}.")
+
+    # Average over roughly 30 x 30 samples per cell, never finer than the 30 m source data
+    scale = max(30.0, grid["cell_size_km"] * 1000 / 30)
+    cells = grid["cells"]
+    return {
+        f"cells_{start + 1}-{min(start + BATCH_SIZE, len(cells))}": partial(score_cells, cells[start:start + BATCH_SIZE], analysis, scale, profile)
+        for start in range(0, len(cells), BATCH_SIZE)
+    }
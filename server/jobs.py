@@ -0,0 +1,190 @@
+import secrets
+import threading
+import time
+import uuid
+from concurrent.futures import ThreadPoolExecutor
+from typing import Any, Callable, Dict, Optional
+
+# Finished jobs are kept this long so clients can reconnect after a page refresh
+JOB_TTL_SECONDS = 60 * 60
+
+TERMINAL_STATES = ("completed", "failed", "cancelled")
+
+# Event stream tokens only have to last until the client opens the stream
+EVENTS_TOKEN_TTL_SECONDS = 60
+
+# Sub-analyses are I/O bound (NASA POWER and Earth Engine requests), so they run side by side.
+# Grid scans split into many batch sections and get their own small pool, so a large scan
+# cannot hold every worker while point analyses wait behind it.
+_executors = {
+    "analysis": ThreadPoolExecutor(max_workers=8),
+    "scan": ThreadPoolExecutor(max_workers=2),
+}
+_jobs: Dict[str, Dict[str, Any]] = {}
+_events_tokens: Dict[str, Dict[str, Any]] = {}
+_lock = threading.Lock()
+
+
+def _touch(job: Dict[str, Any]):
+    """Bump the job version so status streams know something changed."""
+    job["version"] += 1
+    job["updated_at"] = time.time()
+
+
+def _purge_expired():
+    now = time.time()
+    with _lock:
+        expired = [
+            job_id for job_id, job in _jobs.items()
+            if job["status"] in TERMINAL_STATES and now - job["updated_at"] > JOB_TTL_SECONDS
+        ]
+        for job_id in expired:
+            del _jobs[job_id]
+
+
+def create_job(sections: Dict[str, Callable[[], Any]], finalize: Optional[Callable[[Dict[str, Any]], Any]] = None,
+               finalize_name: str = "recommendations", metadata: Optional[Dict[str, Any]] = None,
+               pool: str = "analysis") -> str:
+    """Start a background job that runs every section callable in parallel on one of `_executors`.
+
+    Once all sections are done, `finalize` (if given) is called with the collected
+    section results and its return value is stored under `finalize_name`.
+    """
+    _purge_expired()
+    job_id = uuid.uuid4().hex
+    job = {
+        "job_id": job_id,
+        "status": "running",
+        "created_at": time.time(),
+        "updated_at": time.time(),
+        "version": 0,
+        "metadata": metadata or {},
+        "sections": {name: {"status": "pending", "error": None} for name in sections},
+        "results": {},
+        "finalize_name": finalize_name if finalize else None,
+        "final_result": None,
+        "error": None,
+        "cancel_event": threading.Event(),
+    }
+    with _lock:
+        _jobs[job_id] = job
+
+    threading.Thread(target=_run_job, args=(job, sections, finalize, _executors[pool]), daemon=True).start()
+    return job_id
+
+
+def _run_section(job: Dict[str, Any], name: str, func: Callable[[], Any]):
+    # cancel_job marks sections "cancelled" under the lock, so every status write re-checks there
+    with _lock:
+        if job["cancel_event"].is_set():
+            return
+        job["sections"][name]["status"] = "running"
+        _touch(job)
+    try:
+        result = func()
+        with _lock:
+            if job["cancel_event"].is_set():
+                return
+            job["results"][name] = result
+            job["sections"][name]["status"] = "done"
+            _touch(job)
+    except Exception as e:
+        with _lock:
+            if job["cancel_event"].is_set():
+                return
+            job["sections"][name]["status"] = "failed"
+            job["sections"][name]["error"] = str(e)
+            _touch(job)
+
+
+def _run_job(job: Dict[str, Any], sections: Dict[str, Callable[[], Any]], finalize: Optional[Callable],
+             executor: ThreadPoolExecutor):
+    futures = [executor.submit(_run_section, job, name, func) for name, func in sections.items()]
+    for future in futures:
+        future.result()
+
+    if job["cancel_event"].is_set():
+        return
+
+    try:
+        if finalize:
+            final_result = finalize(dict(job["results"]))
+            with _lock:
+                job["final_result"] = final_result
+        with _lock:
+            if not job["cancel_event"].is_set():
+                failed = [name for name, section in job["sections"].items() if section["status"] == "failed"]
+                job["status"] = "failed" if len(failed) == len(sections) else "completed"
+                if failed:
+                    job["error"] = f"Failed sections: {', '.join(failed)}"
+                _touch(job)
+    except Exception as e:
+        with _lock:
+            job["status"] = "failed"
+            job["error"] = str(e)
+            _touch(job)
+
+
+def cancel_job(job_id: str) -> bool:
+    """Cancel a running job. Sections already in flight finish but their results are discarded."""
+    with _lock:
+        job = _jobs.get(job_id)
+        if job is None:
+            return False
+        if job["status"] not in TERMINAL_STATES:
+            job["cancel_event"].set()
+            job["status"] = "cancelled"
+            for section in job["sections"].values():
+                if section["status"] in ("pending", "running"):
+                    section["status"] = "cancelled"
+            _touch(job)
+        return True
+
+
+def get_job(job_id: str) -> Optional[Dict[str, Any]]:
+    """JSON-safe snapshot of a job, or None if it is unknown or expired."""
+    with _lock:
+        job = _jobs.get(job_id)
+        if job is None:
+            return None
+        total = len(job["sections"]) + (1 if job["finalize_name"] else 0)
+        completed = sum(1 for section in job["sections"].values() if section["status"] in ("done", "failed"))
+        if job["finalize_name"] and (job["final_result"] is not None or job["status"] == "completed"):
+            completed += 1
+        snapshot = {
+            "job_id": job["job_id"],
+            "status": job["status"],
+            "version": job["version"],
+            "metadata": job["metadata"],
+            "progress": {"completed": completed, "total": total},
+            "sections": {name: dict(section) for name, section in job["sections"].items()},
+            "report": dict(job["results"]),
+            "error": job["error"],
+        }
+        if job["finalize_name"]:
+            snapshot[job["finalize_name"]] = job["final_result"]
+        return snapshot
+
+
+def create_events_token(job_id: str, user_id: str) -> str:
+    """Single-use token that lets this user open one event stream for this job.
+
+    EventSource cannot send headers, so the stream is authorised with this in the query
+    string instead of the session token, which would end up in access logs and history.
+    """
+    now = time.time()
+    token = secrets.token_urlsafe(32)
+    with _lock:
+        for expired in [key for key, entry in _events_tokens.items() if entry["expires_at"] <= now]:
+            del _events_tokens[expired]
+        _events_tokens[token] = {"job_id": job_id, "user_id": user_id, "expires_at": now + EVENTS_TOKEN_TTL_SECONDS}
+    return token
+
+
+def redeem_events_token(job_id: str, token: str) -> Optional[str]:
+    """The user id a token was issued to if it is valid for this job; the token is used up either way."""
+    with _lock:
+        entry = _events_tokens.pop(token, None)
+    if entry is None or entry["job_id"] != job_id or entry["expires_at"] <= time.time():
+        return None
+    return entry["user_id"]
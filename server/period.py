@@ -0,0 +1,115 @@
+import os
+from pydantic import BaseModel
+from typing import Any, Dict, List, Optional
+
+# The period an analysis looks at. Without one every source keeps its own default window;
+# with one, all of them are narrowed to the same years (as far as each source has data),
+# and a season further narrows the scores to the months it covers.
+
+# Last complete year of data; the default windows end here
+LATEST_YEAR = int(os.getenv("PERIOD_LATEST_YEAR", "2024"))
+
+# First year each source has data for
+NASA_POWER_FIRST_YEAR = 1981
+SENTINEL_2_FIRST_YEAR = 2017
+
+MODES = ("range", "last_years", "season")
+
+# India Meteorological Department seasons; any other set of months can be given as "custom"
+SEASONS = {
+    "winter": {"label": "Winter", "months": [1, 2]},
+    "pre_monsoon": {"label": "Pre-monsoon", "months": [3, 4, 5]},
+    "monsoon": {"label": "Monsoon", "months": [6, 7, 8, 9]},
+    "post_monsoon": {"label": "Post-monsoon", "months": [10, 11, 12]},
+}
+
+MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+
+
+class PeriodInput(BaseModel):
+    mode: str = "range"  # "range", "last_years" or "season"
+    # range and season: the first and last year, each defaulting to the whole record
+    start_year: Optional[int] = None
+    end_year: Optional[int] = None
+    # last_years: how many complete years, ending at LATEST_YEAR
+    years: Optional[int] = None
+    # season: one of SEASONS, or "custom" with the months (1-12) listed
+    season: Optional[str] = None
+    months: Optional[List[int]] = None
+
+
+def _years(start_year: Optional[int], end_year: Optional[int]) -> tuple:
+    start = start_year if start_year is not None else NASA_POWER_FIRST_YEAR
+    end = end_year if end_year is not None else LATEST_YEAR
+    if not (NASA_POWER_FIRST_YEAR <= start <= LATEST_YEAR and NASA_POWER_FIRST_YEAR <= end <= LATEST_YEAR):
+        raise ValueError(f"Years must be between {NASA_POWER_FIRST_YEAR} and {LATEST_YEAR}.")
+    if start > end:
+        raise ValueError("The start year must not be after the end year.")
+    return start, end
+
+
+def _season(season: Optional[str], months: Optional[List[int]]) -> tuple:
+    if season in SEASONS:
+        return SEASONS[season]["label"], SEASONS[season]["months"]
+    if season != "custom":
+        raise ValueError(f"Unknown season '{season}'. Use one of: {', '.join([*SEASONS, 'custom'])}.")
+    months = sorted(set(months or []))
+    if not months or any(month < 1 or month > 12 for month in months):
+        raise ValueError("A custom season needs at least one month between 1 and 12.")
+    if len(months) == 12:
+        raise ValueError("A custom season cannot cover the whole year; use a year range instead.")
+    return _months_label(months), months
+
+
+def _months_label(months: List[int]) -> str:
+    """"Dec–Feb" for a run of months (wrapping over the new year), else "Jan+Apr+Jul"."""
+    # Start from the month after the widest gap, so a run across the new year reads in order
+    gaps = [((months[(i + 1) % len(months)] - month) % 12, i) for i, month in enumerate(months)]
+    start = (max(gaps)[1] + 1) % len(months)
+    ordered = months[start:] + months[:start]
+    if len(ordered) > 1 and all((b - a) % 12 == 1 for a, b in zip(ordered, ordered[1:])):
+        return f"{MONTH_NAMES[ordered[0] - 1]}–{MONTH_NAMES[ordered[-1] - 1]}"
+    return "+".join(MONTH_NAMES[month - 1] for month in ordered)
+
+
+def resolve_period(period: Optional[PeriodInput]) -> Optional[Dict[str, Any]]:
+    """The years and months a period covers, or None for the default windows.
+
+    Returns {"mode", "start_year", "end_year", "months", "label", "key"} where months is None
+    for whole years and key identifies the period in cache names. Raises ValueError when invalid.
+    """
+    if period is None:
+        return None
+    if period.mode not in MODES:
+        raise ValueError(f"Unknown period mode '{period.mode}'. Use one of: {', '.join(MODES)}.")
+
+    months = None
+    if period.mode == "last_years":
+        count = LATEST_YEAR - NASA_POWER_FIRST_YEAR + 1
+        if period.years is None or not (1 <= period.years <= count):
+            raise ValueError(f"The number of years must be between 1 and {count}.")
+        start, end = LATEST_YEAR - period.years + 1, LATEST_YEAR
+        label = f"Last {period.years} year{'s' if period.years > 1 else ''} ({start}–{end})"
+    else:
+        start, end = _years(period.start_year, period.end_year)
+        years = f"{start}–{end}" if start != end else str(start)
+        label = years
+        if period.mode == "season":
+            season_label, months = _season(period.season, period.months)
+            label = f"{season_label}, {years}"
+
+    key = f"{start}-{end}" + (f"-m{'.'.join(str(month) for month in months)}" if months else "")
+    return {"mode": period.mode, "start_year": start, "end_year": end, "months": months, "label": label, "key": key}
+
+
+def source_years(period: Dict[str, Any], first_year: int) -> Optional[tuple]:
+    """The period's (start, end) years clipped to a source's record, or None if they do not overlap."""
+    start = max(period["start_year"], first_year)
+    return (start, period["end_year"]) if start <= period["end_year"] else None
+
+
+def in_period(year: int, month: int, period: Dict[str, Any], months: bool = True) -> bool:
+    """Whether a year and month fall in the period; months=False ignores the season."""
+    if not period["start_year"] <= year <= period["end_year"]:
+        return False
+    return not months or period["months"] is None or month in period["months"]
@@ -0,0 +1,352 @@
+import json
+import sqlite3
+import time
+import uuid
+from contextlib import contextmanager
+from pydantic import BaseModel
+from typing import Any, Dict, List
+from auth import connect
+
+# Roles from least to most access. Viewers see the project and comment on its sites,
+# editors also change its details and sites, and the owner also manages members.
+ROLES = ("viewer", "editor", "owner")
+INVITABLE_ROLES = ("viewer", "editor")
+
+# Comments are left on one card of a site's report
+COMMENT_SECTIONS = ("solar_potential", "afforestation_feasibility", "water_harvesting", "windmill_feasibility")
+MAX_COMMENT_LENGTH = 2000
+
+
+class NotFoundError(Exception):
+    """The project, or what was asked for in it, does not exist or is not visible to the user.
+
+    Functions here also raise PermissionError when the user's role does not allow a change
+    and ValueError for bad input.
+    """
+
+
+class ProjectInput(BaseModel):
+    name: str
+    description: str = ""
+
+class MemberInput(BaseModel):
+    email: str
+    role: str = "viewer"
+
+class RoleInput(BaseModel):
+    role: str
+
+class SiteInput(BaseModel):
+    report: Dict[str, Any]  # a saved report as the client's report store keeps it
+
+class CommentInput(BaseModel):
+    section: str
+    body: str
+
+
+@contextmanager
+def _connect():
+    with connect() as connection:
+        connection.executescript(
+            """CREATE TABLE IF NOT EXISTS projects (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT NOT NULL,
+                created_at REAL NOT NULL,
+                updated_at REAL NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS project_members (
+                project_id TEXT NOT NULL REFERENCES projects(id),
+                user_id TEXT NOT NULL REFERENCES users(id),
+                role TEXT NOT NULL,
+                added_at REAL NOT NULL,
+                PRIMARY KEY (project_id, user_id)
+            );
+            CREATE TABLE IF NOT EXISTS project_sites (
+                project_id TEXT NOT NULL REFERENCES projects(id),
+                id TEXT NOT NULL,
+                report TEXT NOT NULL,
+                added_by TEXT NOT NULL REFERENCES users(id),
+                added_at REAL NOT NULL,
+                updated_at REAL NOT NULL,
+                PRIMARY KEY (project_id, id)
+            );
+            CREATE TABLE IF NOT EXISTS project_comments (
+                id TEXT PRIMARY KEY,
+                project_id TEXT NOT NULL REFERENCES projects(id),
+                site_id TEXT NOT NULL,
+                section TEXT NOT NULL,
+                user_id TEXT NOT NULL REFERENCES users(id),
+                body TEXT NOT NULL,
+                created_at REAL NOT NULL
+            );"""
+        )
+        yield connection
+
+
+def _require(connection: sqlite3.Connection, project_id: str, user_id: str, minimum: str) -> str:
+    """The user's role in the project, if it is at least `minimum`."""
+    row = connection.execute(
+        "SELECT role FROM project_members WHERE project_id = ? AND user_id = ?", (project_id, user_id)
+    ).fetchone()
+    if row is None:
+        raise NotFoundError("Project not found.")
+    if ROLES.index(row["role"]) < ROLES.index(minimum):
+        raise PermissionError(f"This needs the {minimum} role in the project.")
+    return row["role"]
+
+
+def _touch(connection: sqlite3.Connection, project_id: str):
+    connection.execute("UPDATE projects SET updated_at = ? WHERE id = ?", (time.time(), project_id))
+
+
+def _project_input(project: ProjectInput) -> tuple:
+    name = project.name.strip()
+    if not name:
+        raise ValueError("Projects need a name.")
+    return name, project.description.strip()
+
+
+def _site(row: sqlite3.Row) -> Dict[str, Any]:
+    return {
+        "id": row["id"],
+        "report": json.loads(row["report"]),
+        "added_by": row["added_by_email"],
+        "added_at": row["added_at"],
+        "updated_at": row["updated_at"],
+        "comment_count": row["comment_count"],
+    }
+
+
+def list_projects(user_id: str) -> List[Dict[str, Any]]:
+    """The user's projects, most recently changed first, with their role and counts."""
+    with _connect() as connection:
+        rows = connection.execute(
+            """SELECT projects.*, own.role,
+                (SELECT COUNT(*) FROM project_sites WHERE project_id = projects.id) AS site_count,
+                (SELECT COUNT(*) FROM project_members WHERE project_id = projects.id) AS member_count
+            FROM projects JOIN project_members AS own ON own.project_id = projects.id AND own.user_id = ?
+            ORDER BY projects.updated_at DESC""",
+            (user_id,),
+        ).fetchall()
+    return [dict(row) for row in rows]
+
+
+def get_project(user_id: str, project_id: str) -> Dict[str, Any]:
+    """A project with its members and sites, and the user's role in it."""
+    with _connect() as connection:
+        role = _require(connection, project_id, user_id, "viewer")
+        project = connection.execute("SELECT * FROM projects WHERE id = ?", (project_id,)).fetchone()
+        members = connection.execute(
+            """SELECT users.id AS user_id, users.email, project_members.role, project_members.added_at
+            FROM project_members JOIN users ON users.id = project_members.user_id
+            WHERE project_members.project_id = ? ORDER BY project_members.added_at""",
+            (project_id,),
+        ).fetchall()
+        sites = connection.execute(
+            """SELECT project_sites.*, users.email AS added_by_email,
+                (SELECT COUNT(*) FROM project_comments
+                 WHERE project_id = project_sites.project_id AND site_id = project_sites.id) AS comment_count
+            FROM project_sites JOIN users ON users.id = project_sites.added_by
+            WHERE project_sites.project_id = ? ORDER BY project_sites.added_at""",
+            (project_id,),
+        ).fetchall()
+    return {
+        **dict(project),
+        "role": role,
+        "members": [dict(member) for member in members],
+        "sites": [_site(site) for site in sites],
+    }
+
+
+def create_project(user_id: str, project: ProjectInput) -> Dict[str, Any]:
+    name, description = _project_input(project)
+    project_id = uuid.uuid4().hex
+    now = time.time()
+    with _connect() as connection:
+        connection.execute(
+            "INSERT INTO projects (id, name, description, created_at, updated_at) VALUES (?, ?, ?, ?, ?)",
+            (project_id, name, description, now, now),
+        )
+        connection.execute(
+            "INSERT INTO project_members (project_id, user_id, role, added_at) VALUES (?, ?, 'owner', ?)",
+            (project_id, user_id, now),
+        )
+    return get_project(user_id, project_id)
+
+
+def update_project(user_id: str, project_id: str, project: ProjectInput) -> Dict[str, Any]:
+    name, description = _project_input(project)
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "editor")
+        connection.execute(
+            "UPDATE projects SET name = ?, description = ?, updated_at = ? WHERE id = ?",
+            (name, description, time.time(), project_id),
+        )
+    return get_project(user_id, project_id)
+
+
+def delete_project(user_id: str, project_id: str):
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "owner")
+        for table in ("project_comments", "project_sites", "project_members"):
+            connection.execute(f"DELETE FROM {table} WHERE project_id = ?", (project_id,))
+        connection.execute("DELETE FROM projects WHERE id = ?", (project_id,))
+
+
+def add_member(user_id: str, project_id: str, member: MemberInput) -> Dict[str, Any]:
+    """Give an existing account access to the project."""
+    if member.role not in INVITABLE_ROLES:
+        raise ValueError(f"Members can be invited as {' or '.join(INVITABLE_ROLES)}.")
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "owner")
+        invitee = connection.execute(
+            "SELECT id FROM users WHERE email = ?", (member.email.strip().lower(),)
+        ).fetchone()
+        if invitee is None:
+            raise ValueError("No account uses this email. Ask them to sign up first.")
+        if connection.execute(
+            "SELECT 1 FROM project_members WHERE project_id = ? AND user_id = ?", (project_id, invitee["id"])
+        ).fetchone():
+            raise ValueError("This person is already a member of the project.")
+        connection.execute(
+            "INSERT INTO project_members (project_id, user_id, role, added_at) VALUES (?, ?, ?, ?)",
+            (project_id, invitee["id"], member.role, time.time()),
+        )
+        _touch(connection, project_id)
+    return get_project(user_id, project_id)
+
+
+def update_member(user_id: str, project_id: str, member_id: str, role: str) -> Dict[str, Any]:
+    if role not in INVITABLE_ROLES:
+        raise ValueError(f"Members can be {' or '.join(INVITABLE_ROLES)}.")
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "owner")
+        current = connection.execute(
+            "SELECT role FROM project_members WHERE project_id = ? AND user_id = ?", (project_id, member_id)
+        ).fetchone()
+        if current is None:
+            raise NotFoundError("Member not found.")
+        if current["role"] == "owner":
+            raise ValueError("The owner's role cannot be changed.")
+        connection.execute(
+            "UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?", (role, project_id, member_id)
+        )
+        _touch(connection, project_id)
+    return get_project(user_id, project_id)
+
+
+def remove_member(user_id: str, project_id: str, member_id: str):
+    """The owner removes a member, or a member leaves. The owner cannot leave their project."""
+    with _connect() as connection:
+        role = _require(connection, project_id, user_id, "viewer")
+        if member_id != user_id and role != "owner":
+            raise PermissionError("Only the owner can remove other members.")
+        current = connection.execute(
+            "SELECT role FROM project_members WHERE project_id = ? AND user_id = ?", (project_id, member_id)
+        ).fetchone()
+        if current is None:
+            raise NotFoundError("Member not found.")
+        if current["role"] == "owner":
+            raise ValueError("The owner cannot be removed; delete the project instead.")
+        connection.execute("DELETE FROM project_members WHERE project_id = ? AND user_id = ?", (project_id, member_id))
+        _touch(connection, project_id)
+
+
+def save_site(user_id: str, project_id: str, site_id: str, report: Dict[str, Any]) -> Dict[str, Any]:
+    """Add a report to the project, or replace the copy it already has."""
+    now = time.time()
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "editor")
+        existing = connection.execute(
+            "SELECT added_by, added_at FROM project_sites WHERE project_id = ? AND id = ?", (project_id, site_id)
+        ).fetchone()
+        connection.execute(
+            "INSERT OR REPLACE INTO project_sites (project_id, id, report, added_by, added_at, updated_at)"
+            " VALUES (?, ?, ?, ?, ?, ?)",
+            (project_id, site_id, json.dumps({**report, "id": site_id}),
+             existing["added_by"] if existing else user_id, existing["added_at"] if existing else now, now),
+        )
+        _touch(connection, project_id)
+    return get_site(user_id, project_id, site_id)
+
+
+def get_site(user_id: str, project_id: str, site_id: str) -> Dict[str, Any]:
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "viewer")
+        row = connection.execute(
+            """SELECT project_sites.*, users.email AS added_by_email,
+                (SELECT COUNT(*) FROM project_comments
+                 WHERE project_id = project_sites.project_id AND site_id = project_sites.id) AS comment_count
+            FROM project_sites JOIN users ON users.id = project_sites.added_by
+            WHERE project_sites.project_id = ? AND project_sites.id = ?""",
+            (project_id, site_id),
+        ).fetchone()
+    if row is None:
+        raise NotFoundError("Site not found in this project.")
+    return _site(row)
+
+
+def remove_site(user_id: str, project_id: str, site_id: str):
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "editor")
+        deleted = connection.execute(
+            "DELETE FROM project_sites WHERE project_id = ? AND id = ?", (project_id, site_id)
+        ).rowcount
+        if not deleted:
+            raise NotFoundError("Site not found in this project.")
+        connection.execute("DELETE FROM project_comments WHERE project_id = ? AND site_id = ?", (project_id, site_id))
+        _touch(connection, project_id)
+
+
+def list_comments(user_id: str, project_id: str, site_id: str) -> List[Dict[str, Any]]:
+    """Every comment on the site's cards, oldest first."""
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "viewer")
+        rows = connection.execute(
+            """SELECT project_comments.id, project_comments.section, project_comments.body,
+                project_comments.user_id AS author_id, users.email AS author, project_comments.created_at
+            FROM project_comments JOIN users ON users.id = project_comments.user_id
+            WHERE project_comments.project_id = ? AND project_comments.site_id = ?
+            ORDER BY project_comments.created_at""",
+            (project_id, site_id),
+        ).fetchall()
+    return [dict(row) for row in rows]
+
+
+def add_comment(user_id: str, project_id: str, site_id: str, comment: CommentInput) -> List[Dict[str, Any]]:
+    """Comment on one card of a site; returns the site's comments."""
+    body = comment.body.strip()
+    if comment.section not in COMMENT_SECTIONS:
+        raise ValueError(f"Comments go on one of: {', '.join(COMMENT_SECTIONS)}.")
+    if not body:
+        raise ValueError("Comments cannot be empty.")
+    if len(body) > MAX_COMMENT_LENGTH:
+        raise ValueError(f"Comments are limited to {MAX_COMMENT_LENGTH} characters.")
+    with _connect() as connection:
+        _require(connection, project_id, user_id, "viewer")
+        if not connection.execute(
+            "SELECT 1 FROM project_sites WHERE project_id = ? AND id = ?", (project_id, site_id)
+        ).fetchone():
+            raise NotFoundError("Site not found in this project.")
+        connection.execute(
+            "INSERT INTO project_comments (id, project_id, site_id, section, user_id, body, created_at)"
+            " VALUES (?, ?, ?, ?, ?, ?, ?)",
+            (uuid.uuid4().hex, project_id, site_id, comment.section, user_id, body, time.time()),
+        )
+    return list_comments(user_id, project_id, site_id)
+
+
+def delete_comment(user_id: str, project_id: str, comment_id: str) -> str:
+    """Authors delete their own comments, the owner any. Returns the site the comment was on."""
+    with _connect() as connection:
+        role = _require(connection, project_id, user_id, "viewer")
+        row = connection.execute(
+            "SELECT site_id, user_id FROM project_comments WHERE project_id = ? AND id = ?", (project_id, comment_id)
+        ).fetchone()
+        if row is None:
+            raise NotFoundError("Comment not found.")
+        if row["user_id"] != user_id and role != "owner":
+            raise PermissionError("Only the author or the project owner can delete a comment.")
+        connection.execute("DELETE FROM project_comments WHERE id = ?", (comment_id,))
+    return row["site_id"]
@@ -0,0 +1,126 @@
+import math
+from pydantic import BaseModel
+from typing import List, Optional
+from data_loader import get_nasa_solar_data
+
+DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+
+# Systems per /pv-yield/batch request; each one without radiation values is a NASA POWER request
+MAX_BATCH_SYSTEMS = 50
+
+class PvYieldInput(BaseModel):
+    latitude: float
+    longitude: Optional[float] = None
+    # Horizontal irradiance in kWh/m²/day; fetched from NASA POWER when neither is given
+    average_radiation: Optional[float] = None
+    monthly_radiation: Optional[List[float]] = None
+    # Either the array size or the roof area it has to fit on
+    system_size_kw: Optional[float] = None
+    roof_area_m2: Optional[float] = None
+    panel_efficiency: float = 0.20
+    tilt_deg: float = 20.0
+    system_losses: float = 0.14
+    tariff_per_kwh: float = 0.10
+    install_cost: float = 0.0
+    grid_emission_factor: float = 0.7  # kg CO2 per kWh of grid electricity
+    discount_rate: float = 0.06
+    lifetime_years: int = 25
+    degradation_rate: float = 0.005
+
+def _check_range(name: str, value: float, low: float, high: float, low_open: bool = False, high_open: bool = False):
+    if value < low or value > high or (low_open and value == low) or (high_open and value == high):
+        raise ValueError(f"{name} must be {'above' if low_open else 'at least'} {low} and "
+                         f"{'below' if high_open else 'at most'} {high}.")
+
+def validate_pv_input(params: PvYieldInput):
+    """Raise ValueError for inputs outside the ranges the yield model makes sense for."""
+    _check_range("latitude", params.latitude, -90, 90)
+    if params.longitude is not None:
+        _check_range("longitude", params.longitude, -180, 180)
+    if params.average_radiation is not None:
+        _check_range("average_radiation", params.average_radiation, 0, 15)
+    if params.monthly_radiation is not None:
+        if len(params.monthly_radiation) != 12:
+            raise ValueError("monthly_radiation must have 12 values.")
+        for value in params.monthly_radiation:
+            _check_range("monthly_radiation values", value, 0, 15)
+    if params.system_size_kw is not None:
+        _check_range("system_size_kw", params.system_size_kw, 0, 1_000_000, low_open=True)
+    if params.roof_area_m2 is not None:
+        _check_range("roof_area_m2", params.roof_area_m2, 0, 10_000_000, low_open=True)
+    _check_range("panel_efficiency", params.panel_efficiency, 0, 1, low_open=True)
+    _check_range("tilt_deg", params.tilt_deg, 0, 90)
+    _check_range("system_losses", params.system_losses, 0, 1, high_open=True)
+    _check_range("tariff_per_kwh", params.tariff_per_kwh, 0, math.inf)
+    _check_range("install_cost", params.install_cost, 0, math.inf)
+    _check_range("grid_emission_factor", params.grid_emission_factor, 0, 5)
+    _check_range("discount_rate", params.discount_rate, 0, 1)
+    _check_range("lifetime_years", params.lifetime_years, 1, 100)
+    _check_range("degradation_rate", params.degradation_rate, 0, 1, high_open=True)
+
+def tilt_factor(latitude: float, tilt_deg: float) -> float:
+    """Approximate gain of a tilted, equator-facing array over a horizontal surface.
+
+    Blends the beam gain cos(|lat| - tilt) / cos(|lat|) with isotropic diffuse
+    (1 + cos(tilt)) / 2, weighted 60/40. The client mirrors this in utils/pv.js.
+    """
+    lat = math.radians(min(abs(latitude), 75))
+    tilt = math.radians(tilt_deg)
+    beam = min(max(math.cos(lat - tilt) / math.cos(lat), 0.0), 1.5)
+    diffuse = (1 + math.cos(tilt)) / 2
+    return 0.6 * beam + 0.4 * diffuse
+
+def monthly_irradiance(params: PvYieldInput) -> List[float]:
+    """Twelve monthly horizontal irradiance values in kWh/m²/day."""
+    if params.monthly_radiation:
+        return list(params.monthly_radiation)
+    if params.average_radiation is not None:
+        return [params.average_radiation] * 12
+    if params.longitude is None:
+        raise ValueError("Provide average_radiation, monthly_radiation or both latitude and longitude.")
+
+    df = get_nasa_solar_data(params.latitude, params.longitude)
+    if df is None:
+        raise ValueError("Failed to fetch NASA data.")
+    monthly = df.groupby('Month')['ALLSKY_SFC_SW_DWN'].mean()
+    return [float(monthly.get(month, 0.0)) for month in range(1, 13)]
+
+def calculate_pv_yield(params: PvYieldInput):
+    """Yield, savings and payback of one system. Raises ValueError for invalid or incomplete inputs."""
+    validate_pv_input(params)
+    if params.system_size_kw is None and params.roof_area_m2 is None:
+        raise ValueError("Provide either system_size_kw or roof_area_m2.")
+
+    # At standard test conditions (1 kW/m²) a square metre of panel produces efficiency × 1 kW
+    system_size_kw = params.system_size_kw if params.system_size_kw is not None \
+        else params.roof_area_m2 * params.panel_efficiency
+
+    factor = tilt_factor(params.latitude, params.tilt_deg)
+    performance = 1 - params.system_losses
+    monthly_kwh = [
+        system_size_kw * radiation * factor * days * performance
+        for radiation, days in zip(monthly_irradiance(params), DAYS_IN_MONTH)
+    ]
+    annual_kwh = sum(monthly_kwh)
+    annual_savings = annual_kwh * params.tariff_per_kwh
+
+    # Discounted savings over the system lifetime, with output degrading each year
+    npv = -params.install_cost
+    lifetime_kwh = 0.0
+    for year in range(1, params.lifetime_years + 1):
+        year_kwh = annual_kwh * (1 - params.degradation_rate) ** (year - 1)
+        lifetime_kwh += year_kwh
+        npv += year_kwh * params.tariff_per_kwh / (1 + params.discount_rate) ** year
+
+    return {
+        "system_size_kw": round(system_size_kw, 2),
+        "tilt_factor": round(factor, 3),
+        "annual_yield_kwh": round(annual_kwh, 1),
+        "monthly_yield_kwh": [round(value, 1) for value in monthly_kwh],
+        "specific_yield_kwh_per_kw": round(annual_kwh / system_size_kw, 1) if system_size_kw else 0.0,
+        "co2_avoided_tonnes_per_year": round(annual_kwh * params.grid_emission_factor / 1000, 2),
+        "annual_savings": round(annual_savings, 2),
+        "simple_payback_years": round(params.install_cost / annual_savings, 1) if annual_savings > 0 else None,
+        "npv": round(npv, 2),
+        "lifetime_yield_kwh": round(lifetime_kwh, 1)
+    }
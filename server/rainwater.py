@@ -0,0 +1,123 @@
+import math
+from pydantic import BaseModel
+from typing import List, Optional
+from data_loader import get_nasa_monthly_rainfall
+
+DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+
+# Share of rain on the surface that reaches the tank or pond (after splash, evaporation and infiltration)
+RUNOFF_COEFFICIENTS = {
+    "roof": 0.85,
+    "paved": 0.75,
+    "open_ground": 0.3,
+}
+
+# Tank sizes are rounded up to the next multiple of this (litres)
+TANK_SIZE_STEP = 500
+
+class RainwaterInput(BaseModel):
+    latitude: Optional[float] = None
+    longitude: Optional[float] = None
+    # Average monthly rainfall totals in mm; fetched from NASA POWER when not given
+    monthly_rainfall_mm: Optional[List[float]] = None
+    catchment_area_m2: float
+    surface_type: str = "roof"
+    # Overrides the surface type's default coefficient
+    runoff_coefficient: Optional[float] = None
+    daily_demand_litres: float = 0.0
+
+def monthly_rainfall(params: RainwaterInput) -> List[float]:
+    if params.monthly_rainfall_mm and len(params.monthly_rainfall_mm) == 12:
+        return list(params.monthly_rainfall_mm)
+    if params.latitude is None or params.longitude is None:
+        raise ValueError("Provide monthly_rainfall_mm or both latitude and longitude.")
+
+    rainfall = get_nasa_monthly_rainfall(params.latitude, params.longitude)
+    if rainfall is None:
+        raise ValueError("Failed to fetch NASA data.")
+    return rainfall["monthly_mm"]
+
+def required_storage(inflow: List[float], demand: List[float]) -> float:
+    """Storage (litres) needed to carry the wet-season surplus into the dry months.
+
+    Runs the average year twice so a deficit at the start of the year can draw on
+    water stored late in the previous one. When the catchment yields at least the
+    annual demand this is the sequent-peak storage that meets demand every month;
+    otherwise it is the most the tank ever holds before running dry.
+    """
+    if sum(inflow) >= sum(demand):
+        deficit = 0.0
+        peak = 0.0
+        for supply, need in zip(inflow * 2, demand * 2):
+            deficit = max(0.0, deficit + need - supply)
+            peak = max(peak, deficit)
+        return peak
+
+    stored = 0.0
+    peak = 0.0
+    for supply, need in zip(inflow * 2, demand * 2):
+        stored = max(0.0, stored + supply - need)
+        peak = max(peak, stored)
+    return peak
+
+def simulate_tank(inflow: List[float], demand: List[float], capacity: float):
+    """Month-by-month supply, shortfall and overflow for a tank of the given capacity.
+
+    The first pass fills the tank to its steady state; the second pass is reported.
+    """
+    stored = 0.0
+    months = []
+    for _ in range(2):
+        months = []
+        for supply, need in zip(inflow, demand):
+            available = stored + supply
+            delivered = min(need, available)
+            stored = available - delivered
+            overflow = max(0.0, stored - capacity)
+            stored -= overflow
+            months.append({
+                "supplied": delivered,
+                "shortfall": need - delivered,
+                "overflow": overflow,
+                "stored": stored
+            })
+    return months
+
+def calculate_rainwater_harvest(params: RainwaterInput):
+    if params.catchment_area_m2 <= 0:
+        raise ValueError("catchment_area_m2 must be positive.")
+    if params.runoff_coefficient is None and params.surface_type not in RUNOFF_COEFFICIENTS:
+        raise ValueError(f"Unknown surface_type. Use one of: {', '.join(RUNOFF_COEFFICIENTS)}.")
+    if params.runoff_coefficient is not None and not 0 <= params.runoff_coefficient <= 1:
+        raise ValueError("runoff_coefficient must be between 0 and 1.")
+    if params.daily_demand_litres < 0:
+        raise ValueError("daily_demand_litres must not be negative.")
+
+    coefficient = params.runoff_coefficient if params.runoff_coefficient is not None \
+        else RUNOFF_COEFFICIENTS[params.surface_type]
+    rainfall = monthly_rainfall(params)
+
+    # 1 mm of rain on 1 m² is 1 litre
+    inflow = [mm * params.catchment_area_m2 * coefficient for mm in rainfall]
+    demand = [params.daily_demand_litres * days for days in DAYS_IN_MONTH]
+
+    storage = required_storage(inflow, demand)
+    tank_size = math.ceil(storage / TANK_SIZE_STEP) * TANK_SIZE_STEP
+    months = simulate_tank(inflow, demand, tank_size)
+
+    annual_demand = sum(demand)
+    annual_supplied = sum(month["supplied"] for month in months)
+    dry_months = [index + 1 for index, month in enumerate(months) if month["shortfall"] > 0.5]
+
+    return {
+        "runoff_coefficient": coefficient,
+        "monthly_rainfall_mm": [round(mm, 1) for mm in rainfall],
+        "monthly_harvest_litres": [round(value) for value in inflow],
+        "annual_harvest_litres": round(sum(inflow)),
+        "monthly_demand_litres": [round(value) for value in demand],
+        "recommended_storage_litres": tank_size,
+        "monthly_shortfall_litres": [round(month["shortfall"]) for month in months],
+        "dry_months": dry_months,
+        "annual_shortfall_litres": round(sum(month["shortfall"] for month in months)),
+        "demand_met_fraction": round(annual_supplied / annual_demand, 3) if annual_demand > 0 else None
+    }
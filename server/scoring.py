@@ -0,0 +1,204 @@
+import json
+import os
+import re
+import threading
+import time
+import uuid
+from pydantic import BaseModel
+from typing import Any, Dict, List, Optional
+
+# Custom profiles and the server-wide selection are kept in this JSON file next to the server.
+# Each custom profile belongs to the user who created it ("owner"); profiles saved before
+# accounts existed have no owner and are shared with everyone, read-only.
+PROFILES_PATH = os.getenv("SCORING_PROFILES_PATH", os.path.join(os.path.dirname(os.path.abspath(__file__)), "scoring_profiles.json"))
+
+DEFAULT_PROFILE_ID = "default"
+
+_lock = threading.Lock()
+
+
+# Field defaults are the weights and cut-offs the analyses have always used
+class SolarScoring(BaseModel):
+    # Minimum average radiation (kWh/m²/day) for each verdict
+    excellent: float = 5.0
+    good: float = 3.5
+    moderate: float = 2.0
+
+class WaterScoring(BaseModel):
+    rainfall_weight: float = 0.5
+    soil_weight: float = 0.3
+    slope_weight: float = 0.2
+    feasible: float = 0.6
+    moderate: float = 0.4
+
+class WindmillScoring(BaseModel):
+    wind_weight: float = 0.5
+    slope_weight: float = 0.3
+    land_weight: float = 0.2
+    # Normalised slope at which the slope term reaches zero
+    max_slope: float = 15.0
+    feasible: float = 0.6
+    moderate: float = 0.4
+
+class AfforestationScoring(BaseModel):
+    # Fractions (0-1) that must both be exceeded for a feasible verdict
+    min_green_cover: float = 0.2
+    min_potential: float = 0.1
+
+class ScoringProfileInput(BaseModel):
+    name: str
+    description: str = ""
+    solar: SolarScoring = SolarScoring()
+    water: WaterScoring = WaterScoring()
+    windmill: WindmillScoring = WindmillScoring()
+    afforestation: AfforestationScoring = AfforestationScoring()
+
+
+def _dump(model: BaseModel) -> Dict[str, Any]:
+    return model.model_dump() if hasattr(model, "model_dump") else model.dict()
+
+
+DEFAULT_PROFILE: Dict[str, Any] = {
+    "id": DEFAULT_PROFILE_ID,
+    **_dump(ScoringProfileInput(name="Default", description="The platform's standard weights and thresholds.")),
+    "read_only": True,
+    "updated_at": None,
+}
+
+
+def _check_weights(section: str, weights: List[float]):
+    if any(weight < 0 for weight in weights):
+        raise ValueError(f"{section} weights cannot be negative.")
+    if abs(sum(weights) - 1.0) > 0.001:
+        raise ValueError(f"{section} weights must add up to 1 (they add up to {round(sum(weights), 3)}).")
+
+
+def _check_cutoffs(section: str, feasible: float, moderate: float):
+    if not (0 <= moderate < feasible <= 1):
+        raise ValueError(f"{section} thresholds must satisfy 0 ≤ moderate < feasible ≤ 1.")
+
+
+def validate_profile(profile: ScoringProfileInput):
+    """Raise ValueError if the weights or thresholds would give inconsistent verdicts."""
+    if not profile.name.strip():
+        raise ValueError("Profile name is required.")
+    if not (0 <= profile.solar.moderate < profile.solar.good < profile.solar.excellent):
+        raise ValueError("Solar thresholds must satisfy 0 ≤ moderate < good < excellent.")
+
+    water = profile.water
+    _check_weights("Water harvesting", [water.rainfall_weight, water.soil_weight, water.slope_weight])
+    _check_cutoffs("Water harvesting", water.feasible, water.moderate)
+
+    windmill = profile.windmill
+    _check_weights("Windmill", [windmill.wind_weight, windmill.slope_weight, windmill.land_weight])
+    _check_cutoffs("Windmill", windmill.feasible, windmill.moderate)
+    if windmill.max_slope <= 0:
+        raise ValueError("Windmill maximum slope must be above 0.")
+
+    afforestation = profile.afforestation
+    if not (0 <= afforestation.min_green_cover <= 1 and 0 <= afforestation.min_potential <= 1):
+        raise ValueError("Afforestation thresholds must be between 0 and 1.")
+
+
+def _load() -> Dict[str, Any]:
+    if not os.path.exists(PROFILES_PATH):
+        return {"profiles": {}}
+    with open(PROFILES_PATH, encoding="utf-8") as f:
+        # Selections live in each user's workspace; older files also kept a server-wide one
+        return {"profiles": json.load(f).get("profiles", {})}
+
+
+def _save(store: Dict[str, Any]):
+    # Write to a temporary file first so a crash never leaves half a file behind
+    temp_path = f"{PROFILES_PATH}.tmp"
+    with open(temp_path, "w", encoding="utf-8") as f:
+        json.dump(store, f, ensure_ascii=False, indent=2)
+    os.replace(temp_path, PROFILES_PATH)
+
+
+def _profile_id(name: str) -> str:
+    slug = re.sub(r"[^a-z0-9]+", "-", name.lower()).strip("-")[:40] or "profile"
+    return f"{slug}-{uuid.uuid4().hex[:6]}"
+
+
+def _visible(profile: Dict[str, Any], user_id: Optional[str]) -> bool:
+    return profile.get("owner") is None or profile["owner"] == user_id
+
+
+def _public(profile: Dict[str, Any], user_id: Optional[str]) -> Dict[str, Any]:
+    """The profile as a user sees it: without its owner, read-only unless it is theirs."""
+    shown = {key: value for key, value in profile.items() if key != "owner"}
+    return {**shown, "read_only": profile.get("owner") is None or profile["owner"] != user_id}
+
+
+def list_profiles(user_id: Optional[str] = None) -> Dict[str, Any]:
+    """The built-in default, then the shared profiles and the user's own."""
+    with _lock:
+        store = _load()
+    profiles = [_public(profile, user_id) for profile in store["profiles"].values() if _visible(profile, user_id)]
+    return {"profiles": [DEFAULT_PROFILE, *profiles]}
+
+
+def get_profile(profile_id: str, user_id: Optional[str] = None) -> Optional[Dict[str, Any]]:
+    """The profile, or None if it does not exist or belongs to another user."""
+    if profile_id == DEFAULT_PROFILE_ID:
+        return DEFAULT_PROFILE
+    with _lock:
+        profile = _load()["profiles"].get(profile_id)
+    return _public(profile, user_id) if profile is not None and _visible(profile, user_id) else None
+
+
+def _owned(store: Dict[str, Any], profile_id: str, user_id: str) -> bool:
+    """Whether the user may change the profile; False if they cannot see it, ValueError if it is read-only."""
+    if profile_id == DEFAULT_PROFILE_ID:
+        raise ValueError("The default profile cannot be changed; create a new profile instead.")
+    profile = store["profiles"].get(profile_id)
+    if profile is None or not _visible(profile, user_id):
+        return False
+    if profile.get("owner") is None:
+        raise ValueError("Shared profiles cannot be changed; copy it into a new profile instead.")
+    return True
+
+
+def create_profile(profile: ScoringProfileInput, user_id: str) -> Dict[str, Any]:
+    validate_profile(profile)
+    created = {"id": _profile_id(profile.name), **_dump(profile), "owner": user_id, "updated_at": time.time()}
+    with _lock:
+        store = _load()
+        store["profiles"][created["id"]] = created
+        _save(store)
+    return _public(created, user_id)
+
+
+def update_profile(profile_id: str, profile: ScoringProfileInput, user_id: str) -> Optional[Dict[str, Any]]:
+    """Replace one of the user's profiles. Returns None if they have no such profile."""
+    validate_profile(profile)
+    with _lock:
+        store = _load()
+        if not _owned(store, profile_id, user_id):
+            return None
+        updated = {"id": profile_id, **_dump(profile), "owner": user_id, "updated_at": time.time()}
+        store["profiles"][profile_id] = updated
+        _save(store)
+    return _public(updated, user_id)
+
+
+def delete_profile(profile_id: str, user_id: str) -> bool:
+    """Delete one of the user's profiles; analyses that selected it fall back to the default."""
+    with _lock:
+        store = _load()
+        if not _owned(store, profile_id, user_id):
+            return False
+        del store["profiles"][profile_id]
+        _save(store)
+    return True
+
+
+def resolve_profile(profile_id: Optional[str] = None, user_id: Optional[str] = None) -> Dict[str, Any]:
+    """The named profile, or the default one. Raises ValueError for unknown ids."""
+    if profile_id is None:
+        profile_id = DEFAULT_PROFILE_ID
+    profile = get_profile(profile_id, user_id)
+    if profile is None:
+        raise ValueError(f"Unknown scoring profile '{profile_id}'.")
+    return profile
@@ -0,0 +1,39 @@
+from typing import Any, Dict, List, Optional, Tuple
+
+# Where each input of an analysis comes from, as shown to users
+NASA_POWER = "NASA POWER"
+SRTM = "Google Earth Engine: SRTM elevation"
+OPENLANDMAP_SOIL = "Google Earth Engine: OpenLandMap soil texture"
+SENTINEL_2 = "Google Earth Engine: Sentinel-2"
+
+OK = "ok"
+PARTIAL = "partial"
+UNAVAILABLE = "unavailable"
+
+
+def section_status(terms: List[Tuple[str, str, Any]]) -> Dict[str, Any]:
+    """Status of a section from its (name, source, value) inputs; a None value is missing.
+
+    All inputs present is "ok", some missing is "partial" and all missing is "unavailable".
+    """
+    sources = sorted({source for _, source, _ in terms})
+    missing = [(name, source) for name, source, value in terms if value is None]
+    if not missing:
+        return {"state": OK, "reason": None, "sources": sources}
+    if len(missing) == len(terms):
+        return unavailable("; ".join(f"No {name} data from {source}" for name, source in missing), sources)
+    return {
+        "state": PARTIAL,
+        "reason": "; ".join(f"No {name} data from {source}" for name, source in missing) +
+                  ". Missing inputs count as 0 in the score.",
+        "sources": sources,
+    }
+
+
+def unavailable(reason: str, sources: List[str]) -> Dict[str, Any]:
+    return {"state": UNAVAILABLE, "reason": reason, "sources": sources}
+
+
+def unavailable_section(reason: str, sources: List[str], message: Optional[str] = None) -> Dict[str, Any]:
+    """Result of an analysis that could not run. `message` is kept for clients that only read it."""
+    return {"message": message or reason, "status": unavailable(reason, sources)}
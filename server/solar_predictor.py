@@ -1,11 +1,18 @@
 from pydantic import BaseModel
+from typing import Any, Dict, Optional
 from data_loader import get_nasa_solar_data
+from period import PeriodInput, LATEST_YEAR, resolve_period
+from scoring import DEFAULT_PROFILE
+from verdict import solar_verdict
+from section_status import section_status, unavailable_section, NASA_POWER
 from catboost import CatBoostRegressor
 from sklearn.model_selection import train_test_split
 
 class LocationInput(BaseModel):
     latitude: float
     longitude: float
+    geometry: Optional[Dict[str, Any]] = None
+    period: Optional[PeriodInput] = None
 
 def train_catboost(df):
     features = [
@@ -29,16 +36,63 @@ def train_catboost(df):
     model.fit(X_train, y_train)
     return model
 
-def predict_solar(input_data: LocationInput):
+def solar_series(df, data_points, predictions):
+    """Monthly climatology, year-by-year averages and predicted-vs-observed series for charts."""
+    monthly = df.groupby('Month')[['ALLSKY_SFC_SW_DWN', 'CLRSKY_SFC_SW_DWN']].mean()
+    monthly_climatology = [
+        {
+            "month": int(month),
+            "allsky": round(float(row['ALLSKY_SFC_SW_DWN']), 3),
+            "clearsky": round(float(row['CLRSKY_SFC_SW_DWN']), 3)
+        }
+        for month, row in monthly.iterrows()
+    ]
+
+    yearly = df.groupby('Year')[['ALLSKY_SFC_SW_DWN', 'CLRSKY_SFC_SW_DWN']].mean()
+    yearly_averages = [
+        {
+            "year": int(year),
+            "allsky": round(float(row['ALLSKY_SFC_SW_DWN']), 3),
+            "clearsky": round(float(row['CLRSKY_SFC_SW_DWN']), 3)
+        }
+        for year, row in yearly.iterrows()
+    ]
+
+    target = data_points[['Month', 'ALLSKY_SFC_SW_DWN']].copy()
+    target['Predicted'] = predictions
+    target_monthly = target.groupby('Month')[['ALLSKY_SFC_SW_DWN', 'Predicted']].mean()
+    predicted_vs_observed = [
+        {
+            "month": int(month),
+            "observed": round(float(row['ALLSKY_SFC_SW_DWN']), 3),
+            "predicted": round(max(0.0, float(row['Predicted'])), 3)
+        }
+        for month, row in target_monthly.iterrows()
+    ]
+
+    return {
+        "monthly_climatology": monthly_climatology,
+        "yearly_averages": yearly_averages,
+        "predicted_vs_observed": predicted_vs_observed
+    }
+
+def predict_solar(input_data: LocationInput, profile: Dict[str, Any] = DEFAULT_PROFILE):
+    period = resolve_period(input_data.period)
     df = get_nasa_solar_data(input_data.latitude, input_data.longitude)
     if df is None:
-        return {"message": "Failed to fetch NASA data."}
+        return unavailable_section("Failed to fetch NASA data.", [NASA_POWER])
 
-    model = train_catboost(df)
-    target_year = 2024
+    # The model learns from the period's years and predicts its last one (the season's months only)
+    if period is not None:
+        df = df[(df['Year'] >= period["start_year"]) & (df['Year'] <= period["end_year"])]
+    target_year = period["end_year"] if period else LATEST_YEAR
     data_points = df[df['Year'] == target_year]
+    if period is not None and period["months"]:
+        data_points = data_points[data_points['Month'].isin(period["months"])]
     if data_points.empty:
-        return {"message": "No data available for the year 2024."}
+        return unavailable_section(f"No data available for the year {target_year}.", [NASA_POWER])
+
+    model = train_catboost(df)
 
     features = [
         'Year', 'Month', 'DayOfYear',
@@ -49,16 +103,13 @@ def predict_solar(input_data: LocationInput):
     predictions = model.predict(data_points[features])
     yearly_average = max(0, predictions.mean())
 
-    if yearly_average > 5.0:
-        recommendation = "✅ Excellent potential! Installing solar is a great investment."
-    elif 3.5 <= yearly_average <= 5.0:
-        recommendation = "👍 Good potential. Solar installation is beneficial."
-    elif 2.0 <= yearly_average < 3.5:
-        recommendation = "⚠️ Moderate potential. Consider additional analysis before installation."
-    else:
-        recommendation = "❌ Low potential. Solar may not be a cost-effective option."
+    verdict = solar_verdict(float(yearly_average), profile["solar"])
 
     return {
         "average_radiation": round(yearly_average, 3),
-        "result": recommendation
+        "result": verdict["message"],
+        "verdict": verdict,
+        "status": section_status([("solar radiation", NASA_POWER, yearly_average)]),
+        "target_year": target_year,
+        "series": solar_series(df, data_points, predictions)
     }
\ No newline at end of file
@@ -0,0 +1,65 @@
+import os
+import unittest
+from unittest import mock
+from chat import MAX_MESSAGE_LENGTH, ChatInput, ChatMessage, stream_chat
+
+# Run from server/ with: python -m unittest test_chat
+
+REPORT = {
+    "solar_potential": {"average_radiation": 5.2},
+    "water_harvesting": {"water_harvesting_score": 0.61, "rainfall_score": 0.7, "soil_score": 0.5, "slope_score": 0.6},
+    "windmill_feasibility": {"windmill_feasibility_score": 0.32, "wind_score": 0.25},
+    "afforestation_feasibility": {"green_cover_percent": 18.4},
+}
+
+
+def chat_input(*messages, provider="mock"):
+    return ChatInput(
+        report=REPORT,
+        recommendations=None,
+        messages=[ChatMessage(role=role, content=content) for role, content in messages],
+        provider=provider,
+    )
+
+
+@mock.patch.dict(os.environ, {"MOCK_CHAT_DELAY": "0"})
+class StreamChatTest(unittest.TestCase):
+    def test_mock_provider_streams_the_reply_word_by_word(self):
+        chunks = list(stream_chat(chat_input(("user", "Why is the water score what it is?"))))
+        self.assertGreater(len(chunks), 1)
+        self.assertTrue(all(chunk.endswith(" ") for chunk in chunks[:-1]))
+        reply = "".join(chunks)
+        self.assertIn("water harvesting score of 0.61", reply)
+        self.assertIn("wind (0.25)", reply)
+        self.assertTrue(reply.endswith("(Mock provider answer.)"))
+
+    def test_reply_answers_the_last_user_message(self):
+        reply = "".join(stream_chat(chat_input(
+            ("user", "Why is the water score low?"),
+            ("assistant", "Because of the soil."),
+            ("user", "What would it cost?"),
+        )))
+        self.assertIn("5.2 kWh/m²/day", reply)
+        self.assertIn("pay back", reply)
+
+    def test_history_may_start_with_an_assistant_turn(self):
+        reply = "".join(stream_chat(chat_input(("assistant", "Hello!"), ("user", "Tell me about this site"))))
+        self.assertIn("18.4% green cover", reply)
+
+    def test_conversation_must_end_with_a_user_message(self):
+        with self.assertRaisesRegex(ValueError, "must end with a user message"):
+            stream_chat(chat_input(("user", "Hi"), ("assistant", "Hello!")))
+        with self.assertRaisesRegex(ValueError, "must end with a user message"):
+            stream_chat(chat_input())
+
+    def test_messages_are_limited_in_length(self):
+        with self.assertRaisesRegex(ValueError, f"limited to {MAX_MESSAGE_LENGTH} characters"):
+            stream_chat(chat_input(("user", "x" * (MAX_MESSAGE_LENGTH + 1))))
+
+    def test_unknown_provider_is_rejected(self):
+        with self.assertRaisesRegex(ValueError, "Unknown chat provider"):
+            stream_chat(chat_input(("user", "Hi"), provider="nope"))
+
+
+if __name__ == "__main__":
+    unittest.main()
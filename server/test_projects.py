@@ -0,0 +1,114 @@
+import os
+import tempfile
+import unittest
+from unittest import mock
+import auth
+from auth import Credentials, sign_up
+from projects import (
+    CommentInput, MemberInput, NotFoundError, ProjectInput, add_comment, add_member, create_project,
+    delete_comment, delete_project, get_project, list_projects, remove_member, remove_site, save_site,
+    update_member, update_project
+)
+
+# Run from server/ with: python -m unittest test_projects
+
+REPORT = {"selectedArea": {"latitude": 12.97, "longitude": 77.59}, "data": {"report": {}}}
+
+
+class ProjectPermissionsTest(unittest.TestCase):
+    def setUp(self):
+        directory = tempfile.TemporaryDirectory()
+        self.addCleanup(directory.cleanup)
+        patcher = mock.patch.object(auth, "USERS_PATH", os.path.join(directory.name, "users.db"))
+        patcher.start()
+        self.addCleanup(patcher.stop)
+
+        self.owner = self.user("owner@example.com")
+        self.editor = self.user("editor@example.com")
+        self.viewer = self.user("viewer@example.com")
+        self.outsider = self.user("outsider@example.com")
+        self.project_id = create_project(self.owner, ProjectInput(name="Rooftops"))["id"]
+        add_member(self.owner, self.project_id, MemberInput(email="editor@example.com", role="editor"))
+        add_member(self.owner, self.project_id, MemberInput(email="viewer@example.com", role="viewer"))
+        save_site(self.owner, self.project_id, "site-1", REPORT)
+
+    def user(self, email):
+        return sign_up(Credentials(email=email, password="correct horse battery"))["user"]["id"]
+
+    def comment(self, user_id, body="Looks promising"):
+        return add_comment(user_id, self.project_id, "site-1", CommentInput(section="solar_potential", body=body))
+
+    def test_roles_are_reported_to_each_member(self):
+        for user_id, role in ((self.owner, "owner"), (self.editor, "editor"), (self.viewer, "viewer")):
+            self.assertEqual(get_project(user_id, self.project_id)["role"], role)
+            self.assertEqual([project["role"] for project in list_projects(user_id)], [role])
+
+    def test_other_users_cannot_see_the_project(self):
+        self.assertEqual(list_projects(self.outsider), [])
+        with self.assertRaises(NotFoundError):
+            get_project(self.outsider, self.project_id)
+        with self.assertRaises(NotFoundError):
+            save_site(self.outsider, self.project_id, "site-2", REPORT)
+        with self.assertRaises(NotFoundError):
+            self.comment(self.outsider)
+        with self.assertRaises(NotFoundError):
+            delete_project(self.outsider, self.project_id)
+
+    def test_viewer_can_comment_but_not_change_the_project(self):
+        self.assertEqual(len(self.comment(self.viewer)), 1)
+        with self.assertRaises(PermissionError):
+            save_site(self.viewer, self.project_id, "site-2", REPORT)
+        with self.assertRaises(PermissionError):
+            remove_site(self.viewer, self.project_id, "site-1")
+        with self.assertRaises(PermissionError):
+            update_project(self.viewer, self.project_id, ProjectInput(name="Renamed"))
+
+    def test_editor_changes_sites_and_details_but_not_members(self):
+        save_site(self.editor, self.project_id, "site-2", REPORT)
+        self.assertEqual(update_project(self.editor, self.project_id, ProjectInput(name="Renamed"))["name"], "Renamed")
+        remove_site(self.editor, self.project_id, "site-2")
+        self.user("new@example.com")
+        with self.assertRaises(PermissionError):
+            add_member(self.editor, self.project_id, MemberInput(email="new@example.com"))
+        with self.assertRaises(PermissionError):
+            update_member(self.editor, self.project_id, self.viewer, "editor")
+        with self.assertRaises(PermissionError):
+            remove_member(self.editor, self.project_id, self.viewer)
+        with self.assertRaises(PermissionError):
+            delete_project(self.editor, self.project_id)
+
+    def test_owner_manages_members(self):
+        update_member(self.owner, self.project_id, self.viewer, "editor")
+        self.assertEqual(get_project(self.viewer, self.project_id)["role"], "editor")
+        remove_member(self.owner, self.project_id, self.editor)
+        with self.assertRaises(NotFoundError):
+            get_project(self.editor, self.project_id)
+        with self.assertRaises(ValueError):
+            add_member(self.owner, self.project_id, MemberInput(email="outsider@example.com", role="owner"))
+
+    def test_owner_cannot_leave_or_be_demoted(self):
+        with self.assertRaisesRegex(ValueError, "owner cannot be removed"):
+            remove_member(self.owner, self.project_id, self.owner)
+        with self.assertRaisesRegex(ValueError, "owner's role cannot be changed"):
+            update_member(self.owner, self.project_id, self.owner, "viewer")
+
+    def test_members_can_leave(self):
+        remove_member(self.viewer, self.project_id, self.viewer)
+        self.assertEqual(list_projects(self.viewer), [])
+
+    def test_comments_are_deleted_by_their_author_or_the_owner(self):
+        viewer_comment = self.comment(self.viewer)[0]["id"]
+        editor_comment = self.comment(self.editor, "Check the slope")[1]["id"]
+        with self.assertRaises(PermissionError):
+            delete_comment(self.editor, self.project_id, viewer_comment)
+        self.assertEqual(delete_comment(self.viewer, self.project_id, viewer_comment), "site-1")
+        self.assertEqual(delete_comment(self.owner, self.project_id, editor_comment), "site-1")
+
+    def test_owner_deletes_the_project_for_everyone(self):
+        delete_project(self.owner, self.project_id)
+        for user_id in (self.owner, self.editor, self.viewer):
+            self.assertEqual(list_projects(user_id), [])
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,74 @@
+from enum import Enum
+from typing import Any, Dict, Optional
+
+class VerdictLevel(str, Enum):
+    HIGH = "high"
+    MEDIUM = "medium"
+    LOW = "low"
+
+# Every verdict the analyses can give, by localisation key. The message is the
+# English text, also returned in the legacy `result` / `feasibility` fields.
+VERDICTS = {
+    "solar.excellent": (VerdictLevel.HIGH, "✅ Excellent potential! Installing solar is a great investment."),
+    "solar.good": (VerdictLevel.HIGH, "👍 Good potential. Solar installation is beneficial."),
+    "solar.moderate": (VerdictLevel.MEDIUM, "⚠️ Moderate potential. Consider additional analysis before installation."),
+    "solar.low": (VerdictLevel.LOW, "❌ Low potential. Solar may not be a cost-effective option."),
+    "water.feasible": (VerdictLevel.HIGH, "✅ Water harvesting is feasible in this area."),
+    "water.moderate": (VerdictLevel.MEDIUM, "⚠️ Water harvesting may be moderately feasible."),
+    "water.not_feasible": (VerdictLevel.LOW, "🚫 Water harvesting is not feasible in this area."),
+    "windmill.feasible": (VerdictLevel.HIGH, "✅ Windmill installation is feasible."),
+    "windmill.moderate": (VerdictLevel.MEDIUM, "⚠️ Windmill installation may be moderately feasible."),
+    "windmill.not_feasible": (VerdictLevel.LOW, "🚫 Windmill installation is not feasible."),
+    "afforestation.feasible": (VerdictLevel.HIGH, "✅ Afforestation is feasible in this area."),
+    "afforestation.not_feasible": (VerdictLevel.LOW, "🚫 Afforestation is NOT feasible in this area."),
+}
+
+# Solar radiation is scaled against 7 kWh/m²/day for its 0-1 score, as in the grid scan
+SOLAR_SCORE_SCALE = 7.0
+
+
+def make_verdict(key: str, score: Optional[float]) -> Dict[str, Any]:
+    """JSON-ready verdict: level, 0-1 score, English message and localisation key."""
+    level, message = VERDICTS[key]
+    return {
+        "level": level.value,
+        "score": round(score, 3) if score is not None else None,
+        "message": message,
+        "key": key,
+    }
+
+
+def solar_verdict(average_radiation: float, thresholds: Dict[str, float]) -> Dict[str, Any]:
+    if average_radiation > thresholds["excellent"]:
+        key = "solar.excellent"
+    elif average_radiation >= thresholds["good"]:
+        key = "solar.good"
+    elif average_radiation >= thresholds["moderate"]:
+        key = "solar.moderate"
+    else:
+        key = "solar.low"
+    return make_verdict(key, min(average_radiation / SOLAR_SCORE_SCALE, 1.0))
+
+
+def _weighted_verdict(prefix: str, score: float, scoring: Dict[str, float]) -> Dict[str, Any]:
+    if score >= scoring["feasible"]:
+        key = f"{prefix}.feasible"
+    elif score >= scoring["moderate"]:
+        key = f"{prefix}.moderate"
+    else:
+        key = f"{prefix}.not_feasible"
+    return make_verdict(key, score)
+
+
+def water_verdict(score: float, scoring: Dict[str, float]) -> Dict[str, Any]:
+    return _weighted_verdict("water", score, scoring)
+
+
+def windmill_verdict(score: float, scoring: Dict[str, float]) -> Dict[str, Any]:
+    return _weighted_verdict("windmill", score, scoring)
+
+
+def afforestation_verdict(green: float, potential: float, thresholds: Dict[str, float]) -> Dict[str, Any]:
+    """Feasible when both green cover and potential (fractions) clear their thresholds; scored by potential."""
+    feasible = green > thresholds["min_green_cover"] and potential > thresholds["min_potential"]
+    return make_verdict("afforestation.feasible" if feasible else "afforestation.not_feasible", potential)
@@ -1,32 +1,91 @@
 from pydantic import BaseModel
-from data_loader import get_nasa_wind_speed_data, get_slope, get_ndvi_data
+from typing import Any, Dict, Optional
+from data_loader import (
+    get_nasa_wind_speed_data, get_nasa_wind_climatology, get_nasa_daily_wind_speeds,
+    get_slope, get_ndvi_data
+)
+from period import PeriodInput, resolve_period
+from scoring import DEFAULT_PROFILE
+from verdict import windmill_verdict
+from section_status import section_status, UNAVAILABLE, NASA_POWER, SRTM, SENTINEL_2
+import math
+import numpy as np
+
+# NASA POWER WS50M is measured at 50 m; the client extrapolates to hub height
+MEASUREMENT_HEIGHT_M = 50
 
 class LocationInput(BaseModel):
     latitude: float
     longitude: float
+    geometry: Optional[Dict[str, Any]] = None
+    period: Optional[PeriodInput] = None
+
+def fit_weibull(speeds):
+    """Weibull shape k and scale c (m/s) by the Justus moment method."""
+    mean = float(np.mean(speeds))
+    std = float(np.std(speeds))
+    if mean <= 0 or std <= 0:
+        return None
+    k = (std / mean) ** -1.086
+    c = mean / math.gamma(1 + 1 / k)
+    return {"k": round(k, 3), "c": round(c, 3)}
+
+def wind_resource(lat: float, lon: float, period: Optional[Dict[str, Any]] = None):
+    """Raw monthly wind speeds and the fitted distribution behind the wind score."""
+    climatology = get_nasa_wind_climatology(lat, lon, period)
+    daily = get_nasa_daily_wind_speeds(lat, lon, period)
+    weibull = fit_weibull(daily) if daily else None
+    return {
+        "measurement_height_m": MEASUREMENT_HEIGHT_M,
+        "mean_speed": round(climatology["annual"], 2) if climatology else None,
+        "monthly_speeds": [round(v, 2) for v in climatology["monthly"]] if climatology else None,
+        "weibull_k": weibull["k"] if weibull else None,
+        "weibull_c": weibull["c"] if weibull else None
+    }
 
-def calculate_windmill_feasibility(location: LocationInput):
+def windmill_slope_score(slope: float, max_slope: float = DEFAULT_PROFILE["windmill"]["max_slope"]) -> float:
+    """0-1 score for the normalised slope; anything above `max_slope` rules a site out."""
+    return max(1.0 - (slope / max_slope), 0.0) if slope <= max_slope else 0.0
+
+def windmill_score(wind_score: float, slope_score: float, land_score: float,
+                   scoring: Dict[str, float] = DEFAULT_PROFILE["windmill"]) -> float:
+    """Weighted 0-1 score from the wind, slope and barren-land terms."""
+    return (scoring["wind_weight"] * wind_score) + (scoring["slope_weight"] * slope_score) + \
+        (scoring["land_weight"] * land_score)
+
+def calculate_windmill_feasibility(location: LocationInput, profile: Dict[str, Any] = DEFAULT_PROFILE):
     lat = location.latitude
     lon = location.longitude
+    period = resolve_period(location.period)
+
+    scoring = profile["windmill"]
+    wind_score = get_nasa_wind_speed_data(lat, lon, period)
+    slope = get_slope(lat, lon, location.geometry)
+    ndvi_data = get_ndvi_data(lat, lon, 2000, location.geometry, period)
+    land_score = ndvi_data["barren_cover"] if ndvi_data and ndvi_data["barren_cover"] is not None else None
 
-    wind_score = get_nasa_wind_speed_data(lat, lon)
-    slope_score=max(1.0 - (get_slope(lat, lon) / 15.0), 0.0) if get_slope(lat, lon) <= 15 else 0.0
-    ndvi_data = get_ndvi_data(lat, lon, 2000)
-    land_score = ndvi_data["barren_cover"] if ndvi_data and ndvi_data["barren_cover"] is not None else 0.0
+    status = section_status([
+        ("wind", NASA_POWER, wind_score),
+        ("slope", SRTM, slope),
+        ("land cover", SENTINEL_2, land_score),
+    ])
+    if status["state"] == UNAVAILABLE:
+        return {"message": status["reason"], "status": status}
 
-    final_score = (0.5 * wind_score) + (0.3 * slope_score) + (0.2 * land_score)
+    slope_score = windmill_slope_score(slope, scoring["max_slope"]) if slope is not None else None
+    final_score = windmill_score(wind_score or 0.0, slope_score or 0.0, land_score or 0.0, scoring)
 
-    if final_score >= 0.6:
-        feasibility = "✅ Windmill installation is feasible."
-    elif final_score >= 0.4:
-        feasibility = "⚠️ Windmill installation may be moderately feasible."
-    else:
-        feasibility = "🚫 Windmill installation is not feasible."
+    verdict = windmill_verdict(final_score, scoring)
 
     return {
-        "wind_score": round(wind_score, 2),
-        "slope_score": round(slope_score, 2),
-        "land_score": round(land_score, 2),
+        "wind_score": round(wind_score, 2) if wind_score is not None else None,
+        # Kept so the slope term can be recomputed under another profile's maximum slope
+        "normalized_slope": round(slope, 4) if slope is not None else None,
+        "slope_score": round(slope_score, 2) if slope_score is not None else None,
+        "land_score": round(land_score, 2) if land_score is not None else None,
         "windmill_feasibility_score": round(final_score, 2),
-        "feasibility": feasibility
+        "feasibility": verdict["message"],
+        "verdict": verdict,
+        "status": status,
+        "wind_resource": wind_resource(lat, lon, period)
     }
\ No newline at end of file